@@ -0,0 +1,142 @@
+/**
+ * Collab Bus Tests
+ *
+ * Verifies that Y.js updates and awareness reach every Hocuspocus instance on
+ * the bus, and that the receiving instances persist relayed edits.
+ * Run: node --test server/__tests__/collabBus.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Hocuspocus } from '@hocuspocus/server';
+
+let CollabBus;
+let MemoryBusAdapter;
+let SqliteBusAdapter;
+
+const instances = [];
+const connections = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function createNode(adapter, { extensions = [], ...configuration } = {}) {
+  const node = new Hocuspocus({ quiet: true, ...configuration, extensions: [new CollabBus({ adapter }), ...extensions] });
+  instances.push(node);
+  return node;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+async function edit(node, documentName, text) {
+  const connection = await node.openDirectConnection(documentName, {});
+  connections.push(connection);
+  await connection.transact((doc) => doc.getText('body').insert(doc.getText('body').length, text));
+}
+
+const bodyOf = (node, documentName) => node.documents.get(documentName)?.getText('body').toString();
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('collab bus', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    ({ CollabBus, MemoryBusAdapter, SqliteBusAdapter } = await import('../services/collabBus/index.js'));
+  });
+
+  after(async () => {
+    for (const connection of connections) await connection.disconnect();
+    for (const node of instances) {
+      for (const document of node.documents.values()) node.unloadDocument(document);
+      await node.hooks('onDestroy', { instance: node });
+    }
+  });
+
+  it('catches a late node up and relays edits both ways', async () => {
+    const hub = new EventEmitter();
+    const a = createNode(new MemoryBusAdapter({ hub }));
+    const b = createNode(new MemoryBusAdapter({ hub }));
+
+    await edit(a, 'doc-1', 'hello');
+    await edit(b, 'doc-1', '');
+    await waitFor(() => bodyOf(b, 'doc-1') === 'hello');
+
+    await edit(b, 'doc-1', ' world');
+    await waitFor(() => bodyOf(a, 'doc-1') === 'hello world');
+  });
+
+  it('relays awareness states', async () => {
+    const hub = new EventEmitter();
+    const a = createNode(new MemoryBusAdapter({ hub }));
+    const b = createNode(new MemoryBusAdapter({ hub }));
+    await edit(a, 'doc-2', '');
+    await edit(b, 'doc-2', '');
+
+    a.documents.get('doc-2').awareness.setLocalState({ user: { name: 'Ada' } });
+    const remote = b.documents.get('doc-2').awareness;
+    await waitFor(() => remote.getStates().get(a.documents.get('doc-2').awareness.clientID)?.user?.name === 'Ada');
+  });
+
+  it('keeps documents on separate channels', async () => {
+    const hub = new EventEmitter();
+    const a = createNode(new MemoryBusAdapter({ hub }));
+    const b = createNode(new MemoryBusAdapter({ hub }));
+    await edit(b, 'doc-3b', '');
+    await edit(a, 'doc-3a', 'private');
+    await edit(a, 'doc-3b', 'shared');
+
+    await waitFor(() => bodyOf(b, 'doc-3b') === 'shared');
+    assert.equal(b.documents.has('doc-3a'), false);
+  });
+
+  it('persists relayed edits on the receiving node', async () => {
+    const hub = new EventEmitter();
+    const stored = [];
+    const store = {
+      async onStoreDocument({ documentName, document }) {
+        stored.push([documentName, document.getText('body').toString()]);
+      },
+    };
+    const a = createNode(new MemoryBusAdapter({ hub }));
+    const b = createNode(new MemoryBusAdapter({ hub }), { debounce: 10, extensions: [store] });
+
+    await edit(b, 'doc-5', '');
+    await edit(a, 'doc-5', 'acknowledged');
+    await waitFor(() => bodyOf(b, 'doc-5') === 'acknowledged');
+
+    // b stores the edit itself, so it survives a going down before a's store runs
+    await waitFor(() => stored.some(([name, body]) => name === 'doc-5' && body === 'acknowledged'));
+  });
+
+  it('passes messages through SQLite', async () => {
+    const a = createNode(new SqliteBusAdapter({ pollIntervalMs: 10 }));
+    const b = createNode(new SqliteBusAdapter({ pollIntervalMs: 10 }));
+
+    await edit(a, 'doc-4', 'over');
+    await edit(b, 'doc-4', '');
+    await waitFor(() => bodyOf(b, 'doc-4') === 'over');
+
+    await edit(b, 'doc-4', ' sqlite');
+    await waitFor(() => bodyOf(a, 'doc-4') === 'over sqlite');
+  });
+
+  it('does not replay messages published before an adapter started', async () => {
+    const publisher = new SqliteBusAdapter();
+    publisher.publish('collab:old', new Uint8Array([1]));
+
+    const received = [];
+    const subscriber = new SqliteBusAdapter();
+    subscriber.subscribe('collab:old', (payload) => received.push([...payload]));
+    publisher.publish('collab:old', new Uint8Array([2]));
+    subscriber.poll();
+    subscriber.close();
+
+    assert.deepEqual(received, [[2]]);
+  });
+});
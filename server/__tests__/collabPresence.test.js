@@ -0,0 +1,143 @@
+/**
+ * Collab Presence Tests
+ *
+ * Verifies collaborator summaries built from Hocuspocus connection and awareness state.
+ * Run: node --test server/__tests__/collabPresence.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness';
+
+let describePresence;
+let findCursorSection;
+let markActive;
+let trackPresence;
+
+// Awareness instances run a timer until destroyed
+const awarenesses = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function block(name, text, attrs = {}) {
+  const element = new Y.XmlElement(name);
+  for (const [key, value] of Object.entries(attrs)) element.setAttribute(key, value);
+  const xmlText = new Y.XmlText();
+  xmlText.insert(0, text);
+  element.insert(0, [xmlText]);
+  return element;
+}
+
+/** A Y.Doc shaped like a Hocuspocus Document */
+function createDocument() {
+  const document = new Y.Doc();
+  document.getXmlFragment('default').insert(0, [
+    block('paragraph', 'preamble'),
+    block('heading', 'Plan', { level: 1, id: 'h-plan' }),
+    block('paragraph', 'first step'),
+    block('heading', 'Risks', { level: 2 }),
+    block('paragraph', 'many'),
+  ]);
+  document.connections = new Map();
+  document.awareness = new Awareness(document);
+  awarenesses.push(document.awareness);
+  return document;
+}
+
+/** Connect a client: register the connection and apply its awareness state */
+function connect(document, user, state = null, { isGuest = false } = {}) {
+  const webSocket = {};
+  const clientAwareness = new Awareness(new Y.Doc());
+  awarenesses.push(clientAwareness);
+  clientAwareness.setLocalState(state);
+  const clients = new Set();
+  document.connections.set(webSocket, {
+    clients,
+    connection: { webSocket, context: { user, isGuest } },
+  });
+  if (state) {
+    clients.add(clientAwareness.clientID);
+    applyAwarenessUpdate(document.awareness, encodeAwarenessUpdate(clientAwareness, [clientAwareness.clientID]), webSocket);
+  }
+  return webSocket;
+}
+
+function cursorAt(document, blockIndex, offset = 0) {
+  const text = document.getXmlFragment('default').get(blockIndex).get(0);
+  const position = Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, offset));
+  return { anchor: position, head: position };
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('collab presence', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    ({ describePresence, findCursorSection, markActive, trackPresence } = await import('../services/collabPresence.js'));
+  });
+
+  after(() => {
+    for (const awareness of awarenesses) awareness.destroy();
+  });
+
+  it('resolves a cursor to the heading it sits under', () => {
+    const document = createDocument();
+    assert.deepEqual(findCursorSection(document, cursorAt(document, 2, 3)), {
+      headingText: 'Plan', headingLevel: 1, headingNodeId: 'h-plan',
+    });
+    assert.equal(findCursorSection(document, cursorAt(document, 4)).headingText, 'Risks');
+    assert.equal(findCursorSection(document, cursorAt(document, 0)), null);
+    assert.equal(findCursorSection(document, { head: { bogus: true } }), null);
+  });
+
+  it('lists one entry per user with cursor section and idle time', () => {
+    const document = createDocument();
+    const now = Date.now();
+    const alice = { id: 1, name: 'Alice', email: 'alice@example.com' };
+    const tabOne = connect(document, alice, { cursor: cursorAt(document, 2) });
+    const tabTwo = connect(document, alice, { cursor: cursorAt(document, 4) });
+    connect(document, { id: 'guest-g1', name: 'Guest', email: null }, null, { isGuest: true });
+    markActive(tabOne, now - 60_000);
+    markActive(tabTwo, now - 5_000);
+
+    const [first, second] = describePresence(document, now);
+    assert.deepEqual(first, {
+      user: { id: 1, name: 'Alice', isGuest: false },
+      connections: 2,
+      section: { headingText: 'Risks', headingLevel: 2, headingNodeId: null },
+      lastActiveAt: new Date(now - 5_000).toISOString(),
+      idleMs: 5_000,
+    });
+    assert.equal(second.user.isGuest, true);
+    assert.equal(second.section, null);
+    assert.equal(second.idleMs, null);
+  });
+
+  it('ignores the server awareness state and unauthenticated connections', () => {
+    const document = createDocument();
+    document.awareness.setLocalState({ sectionLocks: [] });
+    document.connections.set({}, { clients: new Set(), connection: { webSocket: {}, context: {} } });
+    assert.deepEqual(describePresence(document), []);
+  });
+
+  it('counts client edits and awareness changes as activity', () => {
+    const document = createDocument();
+    let changes = 0;
+    trackPresence(document, () => changes++);
+    const webSocket = connect(document, { id: 2, name: 'Bob' }, { cursor: null });
+    assert.equal(changes, 1);
+    assert.ok(describePresence(document)[0].idleMs < 1000);
+
+    markActive(webSocket, 0);
+    document.transact(() => document.getXmlFragment('default').insert(0, [block('paragraph', 'x')]), { webSocket });
+    assert.equal(changes, 2);
+    assert.ok(describePresence(document)[0].idleMs < 1000);
+
+    // Server-side edits aren't anyone's activity
+    markActive(webSocket, 0);
+    document.transact(() => document.getXmlFragment('default').delete(0, 1), 'server');
+    assert.equal(changes, 2);
+    assert.ok(describePresence(document)[0].idleMs > 1000);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Conversation Persistence Tests
+ *
+ * Verifies message storage and search, replaying stored history into chat,
+ * compaction when history outgrows the context window, and title generation.
+ * Run: node --test server/__tests__/conversations.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let conversations;
+let localProvider;
+
+const USER_ID = 1;
+const OTHER_USER_ID = 2;
+const MODEL = 'conversation-test-model';
+
+let requests = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create(params) {
+        requests.push(params);
+        const system = params.messages[0]?.role === 'system' ? params.messages[0].content : '';
+        let content = 'ok';
+        if (system.startsWith('You compact')) content = 'SUMMARY: user is planning the v2 release';
+        if (system.startsWith('Write a short')) content = '"Release Planning."';
+        return {
+          id: `resp-${requests.length}`,
+          choices: [{ message: { content }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        };
+      },
+    },
+  },
+};
+
+function build(conversation, messages, maxTokens = 1024) {
+  return conversations.buildConversationMessages({
+    userId: USER_ID,
+    conversation,
+    messages,
+    provider: 'local',
+    model: MODEL,
+    maxTokens,
+  });
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('conversations', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    // 32k context window
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    conversations = await import('../services/conversationService.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'owner@example.com', 'x');
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(OTHER_USER_ID, 'other@example.com', 'x');
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('doc-1', ?, 'notes/release.md', 'c1', 's1', 1, 10)
+    `).run(USER_ID);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    db.prepare('DELETE FROM conversations').run();
+    db.prepare('DELETE FROM llm_usage').run();
+  });
+
+  it('stores messages and finds conversations by title or content', () => {
+    const linked = conversations.createConversation(USER_ID, {
+      documentId: 'doc-1',
+      messages: [
+        { role: 'system', content: 'You are helpful' },
+        { role: 'user', content: [{ type: 'text', text: 'What ships in the v2 release?' }, { type: 'image', data: 'AAAA' }] },
+      ],
+    });
+    conversations.saveExchange(linked.id, [{ role: 'user', content: 'And the date?' }], {
+      content: 'Friday 100% confirmed', provider: 'local', model: MODEL, usage: { promptTokens: 10, completionTokens: 5 },
+    });
+    conversations.createConversation(USER_ID, { title: 'Grocery list' });
+    conversations.createConversation(OTHER_USER_ID, { title: 'Release notes' });
+
+    const messages = conversations.getMessages(linked.id);
+    assert.deepEqual(messages.map((m) => [m.seq, m.role]), [[1, 'user'], [2, 'user'], [3, 'assistant']]);
+    assert.equal(messages[0].content, 'What ships in the v2 release?\n\n[image]');
+    assert.equal(messages[2].model, MODEL);
+
+    const stored = conversations.getConversation(USER_ID, linked.id);
+    assert.equal(stored.message_count, 3);
+    assert.equal(stored.model, MODEL);
+    assert.equal(conversations.getConversation(OTHER_USER_ID, linked.id), null);
+
+    let result = conversations.listConversations(USER_ID, { query: 'RELEASE' });
+    assert.equal(result.total, 1);
+    assert.equal(result.conversations[0].id, linked.id);
+    assert.equal(result.conversations[0].snippet, 'What ships in the v2 release?\n\n[image]');
+
+    result = conversations.listConversations(USER_ID, { query: 'grocery' });
+    assert.equal(result.conversations[0].title, 'Grocery list');
+    assert.equal(result.conversations[0].snippet, null);
+
+    // LIKE wildcards are literal
+    assert.equal(conversations.listConversations(USER_ID, { query: '100%' }).total, 1);
+    assert.equal(conversations.listConversations(USER_ID, { query: '%' }).total, 1);
+
+    assert.equal(conversations.listConversations(USER_ID).total, 2);
+    assert.equal(conversations.listConversations(USER_ID, { documentId: 'doc-1' }).total, 1);
+  });
+
+  it('replays stored history ahead of the new turn', async () => {
+    const conversation = conversations.createConversation(USER_ID, {
+      messages: [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+      ],
+    });
+
+    const messages = await build(conversation, [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Continue' },
+    ]);
+
+    assert.deepEqual(messages, [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Continue' },
+    ]);
+    assert.equal(requests.length, 0);
+  });
+
+  it('compacts older turns once history outgrows the context window', async () => {
+    // 10 messages of ~3k tokens each against a ~23k token budget
+    const long = 'word '.repeat(2400);
+    const conversation = conversations.createConversation(USER_ID, {
+      messages: Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i}: ${long}` })),
+    });
+
+    const messages = await build(conversation, [{ role: 'user', content: 'Where were we?' }]);
+
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].messages[1].content, /^USER: 0: word/);
+    assert.match(messages[0].content, /Summary of the earlier conversation:\nSUMMARY: user is planning the v2 release/);
+    assert.equal(messages.length, 1 + 6 + 1);
+    assert.match(messages[1].content, /^4: /);
+
+    const stored = conversations.getConversation(USER_ID, conversation.id);
+    assert.equal(stored.summary_through_seq, 4);
+    assert.equal(db.prepare('SELECT request_type FROM llm_usage').get().request_type, 'compaction');
+
+    // The next turn replays the stored summary without compacting again
+    requests = [];
+    const next = await build(stored, [{ role: 'user', content: 'Thanks' }]);
+    assert.equal(requests.length, 0);
+    assert.match(next[0].content, /SUMMARY/);
+    assert.equal(next.length, 1 + 6 + 1);
+  });
+
+  it('never compacts a tool call away from its results', async () => {
+    const long = 'word '.repeat(2400);
+    const toolCalls = [
+      { id: 'call-1', type: 'function', function: { name: 'search_documents', arguments: '{"query":"v2"}' } },
+      { id: 'call-2', type: 'function', function: { name: 'read_document', arguments: '{"path":"notes/release.md"}' } },
+    ];
+    const conversation = conversations.createConversation(USER_ID, {
+      messages: [
+        { role: 'user', content: `0: ${long}` },
+        { role: 'assistant', content: `1: ${long}` },
+        { role: 'user', content: `2: ${long}` },
+        { role: 'assistant', content: '', toolCalls },
+        { role: 'tool', content: `4: ${long}`, toolCallId: 'call-1' },
+        { role: 'tool', content: `5: ${long}`, toolCallId: 'call-2' },
+        { role: 'assistant', content: `6: ${long}` },
+        { role: 'user', content: `7: ${long}` },
+        { role: 'assistant', content: `8: ${long}` },
+        { role: 'user', content: `9: ${long}` },
+      ],
+    });
+
+    // Keeping the last 6 would start on the first tool result
+    const messages = await build(conversation, [{ role: 'user', content: 'Where were we?' }]);
+
+    assert.equal(requests.length, 1);
+    assert.equal(messages.length, 1 + 7 + 1);
+    assert.equal(messages[1].role, 'assistant');
+    assert.deepEqual(messages[1].toolCalls, toolCalls);
+    assert.deepEqual(messages.slice(2, 4).map((m) => m.toolCallId), ['call-1', 'call-2']);
+    assert.equal(conversations.getConversation(USER_ID, conversation.id).summary_through_seq, 3);
+  });
+
+  it('generates titles without overriding one the user set', async () => {
+    const conversation = conversations.createConversation(USER_ID, {
+      provider: 'local',
+      model: MODEL,
+      messages: [
+        { role: 'user', content: 'Help me plan the v2 release' },
+        { role: 'assistant', content: 'Sure.' },
+      ],
+    });
+
+    const title = await conversations.titleInBackground({ userId: USER_ID, conversationId: conversation.id });
+    assert.equal(title, 'Release Planning');
+    assert.equal(conversations.getConversation(USER_ID, conversation.id).title_source, 'generated');
+    assert.equal(db.prepare('SELECT request_type FROM llm_usage').get().request_type, 'classification');
+
+    conversations.updateConversation(USER_ID, conversation.id, { title: 'My plan' });
+    requests = [];
+    assert.equal(await conversations.generateTitle({ userId: USER_ID, conversationId: conversation.id }), 'My plan');
+    assert.equal(requests.length, 0);
+
+    assert.equal(conversations.__private.cleanTitle('Title: **Budget review**'), 'Budget review');
+  });
+});
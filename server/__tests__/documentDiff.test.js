@@ -0,0 +1,140 @@
+/**
+ * Document Diff Service Tests
+ *
+ * Exercises the semantic block-level diff used by branch and version compare.
+ * Run: node --test server/__tests__/documentDiff.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  diffDocumentContent,
+  diffMarkdown,
+  diffTiptapDocuments,
+  diffWords,
+} from '../services/documentDiff.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function p(...parts) {
+  return {
+    type: 'paragraph',
+    content: parts.map((part) => (typeof part === 'string' ? { type: 'text', text: part } : part)),
+  };
+}
+
+function doc(...content) {
+  return { type: 'doc', content };
+}
+
+function bold(text) {
+  return { type: 'text', text, marks: [{ type: 'bold' }] };
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('diffWords', () => {
+  it('produces merged equal/insert/delete segments', () => {
+    assert.deepEqual(diffWords('the quick fox', 'the slow brown fox'), [
+      { op: 'equal', text: 'the ' },
+      { op: 'delete', text: 'quick' },
+      { op: 'insert', text: 'slow brown' },
+      { op: 'equal', text: ' fox' },
+    ]);
+  });
+});
+
+describe('diffTiptapDocuments', () => {
+  it('returns no hunks for identical documents', () => {
+    const a = doc(p('same text'));
+    assert.deepEqual(diffTiptapDocuments(a, structuredClone(a)), []);
+  });
+
+  it('reports inserts, deletes and word-level modifications', () => {
+    const hunks = diffTiptapDocuments(
+      doc(p('keep this'), p('edit this sentence please'), p('drop me')),
+      doc(p('keep this'), p('edit this whole sentence please'), p('brand new'))
+    );
+
+    assert.deepEqual(hunks.map((hunk) => hunk.type), ['delete', 'modify', 'insert']);
+    assert.deepEqual(hunks[0].fromPath, [2]);
+    assert.deepEqual(hunks[2].toPath, [2]);
+    assert.deepEqual(hunks[1].text, [
+      { op: 'equal', text: 'edit this ' },
+      { op: 'insert', text: 'whole ' },
+      { op: 'equal', text: 'sentence please' },
+    ]);
+  });
+
+  it('detects moved blocks', () => {
+    const hunks = diffTiptapDocuments(
+      doc(p('alpha'), p('beta'), p('gamma')),
+      doc(p('beta'), p('gamma'), p('alpha'))
+    );
+
+    assert.equal(hunks.length, 1);
+    assert.equal(hunks[0].type, 'move');
+    assert.deepEqual(hunks[0].fromPath, [0]);
+    assert.deepEqual(hunks[0].toPath, [2]);
+  });
+
+  it('reports attribute and mark changes on otherwise unchanged text', () => {
+    const hunks = diffTiptapDocuments(
+      doc(p('make this bold')),
+      doc({ ...p('make ', bold('this bold')), attrs: { textAlign: 'center' } })
+    );
+
+    assert.equal(hunks.length, 1);
+    const [hunk] = hunks;
+    assert.equal(hunk.type, 'modify');
+    assert.equal(hunk.text, undefined);
+    assert.deepEqual(hunk.attributes, [{ key: 'textAlign', from: null, to: 'center' }]);
+    assert.deepEqual(hunk.marks, [{ offset: 5, text: 'this bold', added: [{ type: 'bold' }], removed: [] }]);
+  });
+
+  it('diffs inside container nodes with nested paths', () => {
+    const list = (...items) => ({
+      type: 'bulletList',
+      content: items.map((text) => ({ type: 'listItem', content: [p(text)] })),
+    });
+
+    const hunks = diffTiptapDocuments(
+      doc(list('first item here', 'second item here')),
+      doc(list('first item here', 'second item changed here', 'third'))
+    );
+
+    assert.deepEqual(hunks.map((hunk) => [hunk.type, hunk.toPath]), [
+      ['modify', [0, 1, 0]],
+      ['insert', [0, 2]],
+    ]);
+  });
+});
+
+describe('diffMarkdown', () => {
+  it('compares blocks and words', () => {
+    const hunks = diffMarkdown('# Title\n\nsome text here\n\nbye', '# Title\n\nsome new text here');
+
+    assert.deepEqual(hunks.map((hunk) => hunk.type), ['delete', 'modify']);
+    assert.equal(hunks[1].nodeType, 'paragraph');
+  });
+});
+
+describe('diffDocumentContent', () => {
+  it('prefers sidecar Tiptap JSON and summarizes hunk counts', () => {
+    const result = diffDocumentContent(
+      { content: 'ignored', sidecar: { content: doc(p('one')) } },
+      { content: 'ignored too', sidecar: { content: doc(p('one'), p('two')) } }
+    );
+
+    assert.equal(result.format, 'tiptap');
+    assert.equal(result.identical, false);
+    assert.deepEqual(result.stats, { insert: 1, delete: 0, modify: 0, move: 0 });
+  });
+
+  it('falls back to markdown and treats a missing side as empty', () => {
+    const result = diffDocumentContent(null, { content: 'hello', sidecar: {} });
+
+    assert.equal(result.format, 'markdown');
+    assert.deepEqual(result.hunks, [{ type: 'insert', toPath: [0], node: 'hello' }]);
+  });
+});
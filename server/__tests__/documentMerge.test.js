@@ -0,0 +1,222 @@
+/**
+ * Document Merge Service Tests
+ *
+ * Exercises the three-way merge engine used by branch merges.
+ * Run: node --test server/__tests__/documentMerge.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mergeDocumentContent,
+  mergeMarkdown,
+  mergeTiptapDocuments,
+} from '../services/documentMerge.js';
+import { splitMarkdownBlocks } from '../utils/markdown.js';
+import { longestCommonSubsequence } from '../utils/sequenceDiff.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function p(text) {
+  return { type: 'paragraph', content: [{ type: 'text', text }] };
+}
+
+function h(level, text) {
+  return { type: 'heading', attrs: { level }, content: [{ type: 'text', text }] };
+}
+
+function list(...items) {
+  return {
+    type: 'bulletList',
+    content: items.map((text) => ({ type: 'listItem', content: [p(text)] })),
+  };
+}
+
+function doc(...content) {
+  return { type: 'doc', content };
+}
+
+function texts(document) {
+  return document.content.map((node) => node.content?.[0]?.text);
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('longestCommonSubsequence', () => {
+  it('finds an optimal alignment', () => {
+    const pairs = longestCommonSubsequence([...'ABCABBA'], [...'CBABAC']);
+    assert.equal(pairs.length, 4);
+    for (let i = 1; i < pairs.length; i++) {
+      assert.ok(pairs[i][0] > pairs[i - 1][0] && pairs[i][1] > pairs[i - 1][1]);
+    }
+  });
+
+  it('handles empty inputs', () => {
+    assert.deepEqual(longestCommonSubsequence([], ['a']), []);
+    assert.deepEqual(longestCommonSubsequence(['a'], ['a']), [[0, 0]]);
+  });
+});
+
+describe('mergeTiptapDocuments', () => {
+  const base = doc(h(1, 'Title'), p('first paragraph text'), p('second paragraph text'));
+
+  it('combines edits made to different blocks', () => {
+    const ours = doc(h(1, 'Title'), p('first paragraph text edited on main'), p('second paragraph text'));
+    const theirs = doc(h(1, 'Title'), p('first paragraph text'), p('second paragraph text edited on branch'), p('new'));
+
+    const result = mergeTiptapDocuments(base, ours, theirs);
+
+    assert.equal(result.conflicts.length, 0);
+    assert.deepEqual(texts(result.doc), [
+      'Title',
+      'first paragraph text edited on main',
+      'second paragraph text edited on branch',
+      'new',
+    ]);
+  });
+
+  it('keeps insertions and deletions from both sides', () => {
+    const ours = doc(h(1, 'Title'), p('second paragraph text'));
+    const theirs = doc(p('preface'), h(1, 'Title'), p('first paragraph text'), p('second paragraph text'));
+
+    const result = mergeTiptapDocuments(base, ours, theirs);
+
+    assert.equal(result.conflicts.length, 0);
+    assert.deepEqual(texts(result.doc), ['preface', 'Title', 'second paragraph text']);
+  });
+
+  it('reports a conflict when both sides change the same block', () => {
+    const ours = doc(h(1, 'Title'), p('first paragraph text from main'), p('second paragraph text'));
+    const theirs = doc(h(1, 'Title'), p('first paragraph text from branch'), p('second paragraph text'));
+
+    const result = mergeTiptapDocuments(base, ours, theirs);
+
+    assert.equal(result.conflicts.length, 1);
+    const [conflict] = result.conflicts;
+    assert.deepEqual(conflict.path, [1]);
+    assert.deepEqual(conflict.base, [p('first paragraph text')]);
+    assert.deepEqual(conflict.ours, [p('first paragraph text from main')]);
+    assert.deepEqual(conflict.theirs, [p('first paragraph text from branch')]);
+    // Unresolved conflicts keep "ours" in place
+    assert.equal(texts(result.doc)[1], 'first paragraph text from main');
+  });
+
+  it('applies resolutions by conflict ID', () => {
+    const ours = doc(h(1, 'Title'), p('first paragraph text from main'), p('second paragraph text'));
+    const theirs = doc(h(1, 'Title'), p('first paragraph text from branch'), p('second paragraph text'));
+    const { conflicts } = mergeTiptapDocuments(base, ours, theirs);
+
+    const theirsWins = mergeTiptapDocuments(base, ours, theirs, { resolutions: { [conflicts[0].id]: 'theirs' } });
+    assert.equal(theirsWins.conflicts.length, 0);
+    assert.equal(texts(theirsWins.doc)[1], 'first paragraph text from branch');
+
+    const both = mergeTiptapDocuments(base, ours, theirs, { strategy: 'both' });
+    assert.equal(both.conflicts.length, 0);
+    assert.deepEqual(texts(both.doc).slice(1, 3), [
+      'first paragraph text from main',
+      'first paragraph text from branch',
+    ]);
+  });
+
+  it('merges inside container nodes and reports nested conflict paths', () => {
+    const listBase = doc(list('alpha one', 'beta two', 'gamma three'));
+    const ours = doc(list('alpha one', 'beta two changed', 'gamma three'));
+    const theirs = doc(list('alpha one changed', 'beta two', 'gamma three', 'delta four'));
+
+    const clean = mergeTiptapDocuments(listBase, ours, theirs);
+    assert.equal(clean.conflicts.length, 0);
+    assert.deepEqual(
+      clean.doc.content[0].content.map((item) => item.content[0].content[0].text),
+      ['alpha one changed', 'beta two changed', 'gamma three', 'delta four']
+    );
+
+    const conflicting = mergeTiptapDocuments(listBase, ours, doc(list('alpha one', 'beta two other', 'gamma three')));
+    assert.equal(conflicting.conflicts.length, 1);
+    assert.deepEqual(conflicting.conflicts[0].path, [0, 1, 0]);
+  });
+
+  it('merges attribute changes key by key', () => {
+    const attrBase = doc({ type: 'heading', attrs: { level: 1, textAlign: 'left' }, content: [{ type: 'text', text: 'Title' }] });
+    const ours = doc({ type: 'heading', attrs: { level: 2, textAlign: 'left' }, content: [{ type: 'text', text: 'Title' }] });
+    const theirs = doc({ type: 'heading', attrs: { level: 1, textAlign: 'center' }, content: [{ type: 'text', text: 'Title' }] });
+
+    const result = mergeTiptapDocuments(attrBase, ours, theirs);
+
+    assert.equal(result.conflicts.length, 0);
+    assert.deepEqual(result.doc.content[0].attrs, { level: 2, textAlign: 'center' });
+  });
+});
+
+describe('mergeMarkdown', () => {
+  it('splits blocks without breaking fenced code', () => {
+    assert.deepEqual(
+      splitMarkdownBlocks('# Title\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nText'),
+      ['# Title', '```js\nconst a = 1;\n\nconst b = 2;\n```', 'Text']
+    );
+  });
+
+  it('merges edits to different paragraphs', () => {
+    const base = '# Notes\n\nfirst paragraph here\n\nsecond paragraph here';
+    const ours = '# Notes\n\nfirst paragraph here, revised\n\nsecond paragraph here';
+    const theirs = '# Notes\n\nfirst paragraph here\n\nsecond paragraph here, revised';
+
+    const result = mergeMarkdown(base, ours, theirs);
+
+    assert.equal(result.conflicts.length, 0);
+    assert.equal(result.content, '# Notes\n\nfirst paragraph here, revised\n\nsecond paragraph here, revised');
+  });
+
+  it('writes conflict markers around both sides when asked', () => {
+    const base = 'intro\n\nshared paragraph';
+    const ours = 'intro\n\nshared paragraph, local edit';
+    const theirs = 'intro\n\nshared paragraph, remote edit';
+
+    const result = mergeMarkdown(base, ours, theirs, { markConflicts: { ours: 'local', theirs: 'remote' } });
+
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(
+      result.content,
+      'intro\n\n<<<<<<< local\nshared paragraph, local edit\n=======\nshared paragraph, remote edit\n>>>>>>> remote'
+    );
+  });
+});
+
+describe('mergeDocumentContent', () => {
+  it('merges the sidecar Tiptap JSON when both sides have one', () => {
+    const base = { content: 'a', sidecar: { version: 1, content: doc(p('one'), p('two')) } };
+    const ours = { content: 'b', sidecar: { version: 1, content: doc(p('one main'), p('two')) } };
+    const theirs = { content: 'c', sidecar: { version: 1, content: doc(p('one'), p('two branch')) } };
+
+    const result = mergeDocumentContent({ base, ours, theirs });
+
+    assert.equal(result.format, 'tiptap');
+    assert.equal(result.conflicts.length, 0);
+    assert.equal(result.sidecar.version, 1);
+    assert.deepEqual(texts(result.sidecar.content), ['one main', 'two branch']);
+    assert.equal(result.content, 'one main\n\ntwo branch');
+  });
+
+  it('treats a missing ancestor as empty, so divergent content conflicts', () => {
+    const ours = { content: 'main text', sidecar: {} };
+    const theirs = { content: 'branch text', sidecar: {} };
+
+    const result = mergeDocumentContent({ base: null, ours, theirs });
+
+    assert.equal(result.format, 'markdown');
+    assert.equal(result.conflicts.length, 1);
+  });
+
+  it('marks top-level Tiptap conflicts with marker paragraphs', () => {
+    const base = { content: 'a', sidecar: { content: doc(p('same'), p('edited')) } };
+    const ours = { content: 'b', sidecar: { content: doc(p('same'), p('edited locally')) } };
+    const theirs = { content: 'c', sidecar: { content: doc(p('same'), p('edited remotely')) } };
+
+    const result = mergeDocumentContent({ base, ours, theirs }, { markConflicts: { ours: 'local', theirs: 'remote' } });
+
+    assert.equal(result.conflicts.length, 1);
+    assert.deepEqual(texts(result.sidecar.content), [
+      'same', '<<<<<<< local', 'edited locally', '=======', 'edited remotely', '>>>>>>> remote',
+    ]);
+    assert.match(result.content, /<<<<<<< local\n\nedited locally/);
+  });
+});
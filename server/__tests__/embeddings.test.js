@@ -0,0 +1,121 @@
+/**
+ * Embeddings Provider Tests
+ *
+ * Verifies the hashing embedder, provider selection and that RAG re-embeds
+ * documents when the active embedding model changes.
+ * Run: node --test server/__tests__/embeddings.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let CONFIG;
+let embeddings;
+let rag;
+let storage;
+
+const USER_ID = 1;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const DOCUMENT = [
+  '# Garden notes',
+  '',
+  'Tomatoes need full sun and steady watering through the summer months. ',
+  'Mulch keeps the soil moist and suppresses weeds around the seedlings. ',
+  'Basil grows well next to tomatoes and is said to improve their flavour. ',
+  'Prune the suckers weekly so the plant puts its energy into the fruit.',
+].join('\n');
+
+async function createDocument(id, path, content) {
+  await storage.uploadDocument(USER_ID, id, content, {});
+  db.prepare(`
+    INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+    VALUES (?, ?, ?, ?, 's1', 1, ?)
+  `).run(id, USER_ID, path, `hash-${id}`, content.length);
+}
+
+function chunkModels() {
+  return db.prepare('SELECT DISTINCT embedding_model FROM rag_chunks WHERE user_id = ?')
+    .all(USER_ID)
+    .map((row) => row.embedding_model);
+}
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('embeddings providers', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+    db = (await import('../db/index.js')).default;
+    ({ CONFIG } = await import('../config/index.js'));
+    embeddings = await import('../services/llm/embeddings.js');
+    rag = await import('../services/ragService.js');
+    storage = await import('../services/storageService.js');
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'owner@example.com', 'x');
+  });
+
+  it('hash embeddings are deterministic, normalised and lexical', () => {
+    const a = embeddings.hashEmbedding('Tomatoes need full sun', 64);
+    const b = embeddings.hashEmbedding('Tomatoes need full sun', 64);
+    const related = embeddings.hashEmbedding('tomatoes in full sun', 64);
+    const unrelated = embeddings.hashEmbedding('quarterly revenue forecast', 64);
+
+    assert.equal(a.length, 64);
+    assert.deepEqual(a, b);
+    assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+    assert.ok(dot(a, related) > dot(a, unrelated));
+    assert.deepEqual(embeddings.hashEmbedding('', 8), new Array(8).fill(0));
+  });
+
+  it('selects providers explicitly or automatically', () => {
+    const hash = embeddings.getEmbedder('hash');
+    assert.equal(embeddings.getEmbeddingModelId(hash), `hash:hash-${CONFIG.llm.embeddings.hashDimensions}`);
+    assert.equal(embeddings.getEmbedder().provider, 'hash');
+    assert.equal(embeddings.getEmbedder('openai').model, 'text-embedding-3-small');
+    assert.throws(() => embeddings.getEmbedder('nope'), /Unknown embeddings provider/);
+
+    // No provider keys in the test environment, so auto falls back to hashing
+    const previousEnv = process.env.NODE_ENV;
+    try {
+      process.env.NODE_ENV = 'test';
+      assert.equal(embeddings.getEmbedder('auto').provider, 'hash');
+      process.env.NODE_ENV = 'production';
+      assert.equal(embeddings.getEmbedder('auto'), null);
+    } finally {
+      process.env.NODE_ENV = previousEnv;
+    }
+  });
+
+  it('records the embedding model and re-embeds when it changes', async () => {
+    const originalDimensions = CONFIG.llm.embeddings.hashDimensions;
+    await createDocument('doc-1', 'garden.md', DOCUMENT);
+
+    try {
+      const first = await rag.indexProject(USER_ID);
+      assert.equal(first.indexed, 1);
+      assert.ok(first.totalChunks > 0);
+      assert.deepEqual(chunkModels(), [`hash:hash-${originalDimensions}`]);
+
+      const unchanged = await rag.indexProject(USER_ID);
+      assert.equal(unchanged.indexed, 0);
+      assert.equal(unchanged.skipped, 1);
+
+      CONFIG.llm.embeddings.hashDimensions = 64;
+      const reembedded = await rag.indexProject(USER_ID);
+      assert.equal(reembedded.indexed, 1);
+      assert.deepEqual(chunkModels(), ['hash:hash-64']);
+      assert.equal(rag.getStatus(USER_ID).embeddingModel, 'hash:hash-64');
+
+      const results = await rag.search(USER_ID, 'tomatoes basil', { minScore: 0 });
+      assert.ok(results.length > 0);
+      assert.equal(results[0].documentPath, 'garden.md');
+    } finally {
+      CONFIG.llm.embeddings.hashDimensions = originalDimensions;
+    }
+  });
+});
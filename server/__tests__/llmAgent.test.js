@@ -0,0 +1,209 @@
+/**
+ * LLM Agent Loop Tests
+ *
+ * Verifies the server-side tool loop: tool execution and feedback, per-step
+ * usage tracking, step limits and tool error handling, plus tool access to
+ * team documents and the shared page fetch limit.
+ * Run: node --test server/__tests__/llmAgent.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let agent;
+let agentTools;
+let localProvider;
+
+const USER_ID = 1;
+const MODEL = 'agent-test-model';
+
+// Scripted model turns: each is either { toolCall: { name, arguments } } or { content }
+let script = [];
+let requests = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function* streamTurn(turn) {
+  if (turn.toolCall) {
+    yield {
+      choices: [{
+        delta: {
+          tool_calls: [{
+            index: 0,
+            id: `call_${requests.length}`,
+            function: { name: turn.toolCall.name, arguments: JSON.stringify(turn.toolCall.arguments) },
+          }],
+        },
+      }],
+    };
+  } else {
+    yield { choices: [{ delta: { content: turn.content } }] };
+  }
+  yield { choices: [], usage: { prompt_tokens: 100, completion_tokens: 20 } };
+}
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create(params) {
+        requests.push(params);
+        return streamTurn(script.shift() || { content: 'done' });
+      },
+    },
+  },
+};
+
+async function run(options = {}) {
+  const events = [];
+  for await (const event of agent.runAgent({
+    userId: USER_ID,
+    provider: 'local',
+    model: MODEL,
+    messages: [{ role: 'user', content: 'What does my plan say?' }],
+    ...options,
+  })) {
+    events.push(event);
+  }
+  return events;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('llm agent loop', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    agent = await import('../services/llm/agent.js');
+    agentTools = await import('../services/llm/agentTools.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    const storage = await import('../services/storageService.js');
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'owner@example.com', 'x');
+    await storage.uploadDocument(USER_ID, 'doc-plan', '# Plan\n\nShip the agent on Friday.', {});
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('doc-plan', ?, 'notes/plan.md', 'c1', 's1', 1, 32)
+    `).run(USER_ID);
+  });
+
+  beforeEach(() => {
+    script = [];
+    requests = [];
+    db.prepare('DELETE FROM llm_usage').run();
+  });
+
+  it('executes tool calls and feeds results back until the model answers', async () => {
+    script = [
+      { toolCall: { name: 'read_document', arguments: { path: 'notes/plan.md' } } },
+      { content: 'The plan is to ship on Friday.' },
+    ];
+
+    const events = await run();
+    const types = events.map((e) => e.type);
+    assert.deepEqual(types.filter((t) => t !== 'tool_call'), [
+      'step', 'step_done', 'tool_result', 'step', 'content', 'step_done', 'done',
+    ]);
+
+    const toolResult = events.find((e) => e.type === 'tool_result');
+    assert.equal(toolResult.ok, true);
+    assert.equal(toolResult.result.path, 'notes/plan.md');
+    assert.match(toolResult.result.content, /Friday/);
+
+    // The second request carries the assistant tool call and its result
+    const followUp = requests[1].messages;
+    assert.equal(followUp.at(-2).role, 'assistant');
+    assert.equal(followUp.at(-2).tool_calls[0].function.name, 'read_document');
+    assert.equal(followUp.at(-1).role, 'tool');
+    assert.match(followUp.at(-1).content, /Ship the agent on Friday/);
+
+    const done = events.at(-1);
+    assert.equal(done.stopReason, 'completed');
+    assert.equal(done.steps, 2);
+    assert.equal(done.content, 'The plan is to ship on Friday.');
+    assert.equal(done.usage.totalTokens, 240);
+
+    const rows = db.prepare("SELECT request_type, total_tokens FROM llm_usage WHERE user_id = ?").all(USER_ID);
+    assert.deepEqual(rows.map((r) => ({ ...r })), [
+      { request_type: 'agent', total_tokens: 120 },
+      { request_type: 'agent', total_tokens: 120 },
+    ]);
+  });
+
+  it('returns tool failures to the model instead of ending the run', async () => {
+    script = [
+      { toolCall: { name: 'read_document', arguments: { path: 'missing.md' } } },
+      { toolCall: { name: 'delete_everything', arguments: {} } },
+      { content: 'I could not find it.' },
+    ];
+
+    const events = await run();
+    const results = events.filter((e) => e.type === 'tool_result');
+    assert.equal(results.length, 2);
+    assert.equal(results[0].ok, false);
+    assert.match(results[0].error, /Document not found/);
+    assert.equal(results[1].error, 'Unknown tool: delete_everything');
+    assert.equal(events.at(-1).stopReason, 'completed');
+  });
+
+  it('stops at the step and token budgets', async () => {
+    const loop = { toolCall: { name: 'read_document', arguments: { path: 'notes/plan.md' } } };
+
+    script = [loop, loop, loop, loop];
+    let events = await run({ maxSteps: 2 });
+    assert.equal(events.at(-1).stopReason, 'max_steps');
+    assert.equal(events.at(-1).steps, 2);
+    assert.equal(requests.length, 2);
+
+    script = [loop, loop, loop, loop];
+    requests = [];
+    events = await run({ maxTotalTokens: 200 });
+    assert.equal(events.at(-1).stopReason, 'token_budget');
+    assert.equal(events.at(-1).steps, 2);
+  });
+
+  it('reads team documents the user can search', async () => {
+    const storage = await import('../services/storageService.js');
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(2, 'lead@example.com', 'x');
+    await storage.uploadDocument(2, 'doc-roadmap', '# Roadmap\n\nLaunch in May.', {});
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('doc-roadmap', 2, 'team/roadmap.md', 'c2', 's2', 1, 28)
+    `).run();
+
+    const [readDocument] = agentTools.getAgentTools(['read_document']);
+    await assert.rejects(readDocument.execute({ path: 'team/roadmap.md' }, { userId: USER_ID }), /Document not found/);
+
+    db.prepare("INSERT INTO teams (id, name, slug, owner_id) VALUES ('team-1', 'Product', 'product', 2)").run();
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-1', 'team-1', ?, 'viewer')").run(USER_ID);
+    db.prepare("INSERT INTO team_documents (id, team_id, document_id, added_by) VALUES ('td-1', 'team-1', 'doc-roadmap', 2)").run();
+
+    assert.deepEqual(await readDocument.execute({ path: '/team/roadmap.md' }, { userId: USER_ID }), {
+      path: 'team/roadmap.md',
+      content: '# Roadmap\n\nLaunch in May.',
+    });
+  });
+
+  it('counts agent page fetches against the per-user page fetch limit', async () => {
+    const { consumePageFetch } = await import('../middleware/rateLimiters.js');
+    for (let i = 0; i < 10; i++) assert.equal(await consumePageFetch(USER_ID), true);
+
+    const [fetchPage] = agentTools.getAgentTools(['fetch_page']);
+    await assert.rejects(fetchPage.execute({ url: 'https://example.com/' }, { userId: USER_ID }), /Page fetch limit reached/);
+  });
+
+  it('only offers tools that are available', () => {
+    const names = agentTools.getAgentTools().map((tool) => tool.name);
+    assert.ok(names.includes('search_documents'));
+    assert.ok(names.includes('read_document'));
+    assert.ok(names.includes('fetch_page'));
+    // No Tavily key in tests
+    assert.ok(!names.includes('web_search'));
+
+    assert.equal(agent.__private.truncateResult('abcdef', 3), 'abc\n…[truncated 3 chars]');
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * LLM Failover Tests
+ *
+ * Verifies error classification, circuit breakers, retry/fallback ordering,
+ * that a client abort stops retries, fallback model selection (only when
+ * failover is enabled, which it isn't by default) and that responses name
+ * the provider that answered.
+ * Run: node --test server/__tests__/llmFailover.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let failover;
+let llm;
+let llmPrivate;
+let localProvider;
+let CONFIG;
+
+const LOCAL_MODEL = 'failover-test-model';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function providerError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function* chunks(list) {
+  for (const chunk of list) yield chunk;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('llm failover', () => {
+  before(async () => {
+    process.env.ANTHROPIC_API_KEY ||= 'test-anthropic-key';
+    process.env.OPENAI_API_KEY ||= 'test-openai-key';
+    delete process.env.GEMINI_API_KEY;
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = LOCAL_MODEL;
+
+    ({ CONFIG } = await import('../config/index.js'));
+    failover = await import('../services/llm/failover.js');
+    llm = await import('../services/llm/index.js');
+    llmPrivate = llm.__private;
+    localProvider = await import('../services/llm/localProvider.js');
+
+    const db = (await import('../db/index.js')).default;
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(1, 'user@example.com', 'x');
+  });
+
+  beforeEach(() => {
+    failover.__private.resetBreakers();
+  });
+
+  it('classifies provider errors', () => {
+    const { classifyProviderError } = failover;
+    assert.equal(classifyProviderError(providerError(429)), 'retryable');
+    assert.equal(classifyProviderError(providerError(503)), 'retryable');
+    assert.equal(classifyProviderError(Object.assign(new Error('socket'), { code: 'ECONNRESET' })), 'retryable');
+    assert.equal(classifyProviderError(new Error('[GoogleGenerativeAI Error]: [503 Service Unavailable]')), 'retryable');
+    assert.equal(classifyProviderError(providerError(401)), 'failover');
+    assert.equal(classifyProviderError(providerError(400)), 'fatal');
+    assert.equal(classifyProviderError(Object.assign(new Error('quota'), { code: 'QUOTA_EXCEEDED' })), 'fatal');
+  });
+
+  it('opens on a high error rate and closes after a successful trial', () => {
+    let now = 0;
+    const breaker = new failover.CircuitBreaker(
+      { windowMs: 60000, minRequests: 4, errorRateThreshold: 0.5, cooldownMs: 1000 },
+      () => now
+    );
+
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, 'closed');
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, 'open');
+    assert.equal(breaker.allowRequest(), false);
+
+    now = 1000;
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.getState().state, 'half_open');
+    assert.equal(breaker.allowRequest(), false, 'only one trial at a time');
+
+    breaker.recordFailure();
+    assert.equal(breaker.getState().state, 'open');
+    assert.equal(breaker.getState().retryAt, new Date(2000).toISOString());
+
+    now = 2000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordSuccess();
+    assert.deepEqual(breaker.getState(), { state: 'closed', requests: 0, failures: 0, errorRate: 0 });
+  });
+
+  it('retries transient errors, then falls back to the next provider', async () => {
+    const calls = [];
+    const result = await failover.runWithFailover(
+      [{ provider: 'anthropic', model: 'claude' }, { provider: 'openai', model: 'gpt' }],
+      async ({ provider }) => {
+        calls.push(provider);
+        if (provider === 'anthropic') throw providerError(529, 'Overloaded');
+        return 'answer';
+      },
+      { maxRetries: 1 }
+    );
+
+    assert.deepEqual(calls, ['anthropic', 'anthropic', 'openai']);
+    assert.deepEqual(result, { result: 'answer', provider: 'openai', model: 'gpt' });
+    assert.equal(failover.getBreakerState('anthropic').failures, 2);
+  });
+
+  it('does not retry or fall back on request errors', async () => {
+    const calls = [];
+    await assert.rejects(
+      failover.runWithFailover(
+        [{ provider: 'anthropic', model: 'claude' }, { provider: 'openai', model: 'gpt' }],
+        async ({ provider }) => {
+          calls.push(provider);
+          throw providerError(400, 'Bad request');
+        }
+      ),
+      /Bad request/
+    );
+    assert.deepEqual(calls, ['anthropic']);
+  });
+
+  it('stops retrying and falling back once the client aborts', async () => {
+    const controller = new AbortController();
+    const calls = [];
+    await assert.rejects(
+      failover.runWithFailover(
+        [{ provider: 'anthropic', model: 'claude' }, { provider: 'openai', model: 'gpt' }],
+        async ({ provider }) => {
+          calls.push(provider);
+          controller.abort();
+          throw providerError(529, 'Overloaded');
+        },
+        { signal: controller.signal }
+      ),
+      /Overloaded/
+    );
+    assert.deepEqual(calls, ['anthropic']);
+    assert.equal(failover.getBreakerState('anthropic').failures, 0);
+  });
+
+  it('passes the client signal to failover for non-streamed chats', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    localProvider.__private.setClientForTests({
+      chat: {
+        completions: {
+          async create() {
+            calls++;
+            controller.abort();
+            throw providerError(503, 'Service unavailable');
+          },
+        },
+      },
+    });
+
+    await assert.rejects(
+      llm.chat({
+        userId: 1,
+        provider: 'local',
+        model: LOCAL_MODEL,
+        messages: [{ role: 'user', content: 'Hello' }],
+        signal: controller.signal,
+      }),
+      /Service unavailable/
+    );
+    assert.equal(calls, 1);
+  });
+
+  it('skips providers whose breaker is open', async () => {
+    const breaker = failover.getBreaker('anthropic');
+    for (let i = 0; i < 5; i++) breaker.recordFailure();
+
+    await assert.rejects(
+      failover.runWithFailover([{ provider: 'anthropic', model: 'claude' }], async () => 'never'),
+      (error) => error.code === 'PROVIDER_UNAVAILABLE'
+    );
+  });
+
+  it('surfaces stream errors before the first chunk so streams can fail over', async () => {
+    async function* failing() {
+      throw providerError(503);
+    }
+    await assert.rejects(failover.primeStream(failing()), /HTTP 503/);
+
+    const stream = await failover.primeStream(chunks(['a', 'b', 'c']));
+    const seen = [];
+    for await (const chunk of stream) seen.push(chunk);
+    assert.deepEqual(seen, ['a', 'b', 'c']);
+  });
+
+  it('only falls back to other providers when failover is enabled', () => {
+    const { getFailoverCandidates } = llmPrivate;
+    assert.equal(CONFIG.llm.failover.enabled, false);
+    assert.deepEqual(getFailoverCandidates('anthropic', 'claude-sonnet-4-5-20250929', 'pro'), [
+      { provider: 'anthropic', model: 'claude-sonnet-4-5-20250929' },
+    ]);
+  });
+
+  it('names the provider that answered after a fallback', async (t) => {
+    const { chains } = CONFIG.llm.failover;
+    CONFIG.llm.failover.enabled = true;
+    CONFIG.llm.failover.chains = { ...chains, anthropic: ['local'] };
+    t.after(() => {
+      CONFIG.llm.failover.enabled = false;
+      CONFIG.llm.failover.chains = chains;
+    });
+
+    localProvider.__private.setClientForTests({
+      chat: {
+        completions: {
+          async create(params) {
+            if (params.stream) return chunks([{ choices: [{ delta: { content: 'ok' }, finish_reason: 'stop' }] }]);
+            return { choices: [{ message: { content: 'ok' }, finish_reason: 'stop' }], usage: {} };
+          },
+        },
+      },
+    });
+    const breaker = failover.getBreaker('anthropic');
+    for (let i = 0; i < 5; i++) breaker.recordFailure();
+
+    const request = {
+      userId: 1,
+      provider: 'anthropic',
+      model: 'claude-haiku-4-5-20251001',
+      messages: [{ role: 'user', content: 'Hello' }],
+    };
+    const response = await llm.chat(request);
+    assert.equal(response.provider, 'local');
+    assert.equal(response.model, LOCAL_MODEL);
+    assert.deepEqual(response.fallbackFrom, { provider: 'anthropic', model: 'claude-haiku-4-5-20251001' });
+
+    let done = null;
+    for await (const chunk of await llm.chat({ ...request, stream: true })) {
+      if (chunk.type === 'done') done = chunk;
+    }
+    assert.equal(done.provider, 'local');
+    assert.equal(done.model, LOCAL_MODEL);
+  });
+
+  it('picks fallback models within the requested and user tiers', (t) => {
+    const { getFailoverCandidates } = llmPrivate;
+    CONFIG.llm.failover.enabled = true;
+    t.after(() => {
+      CONFIG.llm.failover.enabled = false;
+    });
+
+    assert.deepEqual(getFailoverCandidates('anthropic', 'claude-sonnet-4-5-20250929', 'pro'), [
+      { provider: 'anthropic', model: 'claude-sonnet-4-5-20250929' },
+      { provider: 'openai', model: 'gpt-5.2' },
+    ]);
+    assert.deepEqual(getFailoverCandidates('anthropic', 'claude-opus-4-5-20251101', 'free')[1], {
+      provider: 'openai',
+      model: 'gpt-5-nano',
+    });
+    assert.deepEqual(getFailoverCandidates('local', 'llama3.1:8b', 'pro'), [
+      { provider: 'local', model: 'llama3.1:8b' },
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * LLM Response Cache Tests
+ *
+ * Verifies exact and near-duplicate cache hits, cache scoping, streaming
+ * replay, and that hits are recorded in llm_usage without using quota.
+ * Run: node --test server/__tests__/llmResponseCache.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let CONFIG;
+let llm;
+let responseCache;
+let localProvider;
+
+const USER_ID = 1;
+const MODEL = 'cache-test-model';
+
+let providerCalls = 0;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function* streamChunks(content) {
+  yield { choices: [{ delta: { content }, finish_reason: null }] };
+  yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+  yield { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+}
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create(params) {
+        providerCalls++;
+        const content = `answer ${providerCalls}`;
+        if (params.stream) return streamChunks(content);
+        return {
+          id: `resp-${providerCalls}`,
+          choices: [{ message: { content }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        };
+      },
+    },
+  },
+};
+
+function ask(content, options = {}) {
+  return llm.chat({
+    userId: USER_ID,
+    provider: 'local',
+    model: MODEL,
+    messages: [{ role: 'user', content }],
+    temperature: 0,
+    requestType: 'inline-edit',
+    ...options,
+  });
+}
+
+function usageRows() {
+  return db.prepare('SELECT total_tokens, cache_hit FROM llm_usage WHERE user_id = ? ORDER BY id').all(USER_ID);
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('llm response cache', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+    process.env.LLM_RESPONSE_CACHE_ENABLED = 'true';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+
+    db = (await import('../db/index.js')).default;
+    ({ CONFIG } = await import('../config/index.js'));
+    llm = await import('../services/llm/index.js');
+    responseCache = await import('../services/llm/responseCache.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'owner@example.com', 'x');
+  });
+
+  beforeEach(() => {
+    responseCache.clearAll();
+    db.prepare('DELETE FROM llm_usage').run();
+    db.prepare('DELETE FROM llm_usage_monthly').run();
+    CONFIG.llm.responseCache.semantic.enabled = false;
+    providerCalls = 0;
+  });
+
+  it('serves identical prompts from the cache without billing them', async () => {
+    const first = await ask('Fix the grammar:  he go to school');
+    const second = await ask('Fix the grammar: he go to school ');
+
+    assert.equal(providerCalls, 1);
+    assert.equal(first.cached, undefined);
+    assert.equal(second.cached, true);
+    assert.equal(second.content, first.content);
+    assert.deepEqual(second.usage, { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+    assert.deepEqual(usageRows(), [
+      { total_tokens: 15, cache_hit: 0 },
+      { total_tokens: 0, cache_hit: 1 },
+    ]);
+    const monthly = db.prepare('SELECT request_count, billable_tokens FROM llm_usage_monthly WHERE user_id = ?').get(USER_ID);
+    assert.deepEqual({ ...monthly }, { request_count: 1, billable_tokens: 15 });
+    assert.equal(responseCache.getCacheStats().totalHits, 1);
+  });
+
+  it('keys on temperature and only caches request types with a TTL', async () => {
+    await ask('Summarize: cats sleep a lot');
+    await ask('Summarize: cats sleep a lot', { temperature: 0.9 });
+    assert.equal(providerCalls, 2);
+
+    await ask('Plan the next step', { requestType: 'agent' });
+    await ask('Plan the next step', { requestType: 'agent' });
+    assert.equal(providerCalls, 4);
+
+    await ask('What is new today?', { webSearchEnabled: true });
+    await ask('What is new today?', { webSearchEnabled: true });
+    assert.equal(providerCalls, 6);
+  });
+
+  it('matches near-duplicate prompts by embedding when enabled', async () => {
+    CONFIG.llm.responseCache.semantic.enabled = true;
+
+    const first = await ask('Rewrite this sentence: the quick brown fox jumps over the lazy dog');
+    const nearDuplicate = await ask('Rewrite this sentence: the quick brown fox jumps over the lazy dog!');
+    assert.equal(providerCalls, 1);
+    assert.equal(nearDuplicate.cached, true);
+    assert.equal(nearDuplicate.content, first.content);
+
+    await ask('Translate to French: good morning everyone');
+    assert.equal(providerCalls, 2);
+  });
+
+  it('replays cached answers as a stream', async () => {
+    const collect = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return chunks;
+    };
+
+    const first = await collect(await ask('Shorten: a very long sentence', { stream: true }));
+    const second = await collect(await ask('Shorten: a very long sentence', { stream: true }));
+
+    assert.equal(providerCalls, 1);
+    const text = (chunks) => chunks.filter((c) => c.type === 'chunk').map((c) => c.content).join('');
+    assert.equal(text(second), text(first));
+    assert.equal(second.at(-1).type, 'done');
+    assert.equal(second.at(-1).cached, true);
+  });
+});
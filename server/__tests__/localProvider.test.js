@@ -0,0 +1,121 @@
+/**
+ * Local Provider Tests
+ *
+ * Verifies the OpenAI-compatible local provider against a fake client: model
+ * configuration, tier gating, chat, streaming tool calls and embeddings.
+ * Run: node --test server/__tests__/localProvider.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let localProvider;
+let llm;
+
+const requests = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function* chunks(list) {
+  for (const chunk of list) yield chunk;
+}
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create(params) {
+        requests.push(params);
+        if (params.stream) {
+          return chunks([
+            { choices: [{ delta: { content: 'Let me check. ' } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'read_document', arguments: '{"path":' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"notes.md"}' } }] } }] },
+            { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+            { choices: [], usage: { prompt_tokens: 12, completion_tokens: 8 } },
+          ]);
+        }
+        return {
+          id: 'chatcmpl-local',
+          choices: [{ message: { content: 'Hello from llama' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 },
+        };
+      },
+    },
+  },
+  embeddings: {
+    async create({ input }) {
+      return { data: input.map((text, index) => ({ index, embedding: [text.length, index] })).reverse() };
+    },
+  },
+};
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) events.push(event);
+  return events;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('local provider', () => {
+  before(async () => {
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = JSON.stringify([
+      { id: 'llama3.1:8b', name: 'Llama 3.1 8B' },
+      { id: 'qwen2.5:72b', tier: 'pro', contextWindow: 131072 },
+    ]);
+    process.env.LOCAL_LLM_EMBEDDING_MODEL = 'nomic-embed-text';
+
+    localProvider = await import('../services/llm/localProvider.js');
+    llm = await import('../services/llm/index.js');
+    localProvider.__private.setClientForTests(fakeClient);
+  });
+
+  after(() => {
+    localProvider.__private.setClientForTests(null);
+  });
+
+  it('takes its models from configuration and gates them by tier', () => {
+    assert.equal(llm.getProviderStatus().local, true);
+    assert.deepEqual(llm.getAvailableModels('free').local.map((model) => model.id), ['llama3.1:8b']);
+    assert.deepEqual(llm.getAvailableModels('pro').local.map((model) => model.id), ['llama3.1:8b', 'qwen2.5:72b']);
+    assert.equal(llm.isModelAllowed('qwen2.5:72b', 'premium'), false);
+
+    const [llama, qwen] = localProvider.LOCAL_MODELS;
+    assert.deepEqual(llama, { id: 'llama3.1:8b', name: 'Llama 3.1 8B', tier: 'free', contextWindow: 32768, maxOutput: 4096 });
+    assert.equal(qwen.contextWindow, 131072);
+  });
+
+  it('answers chat requests in the shared response format', async () => {
+    const response = await localProvider.chat({
+      model: 'llama3.1:8b',
+      messages: [{ role: 'user', content: 'Hi' }],
+      maxTokens: 256,
+    });
+
+    assert.equal(response.provider, 'local');
+    assert.equal(response.model, 'llama3.1:8b');
+    assert.equal(response.content, 'Hello from llama');
+    assert.deepEqual(response.usage, { promptTokens: 5, completionTokens: 3, totalTokens: 8 });
+    assert.equal(requests.at(-1).max_tokens, 256);
+  });
+
+  it('streams tool calls, filling in missing call IDs', async () => {
+    const events = await collect(localProvider.chatWithToolsStream({
+      model: 'llama3.1:8b',
+      messages: [{ role: 'user', content: 'Read my notes' }],
+      tools: [{ name: 'read_document', description: 'Read a document', parameters: { type: 'object' } }],
+    }));
+
+    assert.deepEqual(requests.at(-1).stream_options, { include_usage: true });
+    assert.deepEqual(events.map((event) => event.type), ['content', 'tool_call', 'tool_call', 'done']);
+    assert.deepEqual(events[1].toolCall, { id: 'call_local_0', name: 'read_document', arguments: {} });
+    assert.deepEqual(events[2].toolCall, { id: 'call_local_0', name: 'read_document', arguments: { path: 'notes.md' } });
+    assert.deepEqual(events[3].usage, { promptTokens: 12, completionTokens: 8, totalTokens: 20 });
+  });
+
+  it('embeds texts in input order', async () => {
+    assert.equal(localProvider.isEmbeddingConfigured(), true);
+    assert.deepEqual(await localProvider.embed(['a', 'bbb']), [[1, 0], [3, 1]]);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Prompt Experiment Tests
+ *
+ * Verifies experiment management (pause keeps assignments, weights steer new
+ * assignments), latency and failure tracking on LLM requests, feedback, and
+ * the per-variant outcome report.
+ * Run: node --test server/__tests__/promptExperiments.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let llm;
+let experiments;
+let promptVariants;
+let conversations;
+let localProvider;
+
+const USER_A = 1;
+const USER_B = 2;
+const MODEL = 'experiment-test-model';
+const EXPERIMENT = 'identity-tone';
+
+let failNext = false;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create() {
+        if (failNext) {
+          failNext = false;
+          const error = new Error('Bad request');
+          error.status = 400;
+          throw error;
+        }
+        return {
+          id: 'resp',
+          choices: [{ message: { content: 'ok' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 30, completion_tokens: 10, total_tokens: 40 },
+        };
+      },
+    },
+  },
+};
+
+function createExperiment() {
+  return experiments.createExperiment({
+    name: EXPERIMENT,
+    sectionName: 'identity',
+    variants: [
+      { key: 'control', text: 'Base identity', version: '2.0', weight: 50 },
+      { key: 'warm', text: 'Warm identity', version: '2.0-warm', weight: 50 },
+    ],
+  });
+}
+
+function assign(userId, variantKey) {
+  db.prepare('INSERT INTO user_variant_assignments (user_id, experiment_name, variant_key) VALUES (?, ?, ?)')
+    .run(userId, EXPERIMENT, variantKey);
+}
+
+function ask(userId, promptVariant) {
+  return llm.chat({
+    userId,
+    provider: 'local',
+    model: MODEL,
+    messages: [{ role: 'user', content: 'Hello' }],
+    promptVariant,
+  });
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('prompt experiments', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    llm = await import('../services/llm/index.js');
+    experiments = await import('../services/promptExperiments.js');
+    promptVariants = await import('../services/promptVariants.js');
+    conversations = await import('../services/conversationService.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_A, 'a@example.com', 'x');
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_B, 'b@example.com', 'x');
+  });
+
+  beforeEach(() => {
+    failNext = false;
+    experiments.deleteExperiment(EXPERIMENT);
+    db.prepare('DELETE FROM llm_usage').run();
+    db.prepare('DELETE FROM llm_feedback').run();
+  });
+
+  it('pauses without losing assignments and steers new users by weight', () => {
+    const experiment = createExperiment();
+    assert.deepEqual(experiment.variants.map((v) => [v.key, v.weight, v.isActive]), [['control', 50, true], ['warm', 50, true]]);
+    assert.throws(() => createExperiment(), (error) => error.code === 'EXPERIMENT_EXISTS');
+    assert.throws(
+      () => experiments.createExperiment({ name: 'x', sectionName: 'nope', variants: [] }),
+      (error) => error.code === 'UNKNOWN_SECTION'
+    );
+
+    experiments.updateVariant(EXPERIMENT, 'control', { weight: 0 });
+    assert.equal(promptVariants.getVariantForUser(USER_A, EXPERIMENT).variantKey, 'warm');
+
+    experiments.updateExperiment(EXPERIMENT, { status: 'paused' });
+    const paused = promptVariants.getPromptSectionsForUser(USER_A);
+    assert.deepEqual(paused.variants, {});
+    assert.notEqual(paused.sections.identity.text, 'Warm identity');
+    assert.equal(experiments.getExperiment(EXPERIMENT).variants[1].assignedUsers, 1);
+
+    // Resuming serves the same variant, even though weights now favor control
+    experiments.updateVariant(EXPERIMENT, 'control', { weight: 100 });
+    experiments.updateVariant(EXPERIMENT, 'warm', { weight: 0 });
+    experiments.updateExperiment(EXPERIMENT, { status: 'running' });
+    const resumed = promptVariants.getPromptSectionsForUser(USER_A);
+    assert.deepEqual(resumed.variants, { [EXPERIMENT]: 'warm' });
+    assert.equal(resumed.sections.identity.text, 'Warm identity');
+    assert.equal(promptVariants.getVariantForUser(USER_B, EXPERIMENT).variantKey, 'control');
+
+    assert.equal(experiments.updateVariant(EXPERIMENT, 'missing', { weight: 1 }), null);
+    assert.equal(experiments.listExperiments().length, 1);
+  });
+
+  it('records latency on completed requests and failed attempts', async () => {
+    await ask(USER_A, 'control');
+    failNext = true;
+    await assert.rejects(ask(USER_A, 'control'));
+
+    const rows = db.prepare('SELECT total_tokens, latency_ms, error_code FROM llm_usage ORDER BY id').all();
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].total_tokens, 40);
+    assert.equal(typeof rows[0].latency_ms, 'number');
+    assert.equal(rows[0].error_code, null);
+    assert.deepEqual(rows[1], { total_tokens: 0, latency_ms: null, error_code: 'HTTP_400' });
+
+    // Failures don't count toward the monthly rollup
+    const rollup = db.prepare('SELECT request_count FROM llm_usage_monthly WHERE user_id = ?').get(USER_A);
+    assert.equal(rollup.request_count, 1);
+  });
+
+  it('reports tokens, latency, errors and feedback per variant', async () => {
+    createExperiment();
+    assign(USER_A, 'control');
+    assign(USER_B, 'warm');
+
+    await ask(USER_A, 'control');
+    await ask(USER_A, 'control');
+    failNext = true;
+    await assert.rejects(ask(USER_A, 'control'));
+    await ask(USER_B, 'warm');
+    // Another experiment's key, not attributed
+    await ask(USER_B, 'other');
+
+    const conversation = conversations.createConversation(USER_B, {
+      messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+    });
+    const [, reply] = conversations.getMessages(conversation.id);
+
+    experiments.recordFeedback(USER_A, { rating: 1, promptVariant: 'control' });
+    experiments.recordFeedback(USER_A, { rating: -1, experiment: EXPERIMENT });
+    experiments.recordFeedback(USER_B, { rating: -1, experiment: EXPERIMENT, messageId: reply.id });
+    // Changing a message's rating replaces it
+    const updated = experiments.recordFeedback(USER_B, { rating: 1, experiment: EXPERIMENT, messageId: reply.id });
+    assert.equal(updated.rating, 1);
+    assert.equal(updated.promptVariant, 'warm');
+    assert.equal(experiments.recordFeedback(USER_A, { rating: 1, messageId: reply.id }), null);
+
+    const report = experiments.getExperimentReport(EXPERIMENT);
+    const [control, warm] = report.variants;
+
+    assert.equal(control.requests, 3);
+    assert.equal(control.completedRequests, 2);
+    assert.equal(control.errors, 1);
+    assert.equal(control.errorRate, 0.3333);
+    assert.equal(control.tokens.total, 80);
+    assert.equal(control.tokens.avgTotalPerRequest, 40);
+    assert.equal(typeof control.latencyMs.p95, 'number');
+    assert.deepEqual(control.feedback, { up: 1, down: 1, total: 2, positiveRate: 0.5 });
+
+    assert.equal(warm.requests, 1);
+    assert.equal(warm.errorRate, 0);
+    assert.deepEqual(warm.feedback, { up: 1, down: 0, total: 1, positiveRate: 1 });
+
+    const future = experiments.getExperimentReport(EXPERIMENT, { since: '2999-01-01' });
+    assert.equal(future.variants[0].requests, 0);
+    assert.equal(future.variants[0].errorRate, null);
+    assert.equal(future.variants[0].latencyMs.p50, null);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * RAG Answer Tests
+ *
+ * Verifies that answers are grounded in numbered passages under the shared
+ * identity prompt, that [n] markers map back to the cited document, heading
+ * and offsets (also for documents chunked from their Tiptap sidecar), that
+ * the optional rerank reorders passages, and that no model call is made when
+ * nothing matches.
+ * Run: node --test server/__tests__/ragAnswer.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let rag;
+let ragAnswer;
+let prompts;
+let storage;
+let localProvider;
+
+const USER_ID = 1;
+const MODEL = 'rag-answer-test-model';
+
+const HANDBOOK = [
+  '# Handbook',
+  '',
+  '## Vacation',
+  '',
+  'Employees get twenty five vacation days per year, and unused vacation days carry over until the end of March.',
+  'Vacation requests are approved by your manager at least two weeks before the first day off.',
+  'Public holidays do not count against vacation days, and part-time employees get a prorated number of days.',
+  '',
+  '## Expenses',
+  '',
+  'Expenses above five hundred euros need a receipt and approval from finance before they are reimbursed.',
+  'Reimbursements are paid with the next monthly salary once finance approves the expense report.',
+  'Travel booked through the company portal is paid directly and does not need an expense report.',
+].join('\n');
+
+const ROADMAP_INTRO = 'The mobile app launches in the third quarter, after the offline editor ships and the beta testers sign off on sync.';
+const ROADMAP_PLAN = 'Launch marketing starts two weeks before the release date, with a waitlist email and a walkthrough video for existing customers.';
+
+// Markdown written by the collaborative editor, with the Tiptap document in the sidecar
+const ROADMAP = `# Roadmap\n\n${ROADMAP_INTRO}\n\n## Launch\n\n${ROADMAP_PLAN}`;
+const ROADMAP_DOC = {
+  type: 'doc',
+  content: [
+    { type: 'heading', attrs: { level: 1 }, content: [{ type: 'text', text: 'Roadmap' }] },
+    { type: 'paragraph', content: [{ type: 'text', text: ROADMAP_INTRO }] },
+    { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Launch' }] },
+    { type: 'paragraph', content: [{ type: 'text', text: ROADMAP_PLAN }] },
+  ],
+};
+
+// Scripted answer, streamed in pieces; rerank replies are returned as JSON
+let answer = '';
+let ranking = [];
+let requests = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function* streamAnswer(text) {
+  for (const piece of text.match(/.{1,12}/gs)) {
+    yield { choices: [{ delta: { content: piece }, finish_reason: null }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+}
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create(params) {
+        requests.push(params);
+        if (params.stream) return streamAnswer(answer);
+        return {
+          id: `resp-${requests.length}`,
+          choices: [{ message: { content: JSON.stringify({ relevant: ranking }) }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        };
+      },
+    },
+  },
+};
+
+async function collect(params) {
+  const events = [];
+  for await (const event of ragAnswer.askDocuments({ userId: USER_ID, provider: 'local', model: MODEL, ...params })) {
+    events.push(event);
+  }
+  return events;
+}
+
+function eventOf(events, type) {
+  return events.find((event) => event.type === type);
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('rag answers', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    rag = await import('../services/ragService.js');
+    ragAnswer = await import('../services/ragAnswer.js');
+    prompts = await import('../services/prompts.js');
+    storage = await import('../services/storageService.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'user@example.com', 'x');
+
+    await storage.uploadDocument(USER_ID, 'handbook', HANDBOOK, {});
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('handbook', ?, 'handbook.md', 'hash-handbook', 's1', 1, ?)
+    `).run(USER_ID, HANDBOOK.length);
+    await storage.uploadDocument(USER_ID, 'roadmap', ROADMAP, { content: ROADMAP_DOC });
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('roadmap', ?, 'roadmap.md', 'hash-roadmap', 's1', 1, ?)
+    `).run(USER_ID, ROADMAP.length);
+    await rag.indexProject(USER_ID);
+  });
+
+  beforeEach(() => {
+    answer = 'The passages do not say.';
+    ranking = [];
+    requests = [];
+  });
+
+  it('answers from numbered passages and maps citations to their source', async () => {
+    answer = 'You get twenty five vacation days per year [1], and unused days carry over [1, 7].';
+    const events = await collect({ question: 'How many vacation days do employees get per year?' });
+
+    const { sources } = eventOf(events, 'sources');
+    assert.ok(sources.length > 0);
+    assert.equal(sources[0].marker, 1);
+    assert.deepEqual(sources[0].headingPath, ['Handbook', 'Vacation']);
+
+    // The grounded prompt uses the shared identity section and numbers the passages
+    assert.equal(requests.length, 1);
+    const [system, user] = requests[0].messages;
+    assert.ok(system.content.startsWith(prompts.getPromptSection('identity').text));
+    assert.match(system.content, /\[1\] or \[2\]\[3\]/);
+    assert.match(user.content, /^Passages from my documents:\n\n\[1\] handbook\.md — Handbook > Vacation\n/);
+    assert.match(user.content, /Question: How many vacation days/);
+
+    const content = events.filter((event) => event.type === 'content').map((event) => event.content).join('');
+    assert.equal(content, answer);
+
+    // Out-of-range markers are dropped and repeated ones cited once
+    const { citations } = eventOf(events, 'citations');
+    assert.equal(citations.length, 1);
+    const [citation] = citations;
+    assert.equal(citation.marker, 1);
+    assert.equal(citation.documentId, 'handbook');
+    assert.equal(citation.documentPath, 'handbook.md');
+    assert.equal(citation.heading, 'Vacation');
+
+    const cited = HANDBOOK.slice(citation.startOffset, citation.endOffset);
+    assert.match(cited, /^# Handbook\n\n## Vacation\n\nEmployees get twenty five/);
+    assert.doesNotMatch(cited, /Expenses/);
+
+    const done = eventOf(events, 'done');
+    assert.equal(done.content, answer);
+    assert.equal(done.finishReason, 'stop');
+  });
+
+  it('cites documents chunked from their sidecar with offsets into the markdown', async () => {
+    answer = 'The mobile app launches in the third quarter [1].';
+    const events = await collect({ question: 'When does the mobile app launch?' });
+
+    const [citation] = eventOf(events, 'citations').citations;
+    assert.equal(citation.documentId, 'roadmap');
+    assert.equal(typeof citation.startOffset, 'number');
+    assert.equal(typeof citation.endOffset, 'number');
+    assert.equal(ROADMAP.slice(citation.startOffset, citation.endOffset), ROADMAP);
+  });
+
+  it('reranks search candidates with the model before answering', async () => {
+    const baseline = eventOf(await collect({ question: 'expenses receipt vacation days', topK: 2 }), 'sources').sources;
+    assert.equal(baseline.length, 2);
+
+    ranking = [2, 99, 2];
+    answer = 'Expenses need a receipt [1].';
+    const events = await collect({ question: 'expenses receipt vacation days', topK: 2, rerank: true });
+
+    assert.equal(requests.length, 3);
+    const rerankRequest = requests[1];
+    assert.ok(rerankRequest.response_format);
+    assert.match(rerankRequest.messages[1].content, /^Question: expenses receipt vacation days\n\nPassages:\n\n\[1\] /);
+
+    // Only the model's pick survives, in its order
+    const { sources } = eventOf(events, 'sources');
+    assert.deepEqual(sources.map((source) => source.content), [baseline[1].content]);
+    assert.equal(eventOf(events, 'citations').citations[0].heading, baseline[1].heading);
+  });
+
+  it('keeps the search order when the rerank finds nothing relevant', async () => {
+    const question = 'vacation requests manager approval';
+    const baseline = eventOf(await collect({ question, topK: 2 }), 'sources').sources;
+
+    answer = 'Your manager approves them [1].';
+    const sources = eventOf(await collect({ question, topK: 2, rerank: true }), 'sources').sources;
+    assert.deepEqual(sources.map((source) => source.content), baseline.map((source) => source.content));
+  });
+
+  it('says so without calling the model when nothing matches', async () => {
+    const events = await collect({ question: 'zyxwv qwrtp', minScore: 0.99 });
+
+    assert.equal(requests.length, 0);
+    assert.deepEqual(eventOf(events, 'sources').sources, []);
+    assert.deepEqual(eventOf(events, 'citations').citations, []);
+    assert.match(eventOf(events, 'done').content, /couldn't find anything/);
+  });
+
+  it('extracts markers in order of first citation', () => {
+    const passages = ['a', 'b', 'c'].map((id) => ({ documentId: id, documentPath: `${id}.md`, heading: null, metadata: null }));
+    const citations = ragAnswer.extractCitations('First [3]. Then [1][3] and [2, 1]. Not [4] or [x].', passages);
+
+    assert.deepEqual(citations.map((c) => [c.marker, c.documentId]), [[3, 'c'], [1, 'a'], [2, 'b']]);
+    assert.deepEqual(citations[0], {
+      marker: 3,
+      documentId: 'c',
+      documentPath: 'c.md',
+      heading: null,
+      headingPath: [],
+      startOffset: null,
+      endOffset: null,
+    });
+  });
+});
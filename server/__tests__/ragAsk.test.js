@@ -0,0 +1,195 @@
+/**
+ * RAG Ask Route Tests
+ *
+ * Verifies POST /api/rag/ask: without a model the route answers with a
+ * configured provider's model, a provider and model that don't belong together
+ * are rejected before any work is done, and answers
+ * come back with citations pointing into the cited document, both as JSON
+ * and over SSE.
+ * Run: node --test server/__tests__/ragAsk.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+let db;
+let server;
+let baseUrl;
+let ownerToken;
+let emptyToken;
+
+const MODEL = 'rag-ask-test-model';
+
+const HANDBOOK = [
+  '# Handbook',
+  '',
+  '## Vacation',
+  '',
+  'Employees get twenty five vacation days per year, and unused vacation days carry over until the end of March.',
+  'Vacation requests are approved by your manager at least two weeks before the first day off.',
+  'Public holidays do not count against vacation days, and part-time employees get a prorated number of days.',
+].join('\n');
+
+const ANSWER = 'Employees get twenty five vacation days per year [1].';
+
+async function* streamAnswer(text) {
+  for (const piece of text.match(/.{1,12}/gs)) {
+    yield { choices: [{ delta: { content: piece }, finish_reason: null }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+}
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create() {
+        return streamAnswer(ANSWER);
+      },
+    },
+  },
+};
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function createUser(id, email) {
+  db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(id, email, 'x');
+  db.prepare("INSERT INTO subscriptions (user_id, tier, status) VALUES (?, 'premium', 'active')").run(id);
+}
+
+function ask(token, body) {
+  return fetch(`${baseUrl}/api/rag/ask`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('rag ask route', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'rag-ask-test-secret';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+    // Only the fake local provider is configured
+    for (const key of ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GEMINI_API_KEY', 'NVIDIA_API_KEY', 'KIMI_API_KEY']) {
+      delete process.env[key];
+    }
+
+    db = (await import('../db/index.js')).default;
+    const rag = await import('../services/ragService.js');
+    const storage = await import('../services/storageService.js');
+    const localProvider = await import('../services/llm/localProvider.js');
+    const { generateAccessToken } = await import('../services/tokenService.js');
+    const { default: ragRouter } = await import('../routes/rag.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    createUser(1, 'owner@example.com');
+    createUser(2, 'empty@example.com');
+    ownerToken = generateAccessToken(1);
+    emptyToken = generateAccessToken(2);
+
+    await storage.uploadDocument(1, 'handbook', HANDBOOK, {});
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('handbook', 1, 'handbook.md', 'hash-handbook', 's1', 1, ?)
+    `).run(HANDBOOK.length);
+    await rag.indexProject(1);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rag', ragRouter);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server?.close();
+  });
+
+  it('answers with a configured model when none is given', async () => {
+    let response = await ask(ownerToken, { question: 'How many vacation days do employees get per year?' });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).answer, ANSWER);
+
+    response = await ask(ownerToken, { question: 'How many vacation days do employees get per year?', model: MODEL });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).answer, ANSWER);
+
+    // Nothing is indexed for this user, so the answer doesn't need the model
+    response = await ask(emptyToken, { question: 'How many vacation days do I get?' });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.match(body.answer, /couldn't find anything/);
+    assert.deepEqual(body.citations, []);
+  });
+
+  it('rejects a model from another provider or an unconfigured provider', async () => {
+    let response = await ask(emptyToken, { question: 'Vacation days?', provider: 'anthropic', model: 'gpt-5-mini' });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /not a anthropic model/);
+
+    response = await ask(emptyToken, { question: 'Vacation days?', model: 'no-such-model' });
+    assert.equal(response.status, 400);
+
+    response = await ask(emptyToken, { question: 'Vacation days?', provider: 'openai' });
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, 'PROVIDER_UNAVAILABLE');
+
+    response = await ask(emptyToken, { question: 'Vacation days?', model: 'claude-haiku-4-5-20251001' });
+    assert.equal(response.status, 503);
+  });
+
+  it('rejects unknown providers and non-string models', async () => {
+    let response = await ask(ownerToken, { question: 'Vacation days?', provider: 'acme' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid provider');
+
+    response = await ask(ownerToken, { question: 'Vacation days?', provider: 'local', model: 42 });
+    assert.equal(response.status, 400);
+
+    response = await ask(ownerToken, { question: '   ' });
+    assert.equal(response.status, 400);
+  });
+
+  it('answers with citations into the cited document', async () => {
+    const response = await ask(ownerToken, {
+      question: 'How many vacation days do employees get per year?',
+      provider: 'local',
+      model: MODEL,
+    });
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.answer, ANSWER);
+    assert.equal(body.citations.length, 1);
+    const [citation] = body.citations;
+    assert.equal(citation.documentId, 'handbook');
+    assert.deepEqual(citation.headingPath, ['Handbook', 'Vacation']);
+    assert.match(HANDBOOK.slice(citation.startOffset, citation.endOffset), /Employees get twenty five vacation days/);
+  });
+
+  it('streams the answer and its citations', async () => {
+    const response = await ask(ownerToken, {
+      question: 'How many vacation days do employees get per year?',
+      provider: 'local',
+      model: MODEL,
+      stream: true,
+    });
+    assert.equal(response.status, 200);
+    assert.ok(response.headers.get('x-stream-id'));
+
+    const data = (await response.text())
+      .split('\n')
+      .filter((line) => line.startsWith('data: '))
+      .map((line) => line.slice(6));
+    assert.equal(data[data.length - 1], '[DONE]');
+
+    const events = data.slice(0, -1).map((line) => JSON.parse(line));
+    assert.deepEqual([...new Set(events.map((event) => event.type))], ['sources', 'content', 'citations', 'done']);
+    assert.equal(events.find((event) => event.type === 'citations').citations[0].documentId, 'handbook');
+  });
+});
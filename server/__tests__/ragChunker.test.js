@@ -0,0 +1,198 @@
+/**
+ * RAG Chunker Tests
+ *
+ * Verifies that tables, code blocks and lists are kept intact or split along
+ * their structure, that chunks carry their heading breadcrumb and source
+ * offsets, that Tiptap sidecars are chunked from their structure, and that
+ * the metadata reaches search results.
+ * Run: node --test server/__tests__/ragChunker.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let rag;
+let storage;
+let chunker;
+
+const USER_ID = 1;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const TABLE_HEADER = '| Endpoint | Method | Rate limit | Notes |\n|---|---|---:|---|';
+
+const SPEC = [
+  '# API spec',
+  '',
+  'This document lists every public endpoint with its method and rate limit, and is reviewed each quarter.',
+  '',
+  '## Limits',
+  '',
+  '### Per endpoint',
+  '',
+  TABLE_HEADER,
+  ...Array.from({ length: 80 }, (_, i) => `| /v1/resource-${i} | ${i % 2 ? 'POST' : 'GET'} | ${100 + i} | Requires the resource-${i} scope |`),
+  '',
+  '## Examples',
+  '',
+  '```js',
+  'const client = createClient();',
+  '',
+  'await client.get("/v1/resource-1");',
+  '```',
+  '',
+  '- Retries use exponential backoff',
+  '- Errors include a request ID',
+  '  that support can look up',
+].join('\n');
+
+function paragraph(text) {
+  return { type: 'paragraph', content: [{ type: 'text', text }] };
+}
+
+function tableRow(cellType, cells) {
+  return { type: 'tableRow', content: cells.map((text) => ({ type: cellType, content: [paragraph(text)] })) };
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('rag chunker', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+    db = (await import('../db/index.js')).default;
+    rag = await import('../services/ragService.js');
+    storage = await import('../services/storageService.js');
+    chunker = await import('../services/ragChunker.js');
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'user@example.com', 'x');
+  });
+
+  it('splits large tables by rows, repeating the header', () => {
+    const chunks = chunker.chunkDocument(SPEC, 'spec', 'spec.md');
+    const tableChunks = chunks.filter((chunk) => chunk.metadata.rows);
+
+    assert.ok(tableChunks.length > 1);
+    let nextRow = 1;
+    for (const chunk of tableChunks) {
+      assert.ok(chunk.content.includes(TABLE_HEADER));
+      assert.ok(chunk.tokenEstimate <= 520, `chunk of ${chunk.tokenEstimate} tokens`);
+      assert.deepEqual(chunk.metadata.headingPath, ['API spec', 'Limits', 'Per endpoint']);
+      assert.equal(chunk.heading, 'Per endpoint');
+
+      // Rows are never cut and no row is lost
+      const rows = chunk.content.split('\n').filter((line) => line.startsWith('| /v1/'));
+      assert.equal(rows.length, chunk.metadata.rows[1] - chunk.metadata.rows[0] + 1);
+      assert.equal(chunk.metadata.rows[0], nextRow);
+      nextRow = chunk.metadata.rows[1] + 1;
+    }
+    assert.equal(nextRow, 81);
+
+    // The headings introducing the table open its first chunk, not the intro's
+    assert.match(tableChunks[0].content, /^## Limits\n\n### Per endpoint\n\n\| Endpoint/);
+    assert.deepEqual(chunks[0].metadata.headingPath, ['API spec']);
+    assert.doesNotMatch(chunks[0].content, /Limits/);
+  });
+
+  it('keeps code blocks and lists intact, with offsets into the markdown', () => {
+    const chunks = chunker.chunkDocument(SPEC, 'spec', 'spec.md');
+    const last = chunks[chunks.length - 1];
+
+    assert.deepEqual(last.metadata.headingPath, ['API spec', 'Examples']);
+    assert.deepEqual(last.metadata.blockTypes, ['heading', 'code', 'list']);
+    assert.equal(SPEC.slice(last.metadata.startOffset, last.metadata.endOffset), last.content);
+    assert.match(last.content, /```js\nconst client = createClient\(\);\n\nawait client/);
+
+    const tableChunk = chunks.find((chunk) => chunk.metadata.rows?.[0] === 1);
+    assert.ok(SPEC.slice(tableChunk.metadata.startOffset, tableChunk.metadata.endOffset).startsWith('## Limits'));
+  });
+
+  it('chunks from the Tiptap document when the sidecar has one', () => {
+    const doc = {
+      type: 'doc',
+      content: [
+        { type: 'heading', attrs: { level: 1 }, content: [{ type: 'text', text: 'Plans' }] },
+        paragraph('Seat limits for each plan, reviewed by the product team every quarter before pricing changes.'),
+        {
+          type: 'table',
+          content: [
+            tableRow('tableHeader', ['Plan', 'Seats', 'Storage']),
+            tableRow('tableCell', ['Free', '1', '1 GB']),
+            tableRow('tableCell', ['Team', '50', '1 TB']),
+          ],
+        },
+      ],
+    };
+
+    // The markdown written by the collaborative editor has no tables
+    const [chunk] = chunker.chunkDocument('# Plans\n\nSeat limits for each plan.', 'plans', 'plans.md', {
+      sidecar: { content: doc },
+    });
+    assert.match(chunk.content, /\| Plan \| Seats \| Storage \|\n\| --- \| --- \| --- \|\n\| Free \| 1 \| 1 GB \|/);
+    assert.deepEqual(chunk.metadata, {
+      headingPath: ['Plans'],
+      blockTypes: ['heading', 'paragraph', 'table'],
+      source: 'tiptap',
+      // The table isn't in the markdown, so the chunk ends after the paragraph
+      startOffset: 0,
+      endOffset: 35,
+    });
+  });
+
+  it('gives chunks from the Tiptap document offsets into the markdown', () => {
+    const rollout = 'The rollout starts with internal teams in the first week, then moves to customers on the beta list, and finally reaches everyone once the error rate stays below the agreed threshold for seven days.';
+    const support = 'Support answers tickets about the new editor within one business day, escalates data loss reports to the on-call engineer at once, and keeps a shared list of known issues for the release notes.';
+    const doc = {
+      type: 'doc',
+      content: [
+        { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Rollout' }] },
+        { type: 'paragraph', content: [{ type: 'text', text: rollout.replace('internal teams', '') }, { type: 'text', marks: [{ type: 'bold' }], text: 'internal teams' }] },
+        { type: 'bulletList', content: ['Week one: staff', 'Week two: beta'].map((text) => ({ type: 'listItem', content: [paragraph(text)] })) },
+        { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Support' }] },
+        paragraph(support),
+      ],
+    };
+    const markdown = [
+      '## Rollout',
+      '',
+      rollout.replace('internal teams', '**internal teams**'),
+      '',
+      '- Week one: staff',
+      '- Week two: beta',
+      '',
+      '## Support',
+      '',
+      support,
+    ].join('\n');
+
+    const chunks = chunker.chunkDocument(markdown, 'rollout', 'rollout.md', { sidecar: { content: doc } });
+    assert.equal(chunks.length, 2);
+    assert.equal(chunks[0].metadata.source, 'tiptap');
+    assert.equal(markdown.slice(chunks[0].metadata.startOffset, chunks[0].metadata.endOffset), markdown.slice(0, markdown.indexOf('\n\n## Support')));
+    assert.equal(markdown.slice(chunks[1].metadata.startOffset, chunks[1].metadata.endOffset), `## Support\n\n${support}`);
+  });
+
+  it('returns chunk metadata with search results and re-chunks older indexes', async () => {
+    await storage.uploadDocument(USER_ID, 'spec', SPEC, {});
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES ('spec', ?, 'spec.md', 'hash-spec', 's1', 1, ?)
+    `).run(USER_ID, SPEC.length);
+
+    await rag.indexProject(USER_ID);
+    const [hit] = await rag.search(USER_ID, 'retries exponential backoff request ID', { minScore: 0 });
+    assert.equal(hit.documentId, 'spec');
+    assert.deepEqual(hit.metadata.headingPath, ['API spec', 'Examples']);
+    assert.equal(hit.metadata.source, 'markdown');
+
+    // Documents chunked by an earlier chunker are re-indexed
+    assert.equal((await rag.indexProject(USER_ID)).indexed, 0);
+    db.prepare('UPDATE rag_indexed_documents SET chunker_version = NULL').run();
+    assert.equal((await rag.indexProject(USER_ID)).indexed, 1);
+    assert.equal(
+      db.prepare('SELECT chunker_version FROM rag_indexed_documents WHERE document_id = ?').get('spec').chunker_version,
+      chunker.CHUNKER_VERSION
+    );
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * RAG Index Queue Tests
+ *
+ * Verifies that sync changes queue re-indexing for the users who index a
+ * document, that jobs run with per-user serialization under the concurrency
+ * limit, and that failures back off and end up reported as failed.
+ * Run: node --test server/__tests__/ragIndexQueue.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let rag;
+let queue;
+let storage;
+
+const OWNER = 1;
+const MEMBER = 2;
+const NEWCOMER = 3;
+
+const OPTIONS = {
+  concurrency: 2,
+  maxAttempts: 2,
+  retryBaseMs: 60 * 1000,
+  retryMaxMs: 10 * 60 * 1000,
+  busyRetryMs: 1000,
+  pollIntervalMs: 1000,
+};
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function paragraph(topic) {
+  return [
+    `# ${topic}`,
+    '',
+    `This section describes the ${topic} in enough detail to produce a chunk. `,
+    `Every ${topic} change is reviewed by two people before it ships to production. `,
+    `Questions about the ${topic} go to the owning team's channel.`,
+  ].join('\n');
+}
+
+async function writeDocument(id, userId, path, content) {
+  await storage.uploadDocument(userId, id, content, {});
+  db.prepare(`
+    INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+    VALUES (?, ?, ?, ?, 's1', 1, ?)
+    ON CONFLICT(id) DO UPDATE SET content_hash = excluded.content_hash, version = version + 1
+  `).run(id, userId, path, storage.hashContent(content), content.length);
+}
+
+function jobs() {
+  return db.prepare('SELECT user_id, document_id, reason, status, attempts FROM rag_index_jobs ORDER BY user_id, document_id').all();
+}
+
+function indexedContent(userId, documentId) {
+  return db.prepare('SELECT content FROM rag_chunks WHERE user_id = ? AND document_id = ? ORDER BY chunk_index')
+    .all(userId, documentId)
+    .map((row) => row.content)
+    .join('\n');
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('rag index queue', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+    db = (await import('../db/index.js')).default;
+    rag = await import('../services/ragService.js');
+    queue = await import('../services/ragIndexQueue.js');
+    storage = (await import('../services/storageService.js')).default;
+
+    for (const id of [OWNER, MEMBER, NEWCOMER]) {
+      db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(id, `user${id}@example.com`, 'x');
+    }
+
+    await writeDocument('runbook', OWNER, 'runbook.md', paragraph('deploy runbook'));
+    await writeDocument('notes', OWNER, 'notes.md', paragraph('meeting notes'));
+
+    db.prepare("INSERT INTO teams (id, name, slug, owner_id) VALUES ('team-1', 'Ops', 'ops', ?)").run(OWNER);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-1', 'team-1', ?, 'owner')").run(OWNER);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-2', 'team-1', ?, 'viewer')").run(MEMBER);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-3', 'team-1', ?, 'viewer')").run(NEWCOMER);
+    db.prepare("INSERT INTO team_documents (id, team_id, document_id, added_by) VALUES ('td-1', 'team-1', 'runbook', ?)").run(OWNER);
+
+    await rag.indexProject(OWNER);
+    await rag.indexProject(MEMBER);
+  });
+
+  it('re-indexes changed documents for the users who index them', async () => {
+    await writeDocument('runbook', OWNER, 'runbook.md', paragraph('rollback procedure'));
+
+    // The newcomer has no index yet, so their first full index will pick it up
+    assert.equal(queue.enqueueDocumentIndexing('runbook', 'upload'), 2);
+    assert.equal(queue.enqueueDocumentIndexing('runbook', 'upload'), 2);
+    assert.deepEqual(jobs().map((job) => job.user_id), [OWNER, MEMBER]);
+    assert.deepEqual(queue.getIndexQueueStatus(OWNER), { pending: 1, running: 0, failed: 0, failures: [] });
+
+    assert.equal(await queue.processDueJobs(OPTIONS), 2);
+    assert.deepEqual(jobs(), []);
+    assert.match(indexedContent(OWNER, 'runbook'), /rollback procedure/);
+    assert.match(indexedContent(MEMBER, 'runbook'), /rollback procedure/);
+
+    const [hit] = await rag.search(MEMBER, 'rollback procedure review', { minScore: 0 });
+    assert.equal(hit.documentId, 'runbook');
+  });
+
+  it('runs one job per user at a time within the concurrency limit', async () => {
+    await writeDocument('runbook', OWNER, 'runbook.md', paragraph('incident response'));
+    await writeDocument('notes', OWNER, 'notes.md', paragraph('planning notes'));
+    queue.enqueueDocumentIndexing('notes', 'upload');
+    queue.enqueueDocumentIndexing('runbook', 'merge');
+
+    // The owner's second job waits for their first
+    assert.equal(await queue.processDueJobs(OPTIONS), 2);
+    assert.deepEqual(jobs(), [{ user_id: OWNER, document_id: 'runbook', reason: 'merge', status: 'pending', attempts: 0 }]);
+
+    assert.equal(await queue.processDueJobs({ ...OPTIONS, concurrency: 1 }), 1);
+    assert.deepEqual(jobs(), []);
+    assert.match(indexedContent(OWNER, 'notes'), /planning notes/);
+    assert.match(indexedContent(OWNER, 'runbook'), /incident response/);
+  });
+
+  it('removes deleted documents from the index', async () => {
+    db.prepare("UPDATE sync_documents SET deleted_at = datetime('now') WHERE id = 'notes'").run();
+    queue.enqueueDocumentIndexing('notes', 'delete');
+
+    assert.equal(await queue.processDueJobs(OPTIONS), 1);
+    assert.equal(indexedContent(OWNER, 'notes'), '');
+    assert.equal(db.prepare("SELECT COUNT(*) AS cnt FROM rag_indexed_documents WHERE document_id = 'notes'").get().cnt, 0);
+  });
+
+  it('retries failures with backoff and reports them once attempts run out', async () => {
+    await writeDocument('runbook', OWNER, 'runbook.md', paragraph('capacity planning'));
+    await storage.deleteDocument(OWNER, 'runbook');
+    queue.enqueueDocumentIndexing('runbook', 'upload');
+
+    assert.equal(await queue.processDueJobs(OPTIONS), 2);
+    const retry = db.prepare(`
+      SELECT attempts, last_error, run_after > datetime('now', '+50 seconds') AS backed_off
+      FROM rag_index_jobs WHERE user_id = ?
+    `).get(OWNER);
+    assert.deepEqual(retry, { attempts: 1, last_error: 'Document content unavailable', backed_off: 1 });
+
+    // Not due yet
+    assert.equal(await queue.processDueJobs(OPTIONS), 0);
+
+    db.prepare("UPDATE rag_index_jobs SET run_after = datetime('now')").run();
+    assert.equal(await queue.processDueJobs(OPTIONS), 2);
+
+    const status = queue.getIndexQueueStatus(OWNER);
+    assert.equal(status.failed, 1);
+    assert.equal(status.pending, 0);
+    assert.deepEqual(
+      status.failures.map(({ documentId, attempts, error }) => ({ documentId, attempts, error })),
+      [{ documentId: 'runbook', attempts: 2, error: 'Document content unavailable' }]
+    );
+
+    // The previous version stays searchable, and the next change starts over
+    assert.match(indexedContent(OWNER, 'runbook'), /incident response/);
+    await writeDocument('runbook', OWNER, 'runbook.md', paragraph('capacity planning'));
+    queue.enqueueDocumentIndexing('runbook', 'upload');
+    assert.equal(queue.getIndexQueueStatus(OWNER).failed, 0);
+    assert.equal(await queue.processDueJobs(OPTIONS), 2);
+    assert.deepEqual(jobs(), []);
+    assert.match(indexedContent(OWNER, 'runbook'), /capacity planning/);
+  });
+});
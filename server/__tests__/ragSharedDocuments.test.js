@@ -0,0 +1,152 @@
+/**
+ * RAG Shared Document Tests
+ *
+ * Verifies that team documents and accepted shares are indexed for the users
+ * who can read them, that embeddings are reused across their indexes, and
+ * that revoked access removes documents from search (link shares included).
+ * Run: node --test server/__tests__/ragSharedDocuments.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let rag;
+let storage;
+
+const OWNER = 1;
+const MEMBER = 2;
+const INVITEE = 3;
+const OUTSIDER = 4;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const TEAM_DOC = [
+  '# Release checklist',
+  '',
+  'Before every release the on-call engineer freezes the main branch and tags the build. ',
+  'Run the migration dry-run against a production snapshot and attach the report to the ticket. ',
+  'Announce the release window in the team channel at least one hour ahead.',
+].join('\n');
+
+const SHARED_DOC = [
+  '# Vendor contract',
+  '',
+  'The hosting vendor invoices quarterly and the renewal notice period is ninety days. ',
+  'Support tickets are answered within four business hours under the premium plan. ',
+  'Any price increase above five percent requires written approval from finance.',
+].join('\n');
+
+async function createDocument(id, userId, path, content) {
+  await storage.uploadDocument(userId, id, content, {});
+  db.prepare(`
+    INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+    VALUES (?, ?, ?, ?, 's1', 1, ?)
+  `).run(id, userId, path, `hash-${id}`, content.length);
+}
+
+function indexedDocuments(userId) {
+  return db.prepare('SELECT document_id FROM rag_indexed_documents WHERE user_id = ? ORDER BY document_id')
+    .all(userId)
+    .map((row) => row.document_id);
+}
+
+function chunkCount(userId, documentId = null) {
+  return db.prepare('SELECT COUNT(*) AS cnt FROM rag_chunks WHERE user_id = ? AND (? IS NULL OR document_id = ?)')
+    .get(userId, documentId, documentId).cnt;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('rag over team and shared documents', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LLM_EMBEDDINGS_PROVIDER = 'hash';
+    db = (await import('../db/index.js')).default;
+    rag = await import('../services/ragService.js');
+    storage = await import('../services/storageService.js');
+
+    for (const id of [OWNER, MEMBER, INVITEE, OUTSIDER]) {
+      db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(id, `user${id}@example.com`, 'x');
+    }
+
+    await createDocument('team-doc', OWNER, 'release.md', TEAM_DOC);
+    await createDocument('shared-doc', OWNER, 'vendor.md', SHARED_DOC);
+
+    db.prepare("INSERT INTO teams (id, name, slug, owner_id) VALUES ('team-1', 'Eng', 'eng', ?)").run(OWNER);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-1', 'team-1', ?, 'owner')").run(OWNER);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-2', 'team-1', ?, 'viewer')").run(MEMBER);
+    db.prepare("INSERT INTO team_documents (id, team_id, document_id, added_by) VALUES ('td-1', 'team-1', 'team-doc', ?)").run(OWNER);
+
+    db.prepare("INSERT INTO document_shares (id, document_id, owner_id) VALUES ('share-1', 'shared-doc', ?)").run(OWNER);
+    db.prepare(`
+      INSERT INTO document_access (id, share_id, user_id, email, permission, accepted_at)
+      VALUES ('access-1', 'share-1', ?, 'user3@example.com', 'view', datetime('now'))
+    `).run(INVITEE);
+    // Pending invitations don't grant access yet
+    db.prepare(`
+      INSERT INTO document_access (id, share_id, user_id, email, permission)
+      VALUES ('access-2', 'share-1', ?, 'user4@example.com', 'view')
+    `).run(OUTSIDER);
+  });
+
+  it('indexes documents from teams and accepted shares', async () => {
+    await rag.indexProject(OWNER);
+
+    // The member's copy comes from the owner's embeddings: no download needed
+    await storage.deleteDocument(OWNER, 'team-doc');
+    const member = await rag.indexProject(MEMBER);
+    assert.equal(member.indexed, 1);
+    assert.equal(member.errors, 0);
+    assert.deepEqual(indexedDocuments(MEMBER), ['team-doc']);
+    assert.equal(chunkCount(MEMBER), chunkCount(OWNER, 'team-doc'));
+
+    await rag.indexProject(INVITEE);
+    assert.deepEqual(indexedDocuments(INVITEE), ['shared-doc']);
+    assert.equal(rag.getStatus(INVITEE).totalDocuments, 1);
+
+    await rag.indexProject(OUTSIDER);
+    assert.deepEqual(indexedDocuments(OUTSIDER), []);
+
+    const [hit] = await rag.search(MEMBER, 'release migration dry-run', { minScore: 0 });
+    assert.equal(hit.documentId, 'team-doc');
+    assert.equal(hit.documentPath, 'release.md');
+    assert.deepEqual(await rag.search(OUTSIDER, 'release migration dry-run', { minScore: 0 }), []);
+  });
+
+  it('removes documents when access is revoked', async () => {
+    // Revoked through the normal path
+    db.prepare("DELETE FROM team_members WHERE id = 'tm-2'").run();
+    assert.equal(rag.removeRevokedDocuments({ userId: MEMBER }), 1);
+    assert.deepEqual(indexedDocuments(MEMBER), []);
+    assert.equal(chunkCount(MEMBER), 0);
+
+    // Revoked without pruning: search still filters it out, then prunes it
+    db.prepare("DELETE FROM document_access WHERE id = 'access-1'").run();
+    assert.deepEqual(await rag.search(INVITEE, 'vendor renewal notice', { minScore: 0 }), []);
+    assert.deepEqual(indexedDocuments(INVITEE), []);
+
+    // The owner keeps everything
+    assert.equal(rag.removeRevokedDocuments({ documentId: 'shared-doc' }), 0);
+    assert.deepEqual(indexedDocuments(OWNER), ['shared-doc', 'team-doc']);
+    const [hit] = await rag.search(OWNER, 'vendor renewal notice', { minScore: 0 });
+    assert.equal(hit.documentId, 'shared-doc');
+  });
+
+  it('does not keep link-shared documents searchable after access is revoked', async () => {
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('tm-3', 'team-1', ?, 'member')").run(MEMBER);
+    await rag.indexProject(MEMBER);
+    assert.deepEqual(indexedDocuments(MEMBER), ['team-doc']);
+
+    // Anyone with the link can open it, but that doesn't put it in their index
+    db.prepare(`
+      INSERT INTO document_shares (id, document_id, owner_id, link_enabled, link_permission)
+      VALUES ('share-2', 'team-doc', ?, 1, 'view')
+    `).run(OWNER);
+    db.prepare("DELETE FROM team_members WHERE id = 'tm-3'").run();
+
+    assert.deepEqual(await rag.search(MEMBER, 'release migration dry-run', { minScore: 0 }), []);
+    assert.deepEqual(indexedDocuments(MEMBER), []);
+    assert.equal((await rag.indexProject(MEMBER)).indexed, 0);
+  });
+});
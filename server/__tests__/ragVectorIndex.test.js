@@ -0,0 +1,172 @@
+/**
+ * RAG Vector Index Tests
+ *
+ * Benchmarks recall of the IVF index against exact search on clustered
+ * synthetic embeddings, and verifies incremental assignment, rebuilds and
+ * the exact fallback.
+ * Run: node --test server/__tests__/ragVectorIndex.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let vectorIndex;
+
+const USER_ID = 1;
+const MODEL = 'hash:test-32';
+const DIMENSIONS = 32;
+const CLUSTERS = 40;
+const CHUNKS = 2000;
+const QUERIES = 50;
+const TOP_K = 10;
+
+const OPTIONS = {
+  enabled: true,
+  minChunks: 200,
+  maxLists: 256,
+  probes: 8,
+  trainingIterations: 8,
+  trainingSamplesPerList: 40,
+  rebuildFactor: 2,
+};
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+// Deterministic PRNG so the benchmark is stable across runs
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+const next = random(42);
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+
+const centers = Array.from({ length: CLUSTERS }, () => Array.from({ length: DIMENSIONS }, gaussian));
+
+function sampleVector(spread = 1) {
+  const center = centers[Math.floor(next() * CLUSTERS)];
+  return Float32Array.from(center, (value) => value + gaussian() * spread);
+}
+
+let chunkSeq = 0;
+
+function insertChunks(count, { assign = false } = {}) {
+  const insert = db.prepare(`
+    INSERT INTO rag_chunks (id, user_id, document_id, document_path, chunk_index, content, embedding, token_estimate, embedding_model, ann_list)
+    VALUES (?, ?, 'doc', 'doc.md', ?, 'text', ?, 1, ?, ?)
+  `);
+  db.transaction(() => {
+    for (let i = 0; i < count; i++) {
+      const vector = sampleVector();
+      const list = assign ? vectorIndex.assignList(USER_ID, MODEL, vector) : null;
+      chunkSeq++;
+      insert.run(`chunk_${chunkSeq}`, USER_ID, chunkSeq, Buffer.from(vector.buffer), MODEL, list);
+    }
+  })();
+}
+
+function listCount() {
+  return db.prepare('SELECT list_count FROM rag_ann_indexes WHERE user_id = ? AND embedding_model = ?')
+    .get(USER_ID, MODEL)?.list_count ?? null;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('rag vector index', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    db = (await import('../db/index.js')).default;
+    vectorIndex = await import('../services/ragVectorIndex.js');
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'user@example.com', 'x');
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM rag_chunks WHERE user_id = ?').run(USER_ID);
+    vectorIndex.deleteVectorIndexes(USER_ID);
+  });
+
+  it('matches exact search recall on clustered embeddings', async (t) => {
+    insertChunks(CHUNKS);
+
+    // Training runs in slices, so the event loop keeps turning during a build
+    let ranDuringBuild = false;
+    const building = vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS);
+    setImmediate(() => { ranDuringBuild = true; });
+    assert.deepEqual(await building, { action: 'built', lists: 45 });
+    assert.equal(ranDuringBuild, true);
+
+    const unassigned = db.prepare('SELECT COUNT(*) AS cnt FROM rag_chunks WHERE ann_list IS NULL').get().cnt;
+    assert.equal(unassigned, 0);
+
+    let found = 0;
+    let exactMs = 0;
+    let approximateMs = 0;
+    for (let i = 0; i < QUERIES; i++) {
+      const query = sampleVector();
+
+      let startedAt = performance.now();
+      const exact = vectorIndex.searchExact(USER_ID, MODEL, query, TOP_K);
+      exactMs += performance.now() - startedAt;
+
+      startedAt = performance.now();
+      const approximate = vectorIndex.searchApproximate(USER_ID, MODEL, query, TOP_K, OPTIONS);
+      approximateMs += performance.now() - startedAt;
+
+      assert.equal(approximate.length, TOP_K);
+      const approximateIds = new Set(approximate.map((hit) => hit.id));
+      found += exact.filter((hit) => approximateIds.has(hit.id)).length;
+    }
+
+    const recall = found / (QUERIES * TOP_K);
+    t.diagnostic(`recall@${TOP_K} ${recall.toFixed(3)}; exact ${exactMs.toFixed(1)}ms, approximate ${approximateMs.toFixed(1)}ms over ${QUERIES} queries`);
+    assert.ok(recall >= 0.9, `recall ${recall} below 0.9`);
+  });
+
+  it('assigns new chunks to existing lists and rebuilds as the collection changes', async () => {
+    insertChunks(300);
+    assert.equal((await vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS)).action, 'built');
+    assert.equal(listCount(), 17);
+
+    // Incremental additions keep the trained lists until the collection doubles
+    insertChunks(200, { assign: true });
+    assert.equal(db.prepare('SELECT COUNT(*) AS cnt FROM rag_chunks WHERE ann_list IS NULL').get().cnt, 0);
+    assert.deepEqual(await vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS), { action: 'unchanged', lists: 17 });
+
+    insertChunks(100, { assign: true });
+    assert.deepEqual(await vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS), { action: 'rebuilt', lists: 24 });
+
+    // Unassigned chunks are still found
+    const extra = sampleVector();
+    db.prepare(`
+      INSERT INTO rag_chunks (id, user_id, document_id, document_path, chunk_index, content, embedding, token_estimate, embedding_model)
+      VALUES ('unassigned', ?, 'doc2', 'doc2.md', 0, 'text', ?, 1, ?)
+    `).run(USER_ID, Buffer.from(extra.buffer), MODEL);
+    const [best] = vectorIndex.searchApproximate(USER_ID, MODEL, extra, 1, { ...OPTIONS, probes: 1 });
+    assert.equal(best.id, 'unassigned');
+  });
+
+  it('falls back to exact search without an index', async () => {
+    insertChunks(100);
+    assert.deepEqual(await vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS), { action: 'none' });
+    assert.equal(vectorIndex.searchApproximate(USER_ID, MODEL, sampleVector(), 5, OPTIONS), null);
+    assert.equal(vectorIndex.searchExact(USER_ID, MODEL, sampleVector(), 5).length, 5);
+
+    // Disabling the index drops it along with the chunks' list assignments
+    insertChunks(150);
+    assert.equal((await vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS)).action, 'built');
+    assert.equal(vectorIndex.searchApproximate(USER_ID, MODEL, sampleVector(), 5, { ...OPTIONS, enabled: false }), null);
+    assert.deepEqual(await vectorIndex.refreshVectorIndex(USER_ID, MODEL, { ...OPTIONS, enabled: false }), { action: 'dropped' });
+    assert.equal(listCount(), null);
+    assert.equal(db.prepare('SELECT COUNT(*) AS cnt FROM rag_chunks WHERE ann_list IS NOT NULL').get().cnt, 0);
+
+    // Another embedding model's index is dropped when the active model changes
+    await vectorIndex.refreshVectorIndex(USER_ID, MODEL, OPTIONS);
+    await vectorIndex.refreshVectorIndex(USER_ID, 'hash:other', OPTIONS);
+    assert.equal(listCount(), null);
+  });
+});
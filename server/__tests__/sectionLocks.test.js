@@ -0,0 +1,112 @@
+/**
+ * Section Lock Tests
+ *
+ * Verifies who may edit a locked section and which Y.js updates touch one.
+ * Run: node --test server/__tests__/sectionLocks.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+
+let canEditSection;
+let findLockViolations;
+let findLockedSections;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function block(name, text, attrs = {}) {
+  const element = new Y.XmlElement(name);
+  for (const [key, value] of Object.entries(attrs)) element.setAttribute(key, value);
+  const xmlText = new Y.XmlText();
+  xmlText.insert(0, text);
+  element.insert(0, [xmlText]);
+  return element;
+}
+
+function createDoc() {
+  const ydoc = new Y.Doc();
+  ydoc.getXmlFragment('default').insert(0, [
+    block('heading', 'Intro', { level: 1 }),
+    block('paragraph', 'open text'),
+    block('heading', 'Secret', { level: 2, id: 'h-secret' }),
+    block('paragraph', 'locked body'),
+    block('heading', 'Detail', { level: 3 }),
+    block('paragraph', 'still locked'),
+    block('heading', 'Next', { level: 2 }),
+    block('paragraph', 'after'),
+  ]);
+  return ydoc;
+}
+
+/** Produce the update a client would send after editing a copy of `ydoc` */
+function clientUpdate(ydoc, edit) {
+  const client = new Y.Doc();
+  Y.applyUpdate(client, Y.encodeStateAsUpdate(ydoc));
+  const stateVector = Y.encodeStateVector(client);
+  edit(client.getXmlFragment('default'));
+  return Y.encodeStateAsUpdate(client, stateVector);
+}
+
+function typeInto(index) {
+  return (fragment) => fragment.get(index).get(0).insert(0, 'x');
+}
+
+const lock = (overrides = {}) => ({
+  id: 'lock-1',
+  heading_text: 'Secret',
+  heading_level: 2,
+  heading_node_id: null,
+  locked_by: 1,
+  lock_type: 'owner_only',
+  allowed_user_ids: null,
+  ...overrides,
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('section locks', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    ({ canEditSection, findLockViolations, findLockedSections } = await import('../services/sectionLocks.js'));
+  });
+
+  it('allows the owner, the locker and listed users', () => {
+    assert.equal(canEditSection(lock(), 1, 1), true);
+    assert.equal(canEditSection(lock({ locked_by: 3 }), 3, 1), true);
+    assert.equal(canEditSection(lock(), 2, 1), false);
+    assert.equal(canEditSection(lock({ lock_type: 'allowed_users', allowed_user_ids: '[2]' }), 2, 1), true);
+    assert.equal(canEditSection(lock({ lock_type: 'allowed_users', allowed_user_ids: '[2]' }), 'guest-abc', 1), false);
+  });
+
+  it('spans a section up to the next heading of the same or higher level', () => {
+    const sections = findLockedSections(createDoc(), [lock(), lock({ id: 'lock-2', heading_text: 'Missing' })]);
+    assert.deepEqual(sections.get('lock-1'), { start: 2, end: 6 });
+    assert.equal(sections.get('lock-2'), null);
+  });
+
+  it('matches headings by node ID when the lock has one', () => {
+    const sections = findLockedSections(createDoc(), [lock({ heading_node_id: 'h-secret', heading_text: 'Renamed' })]);
+    assert.deepEqual(sections.get('lock-1'), { start: 2, end: 6 });
+  });
+
+  it('flags updates inside a locked section, including its subsections', () => {
+    const ydoc = createDoc();
+    assert.equal(findLockViolations(ydoc, clientUpdate(ydoc, typeInto(3)), [lock()]).length, 1);
+    assert.equal(findLockViolations(ydoc, clientUpdate(ydoc, typeInto(5)), [lock()]).length, 1);
+  });
+
+  it('flags renaming or deleting the locked heading', () => {
+    const ydoc = createDoc();
+    assert.equal(findLockViolations(ydoc, clientUpdate(ydoc, typeInto(2)), [lock()]).length, 1);
+    assert.equal(findLockViolations(ydoc, clientUpdate(ydoc, (fragment) => fragment.delete(2, 1)), [lock()]).length, 1);
+  });
+
+  it('lets updates outside locked sections through', () => {
+    const ydoc = createDoc();
+    assert.deepEqual(findLockViolations(ydoc, clientUpdate(ydoc, typeInto(1)), [lock()]), []);
+    assert.deepEqual(findLockViolations(ydoc, clientUpdate(ydoc, typeInto(7)), [lock()]), []);
+    // The document itself is never modified by the check
+    assert.equal(ydoc.getXmlFragment('default').get(3).get(0).toString(), 'locked body');
+  });
+});
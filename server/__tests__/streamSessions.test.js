@@ -0,0 +1,176 @@
+/**
+ * Resumable Stream Tests
+ *
+ * Verifies event buffering and replay from a last event ID, cancellation of
+ * streams nobody reattaches to, and usage tracking for generations cut short.
+ * Run: node --test server/__tests__/streamSessions.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let llm;
+let streamSessions;
+let localProvider;
+
+const USER_ID = 1;
+const MODEL = 'stream-test-model';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function* streamChunks() {
+  for (const word of ['alpha ', 'beta ', 'gamma ', 'delta ']) {
+    yield { choices: [{ delta: { content: word.repeat(10) }, finish_reason: null }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+  yield { choices: [], usage: { prompt_tokens: 100, completion_tokens: 40 } };
+}
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create() {
+        return streamChunks();
+      },
+    },
+  },
+};
+
+function makeSession(options = {}) {
+  return new streamSessions.StreamSession({ userId: USER_ID, kind: 'chat' }, {
+    retentionMs: 60_000,
+    detachedTimeoutMs: 20,
+    maxBufferedBytes: 1024,
+    ...options,
+  });
+}
+
+function collector() {
+  const received = { events: [], finished: null };
+  return {
+    received,
+    listener: {
+      onEvent: (event) => received.events.push(event),
+      onFinish: (status) => { received.finished = status; },
+    },
+  };
+}
+
+function usageRows() {
+  return db.prepare('SELECT prompt_tokens, completion_tokens, total_tokens FROM llm_usage ORDER BY id').all();
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('resumable llm streams', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    llm = await import('../services/llm/index.js');
+    streamSessions = await import('../services/llm/streamSessions.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'user@example.com', 'x');
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM llm_usage').run();
+  });
+
+  it('replays buffered events after the last event ID, then follows live', () => {
+    const session = makeSession();
+    session.push({ content: 'a' });
+    session.push({ content: 'b' });
+
+    const first = collector();
+    const detach = session.subscribe(0, first.listener);
+    session.push({ content: 'c' });
+    detach();
+
+    // Reconnect after event 2: gets 3 and everything after
+    const resumed = collector();
+    session.subscribe(2, resumed.listener);
+    session.push('[DONE]');
+    session.finish('done');
+
+    assert.deepEqual(first.received.events.map((e) => e.id), [1, 2, 3]);
+    assert.deepEqual(resumed.received.events, [{ id: 3, data: { content: 'c' } }, { id: 4, data: '[DONE]' }]);
+    assert.equal(resumed.received.finished, 'done');
+    assert.equal(session.push({ content: 'late' }), null);
+
+    // Finished streams stay resumable
+    const late = collector();
+    session.subscribe(3, late.listener);
+    assert.deepEqual(late.received.events.map((e) => e.id), [4]);
+    assert.equal(late.received.finished, 'done');
+  });
+
+  it('refuses to resume from events dropped from the buffer', () => {
+    const session = makeSession({ maxBufferedBytes: 40 });
+    for (let i = 0; i < 5; i++) session.push({ content: 'x'.repeat(10) });
+
+    assert.equal(session.firstBufferedEventId, 5);
+    assert.equal(session.canResumeFrom(1), false);
+    assert.equal(session.subscribe(1, collector().listener), null);
+    assert.equal(session.canResumeFrom(4), true);
+  });
+
+  it('cancels a generation nobody reattaches to', async () => {
+    const session = makeSession({ detachedTimeoutMs: 30 });
+    const detach = session.subscribe(0, collector().listener);
+    detach();
+
+    // Reattaching within the window keeps it running
+    await new Promise((resolve) => setImmediate(resolve));
+    const again = session.subscribe(0, collector().listener);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.equal(session.signal.aborted, false);
+
+    again();
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    assert.equal(session.signal.aborted, true);
+    assert.equal(session.cancel(), false);
+  });
+
+  it('scopes sessions to their user', () => {
+    const session = streamSessions.createStreamSession({ userId: USER_ID, kind: 'agent' });
+    assert.equal(streamSessions.getStreamSession(USER_ID, session.id), session);
+    assert.equal(streamSessions.getStreamSession(2, session.id), null);
+    session.finish('done');
+  });
+
+  it('tracks usage for what was generated before cancellation', async () => {
+    const controller = new AbortController();
+    const stream = await llm.chat({
+      userId: USER_ID,
+      provider: 'local',
+      model: MODEL,
+      messages: [{ role: 'user', content: 'x'.repeat(400) }],
+      stream: true,
+      signal: controller.signal,
+    });
+
+    let content = '';
+    for await (const chunk of stream) {
+      if (controller.signal.aborted) break;
+      content += chunk.content || '';
+      if (content.length >= 100) controller.abort();
+    }
+
+    // 400 prompt chars and 110 generated chars at ~4 chars per token
+    assert.deepEqual(usageRows(), [{ prompt_tokens: 100, completion_tokens: 28, total_tokens: 128 }]);
+
+    // A completed stream is billed what the provider reported
+    db.prepare('DELETE FROM llm_usage').run();
+    const full = await llm.chat({
+      userId: USER_ID, provider: 'local', model: MODEL, messages: [{ role: 'user', content: 'hi' }], stream: true,
+    });
+    for await (const chunk of full) void chunk;
+    assert.deepEqual(usageRows(), [{ prompt_tokens: 100, completion_tokens: 40, total_tokens: 140 }]);
+  });
+});
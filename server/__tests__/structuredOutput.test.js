@@ -0,0 +1,186 @@
+/**
+ * Structured Output Tests
+ *
+ * Verifies JSON Schema validation, provider schema mapping, and the single
+ * repair retry when a model reply doesn't match the requested schema.
+ * Run: node --test server/__tests__/structuredOutput.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let llm;
+let structuredOutput;
+let localProvider;
+
+const USER_ID = 1;
+const MODEL = 'structured-test-model';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+    priority: { type: 'string', enum: ['low', 'high'] },
+  },
+  required: ['title', 'priority'],
+  additionalProperties: false,
+};
+
+// Scripted replies, one per provider call
+let replies = [];
+let requests = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create(params) {
+        requests.push(params);
+        return {
+          id: `resp-${requests.length}`,
+          choices: [{ message: { content: replies.shift() ?? '{}' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        };
+      },
+    },
+  },
+};
+
+function ask() {
+  return llm.chat({
+    userId: USER_ID,
+    provider: 'local',
+    model: MODEL,
+    messages: [{ role: 'user', content: 'Turn this note into a task: ship the release' }],
+    requestType: 'workflow',
+    responseFormat: { schema: SCHEMA, name: 'task' },
+  });
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('structured output', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    llm = await import('../services/llm/index.js');
+    structuredOutput = await import('../services/llm/structuredOutput.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'owner@example.com', 'x');
+  });
+
+  beforeEach(() => {
+    replies = [];
+    requests = [];
+    db.prepare('DELETE FROM llm_usage').run();
+  });
+
+  it('validates values against the schema subset', () => {
+    const { validateJsonSchema, checkStructuredOutput, isValidResponseSchema } = structuredOutput;
+
+    assert.deepEqual(validateJsonSchema({ title: 'Ship', priority: 'high', tags: ['a'] }, SCHEMA), []);
+    assert.deepEqual(validateJsonSchema({ title: '', priority: 'urgent', extra: 1, tags: ['a', 2] }, SCHEMA), [
+      '$.title: shorter than 1 characters',
+      '$.priority: must be one of ["low","high"]',
+      '$: unexpected property "extra"',
+      '$.tags[1]: expected string, got integer',
+    ]);
+    assert.deepEqual(validateJsonSchema({}, SCHEMA), [
+      '$: missing required property "title"',
+      '$: missing required property "priority"',
+    ]);
+    assert.deepEqual(validateJsonSchema(null, { type: ['string', 'null'] }), []);
+
+    const fenced = checkStructuredOutput('```json\n{"title":"Ship","priority":"low"}\n```', SCHEMA);
+    assert.deepEqual(fenced, { valid: true, value: { title: 'Ship', priority: 'low' } });
+    assert.equal(checkStructuredOutput('Sure! Here it is', SCHEMA).valid, false);
+
+    assert.equal(isValidResponseSchema(SCHEMA), true);
+    assert.equal(isValidResponseSchema({ type: 'array' }), false);
+    assert.equal(isValidResponseSchema('{"type":"object"}'), false);
+  });
+
+  it('reduces schemas to what Gemini accepts', () => {
+    const geminiSchema = structuredOutput.toGeminiSchema({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        note: { type: ['string', 'null'], description: 'Optional note' },
+        items: { type: 'array', items: { type: 'integer', minimum: 0, exclusiveMinimum: 0 } },
+      },
+      required: ['items'],
+    });
+
+    assert.deepEqual(geminiSchema, {
+      type: 'object',
+      properties: {
+        note: { type: 'string', nullable: true, description: 'Optional note' },
+        items: { type: 'array', items: { type: 'integer', minimum: 0 } },
+      },
+      required: ['items'],
+    });
+  });
+
+  it('sends the schema natively and returns parsed output', async () => {
+    replies = ['{"title":"Ship the release","priority":"high"}'];
+
+    const response = await ask();
+    assert.equal(requests.length, 1);
+    assert.deepEqual(requests[0].response_format, {
+      type: 'json_schema',
+      json_schema: { name: 'task', schema: SCHEMA },
+    });
+    assert.deepEqual(response.parsed, { title: 'Ship the release', priority: 'high' });
+    assert.equal(response.content, JSON.stringify(response.parsed));
+    assert.deepEqual(response.structuredOutput, { repaired: false });
+  });
+
+  it('retries once with the validation errors, then gives up', async () => {
+    replies = ['{"title":"Ship"}', '{"title":"Ship","priority":"low"}'];
+
+    const repaired = await ask();
+    assert.equal(requests.length, 2);
+    const repairPrompt = requests[1].messages.at(-1);
+    assert.equal(repairPrompt.role, 'user');
+    assert.match(repairPrompt.content, /missing required property "priority"/);
+    assert.equal(requests[1].messages.at(-2).content, '{"title":"Ship"}');
+
+    assert.deepEqual(repaired.parsed, { title: 'Ship', priority: 'low' });
+    assert.deepEqual(repaired.structuredOutput, { repaired: true });
+    assert.equal(repaired.usage.totalTokens, 30);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM llm_usage WHERE user_id = ?').get(USER_ID).n, 2);
+
+    requests = [];
+    replies = ['not json', '{"title":"Ship","priority":"someday"}'];
+    await assert.rejects(ask(), (error) => {
+      assert.equal(error.code, 'STRUCTURED_OUTPUT_INVALID');
+      assert.deepEqual(error.details, ['$.priority: must be one of ["low","high"]']);
+      return true;
+    });
+    assert.equal(requests.length, 2);
+  });
+
+  it('rejects structured output for streaming requests', async () => {
+    await assert.rejects(
+      llm.chat({
+        userId: USER_ID,
+        provider: 'local',
+        model: MODEL,
+        messages: [{ role: 'user', content: 'hi' }],
+        stream: true,
+        responseFormat: { schema: SCHEMA },
+      }),
+      (error) => error.code === 'INVALID_REQUEST'
+    );
+    assert.equal(requests.length, 0);
+  });
+});
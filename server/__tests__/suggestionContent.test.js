@@ -0,0 +1,195 @@
+/**
+ * Suggestion Content Tests
+ *
+ * Verifies that accepting / rejecting suggestions edits Y.js documents and
+ * stored Tiptap JSON correctly.
+ * Run: node --test server/__tests__/suggestionContent.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+import { getSchema, Mark } from '@tiptap/core';
+import StarterKit from '@tiptap/starter-kit';
+import { yDocToProsemirrorJSON } from 'y-prosemirror';
+import { applySuggestionToTiptap, applySuggestionToYDoc } from '../services/suggestionContent.js';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const suggestionMark = (name) => Mark.create({
+  name,
+  addAttributes() {
+    return { suggestionId: { default: null } };
+  },
+});
+
+const schema = getSchema([
+  StarterKit,
+  suggestionMark('suggestionAdded'),
+  suggestionMark('suggestionRemoved'),
+]);
+
+function p(...parts) {
+  return {
+    type: 'paragraph',
+    content: parts.map((part) => (typeof part === 'string' ? { type: 'text', text: part } : part)),
+  };
+}
+
+function doc(...content) {
+  return { type: 'doc', content };
+}
+
+function marked(text, type, suggestionId) {
+  return { type: 'text', text, marks: [{ type, attrs: { suggestionId } }] };
+}
+
+function suggestion(overrides) {
+  return {
+    id: 'sug-1',
+    type: 'replacement',
+    anchor_from: 0,
+    anchor_to: 0,
+    original_text: null,
+    suggested_text: null,
+    anchor_yjs_from: null,
+    anchor_yjs_to: null,
+    ...overrides,
+  };
+}
+
+/** Build a one-paragraph Y.Doc laid out the way y-prosemirror stores it */
+function yParagraph(runs) {
+  const ydoc = new Y.Doc();
+  const paragraph = new Y.XmlElement('paragraph');
+  ydoc.getXmlFragment('default').insert(0, [paragraph]);
+  const text = new Y.XmlText();
+  paragraph.insert(0, [text]);
+  let offset = 0;
+  for (const [value, attributes] of runs) {
+    text.insert(offset, value, attributes);
+    offset += value.length;
+  }
+  return { ydoc, text };
+}
+
+function yText(ydoc) {
+  return yDocToProsemirrorJSON(ydoc, 'default').content.map((block) =>
+    (block.content || []).map((node) => node.text).join('')
+  );
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('applySuggestionToTiptap', () => {
+  const base = doc(p('Hello world'), p('Second line'));
+
+  it('replaces an anchored range when it still matches', () => {
+    const result = applySuggestionToTiptap(base, suggestion({
+      anchor_from: 7, anchor_to: 12, original_text: 'world', suggested_text: 'there',
+    }), 'accept', schema);
+
+    assert.equal(result.changed, true);
+    assert.deepEqual(result.doc, doc(p('Hello there'), p('Second line')));
+    // Input is not mutated
+    assert.deepEqual(base, doc(p('Hello world'), p('Second line')));
+  });
+
+  it('inserts text at the anchor, keeping the preceding marks', () => {
+    const boldDoc = doc(p({ type: 'text', text: 'Bold', marks: [{ type: 'bold' }] }, ' plain'));
+    const result = applySuggestionToTiptap(boldDoc, suggestion({
+      type: 'insertion', anchor_from: 5, anchor_to: 5, suggested_text: 'er',
+    }), 'accept', schema);
+
+    assert.deepEqual(result.doc.content[0].content, [
+      { type: 'text', text: 'Bolder', marks: [{ type: 'bold' }] },
+      { type: 'text', text: ' plain' },
+    ]);
+  });
+
+  it('refuses to apply when the anchored text has changed', () => {
+    const result = applySuggestionToTiptap(base, suggestion({
+      type: 'deletion', anchor_from: 1, anchor_to: 6, original_text: 'Howdy',
+    }), 'accept', schema);
+
+    assert.equal(result.changed, false);
+    assert.equal(result.reason, 'content_changed');
+    assert.equal(result.doc, base);
+  });
+
+  it('reports anchors that fall outside a textblock', () => {
+    const result = applySuggestionToTiptap(base, suggestion({ anchor_from: 5, anchor_to: 18 }), 'accept', schema);
+    assert.equal(result.reason, 'anchor_not_found');
+  });
+
+  it('settles marked suggestions on accept and reject', () => {
+    const withMarks = doc(p(
+      'Keep ',
+      marked('new', 'suggestionAdded', 'sug-1'),
+      marked('old', 'suggestionRemoved', 'sug-1'),
+      ' text'
+    ));
+
+    const accepted = applySuggestionToTiptap(withMarks, suggestion(), 'accept', schema);
+    assert.deepEqual(accepted.doc, doc(p('Keep new text')));
+
+    const rejected = applySuggestionToTiptap(withMarks, suggestion(), 'reject', schema);
+    assert.deepEqual(rejected.doc, doc(p('Keep old text')));
+  });
+
+  it('leaves content alone when rejecting an anchored suggestion', () => {
+    const result = applySuggestionToTiptap(base, suggestion({ anchor_from: 1, anchor_to: 6 }), 'reject', schema);
+    assert.equal(result.changed, false);
+    assert.equal(result.doc, base);
+  });
+});
+
+describe('applySuggestionToYDoc', () => {
+  it('resolves Y.js relative anchors after concurrent edits', () => {
+    const { ydoc, text } = yParagraph([['Hello world', {}]]);
+    const encode = (index) => JSON.stringify(
+      Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, index))
+    );
+    const sug = suggestion({
+      anchor_from: 7, anchor_to: 12, original_text: 'world', suggested_text: 'there',
+      anchor_yjs_from: encode(6), anchor_yjs_to: encode(11),
+    });
+
+    // Someone types before the anchor, so ProseMirror positions are now stale
+    text.insert(0, 'Oh, ');
+
+    const result = applySuggestionToYDoc(ydoc, sug, 'accept', schema);
+    assert.equal(result.changed, true);
+    assert.deepEqual(yText(ydoc), ['Oh, Hello there']);
+  });
+
+  it('falls back to ProseMirror positions without Y.js anchors', () => {
+    const { ydoc } = yParagraph([['Hello world', {}]]);
+    const result = applySuggestionToYDoc(ydoc, suggestion({
+      type: 'deletion', anchor_from: 6, anchor_to: 12, original_text: ' world',
+    }), 'accept', schema);
+
+    assert.equal(result.changed, true);
+    assert.deepEqual(yText(ydoc), ['Hello']);
+  });
+
+  it('settles marked suggestions', () => {
+    const build = () => yParagraph([
+      ['Keep ', {}],
+      ['new', { suggestionAdded: { suggestionId: 'sug-1' } }],
+      ['old', { suggestionAdded: null, suggestionRemoved: { suggestionId: 'sug-1' } }],
+      [' text', { suggestionRemoved: null }],
+    ]).ydoc;
+
+    const accepted = build();
+    applySuggestionToYDoc(accepted, suggestion(), 'accept', schema);
+    assert.deepEqual(yText(accepted), ['Keep new text']);
+    assert.deepEqual(yDocToProsemirrorJSON(accepted, 'default').content[0].content, [
+      { type: 'text', text: 'Keep new text' },
+    ]);
+
+    const rejected = build();
+    applySuggestionToYDoc(rejected, suggestion(), 'reject', schema);
+    assert.deepEqual(yText(rejected), ['Keep old text']);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Sync Changes Tests
+ *
+ * Verifies the incremental changes feed: cursors, change types, pagination and
+ * expiry, including documents whose creating upload has been pruned.
+ * Run: node --test server/__tests__/syncChanges.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let changes;
+
+const USER_ID = 1;
+const OTHER_USER_ID = 2;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function createDocument(id, path, userId = USER_ID) {
+  db.prepare(`
+    INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+    VALUES (?, ?, ?, 'c1', 's1', 1, 10)
+  `).run(id, userId, path);
+  changes.logSyncOperation(userId, id, 'upload', path, 10, true);
+}
+
+function updateDocument(id) {
+  db.prepare("UPDATE sync_documents SET content_hash = 'c2', version = version + 1 WHERE id = ?").run(id);
+  changes.logSyncOperation(USER_ID, id, 'upload', null, 10, true);
+}
+
+function renameDocument(id, newPath) {
+  const { path } = db.prepare('SELECT path FROM sync_documents WHERE id = ?').get(id);
+  db.prepare('UPDATE sync_documents SET path = ? WHERE id = ?').run(newPath, id);
+  changes.logSyncOperation(USER_ID, id, 'rename', `${path} -> ${newPath}`, 0, true);
+}
+
+function deleteDocument(id) {
+  db.prepare('UPDATE sync_documents SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+  changes.logSyncOperation(USER_ID, id, 'delete', null, 0, true);
+}
+
+const since = (cursor, options) => changes.listSyncChanges(USER_ID, changes.decodeChangesCursor(cursor), options);
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('sync changes feed', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    db = (await import('../db/index.js')).default;
+    changes = await import('../services/syncChanges.js');
+
+    const insertUser = db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)');
+    insertUser.run(USER_ID, 'owner@example.com', 'x');
+    insertUser.run(OTHER_USER_ID, 'other@example.com', 'x');
+  });
+
+  it('round-trips cursors and rejects malformed ones', () => {
+    assert.equal(changes.decodeChangesCursor(changes.encodeChangesCursor(42)), 42);
+    assert.equal(changes.decodeChangesCursor('not-a-cursor'), null);
+    assert.equal(changes.decodeChangesCursor(Buffer.from('ops:-1').toString('base64url')), null);
+    assert.equal(changes.decodeChangesCursor(undefined), null);
+  });
+
+  it('reports created, updated, moved and deleted documents once each', () => {
+    createDocument('doc-a', '/a.md');
+    createDocument('doc-b', '/b.md');
+    createDocument('doc-c', '/c.md');
+    const cursor = changes.getCurrentChangesCursor();
+
+    updateDocument('doc-a');
+    renameDocument('doc-b', '/folder/b.md');
+    deleteDocument('doc-c');
+    createDocument('doc-d', '/d.md');
+    updateDocument('doc-d');
+    createDocument('doc-x', '/x.md', OTHER_USER_ID);
+    updateDocument('doc-a');
+
+    const result = since(cursor);
+    assert.equal(result.expired, false);
+    assert.equal(result.hasMore, false);
+    assert.deepEqual(result.changes.map((change) => [change.documentId, change.type]), [
+      ['doc-b', 'moved'],
+      ['doc-c', 'deleted'],
+      ['doc-d', 'created'],
+      ['doc-a', 'updated'],
+    ]);
+
+    const moved = result.changes[0];
+    assert.equal(moved.path, '/folder/b.md');
+    assert.equal(moved.previousPath, '/b.md');
+    assert.equal(result.changes[1].deleted, true);
+    assert.equal(result.changes[3].version, 3);
+
+    assert.deepEqual(since(result.cursor).changes, []);
+  });
+
+  it('pages through changes with hasMore', () => {
+    const cursor = changes.getCurrentChangesCursor();
+    for (const id of ['page-1', 'page-2', 'page-3']) createDocument(id, `/${id}.md`);
+
+    const first = since(cursor, { limit: 2 });
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(first.changes.map((change) => change.documentId), ['page-1', 'page-2']);
+
+    const second = since(first.cursor, { limit: 2 });
+    assert.equal(second.hasMore, false);
+    assert.deepEqual(second.changes.map((change) => change.documentId), ['page-3']);
+  });
+
+  it('expires cursors older than the retained operation log', () => {
+    const cursor = changes.encodeChangesCursor(0);
+    assert.equal(since(cursor).expired, false);
+
+    db.prepare('DELETE FROM sync_operations WHERE id <= 3').run();
+    assert.equal(since(cursor).expired, true);
+    assert.equal(since(changes.getCurrentChangesCursor()).expired, false);
+  });
+
+  it('does not report documents as created once their first upload is pruned', () => {
+    createDocument('doc-old', '/old.md');
+    db.prepare("UPDATE sync_documents SET created_at = datetime('now', '-120 days') WHERE id = 'doc-old'").run();
+    db.prepare("UPDATE sync_operations SET created_at = datetime('now', '-120 days') WHERE document_id = 'doc-old'").run();
+    const cursor = changes.getCurrentChangesCursor();
+
+    renameDocument('doc-old', '/archive/old.md');
+    updateDocument('doc-old');
+    db.prepare("DELETE FROM sync_operations WHERE created_at < datetime('now', '-90 days')").run();
+
+    const result = since(cursor);
+    assert.equal(result.expired, false);
+    const [change] = result.changes;
+    assert.equal(change.type, 'updated');
+    assert.equal(change.previousPath, '/old.md');
+  });
+});
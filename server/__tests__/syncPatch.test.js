@@ -0,0 +1,71 @@
+/**
+ * Sync Patch Tests
+ *
+ * Verifies content edits and sidecar JSON Patch for delta uploads.
+ * Run: node --test server/__tests__/syncPatch.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyContentPatch, applySidecarPatch } from '../utils/syncPatch.js';
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('applyContentPatch', () => {
+  it('applies non-overlapping edits in any order', () => {
+    const result = applyContentPatch('Hello world, again', [
+      { from: 11, to: 18, insert: '!' },
+      { from: 0, to: 5, insert: 'Goodbye' },
+    ]);
+    assert.deepEqual(result, { valid: true, content: 'Goodbye world!' });
+  });
+
+  it('treats a missing insert as a deletion and an empty patch as no change', () => {
+    assert.equal(applyContentPatch('abcdef', [{ from: 1, to: 3 }]).content, 'adef');
+    assert.equal(applyContentPatch('abcdef', []).content, 'abcdef');
+  });
+
+  it('rejects overlapping or out-of-range edits', () => {
+    assert.equal(applyContentPatch('abcdef', [{ from: 0, to: 3 }, { from: 2, to: 4 }]).valid, false);
+    assert.equal(applyContentPatch('abc', [{ from: 2, to: 9, insert: 'x' }]).valid, false);
+    assert.equal(applyContentPatch('abc', [{ from: 2, to: 1 }]).valid, false);
+    assert.equal(applyContentPatch('abc', { from: 0, to: 1 }).valid, false);
+  });
+});
+
+describe('applySidecarPatch', () => {
+  const base = {
+    version: 1,
+    content: { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'one' }] }] },
+  };
+
+  it('applies add, replace, remove, move and copy without touching the base', () => {
+    const result = applySidecarPatch(base, [
+      { op: 'replace', path: '/content/content/0/content/0/text', value: 'uno' },
+      { op: 'add', path: '/content/content/-', value: { type: 'paragraph' } },
+      { op: 'copy', from: '/version', path: '/meta~1version' },
+      { op: 'move', from: '/content/content/1', path: '/content/content/0' },
+      { op: 'remove', path: '/version' },
+      { op: 'test', path: '/meta~1version', value: 1 },
+    ]);
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.sidecar, {
+      'meta/version': 1,
+      content: {
+        type: 'doc',
+        content: [{ type: 'paragraph' }, { type: 'paragraph', content: [{ type: 'text', text: 'uno' }] }],
+      },
+    });
+    assert.equal(base.content.content[0].content[0].text, 'one');
+    assert.equal(base.version, 1);
+  });
+
+  it('rejects failed tests, missing paths and prototype keys', () => {
+    assert.equal(applySidecarPatch(base, [{ op: 'test', path: '/version', value: 2 }]).valid, false);
+    assert.equal(applySidecarPatch(base, [{ op: 'remove', path: '/missing' }]).valid, false);
+    assert.equal(applySidecarPatch(base, [{ op: 'add', path: '/__proto__/polluted', value: true }]).valid, false);
+    assert.equal(applySidecarPatch(base, [{ op: 'replace', path: '', value: [] }]).valid, false);
+    assert.equal({}.polluted, undefined);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Sync Patch Upload Route Tests
+ *
+ * Verifies delta uploads through POST /api/sync/documents: a patch against the
+ * current version is applied, and a stale base or a result that doesn't match
+ * the declared hash answers 409 with fullUploadRequired, leaving the document
+ * untouched.
+ * Run: node --test server/__tests__/syncPatchUpload.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+let db;
+let storage;
+let server;
+let baseUrl;
+let token;
+
+const USER_ID = 1;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+async function upload(body) {
+  const response = await fetch(`${baseUrl}/api/sync/documents`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function currentRow(path) {
+  return db.prepare('SELECT version FROM sync_documents WHERE user_id = ? AND path = ?').get(USER_ID, path);
+}
+
+async function createDocument(path, content) {
+  const { status, body } = await upload({ path, content, sidecar: { title: 'Draft' } });
+  assert.equal(status, 200);
+  return body.document;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('sync patch uploads', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'sync-patch-test-secret';
+    db = (await import('../db/index.js')).default;
+    storage = (await import('../services/storageService.js')).default;
+    const { generateAccessToken } = await import('../services/tokenService.js');
+    const { default: syncRouter } = await import('../routes/sync.js');
+
+    db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(USER_ID, 'owner@example.com', 'x');
+    db.prepare("INSERT INTO subscriptions (user_id, tier, status) VALUES (?, 'premium', 'active')").run(USER_ID);
+    token = generateAccessToken(USER_ID);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sync', syncRouter);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server?.close();
+  });
+
+  it('applies a patch against the current version', async () => {
+    const document = await createDocument('notes/patched.md', '# Plan\n\nShip on Monday.');
+    const expected = '# Plan\n\nShip on Friday.';
+
+    const { status, body } = await upload({
+      path: 'notes/patched.md',
+      baseVersion: document.version,
+      patch: {
+        content: [{ from: 16, to: 22, insert: 'Friday' }],
+        sidecar: [{ op: 'replace', path: '/title', value: 'Final' }],
+      },
+      contentHash: storage.hashContent(expected),
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.document.version, document.version + 1);
+    assert.equal(body.document.contentHash, storage.hashContent(expected));
+
+    const stored = await storage.downloadDocument(USER_ID, document.id);
+    assert.equal(stored.content, expected);
+    assert.equal(stored.sidecar.title, 'Final');
+  });
+
+  it('asks for a full upload when the base version is not current', async () => {
+    const document = await createDocument('notes/stale.md', 'First draft of the note.');
+    await upload({ path: 'notes/stale.md', content: 'Second draft of the note.', sidecar: {} });
+
+    const { status, body } = await upload({
+      path: 'notes/stale.md',
+      baseVersion: document.version,
+      patch: { content: [{ from: 0, to: 5, insert: 'Final' }] },
+      contentHash: storage.hashContent('Final draft of the note.'),
+    });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body, {
+      error: 'Patch base version is not the current version',
+      code: 'PATCH_BASE_MISMATCH',
+      fullUploadRequired: true,
+    });
+    assert.equal(currentRow('notes/stale.md').version, document.version + 1);
+  });
+
+  it('asks for a full upload when the stored base does not match its hash', async () => {
+    const document = await createDocument('notes/moved.md', 'Content the client patched.');
+    db.prepare("UPDATE sync_documents SET content_hash = 'other' WHERE id = ?").run(document.id);
+
+    const { status, body } = await upload({
+      path: 'notes/moved.md',
+      baseVersion: document.version,
+      patch: { content: [{ from: 0, to: 7, insert: 'Text' }] },
+      contentHash: storage.hashContent('Text the client patched.'),
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'PATCH_BASE_UNAVAILABLE');
+    assert.equal(body.fullUploadRequired, true);
+  });
+
+  it('asks for a full upload when the patched result does not match the declared hash', async () => {
+    const document = await createDocument('notes/drift.md', 'Meeting at ten.');
+
+    const { status, body } = await upload({
+      path: 'notes/drift.md',
+      baseVersion: document.version,
+      patch: { content: [{ from: 11, to: 14, insert: 'noon' }] },
+      contentHash: storage.hashContent('Meeting at eleven.'),
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'PATCH_HASH_MISMATCH');
+    assert.equal(body.fullUploadRequired, true);
+
+    const row = currentRow('notes/drift.md');
+    assert.equal(row.version, document.version);
+    assert.equal((await storage.downloadDocument(USER_ID, document.id)).content, 'Meeting at ten.');
+  });
+});
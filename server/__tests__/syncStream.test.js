@@ -0,0 +1,115 @@
+/**
+ * Sync Stream Tests
+ *
+ * Verifies that document changes reach the owner's sync SSE stream, and only theirs.
+ * Run: node --test server/__tests__/syncStream.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+
+let db;
+let server;
+let baseUrl;
+let ownerToken;
+let otherToken;
+
+const streams = [];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function createUser(id, email) {
+  db.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)').run(id, email, 'x');
+  db.prepare("INSERT INTO subscriptions (user_id, tier, status) VALUES (?, 'premium', 'active')").run(id);
+}
+
+function openStream(token) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get(`${baseUrl}/api/sync/stream?token=${token}`, (res) => {
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        for (const line of chunk.split('\n')) {
+          if (line.startsWith('data: ')) events.push(JSON.parse(line.slice(6)));
+        }
+        if (events.length === 1) resolve({ status: res.statusCode, events });
+      });
+    });
+    req.on('error', reject);
+    streams.push(req);
+  });
+}
+
+async function call(method, path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body),
+  });
+  return response.json();
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('sync stream', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'sync-stream-test-secret';
+    db = (await import('../db/index.js')).default;
+    const { generateAccessToken } = await import('../services/tokenService.js');
+    const { default: syncRouter } = await import('../routes/sync.js');
+
+    createUser(1, 'owner@example.com');
+    createUser(2, 'other@example.com');
+    ownerToken = generateAccessToken(1);
+    otherToken = generateAccessToken(2);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sync', syncRouter);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    for (const req of streams) req.destroy();
+    server?.close();
+  });
+
+  it('pushes uploads, renames and deletes to the owner only', async () => {
+    const owner = await openStream(ownerToken);
+    const other = await openStream(otherToken);
+    assert.equal(owner.status, 200);
+    assert.deepEqual(owner.events, [{ type: 'connected' }]);
+
+    const { document } = await call('POST', '/api/sync/documents', ownerToken, {
+      path: 'notes/today.md',
+      content: '# Today',
+      sidecar: {},
+    });
+    await call('PATCH', `/api/sync/documents/${document.id}`, ownerToken, { path: 'notes/yesterday.md' });
+    await call('DELETE', `/api/sync/documents/${document.id}`, ownerToken);
+
+    await waitFor(() => owner.events.length === 4);
+    assert.deepEqual(owner.events.slice(1).map(({ type, data }) => [type, data.path, data.deleted]), [
+      ['document-changed', 'notes/today.md', false],
+      ['document-changed', 'notes/yesterday.md', false],
+      ['document-changed', 'notes/yesterday.md', true],
+    ]);
+    assert.equal(owner.events[1].data.id, document.id);
+    assert.equal(owner.events[1].data.version, 1);
+    assert.equal(owner.events[1].data.contentHash, document.contentHash);
+    assert.equal(owner.events[2].data.previousPath, 'notes/today.md');
+    assert.deepEqual(other.events, [{ type: 'connected' }]);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Team LLM Budget Tests
+ *
+ * Verifies attribution of requests about team documents, pooled team budgets
+ * and member caps (tokens and cents), and the admin usage report, where
+ * cache hits and failures are counted apart from requests.
+ * Run: node --test server/__tests__/teamBudgets.test.js
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let db;
+let llm;
+let quotaManager;
+let teamBudgets;
+let localProvider;
+
+const OWNER_ID = 1;
+const MEMBER_ID = 2;
+const OUTSIDER_ID = 3;
+const TEAM_ID = 'team-1';
+const TEAM_DOC = 'doc-team';
+const MODEL = 'team-test-model';
+const MONTH = new Date().toISOString().slice(0, 7);
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const fakeClient = {
+  chat: {
+    completions: {
+      async create() {
+        return {
+          id: 'resp',
+          choices: [{ message: { content: 'ok' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 60, completion_tokens: 40, total_tokens: 100 },
+        };
+      },
+    },
+  },
+};
+
+function ask(userId, teamId = null) {
+  return llm.chat({
+    userId,
+    provider: 'local',
+    model: MODEL,
+    messages: [{ role: 'user', content: 'Summarize this document' }],
+    teamId,
+  });
+}
+
+function personalBillable(userId) {
+  const row = db.prepare('SELECT billable_tokens FROM llm_usage_monthly WHERE user_id = ? AND month = ?').get(userId, MONTH);
+  return row?.billable_tokens || 0;
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('team llm budgets', () => {
+  before(async () => {
+    process.env.DB_PATH = ':memory:';
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LOCAL_LLM_MODELS = MODEL;
+
+    db = (await import('../db/index.js')).default;
+    llm = await import('../services/llm/index.js');
+    quotaManager = await import('../services/llm/quotaManager.js');
+    teamBudgets = await import('../services/llm/teamBudgets.js');
+    localProvider = await import('../services/llm/localProvider.js');
+    localProvider.__private.setClientForTests(fakeClient);
+
+    const insertUser = db.prepare('INSERT INTO users (id, email, password_hash, display_name) VALUES (?, ?, ?, ?)');
+    insertUser.run(OWNER_ID, 'owner@example.com', 'x', 'Owner');
+    insertUser.run(MEMBER_ID, 'member@example.com', 'x', 'Member');
+    insertUser.run(OUTSIDER_ID, 'outsider@example.com', 'x', 'Outsider');
+
+    db.prepare("INSERT INTO teams (id, name, slug, owner_id) VALUES (?, 'Docs', 'docs', ?)").run(TEAM_ID, OWNER_ID);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('m1', ?, ?, 'owner')").run(TEAM_ID, OWNER_ID);
+    db.prepare("INSERT INTO team_members (id, team_id, user_id, role) VALUES ('m2', ?, ?, 'member')").run(TEAM_ID, MEMBER_ID);
+    db.prepare(`
+      INSERT INTO sync_documents (id, user_id, path, content_hash, sidecar_hash, version, size_bytes)
+      VALUES (?, ?, 'team/spec.md', 'c1', 's1', 1, 10)
+    `).run(TEAM_DOC, OWNER_ID);
+    db.prepare("INSERT INTO team_documents (id, team_id, document_id, added_by) VALUES ('td1', ?, ?, ?)").run(TEAM_ID, TEAM_DOC, OWNER_ID);
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM llm_usage').run();
+    db.prepare('DELETE FROM llm_usage_monthly').run();
+    db.prepare('DELETE FROM team_llm_budgets').run();
+    db.prepare('DELETE FROM team_llm_member_caps').run();
+  });
+
+  it('attributes team documents only for team members', () => {
+    assert.equal(teamBudgets.resolveTeamForDocument(MEMBER_ID, TEAM_DOC), TEAM_ID);
+    assert.equal(teamBudgets.resolveTeamForDocument(OUTSIDER_ID, TEAM_DOC), null);
+    assert.equal(teamBudgets.resolveTeamForDocument(MEMBER_ID, 'other-doc'), null);
+    assert.equal(teamBudgets.resolveTeamForDocument(MEMBER_ID, null), null);
+  });
+
+  it('pools team usage once a budget is set', async () => {
+    // No budget: attributed to the team but billed personally
+    await ask(MEMBER_ID, TEAM_ID);
+    assert.equal(personalBillable(MEMBER_ID), 100);
+    assert.equal(db.prepare('SELECT team_id FROM llm_usage').get().team_id, TEAM_ID);
+
+    teamBudgets.setTeamBudget(TEAM_ID, { monthlyTokenLimit: 250 }, OWNER_ID);
+    await ask(MEMBER_ID, TEAM_ID);
+    assert.equal(personalBillable(MEMBER_ID), 100);
+
+    const quota = await quotaManager.checkQuota(MEMBER_ID, TEAM_ID);
+    assert.equal(quota.scope, 'team');
+    assert.equal(quota.tier, 'free');
+    assert.equal(quota.used, 200);
+    assert.equal(quota.remaining, 50);
+    assert.equal(quota.allowed, true);
+
+    await ask(OWNER_ID, TEAM_ID);
+    await assert.rejects(ask(MEMBER_ID, TEAM_ID), (error) => {
+      assert.equal(error.code, 'QUOTA_EXCEEDED');
+      assert.equal(error.quota.exceeded, 'team_tokens');
+      return true;
+    });
+
+    // Personal requests are unaffected by the team budget
+    await ask(MEMBER_ID);
+    assert.equal(personalBillable(MEMBER_ID), 200);
+  });
+
+  it('enforces member caps and cost limits', async () => {
+    teamBudgets.setMemberCap(TEAM_ID, MEMBER_ID, { monthlyTokenLimit: 100 }, OWNER_ID);
+    await ask(MEMBER_ID, TEAM_ID);
+    await assert.rejects(ask(MEMBER_ID, TEAM_ID), (error) => error.quota?.exceeded === 'member_tokens');
+    // The owner has no cap and the team no budget
+    await ask(OWNER_ID, TEAM_ID);
+    assert.equal(personalBillable(OWNER_ID), 100);
+
+    // $0.15/1M in, $0.60/1M out: 1M + 1M tokens ≈ 75 cents
+    await quotaManager.trackUsage(OWNER_ID, 'openai', 'gpt-5-mini', {
+      promptTokens: 1_000_000, completionTokens: 1_000_000, totalTokens: 2_000_000,
+    }, 'chat', null, null, null, TEAM_ID);
+    teamBudgets.setTeamBudget(TEAM_ID, { monthlyCostLimitCents: 50 }, OWNER_ID);
+
+    const quota = await quotaManager.checkQuota(OWNER_ID, TEAM_ID);
+    assert.equal(quota.allowed, false);
+    assert.equal(quota.exceeded, 'team_cost');
+    assert.equal(quota.costUsedCents, 75);
+
+    teamBudgets.setTeamBudget(TEAM_ID, { monthlyCostLimitCents: null }, OWNER_ID);
+    assert.equal(teamBudgets.getTeamBudget(TEAM_ID), null);
+    assert.equal((await quotaManager.checkQuota(OWNER_ID, TEAM_ID)).scope, undefined);
+  });
+
+  it('reports usage by member and model for admins', async () => {
+    teamBudgets.setTeamBudget(TEAM_ID, { monthlyTokenLimit: 10_000 }, OWNER_ID);
+    teamBudgets.setMemberCap(TEAM_ID, MEMBER_ID, { monthlyCostLimitCents: 500 }, OWNER_ID);
+    await ask(MEMBER_ID, TEAM_ID);
+    await ask(MEMBER_ID, TEAM_ID);
+    await quotaManager.trackUsage(OWNER_ID, 'openai', 'gpt-5-mini', {
+      promptTokens: 1_000_000, completionTokens: 0, totalTokens: 1_000_000,
+    }, 'compaction', null, null, null, TEAM_ID);
+    await ask(OUTSIDER_ID);
+
+    const report = teamBudgets.getTeamUsageReport(TEAM_ID);
+    assert.equal(report.month, MONTH);
+    assert.deepEqual(report.budget, { monthlyTokenLimit: 10_000, monthlyCostLimitCents: null });
+    assert.deepEqual(report.totals, { requestCount: 3, cacheHits: 0, errors: 0, totalTokens: 1_000_200, billableTokens: 200, costCents: 15 });
+
+    const [owner, member] = report.members;
+    assert.equal(owner.userId, OWNER_ID);
+    assert.equal(owner.cap, null);
+    assert.equal(member.email, 'member@example.com');
+    assert.deepEqual(member.cap, { monthlyTokenLimit: null, monthlyCostLimitCents: 500 });
+    assert.deepEqual(member.usage, { requestCount: 2, cacheHits: 0, errors: 0, totalTokens: 200, billableTokens: 200, costCents: 0 });
+
+    assert.deepEqual(report.byModel.map((row) => `${row.provider}:${row.model}`), ['openai:gpt-5-mini', `local:${MODEL}`]);
+    assert.equal(report.daily.length, 1);
+    assert.equal(teamBudgets.getTeamUsageReport(TEAM_ID, '2020-01').totals.requestCount, 0);
+  });
+
+  it('counts cache hits and failed requests apart from requests', async () => {
+    await ask(MEMBER_ID, TEAM_ID);
+    await quotaManager.trackCacheHit(MEMBER_ID, 'local', MODEL, 'chat', null, null, null, TEAM_ID);
+    await quotaManager.trackFailure(MEMBER_ID, 'local', MODEL, { status: 503 }, 'chat', null, null, null, TEAM_ID);
+
+    const counts = ({ requestCount, cacheHits, errors }) => ({ requestCount, cacheHits, errors });
+    const report = teamBudgets.getTeamUsageReport(TEAM_ID);
+    assert.deepEqual(counts(report.totals), { requestCount: 1, cacheHits: 1, errors: 1 });
+    assert.deepEqual(counts(report.members.find((member) => member.userId === MEMBER_ID).usage), { requestCount: 1, cacheHits: 1, errors: 1 });
+    assert.deepEqual(counts(report.daily[0]), { requestCount: 1, cacheHits: 1, errors: 1 });
+    assert.equal(teamBudgets.getTeamMonthlyUsage(TEAM_ID, { userId: MEMBER_ID }).requestCount, 1);
+  });
+});
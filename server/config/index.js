@@ -45,6 +45,88 @@ function parsePositiveIntegerEnv(name, defaultValue) {
   return parsed;
 }
 
+// LOCAL_LLM_MODELS: comma-separated model IDs (served at LOCAL_LLM_TIER), or a
+// JSON array of { id, name?, tier?, contextWindow?, maxOutput? }
+function parseLocalModelsEnv() {
+  const raw = process.env.LOCAL_LLM_MODELS?.trim();
+  if (!raw) return [];
+  const defaultTier = process.env.LOCAL_LLM_TIER?.trim().toLowerCase() || 'free';
+
+  let entries;
+  try {
+    entries = raw.startsWith('[') ? JSON.parse(raw) : raw.split(',');
+  } catch {
+    console.warn('[Config] LOCAL_LLM_MODELS is not valid JSON, ignoring');
+    return [];
+  }
+
+  return entries
+    .map((entry) => (typeof entry === 'string' ? { id: entry.trim() } : entry))
+    .filter((entry) => entry && typeof entry.id === 'string' && entry.id)
+    .map((entry) => ({
+      id: entry.id,
+      name: entry.name || entry.id,
+      tier: entry.tier || defaultTier,
+      contextWindow: entry.contextWindow || 32768,
+      maxOutput: entry.maxOutput || 4096,
+    }));
+}
+
+// Fallback chains: LLM_FALLBACK_CHAINS="anthropic=openai,gemini;openai=anthropic"
+// (providers missing from the variable keep their default chain)
+const DEFAULT_FALLBACK_CHAINS = {
+  anthropic: ['openai', 'gemini'],
+  openai: ['anthropic', 'gemini'],
+  gemini: ['openai', 'anthropic'],
+  kimi: ['openai', 'anthropic'],
+  // Self-hosted deployments must never spill documents to a hosted provider
+  local: [],
+};
+
+function parseFallbackChainsEnv() {
+  const chains = { ...DEFAULT_FALLBACK_CHAINS };
+  const raw = process.env.LLM_FALLBACK_CHAINS?.trim();
+  if (!raw) return chains;
+
+  for (const entry of raw.split(';')) {
+    const [provider, fallbacks = ''] = entry.split('=').map((part) => part.trim().toLowerCase());
+    if (!provider) continue;
+    chains[provider] = fallbacks
+      .split(',')
+      .map((name) => name.trim())
+      .filter((name) => name && name !== provider);
+  }
+  return chains;
+}
+
+// Response cache TTLs: LLM_RESPONSE_CACHE_TTLS="inline-edit=60,chat=10" (minutes).
+// Request types without a TTL are never cached.
+const DEFAULT_RESPONSE_CACHE_TTLS = {
+  'inline-edit': 60,
+  workflow: 30,
+  chat: 10,
+};
+
+function parseResponseCacheTtlsEnv() {
+  const ttls = { ...DEFAULT_RESPONSE_CACHE_TTLS };
+  const raw = process.env.LLM_RESPONSE_CACHE_TTLS?.trim();
+  if (!raw) return ttls;
+
+  for (const entry of raw.split(',')) {
+    const [requestType, minutes] = entry.split('=').map((part) => part.trim());
+    if (!requestType) continue;
+    const parsed = Number.parseInt(minutes, 10);
+    if (Number.isFinite(parsed) && parsed > 0) ttls[requestType] = parsed;
+    else delete ttls[requestType];
+  }
+  return ttls;
+}
+
+function parseSimilarityEnv(name, defaultValue) {
+  const parsed = Number.parseFloat(process.env[name]);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= 1 ? parsed : defaultValue;
+}
+
 const legacyAttachmentValidationEnabled = parseBooleanEnv('LLM_ATTACHMENT_VALIDATION_ENABLED', true);
 const defaultAttachmentValidationMode = legacyAttachmentValidationEnabled ? 'strict' : 'off';
 const strictValidationFlagMode = parseMultimodalStrictValidationEnv(defaultAttachmentValidationMode);
@@ -154,6 +236,32 @@ export const CONFIG = {
     },
   },
 
+  // Server-side RAG (services/ragService.js)
+  rag: {
+    // Approximate nearest-neighbour (IVF) index for the vector half of search
+    ann: {
+      enabled: parseBooleanEnv('RAG_ANN_ENABLED', true),
+      // Below this many chunks exact search is fast enough and no index is built
+      minChunks: parsePositiveIntegerEnv('RAG_ANN_MIN_CHUNKS', 2000),
+      maxLists: 256,
+      // Lists scanned per query (more lists: better recall, slower queries)
+      probes: parsePositiveIntegerEnv('RAG_ANN_PROBES', 12),
+      trainingIterations: 8,
+      trainingSamplesPerList: 40,
+      // Retrain once the chunk count has grown or shrunk by this factor since the last build
+      rebuildFactor: 2,
+    },
+    // Background re-indexing of documents changed by sync (services/ragIndexQueue.js)
+    queue: {
+      concurrency: parsePositiveIntegerEnv('RAG_INDEX_CONCURRENCY', 2),
+      maxAttempts: 5,
+      retryBaseMs: 30 * 1000, // Doubles with each failed attempt
+      retryMaxMs: 30 * 60 * 1000,
+      busyRetryMs: 10 * 1000, // When a full re-index is already running for the user
+      pollIntervalMs: 15 * 1000,
+    },
+  },
+
   // Session / Cookie settings
   session: {
     cookieName: 'midlight_session',
@@ -175,7 +283,62 @@ export const CONFIG = {
   // LLM Provider settings
   llm: {
     defaultProvider: 'anthropic',
+    // Retries per provider for transient errors, done by failover.js (the SDK clients don't retry)
     maxRetries: 2,
+    // Retry transient provider errors, then fall back along the provider's chain.
+    // Off by default: fallbacks send prompts and documents to another vendor
+    failover: {
+      enabled: parseBooleanEnv('LLM_FAILOVER_ENABLED', false),
+      chains: parseFallbackChainsEnv(),
+      retryBaseDelayMs: 250,
+      retryMaxDelayMs: 4000,
+      // Open a provider's breaker when at least half of its recent requests fail
+      breaker: {
+        windowMs: 60 * 1000,
+        minRequests: 5,
+        errorRateThreshold: 0.5,
+        cooldownMs: 30 * 1000,
+      },
+    },
+    // Server-side agent loop (POST /api/llm/agent)
+    agent: {
+      maxSteps: parsePositiveIntegerEnv('LLM_AGENT_MAX_STEPS', 8),
+      maxTotalTokens: parsePositiveIntegerEnv('LLM_AGENT_MAX_TOTAL_TOKENS', 100000),
+      // Tool output beyond this is truncated before it goes back to the model
+      toolResultMaxChars: 12000,
+    },
+    // Stored conversations replayed into chat (conversationId on /api/llm/chat)
+    conversations: {
+      // Compact older turns into a summary once history passes this share of the context window
+      compactAtRatio: 0.75,
+      // Most recent messages always replayed verbatim
+      keepRecentMessages: 6,
+      maxMessagesPerRequest: 50,
+    },
+    // Resumable SSE generations (/api/llm/streams/:id)
+    streams: {
+      // Finished streams stay resumable this long
+      retentionMs: 5 * 60 * 1000,
+      // Generation is cancelled if no client reattaches within this window
+      detachedTimeoutMs: parsePositiveIntegerEnv('LLM_STREAM_DETACHED_TIMEOUT_MS', 60 * 1000),
+      maxBufferedBytes: 2 * 1024 * 1024,
+    },
+    // Opt-in cache of chat responses, keyed on provider, model, messages and temperature
+    responseCache: {
+      enabled: parseBooleanEnv('LLM_RESPONSE_CACHE_ENABLED', false),
+      ttlMinutes: parseResponseCacheTtlsEnv(),
+      // Near-duplicate prompts match when their embeddings are at least this similar
+      semantic: {
+        enabled: parseBooleanEnv('LLM_RESPONSE_CACHE_SEMANTIC', false),
+        minSimilarity: parseSimilarityEnv('LLM_RESPONSE_CACHE_MIN_SIMILARITY', 0.97),
+        maxCandidates: 200,
+      },
+    },
+    // Embedding backend for RAG and /api/llm/embed: auto|openai|gemini|local|hash
+    embeddings: {
+      provider: process.env.LLM_EMBEDDINGS_PROVIDER?.trim().toLowerCase() || 'auto',
+      hashDimensions: parsePositiveIntegerEnv('LLM_HASH_EMBEDDING_DIMENSIONS', 256),
+    },
     guardrails: {
       attachmentValidation: legacyAttachmentValidationEnabled,
       attachmentValidationMode: parseAttachmentValidationModeEnv(
@@ -202,6 +365,14 @@ export const CONFIG = {
         defaultModel: 'gpt-4-turbo-preview',
         maxTokens: 4096,
       },
+      // Self-hosted OpenAI-compatible server (Ollama, llama.cpp, vLLM)
+      local: {
+        baseUrl: process.env.LOCAL_LLM_BASE_URL?.trim() || null,
+        apiKey: process.env.LOCAL_LLM_API_KEY || null,
+        models: parseLocalModelsEnv(),
+        embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL?.trim() || null,
+        timeoutMs: parsePositiveIntegerEnv('LOCAL_LLM_TIMEOUT_MS', 120000),
+      },
     },
   },
 
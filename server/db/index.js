@@ -1008,6 +1008,124 @@ function runMigrations() {
         console.log('Migration: Added mobile notification delivery failure fields');
       }
     },
+    // Record which embedding model produced each RAG chunk
+    {
+      name: 'add_embedding_model_to_rag_chunks',
+      check: () => {
+        const columns = db.prepare("PRAGMA table_info(rag_chunks)").all();
+        return columns.length === 0 || columns.some((column) => column.name === 'embedding_model');
+      },
+      run: () => {
+        // Every chunk indexed so far came from OpenAI
+        db.exec(`
+          ALTER TABLE rag_chunks ADD COLUMN embedding_model TEXT;
+          UPDATE rag_chunks SET embedding_model = 'openai:text-embedding-3-small' WHERE embedding_model IS NULL;
+        `);
+        console.log('Migration: Added embedding_model to rag_chunks table');
+      }
+    },
+    // Flag llm_usage rows served from the response cache
+    {
+      name: 'add_cache_hit_to_llm_usage',
+      check: () => {
+        const cols = db.prepare("PRAGMA table_info(llm_usage)").all();
+        return cols.length === 0 || cols.some(c => c.name === 'cache_hit');
+      },
+      run: () => {
+        db.exec("ALTER TABLE llm_usage ADD COLUMN cache_hit INTEGER NOT NULL DEFAULT 0");
+        console.log('Migration: Added cache_hit to llm_usage table');
+      }
+    },
+    {
+      name: 'add_team_id_to_llm_usage',
+      check: () => {
+        const cols = db.prepare("PRAGMA table_info(llm_usage)").all();
+        return cols.length === 0 || cols.some(c => c.name === 'team_id');
+      },
+      run: () => {
+        db.exec("ALTER TABLE llm_usage ADD COLUMN team_id TEXT");
+        console.log('Migration: Added team_id to llm_usage table');
+      }
+    },
+    // Latency and failed attempts, for prompt experiment reports
+    {
+      name: 'add_latency_and_error_to_llm_usage',
+      check: () => {
+        const cols = db.prepare("PRAGMA table_info(llm_usage)").all();
+        return cols.length === 0 || cols.some(c => c.name === 'latency_ms');
+      },
+      run: () => {
+        db.exec("ALTER TABLE llm_usage ADD COLUMN latency_ms INTEGER");
+        db.exec("ALTER TABLE llm_usage ADD COLUMN error_code TEXT");
+        console.log('Migration: Added latency_ms and error_code to llm_usage table');
+      }
+    },
+    // IVF list assignment for the RAG vector index
+    {
+      name: 'add_ann_list_to_rag_chunks',
+      check: () => {
+        const cols = db.prepare("PRAGMA table_info(rag_chunks)").all();
+        return cols.length === 0 || cols.some(c => c.name === 'ann_list');
+      },
+      run: () => {
+        db.exec("ALTER TABLE rag_chunks ADD COLUMN ann_list INTEGER");
+        console.log('Migration: Added ann_list to rag_chunks table');
+      }
+    },
+    // Key RAG chunks per user, so a team or shared document can be in several users' indexes.
+    // SQLite can't change constraints in place: rebuild the table, keeping rowids for rag_chunks_fts.
+    {
+      name: 'scope_rag_chunks_to_user',
+      check: () => {
+        const table = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='rag_chunks'").get();
+        return !table || table.sql.includes('UNIQUE(user_id, document_id, chunk_index)');
+      },
+      run: () => {
+        db.transaction(() => {
+          db.exec(`
+            CREATE TABLE rag_chunks_rebuild (
+              id TEXT NOT NULL,
+              user_id INTEGER NOT NULL,
+              document_id TEXT NOT NULL,
+              document_path TEXT NOT NULL,
+              chunk_index INTEGER NOT NULL,
+              content TEXT NOT NULL,
+              heading TEXT,
+              embedding BLOB NOT NULL,
+              token_estimate INTEGER NOT NULL DEFAULT 0,
+              embedding_model TEXT,
+              ann_list INTEGER,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              PRIMARY KEY (user_id, id),
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+              UNIQUE(user_id, document_id, chunk_index)
+            );
+            INSERT INTO rag_chunks_rebuild
+              (rowid, id, user_id, document_id, document_path, chunk_index, content, heading,
+               embedding, token_estimate, embedding_model, ann_list, created_at)
+            SELECT rowid, id, user_id, document_id, document_path, chunk_index, content, heading,
+                   embedding, token_estimate, embedding_model, ann_list, created_at
+            FROM rag_chunks;
+            DROP TABLE rag_chunks;
+            ALTER TABLE rag_chunks_rebuild RENAME TO rag_chunks;
+          `);
+        })();
+        console.log('Migration: Rebuilt rag_chunks with per-user chunk keys');
+      }
+    },
+    // Structure-aware chunking: chunk metadata, and the chunker version so older indexes are rebuilt
+    {
+      name: 'add_chunk_metadata_to_rag',
+      check: () => {
+        const cols = db.prepare("PRAGMA table_info(rag_indexed_documents)").all();
+        return cols.length === 0 || cols.some(c => c.name === 'chunker_version');
+      },
+      run: () => {
+        db.exec("ALTER TABLE rag_chunks ADD COLUMN metadata TEXT");
+        db.exec("ALTER TABLE rag_indexed_documents ADD COLUMN chunker_version INTEGER");
+        console.log('Migration: Added metadata to rag_chunks and chunker_version to rag_indexed_documents');
+      }
+    },
   ];
 
   for (const migration of migrations) {
@@ -159,6 +159,12 @@ CREATE TABLE IF NOT EXISTS llm_usage (
   request_type TEXT,                     -- 'chat', 'inline_edit', 'agent'
   effort_lane TEXT,                      -- 'quick', 'think', 'write', 'manual', 'inline_edit', 'compaction', 'classification'
   search_count INTEGER DEFAULT 0,        -- Number of web searches executed
+  prompt_version TEXT,
+  prompt_variant TEXT,
+  cache_hit INTEGER NOT NULL DEFAULT 0,  -- 1 = served from llm_response_cache (zero tokens, not billed)
+  team_id TEXT,                          -- Team the request was attributed to (request about a team document)
+  latency_ms INTEGER,                    -- Wall time of the provider call (stream: until the last chunk)
+  error_code TEXT,                       -- Set on failed attempts (zero tokens, not billed)
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
@@ -166,6 +172,7 @@ CREATE TABLE IF NOT EXISTS llm_usage (
 CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage(user_id);
 CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
 CREATE INDEX IF NOT EXISTS idx_llm_usage_user_month ON llm_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_team_month ON llm_usage(team_id, created_at);
 
 -- Monthly Usage Rollup (for faster quota checks)
 CREATE TABLE IF NOT EXISTS llm_usage_monthly (
@@ -479,7 +486,7 @@ CREATE TABLE IF NOT EXISTS sync_operations (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id INTEGER NOT NULL,
   document_id TEXT,
-  operation TEXT NOT NULL,                  -- 'upload', 'download', 'delete', 'conflict'
+  operation TEXT NOT NULL,                  -- 'upload', 'download', 'delete', 'rename', 'conflict'
   path TEXT,
   size_bytes INTEGER DEFAULT 0,
   success INTEGER DEFAULT 1,
@@ -510,6 +517,28 @@ CREATE TABLE IF NOT EXISTS search_cache (
 CREATE INDEX IF NOT EXISTS idx_search_cache_hash ON search_cache(query_hash);
 CREATE INDEX IF NOT EXISTS idx_search_cache_expires ON search_cache(expires_at);
 
+-- LLM response cache (opt-in, see CONFIG.llm.responseCache)
+-- Scoped per user so near-duplicate matching never crosses accounts
+CREATE TABLE IF NOT EXISTS llm_response_cache (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cache_key TEXT UNIQUE NOT NULL,         -- SHA-256 of user, provider, model, temperature, messages (first 32 chars)
+  user_id INTEGER NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  temperature REAL NOT NULL,
+  request_type TEXT NOT NULL,
+  response TEXT NOT NULL,                 -- JSON: content, thinkingContent, finishReason, usage
+  embedding BLOB,                         -- Prompt embedding (Float32) for near-duplicate matching
+  embedding_model TEXT,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_response_cache_lookup ON llm_response_cache(user_id, provider, model, request_type, expires_at);
+CREATE INDEX IF NOT EXISTS idx_llm_response_cache_expires ON llm_response_cache(expires_at);
+
 -- Search usage tracking (detailed per-request records)
 -- Follows same pattern as llm_usage table
 CREATE TABLE IF NOT EXISTS search_usage (
@@ -542,6 +571,50 @@ CREATE TABLE IF NOT EXISTS search_usage_monthly (
 
 CREATE INDEX IF NOT EXISTS idx_search_usage_monthly_user ON search_usage_monthly(user_id, month);
 
+-- ============================================================================
+-- CONVERSATIONS (server-side chat history)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  title TEXT,
+  title_source TEXT,                      -- 'user' or 'generated'; generated titles may be replaced
+  document_id TEXT,                       -- Linked document (optional)
+  provider TEXT,                          -- Last provider/model used
+  model TEXT,
+  summary TEXT,                           -- Compacted summary of messages up to summary_through_seq
+  summary_through_seq INTEGER NOT NULL DEFAULT 0,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_message_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (document_id) REFERENCES sync_documents(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_conversations_document ON conversations(document_id);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL,
+  seq INTEGER NOT NULL,                   -- 1-based position in the conversation
+  role TEXT NOT NULL,                     -- 'system', 'user', 'assistant', 'tool'
+  content TEXT NOT NULL DEFAULT '',
+  tool_calls TEXT,                        -- JSON array (assistant messages)
+  tool_call_id TEXT,                      -- tool messages
+  provider TEXT,                          -- assistant messages: who answered
+  model TEXT,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+  UNIQUE(conversation_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, seq);
+
 -- ============================================================================
 -- SKILLS MARKETPLACE SYSTEM
 -- ============================================================================
@@ -674,22 +747,49 @@ CREATE INDEX IF NOT EXISTS idx_user_private_skills_user ON user_private_skills(u
 
 -- RAG Chunks (embedded document fragments)
 CREATE TABLE IF NOT EXISTS rag_chunks (
-  id TEXT PRIMARY KEY,                    -- "{user_id}:{doc_id}:{chunk_index}"
-  user_id INTEGER NOT NULL,
+  id TEXT NOT NULL,                       -- "chunk_{hash}" of doc ID, chunk index and content
+  user_id INTEGER NOT NULL,               -- Whose index this is; shared documents are indexed once per user
   document_id TEXT NOT NULL,
   document_path TEXT NOT NULL,
   chunk_index INTEGER NOT NULL,
   content TEXT NOT NULL,
   heading TEXT,
+  metadata TEXT,                         -- JSON: heading path, block types, source offsets (see services/ragChunker.js)
   embedding BLOB NOT NULL,               -- Float32 little-endian bytes
   token_estimate INTEGER NOT NULL DEFAULT 0,
+  embedding_model TEXT,                  -- "{provider}:{model}"; vectors only compare within a model
+  ann_list INTEGER,                      -- IVF list (rag_ann_centroids.list_id); NULL = not yet assigned
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, id),
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-  UNIQUE(document_id, chunk_index)
+  UNIQUE(user_id, document_id, chunk_index)
 );
 
 CREATE INDEX IF NOT EXISTS idx_rag_chunks_user ON rag_chunks(user_id);
 CREATE INDEX IF NOT EXISTS idx_rag_chunks_document ON rag_chunks(document_id);
+CREATE INDEX IF NOT EXISTS idx_rag_chunks_user_model ON rag_chunks(user_id, embedding_model);
+CREATE INDEX IF NOT EXISTS idx_rag_chunks_ann_list ON rag_chunks(user_id, embedding_model, ann_list);
+
+-- IVF vector index per user and embedding model (see services/ragVectorIndex.js)
+CREATE TABLE IF NOT EXISTS rag_ann_indexes (
+  user_id INTEGER NOT NULL,
+  embedding_model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  list_count INTEGER NOT NULL,
+  trained_chunks INTEGER NOT NULL,       -- Chunk count at the last (re)build
+  built_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, embedding_model),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS rag_ann_centroids (
+  user_id INTEGER NOT NULL,
+  embedding_model TEXT NOT NULL,
+  list_id INTEGER NOT NULL,
+  centroid BLOB NOT NULL,                -- Float32 little-endian bytes, unit length
+  PRIMARY KEY (user_id, embedding_model, list_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
 
 -- FTS5 virtual table for BM25 text search
 CREATE VIRTUAL TABLE IF NOT EXISTS rag_chunks_fts USING fts5(
@@ -707,6 +807,7 @@ CREATE TABLE IF NOT EXISTS rag_indexed_documents (
   document_id TEXT NOT NULL,
   document_path TEXT NOT NULL,
   content_hash TEXT NOT NULL,             -- Compare against sync_documents.content_hash
+  chunker_version INTEGER,                -- ragChunker.js CHUNKER_VERSION the chunks were made with
   chunk_count INTEGER NOT NULL DEFAULT 0,
   total_chars INTEGER NOT NULL DEFAULT 0,
   indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -715,6 +816,24 @@ CREATE TABLE IF NOT EXISTS rag_indexed_documents (
 
 CREATE INDEX IF NOT EXISTS idx_rag_indexed_documents_user ON rag_indexed_documents(user_id);
 
+-- Background RAG indexing jobs: a document to bring up to date in one user's index
+CREATE TABLE IF NOT EXISTS rag_index_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  document_id TEXT NOT NULL,
+  reason TEXT NOT NULL,                   -- 'upload' | 'delete' | 'conflict' | 'merge'
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'running' | 'failed' (done jobs are deleted)
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_index_jobs_pending ON rag_index_jobs(user_id, document_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_rag_index_jobs_due ON rag_index_jobs(status, run_after);
+
 -- Prompt A/B Testing Variants
 CREATE TABLE IF NOT EXISTS prompt_variants (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -744,6 +863,34 @@ CREATE TABLE IF NOT EXISTS user_variant_assignments (
 
 CREATE INDEX IF NOT EXISTS idx_user_variant_assignments_user ON user_variant_assignments(user_id);
 
+-- Prompt Experiment State (experiments without a row are running)
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+  name TEXT PRIMARY KEY,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'running',  -- 'running', 'paused'
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Thumbs up/down on LLM responses
+CREATE TABLE IF NOT EXISTS llm_feedback (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  rating INTEGER NOT NULL,               -- 1 = thumbs up, -1 = thumbs down
+  comment TEXT,
+  request_type TEXT,
+  prompt_version TEXT,
+  prompt_variant TEXT,
+  conversation_message_id TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_feedback_variant ON llm_feedback(prompt_variant, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_llm_feedback_message ON llm_feedback(user_id, conversation_message_id)
+  WHERE conversation_message_id IS NOT NULL;
+
 -- ============================================================================
 -- DOCUMENT SHARING SYSTEM
 -- ============================================================================
@@ -984,6 +1131,31 @@ CREATE TABLE IF NOT EXISTS team_documents (
 CREATE INDEX IF NOT EXISTS idx_team_documents_team ON team_documents(team_id);
 CREATE INDEX IF NOT EXISTS idx_team_documents_document ON team_documents(document_id);
 
+-- Team LLM budgets: monthly pool for usage on team documents. NULL limit = no cap.
+CREATE TABLE IF NOT EXISTS team_llm_budgets (
+  team_id TEXT PRIMARY KEY,
+  monthly_token_limit INTEGER,
+  monthly_cost_limit_cents INTEGER,
+  updated_by INTEGER,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Per-member caps within a team's budget, set by team admins
+CREATE TABLE IF NOT EXISTS team_llm_member_caps (
+  team_id TEXT NOT NULL,
+  user_id INTEGER NOT NULL,
+  monthly_token_limit INTEGER,
+  monthly_cost_limit_cents INTEGER,
+  updated_by INTEGER,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, user_id),
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- ============================================================================
 -- VERSION BRANCHES
 -- ============================================================================
@@ -1047,3 +1219,14 @@ CREATE TABLE IF NOT EXISTS yjs_documents (
 );
 
 CREATE INDEX IF NOT EXISTS idx_yjs_documents_updated ON yjs_documents(updated_at);
+
+-- Collab message bus (SQLite adapter): Y.js updates and awareness fanned out
+-- between collab-server processes. Rows are short-lived and pruned by each node.
+CREATE TABLE IF NOT EXISTS collab_bus_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  channel TEXT NOT NULL,
+  payload BLOB NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_collab_bus_messages_created ON collab_bus_messages(created_at);
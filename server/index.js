@@ -29,11 +29,15 @@ import suggestionsRouter from './routes/suggestions.js';
 import activityRouter from './routes/activity.js';
 import notificationsRouter from './routes/notifications.js';
 import teamsRouter from './routes/teams.js';
+import conversationsRouter from './routes/conversations.js';
 import branchesRouter from './routes/branches.js';
+import sectionLocksRouter from './routes/sectionLocks.js';
+import presenceRouter from './routes/presence.js';
 import { adminLimiter } from './middleware/rateLimiters.js';
 import { configurePassport } from './config/passport.js';
 import db from './db/index.js';
 import { startCleanupService } from './services/cleanupService.js';
+import { startRagIndexWorker } from './services/ragIndexQueue.js';
 import { getProviderStatus } from './services/llm/index.js';
 import { countStaleMobileDevices, pruneStaleMobileDevices } from './services/mobileDeviceService.js';
 import {
@@ -95,7 +99,10 @@ const corsOptions = {
     'X-Midlight-App-Version',
     'X-Midlight-Build-Channel',
     'X-Midlight-Network-State',
-  ]
+    'Last-Event-ID',
+  ],
+  // Resumable LLM streams report their ID in a header
+  exposedHeaders: ['X-Stream-Id'],
 };
 
 // Middleware
@@ -116,6 +123,8 @@ app.use('/api/stripe-webhook', express.raw({ type: 'application/json' }), stripe
 // Route-specific body size limits (order matters - specific routes before general)
 // LLM requests can be larger (conversations with long context)
 app.use('/api/llm', express.json({ limit: CONFIG.requestLimits.llm }));
+// Stored conversations can be appended in bulk
+app.use('/api/conversations', express.json({ limit: CONFIG.requestLimits.llm }));
 // Error reports can be moderately large (stack traces, context)
 app.use('/api/error-report', express.json({ limit: CONFIG.requestLimits.errorReport }));
 // Sync requests can include full document content
@@ -194,7 +203,10 @@ app.use('/api/suggestions', conditionalCsrf);
 app.use('/api/activity', conditionalCsrf);
 app.use('/api/notifications', conditionalCsrf);
 app.use('/api/teams', conditionalCsrf);
+app.use('/api/conversations', conditionalCsrf);
 app.use('/api/branches', conditionalCsrf);
+app.use('/api/section-locks', conditionalCsrf);
+app.use('/api/presence', conditionalCsrf);
 app.use('/api/rag', conditionalCsrf);
 
 // CSRF token endpoint for web clients
@@ -322,7 +334,10 @@ app.use('/api/suggestions', suggestionsRouter);
 app.use('/api/activity', activityRouter);
 app.use('/api/notifications', notificationsRouter);
 app.use('/api/teams', teamsRouter);
+app.use('/api/conversations', conversationsRouter);
 app.use('/api/branches', branchesRouter);
+app.use('/api/section-locks', sectionLocksRouter);
+app.use('/api/presence', presenceRouter);
 app.use('/api/marketplace', marketplaceRouter);
 app.use('/api/rag', ragRouter);
 app.use('/api/prompts', promptsRouter);
@@ -404,6 +419,9 @@ server.listen(PORT, () => {
   // Start consolidated cleanup service (expired tokens, sessions, old audit data)
   startCleanupService();
 
+  // Re-index documents changed by sync in the background
+  startRagIndexWorker();
+
   // Prune stale mobile push registrations
   runStartupMobileDeviceMaintenance();
 
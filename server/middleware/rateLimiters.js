@@ -1,4 +1,4 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { MemoryStore } from 'express-rate-limit';
 import { createHash } from 'crypto';
 import db from '../db/index.js';
 
@@ -50,6 +50,31 @@ export const exchangeLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Page fetches: POST /api/llm/fetch-page and the agent's fetch_page tool
+// share one per-user budget
+const PAGE_FETCH_LIMIT = {
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+};
+const pageFetchStore = new MemoryStore();
+
+export const fetchPageLimiter = rateLimit({
+  ...PAGE_FETCH_LIMIT,
+  store: pageFetchStore,
+  message: { error: 'Too many page fetch requests. Max 10 per minute.' },
+  keyGenerator: (req) => req.user.id.toString()
+});
+
+/**
+ * Count a page fetch made outside the route (the agent's fetch_page tool)
+ * @param {number} userId
+ * @returns {Promise<boolean>} Whether the fetch is within the user's limit
+ */
+export async function consumePageFetch(userId) {
+  const { totalHits } = await pageFetchStore.increment(userId.toString());
+  return totalHits <= PAGE_FETCH_LIMIT.max;
+}
+
 // ============================================================================
 // Password Change Rate Limiting (database-backed, per-user)
 // ============================================================================
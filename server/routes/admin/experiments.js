@@ -0,0 +1,308 @@
+import express from 'express';
+import db from '../../db/index.js';
+import { logger } from '../../utils/logger.js';
+import {
+  EXPERIMENT_STATUSES,
+  addVariant,
+  createExperiment,
+  deleteExperiment,
+  getExperiment,
+  getExperimentReport,
+  listExperiments,
+  updateExperiment,
+  updateVariant,
+} from '../../services/promptExperiments.js';
+
+const router = express.Router();
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+const MAX_WEIGHT = 1000;
+
+function isValidWeight(weight) {
+  return Number.isInteger(weight) && weight >= 0 && weight <= MAX_WEIGHT;
+}
+
+/**
+ * Validate a variant body. With `partial`, fields are only checked when present.
+ * @returns {string|null} error message
+ */
+function validateVariant(variant, { partial = false } = {}) {
+  if (!variant || typeof variant !== 'object') return 'Variant must be an object';
+  const { key, text, version, weight, isActive } = variant;
+
+  if (!partial && (typeof key !== 'string' || !NAME_PATTERN.test(key))) {
+    return 'Variant key must be 1-64 letters, digits, "_", "-" or "."';
+  }
+  if ((!partial || text !== undefined) && (typeof text !== 'string' || !text.trim())) {
+    return 'Variant text is required';
+  }
+  if ((!partial || version !== undefined) && (typeof version !== 'string' || !version.trim())) {
+    return 'Variant version is required';
+  }
+  if (weight !== undefined && !isValidWeight(weight)) {
+    return `weight must be an integer between 0 and ${MAX_WEIGHT}`;
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+  return null;
+}
+
+function pickVariant({ key, text, version, weight, isActive }) {
+  return { key, text, version, weight, isActive };
+}
+
+/**
+ * GET /api/admin/experiments
+ * All prompt experiments with their variants and assignment counts
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ experiments: listExperiments() });
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error listing prompt experiments');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/experiments
+ * Create an experiment: { name, sectionName, description?, variants: [{ key, text, version, weight?, isActive? }] }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { name, sectionName, description, variants } = req.body;
+
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'name must be 1-64 letters, digits, "_", "-" or "."' });
+    }
+    if (typeof sectionName !== 'string' || !sectionName) {
+      return res.status(400).json({ error: 'sectionName is required' });
+    }
+    if (description != null && typeof description !== 'string') {
+      return res.status(400).json({ error: 'description must be a string' });
+    }
+    if (!Array.isArray(variants) || variants.length === 0) {
+      return res.status(400).json({ error: 'variants must be a non-empty array' });
+    }
+    for (const variant of variants) {
+      const message = validateVariant(variant);
+      if (message) return res.status(400).json({ error: message });
+    }
+    if (new Set(variants.map((v) => v.key)).size !== variants.length) {
+      return res.status(400).json({ error: 'Variant keys must be unique' });
+    }
+
+    const experiment = createExperiment({
+      name,
+      sectionName,
+      description: description || null,
+      variants: variants.map(pickVariant),
+    });
+
+    logger.info({ experiment: name, sectionName, variants: variants.length }, 'Prompt experiment created');
+
+    res.status(201).json({ experiment });
+  } catch (err) {
+    if (err.code === 'UNKNOWN_SECTION') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 'EXPERIMENT_EXISTS') {
+      return res.status(409).json({ error: err.message });
+    }
+    logger.error({ error: err?.message || err }, 'Error creating prompt experiment');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/experiments/:name
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const experiment = getExperiment(req.params.name);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.json({ experiment });
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error getting prompt experiment');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/admin/experiments/:name
+ * Update description, or pause/resume with status 'paused' | 'running'.
+ * Paused experiments serve the base prompt but keep user assignments.
+ */
+router.patch('/:name', (req, res) => {
+  try {
+    const { description, status } = req.body;
+
+    if (description === undefined && status === undefined) {
+      return res.status(400).json({ error: 'No updates provided' });
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({ error: 'description must be a string' });
+    }
+    if (status !== undefined && !EXPERIMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const experiment = updateExperiment(req.params.name, { description, status });
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    logger.info({ experiment: req.params.name, status }, 'Prompt experiment updated');
+
+    res.json({ experiment });
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error updating prompt experiment');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/experiments/:name
+ * Remove the experiment's variants and assignments (usage history is kept)
+ */
+router.delete('/:name', (req, res) => {
+  try {
+    if (!deleteExperiment(req.params.name)) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    logger.info({ experiment: req.params.name }, 'Prompt experiment deleted');
+
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error deleting prompt experiment');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/experiments/:name/variants
+ * Add a variant: { key, text, version, weight?, isActive? }
+ */
+router.post('/:name/variants', (req, res) => {
+  try {
+    const message = validateVariant(req.body);
+    if (message) {
+      return res.status(400).json({ error: message });
+    }
+
+    const experiment = addVariant(req.params.name, pickVariant(req.body));
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    logger.info({ experiment: req.params.name, variant: req.body.key }, 'Prompt variant added');
+
+    res.status(201).json({ experiment });
+  } catch (err) {
+    if (err.code === 'VARIANT_EXISTS') {
+      return res.status(409).json({ error: err.message });
+    }
+    logger.error({ error: err?.message || err }, 'Error adding prompt variant');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/admin/experiments/:name/variants/:key
+ * Edit a variant's text, version, weight or isActive
+ */
+router.patch('/:name/variants/:key', (req, res) => {
+  try {
+    const { text, version, weight, isActive } = req.body;
+
+    if ([text, version, weight, isActive].every((value) => value === undefined)) {
+      return res.status(400).json({ error: 'No updates provided' });
+    }
+    const message = validateVariant(req.body, { partial: true });
+    if (message) {
+      return res.status(400).json({ error: message });
+    }
+
+    const experiment = updateVariant(req.params.name, req.params.key, { text, version, weight, isActive });
+    if (!experiment) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    logger.info({ experiment: req.params.name, variant: req.params.key, weight, isActive }, 'Prompt variant updated');
+
+    res.json({ experiment });
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error updating prompt variant');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/experiments/:name/weights
+ * Reweight several variants at once: { weights: { [variantKey]: number } }
+ */
+router.put('/:name/weights', (req, res) => {
+  try {
+    const { weights } = req.body;
+
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+      return res.status(400).json({ error: 'weights must be an object of variant key to weight' });
+    }
+    if (!Object.values(weights).every(isValidWeight)) {
+      return res.status(400).json({ error: `Weights must be integers between 0 and ${MAX_WEIGHT}` });
+    }
+
+    const experiment = getExperiment(req.params.name);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    const unknown = Object.keys(weights).filter((key) => !experiment.variants.some((v) => v.key === key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown variant: ${unknown[0]}` });
+    }
+
+    db.transaction(() => {
+      for (const [key, weight] of Object.entries(weights)) {
+        updateVariant(req.params.name, key, { weight });
+      }
+    })();
+
+    logger.info({ experiment: req.params.name, weights }, 'Prompt experiment reweighted');
+
+    res.json({ experiment: getExperiment(req.params.name) });
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error reweighting prompt experiment');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/experiments/:name/report?since=&until=
+ * Compare variants on tokens, latency, error rate and user feedback
+ */
+router.get('/:name/report', (req, res) => {
+  try {
+    const { since, until } = req.query;
+    for (const value of [since, until]) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: 'since and until must be ISO 8601 dates' });
+      }
+    }
+
+    const report = getExperimentReport(req.params.name, { since, until });
+    if (!report) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(report);
+  } catch (err) {
+    logger.error({ error: err?.message || err }, 'Error building prompt experiment report');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -4,6 +4,7 @@ import usageRouter from './usage.js';
 import usersRouter from './users.js';
 import subscriptionsRouter from './subscriptions.js';
 import searchRouter from './search.js';
+import experimentsRouter from './experiments.js';
 import systemRouter from './system.js';
 import sourcemapsRouter from './sourcemaps.js';
 import testHelpersRouter from './test-helpers.js';
@@ -15,6 +16,7 @@ router.use('/usage', usageRouter);
 router.use('/users', usersRouter);
 router.use('/subscriptions', subscriptionsRouter);
 router.use('/search', searchRouter);
+router.use('/experiments', experimentsRouter);
 router.use('/system', systemRouter);
 router.use('/sourcemaps', sourcemapsRouter);
 router.use('/test', testHelpersRouter);
@@ -9,10 +9,21 @@ import crypto from 'crypto';
 import { requireAuth } from '../middleware/auth.js';
 import { resolveDocumentAccess } from '../middleware/shareAuth.js';
 import db from '../db/index.js';
+import storage from '../services/storageService.js';
+import { mergeDocumentContent } from '../services/documentMerge.js';
+import { diffDocumentContent } from '../services/documentDiff.js';
+import { broadcastSyncChange, logSyncOperation } from '../services/syncChanges.js';
+import { enqueueDocumentIndexing } from '../services/ragIndexQueue.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
 
+// API-facing side names → merge engine resolutions (main is "ours", the branch is "theirs")
+const SIDE_TO_MERGE_RESOLUTION = { main: 'ours', branch: 'theirs', both: 'both' };
+
+// Comparable document states: main, a branch, or a sync_versions checkpoint
+const CONTENT_REF_PATTERN = /^(main|branch:[^:\s]+|version:[^:\s]+)$/;
+
 /**
  * GET /:docId — List branches for a document
  */
@@ -94,6 +105,35 @@ router.post('/:docId', requireAuth, resolveDocumentAccess, (req, res) => {
   }
 });
 
+/**
+ * GET /:docId/compare?from=<ref>&to=<ref> — Semantic diff between two document states
+ *
+ * Refs: 'main', 'branch:<branchId>' or 'version:<versionId>'.
+ * NOTE: Must be defined BEFORE /:docId/:branchId so "compare" isn't taken as a branch ID.
+ */
+router.get('/:docId/compare', requireAuth, resolveDocumentAccess, async (req, res) => {
+  const { from, to } = req.query;
+  if (typeof from !== 'string' || !CONTENT_REF_PATTERN.test(from)
+    || typeof to !== 'string' || !CONTENT_REF_PATTERN.test(to)) {
+    return res.status(400).json({ error: "from and to must be 'main', 'branch:<id>' or 'version:<id>'" });
+  }
+
+  try {
+    const doc = db.prepare('SELECT id, user_id FROM sync_documents WHERE id = ?').get(req.params.docId);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const fromContent = await loadRefContent(doc, from);
+    if (!fromContent) return res.status(404).json({ error: `Unknown ref: ${from}` });
+    const toContent = await loadRefContent(doc, to);
+    if (!toContent) return res.status(404).json({ error: `Unknown ref: ${to}` });
+
+    res.json({ from, to, ...diffDocumentContent(fromContent, toContent) });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to compare document versions');
+    res.status(500).json({ error: 'Failed to get diff' });
+  }
+});
+
 /**
  * GET /:docId/:branchId — Get branch details with content
  */
@@ -145,13 +185,29 @@ router.delete('/:docId/:branchId', requireAuth, resolveDocumentAccess, (req, res
 });
 
 /**
- * POST /:docId/:branchId/merge — Merge branch back to main
+ * POST /:docId/:branchId/merge — Three-way merge of a branch back into main
+ *
+ * Body (all optional):
+ *   resolutions — { [conflictId]: 'main' | 'branch' | 'both' }
+ *   strategy    — 'main' | 'branch', applied to conflicts without a resolution
+ *   dryRun      — true to preview the merge without writing it
+ *
+ * Responds 409 with the conflict list when conflicts remain unresolved.
  */
-router.post('/:docId/:branchId/merge', requireAuth, resolveDocumentAccess, (req, res) => {
+router.post('/:docId/:branchId/merge', requireAuth, resolveDocumentAccess, async (req, res) => {
   if (req.docPermission !== 'owner' && req.docPermission !== 'edit') {
     return res.status(403).json({ error: 'Edit access required' });
   }
 
+  const { resolutions = {}, strategy = null, dryRun = false } = req.body || {};
+  if (strategy !== null && !SIDE_TO_MERGE_RESOLUTION[strategy]) {
+    return res.status(400).json({ error: "strategy must be 'main' or 'branch'" });
+  }
+  if (typeof resolutions !== 'object' || resolutions === null || Array.isArray(resolutions)
+    || Object.values(resolutions).some((value) => !SIDE_TO_MERGE_RESOLUTION[value])) {
+    return res.status(400).json({ error: "resolutions must map conflict IDs to 'main', 'branch' or 'both'" });
+  }
+
   const branch = db.prepare(
     'SELECT * FROM document_branches WHERE id = ? AND document_id = ?'
   ).get(req.params.branchId, req.params.docId);
@@ -168,19 +224,75 @@ router.post('/:docId/:branchId/merge', requireAuth, resolveDocumentAccess, (req,
   }
 
   try {
-    // Atomic merge: update content and mark branch merged in a single transaction
+    const doc = db.prepare(
+      'SELECT id, user_id, path, version, content_hash FROM sync_documents WHERE id = ?'
+    ).get(req.params.docId);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const theirs = { content: branchContent.content, sidecar: parseSidecar(branchContent.sidecar) };
+    const ours = await storage.downloadDocument(doc.user_id, doc.id);
+    const base = await loadMergeBase(branch);
+
+    // Fast-forward when main has nothing to lose: no stored content, or unchanged since the fork
+    const fastForward = !ours || doc.content_hash === branch.base_content_hash;
+
+    const result = fastForward
+      ? { format: null, content: theirs.content, sidecar: theirs.sidecar || {}, conflicts: [] }
+      : mergeDocumentContent({ base, ours, theirs }, {
+        resolutions: Object.fromEntries(
+          Object.entries(resolutions).map(([id, side]) => [id, SIDE_TO_MERGE_RESOLUTION[side]])
+        ),
+        strategy: strategy ? SIDE_TO_MERGE_RESOLUTION[strategy] : null,
+      });
+
+    const summary = {
+      fastForward,
+      baseAvailable: !!base,
+      format: result.format,
+      conflicts: result.conflicts.map(formatConflict),
+    };
+
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({ error: 'Merge has unresolved conflicts', code: 'MERGE_CONFLICT', ...summary });
+    }
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, ...summary, content: result.content, sidecar: result.sidecar });
+    }
+
+    // Main may have moved while we downloaded and merged — make the client retry
+    const current = db.prepare('SELECT version FROM sync_documents WHERE id = ?').get(doc.id);
+    if (!current || current.version !== doc.version) {
+      return res.status(409).json({ error: 'Document changed during merge, please retry', code: 'MERGE_STALE' });
+    }
+
+    // Upload first (optimistic, outside transaction), then commit metadata atomically
+    const upload = await storage.uploadDocument(doc.user_id, doc.id, result.content, result.sidecar);
+
     const mergeTx = db.transaction(() => {
-      db.prepare(
-        "UPDATE sync_document_content SET content = ?, sidecar = ?, updated_at = datetime('now') WHERE document_id = ?"
-      ).run(branchContent.content, branchContent.sidecar, req.params.docId);
+      db.prepare(`
+        UPDATE sync_documents SET
+          content_hash = ?, sidecar_hash = ?, size_bytes = ?,
+          version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(upload.contentHash, upload.sidecarHash, upload.sizeBytes, doc.id);
 
       db.prepare(
         "UPDATE document_branches SET status = 'merged', merged_at = datetime('now'), merged_by = ? WHERE id = ?"
       ).run(req.user.id, req.params.branchId);
+
+      logSyncOperation(doc.user_id, doc.id, 'upload', doc.path, upload.sizeBytes, true);
+
+      return db.prepare('SELECT version FROM sync_documents WHERE id = ?').get(doc.id).version;
     });
-    mergeTx();
+    const version = mergeTx();
+    broadcastSyncChange(doc.user_id, doc.id);
+    enqueueDocumentIndexing(doc.id, 'merge');
 
-    res.json({ success: true });
+    res.json({
+      success: true,
+      ...summary,
+      document: { id: doc.id, version, contentHash: upload.contentHash },
+    });
   } catch (err) {
     logger.error({ error: err.message }, 'Failed to merge branch');
     res.status(500).json({ error: 'Failed to merge branch' });
@@ -188,27 +300,118 @@ router.post('/:docId/:branchId/merge', requireAuth, resolveDocumentAccess, (req,
 });
 
 /**
- * GET /:docId/:branchId/diff — Get diff between branch and main
+ * GET /:docId/:branchId/diff — Get diff between main and branch
+ *
+ * Returns both raw contents plus the semantic diff (main → branch).
  */
-router.get('/:docId/:branchId/diff', requireAuth, resolveDocumentAccess, (req, res) => {
+router.get('/:docId/:branchId/diff', requireAuth, resolveDocumentAccess, async (req, res) => {
   try {
+    const branch = db.prepare(
+      'SELECT id FROM document_branches WHERE id = ? AND document_id = ?'
+    ).get(req.params.branchId, req.params.docId);
+    if (!branch) return res.status(404).json({ error: 'Branch not found' });
+
     const branchContent = db.prepare(
       'SELECT content, sidecar FROM document_branch_content WHERE branch_id = ?'
     ).get(req.params.branchId);
 
-    const mainContent = db.prepare(
-      'SELECT content, sidecar FROM sync_document_content WHERE document_id = ? LIMIT 1'
-    ).get(req.params.docId);
+    const doc = db.prepare('SELECT id, user_id FROM sync_documents WHERE id = ?').get(req.params.docId);
+    const mainContent = doc ? await storage.downloadDocument(doc.user_id, doc.id) : null;
+
+    const diff = diffDocumentContent(
+      mainContent,
+      branchContent ? { content: branchContent.content, sidecar: parseSidecar(branchContent.sidecar) } : null
+    );
 
     res.json({
       branch: branchContent ? { content: branchContent.content, sidecar: branchContent.sidecar } : null,
-      main: mainContent ? { content: mainContent.content, sidecar: mainContent.sidecar } : null,
+      main: mainContent ? { content: mainContent.content, sidecar: JSON.stringify(mainContent.sidecar) } : null,
+      ...diff,
     });
   } catch (err) {
+    logger.error({ error: err.message }, 'Failed to diff branch');
     res.status(500).json({ error: 'Failed to get diff' });
   }
 });
 
+/**
+ * Load stored content for a compare ref. Main and branches without content
+ * compare as empty; returns null when the branch or checkpoint doesn't
+ * belong to this document.
+ */
+async function loadRefContent(doc, ref) {
+  const empty = { content: '', sidecar: null };
+
+  if (ref === 'main') {
+    const main = await storage.downloadDocument(doc.user_id, doc.id);
+    return main ? { content: main.content, sidecar: main.sidecar } : empty;
+  }
+
+  const [kind, id] = ref.split(':');
+  if (kind === 'branch') {
+    const branch = db.prepare(
+      'SELECT id FROM document_branches WHERE id = ? AND document_id = ?'
+    ).get(id, doc.id);
+    if (!branch) return null;
+
+    const content = db.prepare(
+      'SELECT content, sidecar FROM document_branch_content WHERE branch_id = ?'
+    ).get(id);
+    return content ? { content: content.content, sidecar: parseSidecar(content.sidecar) } : empty;
+  }
+
+  const version = db.prepare(
+    'SELECT id, user_id FROM sync_versions WHERE id = ? AND document_id = ?'
+  ).get(id, doc.id);
+  if (!version) return null;
+
+  const content = await storage.downloadVersionContent(version.user_id, version.id);
+  return content ? { content: content.content, sidecar: parseSidecar(content.sidecar) } : empty;
+}
+
+/**
+ * Load the branch's fork point (sync_versions checkpoint) as the merge ancestor.
+ * Returns null when the checkpoint or its content is unavailable.
+ */
+async function loadMergeBase(branch) {
+  const version = db.prepare(
+    'SELECT id, user_id, content_hash FROM sync_versions WHERE id = ? AND document_id = ?'
+  ).get(branch.base_version_id, branch.document_id);
+  if (!version) return null;
+
+  const content = await storage.downloadVersionContent(version.user_id, version.id);
+  if (!content) return null;
+
+  if (content.contentHash !== branch.base_content_hash && version.content_hash !== branch.base_content_hash) {
+    logger.warn(
+      { branchId: branch.id, versionId: version.id },
+      'Branch base hash does not match checkpoint content; merging against checkpoint anyway'
+    );
+  }
+
+  return { content: content.content, sidecar: parseSidecar(content.sidecar) };
+}
+
+function parseSidecar(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function formatConflict(conflict) {
+  return {
+    id: conflict.id,
+    path: conflict.path,
+    base: conflict.base,
+    main: conflict.ours,
+    branch: conflict.theirs,
+  };
+}
+
 function formatBranch(row) {
   return {
     id: row.id,
@@ -0,0 +1,238 @@
+/**
+ * Conversations Routes
+ *
+ * Server-side chat history: CRUD, search, document linking and title
+ * generation. Chatting on a stored conversation goes through
+ * POST /api/llm/chat with a conversationId.
+ */
+
+import { Router } from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { requireAuth, attachSubscription } from '../middleware/auth.js';
+import { getDocumentPermission } from '../middleware/shareAuth.js';
+import { isModelAllowed } from '../services/llm/index.js';
+import {
+  appendMessages,
+  createConversation,
+  deleteConversation,
+  formatConversation,
+  formatMessage,
+  generateTitle,
+  getConversation,
+  getMessages,
+  listConversations,
+  updateConversation,
+} from '../services/conversationService.js';
+import CONFIG from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+router.use(requireAuth);
+router.use(attachSubscription);
+
+const MESSAGE_ROLES = ['user', 'assistant', 'tool'];
+
+const messagesValidation = (optional) => [
+  (optional ? body('messages').optional() : body('messages'))
+    .isArray({ min: 1, max: CONFIG.llm.conversations.maxMessagesPerRequest })
+    .withMessage(`messages must be an array of 1-${CONFIG.llm.conversations.maxMessagesPerRequest} messages`),
+  body('messages.*.role').isIn(MESSAGE_ROLES).withMessage('Invalid message role'),
+  body('messages.*.content').custom((content) => typeof content === 'string' || Array.isArray(content))
+    .withMessage('Message content must be a string or an array of parts'),
+];
+
+function returnValidationErrorIfAny(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ error: errors.array()[0].msg, errors: errors.array() });
+  return true;
+}
+
+function canLinkDocument(userId, documentId) {
+  return documentId === null || !!getDocumentPermission(userId, documentId);
+}
+
+/**
+ * GET / — List conversations (paginated, optional search and document filter)
+ */
+router.get('/', [
+  query('q').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  query('documentId').optional().isString(),
+], (req, res) => {
+  if (returnValidationErrorIfAny(req, res)) return;
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const { conversations, total } = listConversations(req.user.id, {
+      query: req.query.q || null,
+      documentId: req.query.documentId || null,
+      limit,
+      offset,
+    });
+    res.json({ conversations, total, limit, offset });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list conversations');
+    res.status(500).json({ error: 'Failed to load conversations' });
+  }
+});
+
+/**
+ * POST / — Create a conversation, optionally with its first messages
+ */
+router.post('/', [
+  body('title').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('documentId').optional({ nullable: true }).isString(),
+  ...messagesValidation(true),
+], (req, res) => {
+  if (returnValidationErrorIfAny(req, res)) return;
+
+  const { title = null, documentId = null, messages = [] } = req.body;
+  if (!canLinkDocument(req.user.id, documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  try {
+    const conversation = createConversation(req.user.id, { title: title || null, documentId, messages });
+    res.status(201).json({ conversation: formatConversation(conversation) });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to create conversation');
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+/**
+ * GET /:id — Conversation with all its messages
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const conversation = getConversation(req.user.id, req.params.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    res.json({
+      conversation: formatConversation(conversation),
+      messages: getMessages(conversation.id).map(formatMessage),
+    });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to get conversation');
+    res.status(500).json({ error: 'Failed to load conversation' });
+  }
+});
+
+/**
+ * PATCH /:id — Rename, or link/unlink a document (documentId: null)
+ */
+router.patch('/:id', [
+  body('title').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('documentId').optional({ nullable: true }).isString(),
+], (req, res) => {
+  if (returnValidationErrorIfAny(req, res)) return;
+
+  const conversation = getConversation(req.user.id, req.params.id);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+  const { title, documentId } = req.body;
+  if (title === undefined && documentId === undefined) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+  if (documentId !== undefined && !canLinkDocument(req.user.id, documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  try {
+    const updated = updateConversation(req.user.id, conversation.id, {
+      title: title === undefined ? undefined : title || null,
+      documentId,
+    });
+    res.json({ conversation: formatConversation(updated) });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to update conversation');
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+/**
+ * DELETE /:id — Delete a conversation and its messages
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteConversation(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to delete conversation');
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+/**
+ * POST /:id/messages — Append messages produced elsewhere (e.g. client-side tool runs)
+ */
+router.post('/:id/messages', messagesValidation(false), (req, res) => {
+  if (returnValidationErrorIfAny(req, res)) return;
+
+  const conversation = getConversation(req.user.id, req.params.id);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+  try {
+    const rows = appendMessages(conversation.id, req.body.messages);
+    res.status(201).json({ messages: rows.map(formatMessage) });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to append conversation messages');
+    res.status(500).json({ error: 'Failed to save messages' });
+  }
+});
+
+/**
+ * POST /:id/title — (Re)generate the title from the opening messages
+ */
+router.post('/:id/title', [
+  body('provider').optional().isIn(['openai', 'anthropic', 'gemini', 'kimi', 'local']),
+  body('model').optional().isString().notEmpty(),
+], async (req, res) => {
+  if (returnValidationErrorIfAny(req, res)) return;
+
+  const conversation = getConversation(req.user.id, req.params.id);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+  const provider = req.body.provider || conversation.provider;
+  const model = req.body.model || conversation.model;
+  if (!provider || !model) {
+    return res.status(400).json({ error: 'Provider and model required' });
+  }
+
+  const userTier = req.subscription?.tier || 'free';
+  if (!isModelAllowed(model, userTier)) {
+    return res.status(403).json({
+      code: 'MODEL_NOT_ALLOWED',
+      error: 'Model not available for your subscription tier',
+      tier: userTier,
+      requestedModel: model,
+    });
+  }
+
+  try {
+    const title = await generateTitle({
+      userId: req.user.id,
+      conversationId: conversation.id,
+      provider,
+      model,
+      userTier,
+      force: true,
+    });
+    if (!title) return res.status(422).json({ error: 'Conversation has no messages to title' });
+
+    res.json({ conversation: formatConversation(getConversation(req.user.id, conversation.id)) });
+  } catch (err) {
+    if (err.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ code: 'QUOTA_EXCEEDED', error: 'Monthly quota exceeded', quota: err.quota });
+    }
+    logger.error({ error: err.message }, 'Failed to generate conversation title');
+    res.status(500).json({ error: 'Failed to generate title' });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import { body, validationResult } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 import { requireAuth, attachSubscription } from '../middleware/auth.js';
+import { fetchPageLimiter } from '../middleware/rateLimiters.js';
 import {
   chat,
   chatWithTools,
@@ -9,19 +10,41 @@ import {
   embed,
   getAvailableModels,
   isModelAllowed,
-  getProviderStatus
+  getProviderStatus,
+  getProviderBreakerStates
 } from '../services/llm/index.js';
 import { checkQuota, getUsageStats, getRateLimit } from '../services/llm/quotaManager.js';
+import { resolveTeamForDocument } from '../services/llm/teamBudgets.js';
+import {
+  buildConversationMessages,
+  getConversation,
+  saveExchange,
+  titleInBackground,
+} from '../services/conversationService.js';
+import { runAgent } from '../services/llm/agent.js';
+import { AGENT_TOOL_NAMES, getAgentTools, toToolDefinitions } from '../services/llm/agentTools.js';
 import {
   validateChatMessagesWithPolicy,
   resolveAttachmentValidationMode,
 } from '../services/llm/attachmentValidation.js';
-import { incrementGuardrailMetric } from '../services/llm/guardrailMetrics.js';
+import { isValidResponseSchema, normalizeResponseFormat } from '../services/llm/structuredOutput.js';
+import { getStreamSession } from '../services/llm/streamSessions.js';
+import {
+  abortSignalForResponse,
+  formatStreamErrorPayload,
+  openEventStream,
+  pipeStreamSession,
+  returnKnownLlmErrorIfAny,
+  startResumableStream,
+  writeStreamErrorAndEnd,
+} from '../services/llm/httpResponses.js';
+import { recordFeedback } from '../services/promptExperiments.js';
+import { fetchReadablePage } from '../services/pageFetcher.js';
+import { AppError } from '../middleware/errorHandler.js';
 import CONFIG from '../config/index.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
-const PAYLOAD_TOO_LARGE_MESSAGE = 'Request payload too large. Try fewer images or smaller files.';
 
 // Valid request types that clients can specify (prevents spoofing exempt types like 'classification'/'compaction')
 const VALID_REQUEST_TYPES = new Set(['chat', 'chat-with-tools', 'agent', 'inline-edit', 'workflow']);
@@ -62,87 +85,6 @@ function returnValidationErrorIfAny(req, res) {
   return true;
 }
 
-function returnKnownLlmErrorIfAny(res, error) {
-  if (error.code === 'INVALID_REQUEST') {
-    incrementGuardrailMetric('invalidRequestRejectHttp');
-    const message = error?.message || 'Invalid request';
-    logger.warn({ code: 'INVALID_REQUEST', message }, 'LLM request rejected');
-    res.status(400).json({
-      code: 'INVALID_REQUEST',
-      error: message,
-      message,
-    });
-    return true;
-  }
-
-  if (error.code === 'QUOTA_EXCEEDED') {
-    res.status(429).json({
-      code: 'QUOTA_EXCEEDED',
-      error: 'Monthly quota exceeded',
-      message: 'Monthly quota exceeded',
-      quota: error.quota,
-    });
-    return true;
-  }
-
-  if (error.code === 'PAYLOAD_TOO_LARGE') {
-    incrementGuardrailMetric('payloadRejectHttp');
-    logger.warn({ code: 'PAYLOAD_TOO_LARGE' }, 'LLM request rejected');
-    res.status(413).json({
-      code: 'PAYLOAD_TOO_LARGE',
-      error: PAYLOAD_TOO_LARGE_MESSAGE,
-      message: PAYLOAD_TOO_LARGE_MESSAGE,
-    });
-    return true;
-  }
-
-  return false;
-}
-
-function formatStreamErrorPayload(error, includeType = false) {
-  const base = includeType ? { type: 'error' } : {};
-
-  if (error.code === 'QUOTA_EXCEEDED') {
-    return {
-      ...base,
-      error: 'quota_exceeded',
-      quota: error.quota,
-    };
-  }
-
-  if (error.code === 'INVALID_REQUEST') {
-    incrementGuardrailMetric('invalidRequestRejectStream');
-    return {
-      ...base,
-      error: 'invalid_request',
-      message: error?.message || 'Invalid request',
-    };
-  }
-
-  if (error.code === 'PAYLOAD_TOO_LARGE') {
-    incrementGuardrailMetric('payloadRejectStream');
-    return {
-      ...base,
-      error: 'payload_too_large',
-      message: error?.message || PAYLOAD_TOO_LARGE_MESSAGE,
-    };
-  }
-
-  return {
-    ...base,
-    error: error?.message || String(error),
-  };
-}
-
-function writeStreamErrorAndEnd(res, error, includeType = false) {
-  if (error?.code === 'INVALID_REQUEST' || error?.code === 'PAYLOAD_TOO_LARGE') {
-    logger.warn({ code: error.code, stream: true }, 'LLM stream request rejected');
-  }
-  const streamError = formatStreamErrorPayload(error, includeType);
-  res.write(`data: ${JSON.stringify(streamError)}\n\n`);
-  res.end();
-}
-
 function normalizeRequestType(requestType) {
   if (typeof requestType !== 'string') return 'chat';
   const canonical = REQUEST_TYPE_ALIASES.get(requestType) || requestType;
@@ -163,7 +105,7 @@ function isAttachmentValidationStrict() {
 
 // Validation middleware
 const chatValidation = [
-  body('provider').isIn(['openai', 'anthropic', 'gemini', 'kimi']).withMessage('Invalid provider'),
+  body('provider').isIn(['openai', 'anthropic', 'gemini', 'kimi', 'local']).withMessage('Invalid provider'),
   body('model').notEmpty().withMessage('Model required'),
   body('messages').isArray({ min: 1 }).withMessage('Messages array required'),
   body('messages.*.role').isIn(['system', 'user', 'assistant', 'tool']).withMessage('Invalid message role'),
@@ -176,11 +118,26 @@ const chatValidation = [
   }),
   body('temperature').optional().isFloat({ min: 0, max: 2 }),
   body('maxTokens').optional().isInt({ min: 1, max: 32000 }),
-  body('stream').optional().isBoolean()
+  body('stream').optional().isBoolean(),
+  body('documentId').optional().isString()
+];
+
+// Optional JSON Schema for structured output (/chat and /workflow only)
+const responseSchemaValidation = [
+  body('responseSchema').optional()
+    .custom(isValidResponseSchema).withMessage('responseSchema must be a JSON Schema with type "object"')
+    .custom((_, { req }) => req.body.stream !== true && req.body.stream !== 'true')
+    .withMessage('responseSchema is not supported with stream'),
+  body('responseSchemaName').optional().isString().isLength({ max: 64 }),
+];
+
+// Chat on a stored conversation: messages are only the new turn (/chat only)
+const conversationValidation = [
+  body('conversationId').optional().isString().notEmpty(),
 ];
 
 // POST /api/llm/chat - Main chat endpoint
-router.post('/chat', chatValidation, async (req, res) => {
+router.post('/chat', chatValidation, responseSchemaValidation, conversationValidation, async (req, res) => {
   try {
     if (returnValidationErrorIfAny(req, res)) {
       return;
@@ -197,14 +154,25 @@ router.post('/chat', chatValidation, async (req, res) => {
       webSearchEnabled = false,
       effortLane = null,
       promptVersion = null,
-      promptVariant = null
+      promptVariant = null,
+      responseSchema = null,
+      responseSchemaName = null,
+      documentId = null,
+      conversationId = null
     } = req.body;
 
     // Validate requestType to prevent spoofing exempt billing types
     const normalizedRequestType = normalizeRequestType(requestType);
 
+    const conversation = conversationId ? getConversation(req.user.id, conversationId) : null;
+    if (conversationId && !conversation) {
+      return res.status(404).json({ code: 'CONVERSATION_NOT_FOUND', error: 'Conversation not found' });
+    }
+
     // Check if model is allowed for user's tier
     const userTier = req.subscription?.tier || 'free';
+    // Requests about a team document count against that team's budget
+    const teamId = resolveTeamForDocument(req.user.id, documentId || conversation?.document_id);
     if (!isModelAllowed(model, userTier)) {
       logger.warn({ model, userTier, userId: req.user.id }, 'Model not allowed for tier');
       return res.status(403).json({
@@ -215,67 +183,74 @@ router.post('/chat', chatValidation, async (req, res) => {
       });
     }
 
-    if (stream) {
-      // Server-Sent Events for streaming
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
-      res.flushHeaders();
-
-      // Abort LLM generation when client disconnects (saves tokens/money)
-      const abortController = new AbortController();
-      res.on('close', () => abortController.abort());
-
-      try {
-        const streamResponse = await chat({
-          userId: req.user.id,
-          provider,
-          model,
-          messages,
-          temperature,
-          maxTokens,
-          stream: true,
-          requestType: normalizedRequestType,
-          webSearchEnabled,
-          userTier,
-          effortLane,
-          promptVersion,
-          promptVariant,
-          signal: abortController.signal
-        });
+    // Replay stored history (compacted if it no longer fits) ahead of the new turn
+    const chatMessages = conversation
+      ? await buildConversationMessages({
+        userId: req.user.id, conversation, messages, provider, model, maxTokens, userTier, teamId
+      })
+      : messages;
+
+    const saveTurn = (reply) => {
+      saveExchange(conversation.id, messages, reply);
+      if (!conversation.title) {
+        titleInBackground({ userId: req.user.id, conversationId: conversation.id, userTier });
+      }
+    };
 
-        for await (const chunk of streamResponse) {
-          if (abortController.signal.aborted) break;
-          if (chunk.type === 'chunk') {
-            res.write(`data: ${JSON.stringify({ content: chunk.content })}\n\n`);
-          } else if (chunk.type === 'thinking') {
-            res.write(`data: ${JSON.stringify({ type: 'thinking', thinking: chunk.thinking })}\n\n`);
-          } else if (chunk.type === 'done') {
-            res.write(`data: ${JSON.stringify({
-              done: true,
-              usage: chunk.usage
-            })}\n\n`);
+    if (stream) {
+      // Server-Sent Events, resumable via /streams/:id
+      startResumableStream(req, res, {
+        kind: 'chat',
+        includeType: false,
+        produce: async (session) => {
+          const streamResponse = await chat({
+            userId: req.user.id,
+            provider,
+            model,
+            messages: chatMessages,
+            temperature,
+            maxTokens,
+            stream: true,
+            requestType: normalizedRequestType,
+            webSearchEnabled,
+            userTier,
+            effortLane,
+            promptVersion,
+            promptVariant,
+            teamId,
+            signal: session.signal
+          });
+
+          let content = '';
+          for await (const chunk of streamResponse) {
+            if (session.signal.aborted) break;
+            if (chunk.type === 'chunk') {
+              content += chunk.content || '';
+              session.push({ content: chunk.content });
+            } else if (chunk.type === 'thinking') {
+              session.push({ type: 'thinking', thinking: chunk.thinking });
+            } else if (chunk.type === 'done') {
+              // Only completed turns are stored, under the provider that answered
+              if (conversation) {
+                saveTurn({ content, provider: chunk.provider || provider, model: chunk.model || model, usage: chunk.usage });
+              }
+              session.push({
+                done: true,
+                usage: chunk.usage,
+                ...(chunk.cached && { cached: true }),
+                ...(conversation && { conversationId: conversation.id })
+              });
+            }
           }
         }
-
-        if (!abortController.signal.aborted) {
-          res.write('data: [DONE]\n\n');
-        }
-        res.end();
-      } catch (error) {
-        if (abortController.signal.aborted) {
-          return res.end();
-        }
-        writeStreamErrorAndEnd(res, error, false);
-      }
+      });
     } else {
       // Non-streaming response
       const response = await chat({
         userId: req.user.id,
         provider,
         model,
-        messages,
+        messages: chatMessages,
         temperature,
         maxTokens,
         stream: false,
@@ -284,9 +259,16 @@ router.post('/chat', chatValidation, async (req, res) => {
         userTier,
         effortLane,
         promptVersion,
-        promptVariant
+        promptVariant,
+        teamId,
+        responseFormat: normalizeResponseFormat({ schema: responseSchema, name: responseSchemaName }),
+        signal: abortSignalForResponse(res)
       });
 
+      if (conversation) {
+        saveTurn({ content: response.content, provider: response.provider, model: response.model, usage: response.usage });
+        return res.json({ ...response, conversationId: conversation.id });
+      }
       res.json(response);
     }
   } catch (error) {
@@ -302,7 +284,7 @@ router.post('/chat', chatValidation, async (req, res) => {
 
 const workflowValidation = [
   body('prompt').isString().trim().notEmpty().withMessage('Prompt is required'),
-  body('provider').optional().isIn(['openai', 'anthropic', 'gemini', 'kimi']),
+  body('provider').optional().isIn(['openai', 'anthropic', 'gemini', 'kimi', 'local']),
   body('model').optional().isString().trim().notEmpty(),
   body('temperature').optional().isFloat({ min: 0, max: 2 }),
   body('maxTokens').optional().isInt({ min: 1, max: 32000 }),
@@ -310,6 +292,8 @@ const workflowValidation = [
   body('effortLane').optional().isIn(['quick', 'write', 'deep']),
   body('promptVersion').optional().isString(),
   body('promptVariant').optional().isString(),
+  body('documentId').optional().isString(),
+  ...responseSchemaValidation,
 ];
 
 // POST /api/llm/workflow - Convenience endpoint for workflow-style generations
@@ -329,10 +313,14 @@ router.post('/workflow', workflowValidation, async (req, res) => {
       effortLane = 'write',
       promptVersion = null,
       promptVariant = null,
+      responseSchema = null,
+      responseSchemaName = null,
+      documentId = null,
     } = req.body;
 
     const messages = [{ role: 'user', content: prompt }];
     const userTier = req.subscription?.tier || 'free';
+    const teamId = resolveTeamForDocument(req.user.id, documentId);
 
     if (!isModelAllowed(model, userTier)) {
       return res.status(403).json({
@@ -357,11 +345,14 @@ router.post('/workflow', workflowValidation, async (req, res) => {
       effortLane,
       promptVersion,
       promptVariant,
+      teamId,
+      responseFormat: normalizeResponseFormat({ schema: responseSchema, name: responseSchemaName }),
     });
 
     res.json({
       status: 'completed',
       content: response?.content ?? '',
+      ...(response?.parsed !== undefined && { data: response.parsed }),
       usage: response?.usage ?? null,
     });
   } catch (error) {
@@ -402,11 +393,13 @@ router.post('/chat-with-tools', chatWithToolsValidation, async (req, res) => {
       webSearchEnabled = false,
       effortLane = null,
       promptVersion = null,
-      promptVariant = null
+      promptVariant = null,
+      documentId = null
     } = req.body;
 
     // Check if model is allowed
     const userTier = req.subscription?.tier || 'free';
+    const teamId = resolveTeamForDocument(req.user.id, documentId);
     if (!isModelAllowed(model, userTier)) {
       logger.warn({ model, userTier, userId: req.user.id }, 'Model not allowed for tier');
       return res.status(403).json({
@@ -418,73 +411,58 @@ router.post('/chat-with-tools', chatWithToolsValidation, async (req, res) => {
     }
 
     if (stream) {
-      // Streaming SSE response
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      res.setHeader('X-Accel-Buffering', 'no');
-      res.flushHeaders();
-
-      // Abort LLM generation when client disconnects (saves tokens/money)
-      const abortController = new AbortController();
-      res.on('close', () => abortController.abort());
-
-      try {
-        const reqStart = Date.now();
-        logger.debug({ provider, model }, 'chat-with-tools stream request');
-        const streamResult = await chatWithToolsStream({
-          userId: req.user.id,
-          provider,
-          model,
-          messages,
-          tools,
-          temperature,
-          maxTokens,
-          webSearchEnabled,
-          userTier,
-          effortLane,
-          promptVersion,
-          promptVariant,
-          signal: abortController.signal
-        });
-        logger.debug({ durationMs: Date.now() - reqStart }, 'Stream setup complete');
-
-        let firstChunkSent = false;
-        for await (const chunk of streamResult.stream) {
-          if (abortController.signal.aborted) break;
-          if (!firstChunkSent) {
-            logger.debug({ durationMs: Date.now() - reqStart, type: chunk.type }, 'First chunk to client');
-            firstChunkSent = true;
-          }
-          if (chunk.type === 'content') {
-            res.write(`data: ${JSON.stringify({ type: 'content', content: chunk.content })}\n\n`);
-          } else if (chunk.type === 'thinking') {
-            res.write(`data: ${JSON.stringify({ type: 'thinking', thinking: chunk.thinking })}\n\n`);
-          } else if (chunk.type === 'tool_call') {
-            res.write(`data: ${JSON.stringify({ type: 'tool_call', toolCall: chunk.toolCall })}\n\n`);
-          } else if (chunk.type === 'done') {
-            // Send sources if available
-            if (streamResult.sources && streamResult.sources.length > 0) {
-              res.write(`data: ${JSON.stringify({ type: 'sources', sources: streamResult.sources })}\n\n`);
+      // Streaming SSE response, resumable via /streams/:id
+      startResumableStream(req, res, {
+        kind: 'chat-with-tools',
+        includeType: true,
+        produce: async (session) => {
+          const reqStart = Date.now();
+          logger.debug({ provider, model }, 'chat-with-tools stream request');
+          const streamResult = await chatWithToolsStream({
+            userId: req.user.id,
+            provider,
+            model,
+            messages,
+            tools,
+            temperature,
+            maxTokens,
+            webSearchEnabled,
+            userTier,
+            effortLane,
+            promptVersion,
+            promptVariant,
+            teamId,
+            signal: session.signal
+          });
+          logger.debug({ durationMs: Date.now() - reqStart }, 'Stream setup complete');
+
+          let firstChunkSent = false;
+          for await (const chunk of streamResult.stream) {
+            if (session.signal.aborted) break;
+            if (!firstChunkSent) {
+              logger.debug({ durationMs: Date.now() - reqStart, type: chunk.type }, 'First chunk to client');
+              firstChunkSent = true;
+            }
+            if (chunk.type === 'content') {
+              session.push({ type: 'content', content: chunk.content });
+            } else if (chunk.type === 'thinking') {
+              session.push({ type: 'thinking', thinking: chunk.thinking });
+            } else if (chunk.type === 'tool_call') {
+              session.push({ type: 'tool_call', toolCall: chunk.toolCall });
+            } else if (chunk.type === 'done') {
+              // Send sources if available
+              if (streamResult.sources && streamResult.sources.length > 0) {
+                session.push({ type: 'sources', sources: streamResult.sources });
+              }
+              session.push({
+                type: 'done',
+                finishReason: chunk.finishReason,
+                usage: chunk.usage
+              });
             }
-            res.write(`data: ${JSON.stringify({
-              type: 'done',
-              finishReason: chunk.finishReason,
-              usage: chunk.usage
-            })}\n\n`);
           }
         }
-
-        if (!abortController.signal.aborted) {
-          res.write('data: [DONE]\n\n');
-        }
-        res.end();
-      } catch (error) {
-        if (abortController.signal.aborted) {
-          return res.end();
-        }
-        writeStreamErrorAndEnd(res, error, true);
-      }
+      });
     } else {
       // Non-streaming response
       const response = await chatWithTools({
@@ -499,7 +477,9 @@ router.post('/chat-with-tools', chatWithToolsValidation, async (req, res) => {
         userTier,
         effortLane,
         promptVersion,
-        promptVariant
+        promptVariant,
+        teamId,
+        signal: abortSignalForResponse(res)
       });
 
       res.json(response);
@@ -515,6 +495,136 @@ router.post('/chat-with-tools', chatWithToolsValidation, async (req, res) => {
   }
 });
 
+const agentValidation = [
+  ...chatValidation,
+  body('tools').optional().isArray({ min: 1 }).withMessage('Tools must be a non-empty array of tool names'),
+  body('tools.*').isIn(AGENT_TOOL_NAMES).withMessage('Unknown agent tool'),
+  body('maxSteps').optional().isInt({ min: 1, max: CONFIG.llm.agent.maxSteps }),
+  body('maxTotalTokens').optional().isInt({ min: 1000, max: CONFIG.llm.agent.maxTotalTokens })
+];
+
+// GET /api/llm/agent/tools - Server-side tools available to the agent
+router.get('/agent/tools', (req, res) => {
+  res.json({
+    tools: toToolDefinitions(getAgentTools()),
+    limits: {
+      maxSteps: CONFIG.llm.agent.maxSteps,
+      maxTotalTokens: CONFIG.llm.agent.maxTotalTokens
+    }
+  });
+});
+
+// POST /api/llm/agent - Run the tool loop on the server, streaming each step (SSE)
+router.post('/agent', agentValidation, async (req, res) => {
+  try {
+    if (returnValidationErrorIfAny(req, res)) {
+      return;
+    }
+
+    const {
+      provider,
+      model,
+      messages,
+      tools,
+      temperature = 0.7,
+      maxTokens = 4096,
+      maxSteps,
+      maxTotalTokens,
+      effortLane = null,
+      promptVersion = null,
+      promptVariant = null,
+      documentId = null
+    } = req.body;
+
+    const userTier = req.subscription?.tier || 'free';
+    const teamId = resolveTeamForDocument(req.user.id, documentId);
+    if (!isModelAllowed(model, userTier)) {
+      logger.warn({ model, userTier, userId: req.user.id }, 'Model not allowed for tier');
+      return res.status(403).json({
+        code: 'MODEL_NOT_ALLOWED',
+        error: 'Model not available for your subscription tier',
+        tier: userTier,
+        requestedModel: model
+      });
+    }
+
+    // Cancelling the session stops the loop and the current generation
+    startResumableStream(req, res, {
+      kind: 'agent',
+      includeType: true,
+      produce: async (session) => {
+        const events = runAgent({
+          userId: req.user.id,
+          provider,
+          model,
+          messages,
+          tools,
+          temperature,
+          maxTokens,
+          maxSteps,
+          maxTotalTokens,
+          userTier,
+          effortLane,
+          promptVersion,
+          promptVariant,
+          teamId,
+          signal: session.signal
+        });
+
+        for await (const event of events) {
+          if (session.signal.aborted) break;
+          session.push(event);
+        }
+      }
+    });
+  } catch (error) {
+    logger.error({ error: error?.message || error }, 'LLM agent error');
+
+    if (returnKnownLlmErrorIfAny(res, error)) {
+      return;
+    }
+
+    res.status(500).json({ error: 'Agent request failed' });
+  }
+});
+
+// GET /api/llm/streams/:id - Resume a streamed generation after the last
+// event received (Last-Event-ID header or ?lastEventId=)
+router.get('/streams/:id', (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId ?? '0';
+  if (!/^\d+$/.test(String(lastEventId))) {
+    return res.status(400).json({ code: 'INVALID_REQUEST', error: 'lastEventId must be a non-negative integer' });
+  }
+
+  const session = getStreamSession(req.user.id, req.params.id);
+  if (!session) {
+    return res.status(404).json({ code: 'STREAM_NOT_FOUND', error: 'Stream not found or expired' });
+  }
+  if (!session.canResumeFrom(Number(lastEventId))) {
+    return res.status(410).json({
+      code: 'STREAM_EVENTS_EXPIRED',
+      error: 'Events after lastEventId are no longer buffered',
+      firstEventId: session.firstBufferedEventId
+    });
+  }
+
+  openEventStream(res, session.id);
+  pipeStreamSession(res, session, Number(lastEventId));
+});
+
+// POST /api/llm/streams/:id/cancel - Stop a streamed generation. Usage up to
+// the cancellation is still tracked.
+router.post('/streams/:id/cancel', (req, res) => {
+  const session = getStreamSession(req.user.id, req.params.id);
+  if (!session) {
+    return res.status(404).json({ code: 'STREAM_NOT_FOUND', error: 'Stream not found or expired' });
+  }
+
+  // false when the generation had already finished
+  const cancelled = session.cancel();
+  res.json({ streamId: session.id, cancelled });
+});
+
 // GET /api/llm/models - Get available models
 router.get('/models', (req, res) => {
   try {
@@ -567,8 +677,9 @@ router.get('/status', (req, res) => {
     const providers = getProviderStatus();
 
     res.json({
-      status: providers.openai || providers.anthropic ? 'operational' : 'degraded',
-      providers
+      status: providers.openai || providers.anthropic || providers.local ? 'operational' : 'degraded',
+      providers,
+      breakers: getProviderBreakerStates()
     });
   } catch (error) {
     logger.error({ error: error?.message || error }, 'Get status error');
@@ -576,6 +687,44 @@ router.get('/status', (req, res) => {
   }
 });
 
+// POST /api/llm/feedback - Thumbs up/down on a response (feeds prompt experiment reports)
+const feedbackValidation = [
+  body('rating').isIn(['up', 'down']).withMessage('rating must be "up" or "down"'),
+  body('comment').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('requestType').optional({ nullable: true }).isString().isLength({ max: 64 }),
+  body('promptVersion').optional({ nullable: true }).isString().isLength({ max: 64 }),
+  body('promptVariant').optional({ nullable: true }).isString().isLength({ max: 128 }),
+  body('experiment').optional({ nullable: true }).isString().isLength({ max: 128 }),
+  body('messageId').optional({ nullable: true }).isString()
+];
+
+router.post('/feedback', feedbackValidation, (req, res) => {
+  try {
+    if (returnValidationErrorIfAny(req, res)) {
+      return;
+    }
+
+    const { rating, comment, requestType, promptVersion, promptVariant, experiment, messageId } = req.body;
+    const feedback = recordFeedback(req.user.id, {
+      rating: rating === 'up' ? 1 : -1,
+      comment: comment || null,
+      requestType: requestType || null,
+      promptVersion: promptVersion || null,
+      promptVariant: promptVariant || null,
+      experiment: experiment || null,
+      messageId: messageId || null
+    });
+    if (!feedback) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.status(201).json({ feedback });
+  } catch (error) {
+    logger.error({ error: error?.message || error }, 'Feedback error');
+    res.status(500).json({ error: 'Failed to record feedback' });
+  }
+});
+
 // POST /api/llm/embed - Generate embeddings for text
 const embedValidation = [
   body('texts').isArray({ min: 1, max: 100 }).withMessage('Texts array required (1-100 items)'),
@@ -607,94 +756,7 @@ router.post('/embed', embedValidation, async (req, res) => {
   }
 });
 
-// Page fetch cache (in-memory, 15 min TTL)
-const pageCache = new Map();
-const PAGE_CACHE_TTL_MS = 15 * 60 * 1000;
-
-function getCachedPage(url) {
-  const entry = pageCache.get(url);
-  if (entry && Date.now() - entry.timestamp < PAGE_CACHE_TTL_MS) {
-    return entry.data;
-  }
-  if (entry) pageCache.delete(url);
-  return null;
-}
-
-function setCachedPage(url, data) {
-  pageCache.set(url, { data, timestamp: Date.now() });
-  // Evict expired entries, then oldest if still over limit
-  if (pageCache.size > 200) {
-    const now = Date.now();
-    for (const [key, val] of pageCache) {
-      if (now - val.timestamp > PAGE_CACHE_TTL_MS) pageCache.delete(key);
-    }
-    // If still over limit after removing expired, remove oldest entries
-    if (pageCache.size > 200) {
-      const entries = [...pageCache.entries()].sort((a, b) => a[1].timestamp - b[1].timestamp);
-      const toRemove = entries.slice(0, pageCache.size - 200);
-      for (const [key] of toRemove) pageCache.delete(key);
-    }
-  }
-}
-
 // POST /api/llm/fetch-page - Fetch and extract readable content from a URL
-const fetchPageLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 10,
-  message: { error: 'Too many page fetch requests. Max 10 per minute.' },
-  keyGenerator: (req) => req.user.id.toString()
-});
-
-function isBlockedUrl(urlStr) {
-  try {
-    const parsed = new URL(urlStr);
-    // Strip brackets from IPv6 hostnames (URL parser keeps them)
-    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
-
-    // Block non-http(s) schemes
-    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return true;
-
-    // Block localhost variants
-    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '0.0.0.0' || hostname === '::1') return true;
-
-    // Block .local and .internal domains
-    if (hostname.endsWith('.local') || hostname.endsWith('.internal')) return true;
-
-    // Block cloud metadata endpoints
-    if (hostname === '169.254.169.254' || hostname === 'metadata.google.internal') return true;
-
-    // Block private IPv4 ranges (10.x, 172.16-31.x, 192.168.x)
-    const parts = hostname.split('.').map(Number);
-    if (parts.length === 4 && parts.every(p => !isNaN(p))) {
-      if (parts[0] === 10) return true;
-      if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true;
-      if (parts[0] === 192 && parts[1] === 168) return true;
-    }
-
-    // Block IPv6 link-local (fe80::/10)
-    if (hostname.startsWith('fe80:') || hostname.startsWith('fe80')) return true;
-
-    // Block IPv6 unique-local (fc00::/7 — fc and fd prefixes)
-    if (hostname.startsWith('fc') || hostname.startsWith('fd')) return true;
-
-    // Block IPv4-mapped IPv6 (::ffff:x.x.x.x) with private IPv4
-    if (hostname.startsWith('::ffff:')) {
-      const mappedIp = hostname.slice(7); // strip "::ffff:"
-      const mappedParts = mappedIp.split('.').map(Number);
-      if (mappedParts.length === 4 && mappedParts.every(p => !isNaN(p))) {
-        if (mappedParts[0] === 127) return true;
-        if (mappedParts[0] === 10) return true;
-        if (mappedParts[0] === 172 && mappedParts[1] >= 16 && mappedParts[1] <= 31) return true;
-        if (mappedParts[0] === 192 && mappedParts[1] === 168) return true;
-        if (mappedParts[0] === 169 && mappedParts[1] === 254) return true;
-        if (mappedParts[0] === 0) return true;
-      }
-    }
-
-    return false;
-  } catch { return true; }
-}
-
 router.post('/fetch-page', [
   body('url').isURL().withMessage('Valid URL required')
 ], fetchPageLimiter, async (req, res) => {
@@ -704,92 +766,12 @@ router.post('/fetch-page', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { url } = req.body;
-
-    if (isBlockedUrl(url)) {
-      return res.status(400).json({ error: 'URL not allowed: internal or private addresses are blocked' });
-    }
-
-    // Check cache first
-    const cached = getCachedPage(url);
-    if (cached) {
-      return res.json(cached);
-    }
-
-    // Fetch the URL with timeout
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
-
-    try {
-      const response = await fetch(url, {
-        signal: controller.signal,
-        redirect: 'manual',
-        headers: {
-          'User-Agent': 'Midlight/1.0 (Document Editor; +https://midlight.ai)',
-          'Accept': 'text/html,application/xhtml+xml',
-        },
-      });
-      clearTimeout(timeout);
-
-      // Handle redirects: validate the Location header before following
-      if (response.status >= 300 && response.status < 400) {
-        const location = response.headers.get('location');
-        if (!location) {
-          return res.status(502).json({ error: 'Redirect with no Location header' });
-        }
-        const redirectUrl = new URL(location, url).href;
-        if (isBlockedUrl(redirectUrl)) {
-          return res.status(400).json({ error: 'Redirect target is a blocked URL' });
-        }
-        return res.status(400).json({ error: 'Redirects are not followed. Target: ' + redirectUrl });
-      }
-
-      if (!response.ok) {
-        return res.status(502).json({ error: `Failed to fetch URL: ${response.status} ${response.statusText}` });
-      }
-
-      const contentLength = response.headers.get('content-length');
-      if (contentLength && parseInt(contentLength) > 5 * 1024 * 1024) {
-        return res.status(413).json({ error: 'Page too large (>5MB)' });
-      }
-
-      const html = await response.text();
-      if (html.length > 5 * 1024 * 1024) {
-        return res.status(413).json({ error: 'Page content too large (>5MB)' });
-      }
-
-      // Use JSDOM + Readability to extract content
-      const { JSDOM } = await import('jsdom');
-      const { Readability } = await import('@mozilla/readability');
-
-      const dom = new JSDOM(html, { url });
-      const reader = new Readability(dom.window.document);
-      const article = reader.parse();
-
-      if (!article) {
-        return res.status(422).json({ error: 'Could not extract readable content from the page' });
-      }
-
-      // Convert to plain text (strip HTML tags from article.content)
-      const textContent = article.textContent || '';
-      const wordCount = textContent.split(/\s+/).filter(Boolean).length;
-
-      const result = {
-        url,
-        title: article.title || '',
-        content: textContent.substring(0, 100000), // Cap at 100k chars
-        wordCount,
-      };
-      setCachedPage(url, result);
-      res.json(result);
-    } catch (fetchError) {
-      clearTimeout(timeout);
-      if (fetchError.name === 'AbortError') {
-        return res.status(504).json({ error: 'URL fetch timed out (10s limit)' });
-      }
-      throw fetchError;
-    }
+    const result = await fetchReadablePage(req.body.url);
+    res.json(result);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error({ error: error?.message || error }, 'Fetch page error');
     res.status(500).json({ error: 'Failed to fetch page' });
   }
@@ -801,6 +783,9 @@ export const __private = {
   chatValidation,
   chatWithToolsValidation,
   workflowValidation,
+  responseSchemaValidation,
+  conversationValidation,
+  agentValidation,
   embedValidation,
   returnValidationErrorIfAny,
   returnKnownLlmErrorIfAny,
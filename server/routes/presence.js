@@ -0,0 +1,99 @@
+/**
+ * Presence Routes
+ *
+ * Who is in a document's collaborative session right now, as a snapshot or
+ * an SSE feed, for clients that don't hold a Y.js connection.
+ */
+
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { getDocumentPermission, resolveDocumentAccess } from '../middleware/shareAuth.js';
+import { getDocumentPresence } from '../services/collabService.js';
+import { subscribePresence } from '../services/collabPresence.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+const MAX_BATCH_DOCUMENTS = 100;
+
+/**
+ * GET / — Presence for several documents (e.g. a document list)
+ *
+ * Query: documentIds=id1,id2,... — documents the user can't access are omitted
+ */
+router.get('/', requireAuth, (req, res) => {
+  const documentIds = [...new Set(String(req.query.documentIds || '').split(',').map((id) => id.trim()).filter(Boolean))];
+
+  if (documentIds.length === 0) {
+    return res.status(400).json({ error: 'documentIds is required' });
+  }
+  if (documentIds.length > MAX_BATCH_DOCUMENTS) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH_DOCUMENTS} documents per request` });
+  }
+
+  try {
+    const documents = {};
+    for (const documentId of documentIds) {
+      if (!getDocumentPermission(req.user.id, documentId)) continue;
+      documents[documentId] = formatPresence(documentId, getDocumentPresence(documentId));
+    }
+    res.json({ documents });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load presence');
+    res.status(500).json({ error: 'Failed to load presence' });
+  }
+});
+
+/**
+ * GET /:docId/stream — SSE feed of a document's presence
+ *
+ * Sends the current collaborators on connect, then again whenever they change.
+ */
+// NOTE: Must be defined BEFORE /:docId
+router.get('/:docId/stream', (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}, requireAuth, resolveDocumentAccess, (req, res) => {
+  const documentId = req.params.docId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const send = (collaborators) => {
+    const data = JSON.stringify({ type: 'presence', data: formatPresence(documentId, collaborators) });
+    res.write(`data: ${data}\n\n`);
+  };
+
+  res.write('data: {"type":"connected"}\n\n');
+  send(getDocumentPresence(documentId));
+
+  const unsubscribe = subscribePresence(documentId, send);
+  req.on('close', unsubscribe);
+});
+
+/**
+ * GET /:docId — Current collaborators in a document
+ */
+router.get('/:docId', requireAuth, resolveDocumentAccess, (req, res) => {
+  try {
+    res.json(formatPresence(req.params.docId, getDocumentPresence(req.params.docId)));
+  } catch (err) {
+    logger.error({ error: err.message, docId: req.params.docId }, 'Failed to load presence');
+    res.status(500).json({ error: 'Failed to load presence' });
+  }
+});
+
+function formatPresence(documentId, collaborators) {
+  return {
+    documentId,
+    count: collaborators.length,
+    collaborators,
+  };
+}
+
+export default router;
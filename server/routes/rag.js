@@ -1,10 +1,12 @@
 /**
  * RAG Routes
  * Handles server-side RAG (Retrieval-Augmented Generation) for the web app.
- * Provides incremental indexing, hybrid search, and index management.
+ * Provides incremental indexing, hybrid search, grounded answers with citations,
+ * and index management.
  */
 
 import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
 import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import { requireAuth, attachSubscription } from '../middleware/auth.js';
 import {
@@ -14,6 +16,11 @@ import {
   deleteIndex,
   getProjectTokenEstimate,
 } from '../services/ragService.js';
+import { getIndexQueueStatus } from '../services/ragIndexQueue.js';
+import { askDocuments } from '../services/ragAnswer.js';
+import { MODELS, getAvailableModels, getProviderStatus, isModelAllowed } from '../services/llm/index.js';
+import { returnKnownLlmErrorIfAny, startResumableStream } from '../services/llm/httpResponses.js';
+import { CONFIG } from '../config/index.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
@@ -76,11 +83,11 @@ router.post('/index', async (req, res) => {
   }
 });
 
-// POST /api/rag/search - Hybrid search (vector + BM25)
+// POST /api/rag/search - Hybrid search (vector + BM25); `exact: true` skips the approximate vector index
 router.post('/search', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { query, topK, minScore } = req.body || {};
+    const { query, topK, minScore, exact } = req.body || {};
 
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
       return res.status(400).json({ error: 'Query is required and must be a non-empty string' });
@@ -89,7 +96,7 @@ router.post('/search', async (req, res) => {
     const safeTopK = Math.min(Math.max(parseInt(topK) || 5, 1), 20);
     const safeMinScore = Math.min(Math.max(parseFloat(minScore) || 0.1, 0), 1);
 
-    const results = await search(userId, query, { topK: safeTopK, minScore: safeMinScore });
+    const results = await search(userId, query, { topK: safeTopK, minScore: safeMinScore, exact: exact === true });
 
     res.json({ results });
   } catch (error) {
@@ -98,14 +105,142 @@ router.post('/search', async (req, res) => {
   }
 });
 
-// GET /api/rag/status - Get RAG index status
+const askValidation = [
+  body('question')
+    .isString().withMessage('Question is required and must be a non-empty string')
+    .bail()
+    .trim()
+    .notEmpty().withMessage('Question is required and must be a non-empty string'),
+  body('provider').optional().isIn(['openai', 'anthropic', 'gemini', 'kimi', 'local']).withMessage('Invalid provider'),
+  body('model').optional().isString().notEmpty().withMessage('Model must be a non-empty string'),
+];
+
+/**
+ * Pick the provider and model for an ask. A model alone names its provider; a
+ * provider alone, or neither, gets the first model of a configured provider the
+ * tier allows, trying the default provider first.
+ * @returns {{ provider: string, model: string } | { status: number, body: Object }}
+ */
+function resolveAskModel(provider, model, tier) {
+  if (model) {
+    const owner = Object.keys(MODELS).find((name) => MODELS[name].some((m) => m.id === model));
+    if (!owner) {
+      return { status: 400, body: { error: `Unknown model: ${model}` } };
+    }
+    if (provider && provider !== owner) {
+      return { status: 400, body: { error: `Model ${model} is not a ${provider} model` } };
+    }
+    return { provider: owner, model };
+  }
+
+  const available = getAvailableModels(tier);
+  const candidates = provider
+    ? [provider]
+    : [...new Set([CONFIG.llm.defaultProvider, ...Object.keys(available)])];
+  const chosen = candidates.find((name) => available[name]?.length > 0);
+  if (!chosen) {
+    const message = provider
+      ? `Provider ${provider} is not available`
+      : 'No LLM provider is available';
+    return { status: 503, body: { code: 'PROVIDER_UNAVAILABLE', error: message, message } };
+  }
+  return { provider: chosen, model: available[chosen][0].id };
+}
+
+// POST /api/rag/ask - Answer a question from the user's documents, citing passages as [n].
+// Streams over SSE (resumable via /api/llm/streams/:id) with events: sources, content, citations, done.
+router.post('/ask', askValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg, errors: errors.array() });
+  }
+
+  try {
+    const userId = req.user.id;
+    const {
+      question,
+      topK,
+      rerank = false,
+      exact = false,
+      stream = false,
+    } = req.body;
+
+    const userTier = req.subscription?.tier || 'free';
+    const resolved = resolveAskModel(req.body.provider, req.body.model, userTier);
+    if (resolved.status) {
+      return res.status(resolved.status).json(resolved.body);
+    }
+    const { provider, model } = resolved;
+
+    if (!isModelAllowed(model, userTier)) {
+      return res.status(403).json({
+        code: 'MODEL_NOT_ALLOWED',
+        error: 'Model not available for your subscription tier',
+        tier: userTier,
+        requestedModel: model,
+      });
+    }
+
+    if (!getProviderStatus()[provider]) {
+      const message = `Provider ${provider} is not available`;
+      return res.status(503).json({ code: 'PROVIDER_UNAVAILABLE', error: message, message });
+    }
+
+    const params = {
+      userId,
+      question,
+      provider,
+      model,
+      topK: Math.min(Math.max(parseInt(topK) || 5, 1), 10),
+      rerank: rerank === true,
+      exact: exact === true,
+      userTier,
+    };
+
+    if (stream) {
+      startResumableStream(req, res, {
+        kind: 'rag-ask',
+        includeType: true,
+        produce: async (session) => {
+          for await (const event of askDocuments({ ...params, signal: session.signal })) {
+            if (session.signal.aborted) break;
+            session.push(event);
+          }
+        },
+      });
+      return;
+    }
+
+    const result = { answer: '', citations: [], sources: [], usage: null };
+    for await (const event of askDocuments(params)) {
+      if (event.type === 'sources') result.sources = event.sources;
+      else if (event.type === 'citations') result.citations = event.citations;
+      else if (event.type === 'done') {
+        result.answer = event.content;
+        result.usage = event.usage;
+      }
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error: error?.message || error, userId: req.user.id }, 'RAG ask error');
+
+    if (returnKnownLlmErrorIfAny(res, error)) {
+      return;
+    }
+
+    res.status(500).json({ error: 'Failed to answer question' });
+  }
+});
+
+// GET /api/rag/status - Get RAG index status and background indexing progress
 router.get('/status', async (req, res) => {
   try {
     const userId = req.user.id;
 
     const status = await getStatus(userId);
 
-    res.json(status);
+    res.json({ ...status, queue: getIndexQueueStatus(userId) });
   } catch (error) {
     logger.error({ error: error?.message || error, userId: req.user.id }, 'RAG status error');
     res.status(500).json({ error: 'Failed to get RAG index status' });
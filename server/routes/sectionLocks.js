@@ -0,0 +1,153 @@
+/**
+ * Section Locks Routes
+ *
+ * Lock a heading's section against edits (enforced by the collab server).
+ */
+
+import { Router } from 'express';
+import crypto from 'crypto';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveDocumentAccess } from '../middleware/shareAuth.js';
+import db from '../db/index.js';
+import { publishSectionLocks } from '../services/collabService.js';
+import { LOCK_TYPES, formatSectionLock, getSectionLocks } from '../services/sectionLocks.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+const getDocOwner = db.prepare('SELECT user_id FROM sync_documents WHERE id = ?');
+
+const getLock = db.prepare(`
+  SELECT * FROM document_section_locks WHERE id = ? AND document_id = ?
+`);
+
+const insertLock = db.prepare(`
+  INSERT INTO document_section_locks
+    (id, document_id, heading_text, heading_level, heading_node_id, locked_by, lock_type, allowed_user_ids)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const updateLock = db.prepare(`
+  UPDATE document_section_locks SET lock_type = ?, allowed_user_ids = ? WHERE id = ?
+`);
+
+/**
+ * GET /:docId — List section locks for a document
+ */
+router.get('/:docId', requireAuth, resolveDocumentAccess, (req, res) => {
+  try {
+    const ownerId = getDocOwner.get(req.params.docId)?.user_id;
+    res.json({
+      locks: getSectionLocks(req.params.docId).map((lock) => formatSectionLock(lock, ownerId)),
+    });
+  } catch (err) {
+    logger.error({ error: err.message, docId: req.params.docId }, 'Failed to list section locks');
+    res.status(500).json({ error: 'Failed to load section locks' });
+  }
+});
+
+/**
+ * POST /:docId — Lock a section (owner only)
+ *
+ * Body: { headingText, headingLevel, headingNodeId?, lockType?, allowedUserIds? }
+ */
+router.post('/:docId', requireAuth, resolveDocumentAccess, (req, res) => {
+  if (req.docPermission !== 'owner') {
+    return res.status(403).json({ error: 'Owner access required' });
+  }
+
+  const { headingText, headingLevel, headingNodeId, lockType = 'owner_only', allowedUserIds } = req.body;
+
+  if (!headingText || typeof headingText !== 'string' || headingText.trim().length === 0) {
+    return res.status(400).json({ error: 'Heading text is required' });
+  }
+  if (!Number.isInteger(headingLevel) || headingLevel < 1 || headingLevel > 6) {
+    return res.status(400).json({ error: 'Heading level must be between 1 and 6' });
+  }
+  if (headingNodeId != null && typeof headingNodeId !== 'string') {
+    return res.status(400).json({ error: 'Invalid heading node ID' });
+  }
+  const validation = validateLockType(lockType, allowedUserIds);
+  if (validation) return res.status(400).json({ error: validation });
+
+  try {
+    const id = crypto.randomUUID();
+    insertLock.run(
+      id, req.params.docId, headingText.trim(), headingLevel, headingNodeId || null,
+      req.user.id, lockType, lockType === 'allowed_users' ? JSON.stringify(allowedUserIds) : null
+    );
+    publishSectionLocks(req.params.docId);
+
+    const ownerId = getDocOwner.get(req.params.docId)?.user_id;
+    res.status(201).json({ lock: formatSectionLock(getLock.get(id, req.params.docId), ownerId) });
+  } catch (err) {
+    if (err.message?.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'This section is already locked' });
+    }
+    logger.error({ error: err.message }, 'Failed to create section lock');
+    res.status(500).json({ error: 'Failed to lock section' });
+  }
+});
+
+/**
+ * PATCH /:docId/:lockId — Change who may edit a locked section (owner only)
+ *
+ * Body: { lockType, allowedUserIds? }
+ */
+router.patch('/:docId/:lockId', requireAuth, resolveDocumentAccess, (req, res) => {
+  if (req.docPermission !== 'owner') {
+    return res.status(403).json({ error: 'Owner access required' });
+  }
+
+  const lock = getLock.get(req.params.lockId, req.params.docId);
+  if (!lock) return res.status(404).json({ error: 'Section lock not found' });
+
+  const { lockType = lock.lock_type, allowedUserIds } = req.body;
+  const validation = validateLockType(lockType, allowedUserIds);
+  if (validation) return res.status(400).json({ error: validation });
+
+  try {
+    updateLock.run(lockType, lockType === 'allowed_users' ? JSON.stringify(allowedUserIds) : null, lock.id);
+    publishSectionLocks(req.params.docId);
+
+    const ownerId = getDocOwner.get(req.params.docId)?.user_id;
+    res.json({ lock: formatSectionLock(getLock.get(lock.id, req.params.docId), ownerId) });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to update section lock');
+    res.status(500).json({ error: 'Failed to update section lock' });
+  }
+});
+
+/**
+ * DELETE /:docId/:lockId — Unlock a section (owner only)
+ */
+router.delete('/:docId/:lockId', requireAuth, resolveDocumentAccess, (req, res) => {
+  if (req.docPermission !== 'owner') {
+    return res.status(403).json({ error: 'Owner access required' });
+  }
+
+  const lock = getLock.get(req.params.lockId, req.params.docId);
+  if (!lock) return res.status(404).json({ error: 'Section lock not found' });
+
+  try {
+    db.prepare('DELETE FROM document_section_locks WHERE id = ?').run(lock.id);
+    publishSectionLocks(req.params.docId);
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to delete section lock');
+    res.status(500).json({ error: 'Failed to unlock section' });
+  }
+});
+
+function validateLockType(lockType, allowedUserIds) {
+  if (!LOCK_TYPES.includes(lockType)) {
+    return `Lock type must be one of: ${LOCK_TYPES.join(', ')}`;
+  }
+  if (lockType === 'allowed_users'
+    && (!Array.isArray(allowedUserIds) || allowedUserIds.length === 0 || !allowedUserIds.every(Number.isInteger))) {
+    return 'allowedUserIds must be a non-empty array of user IDs';
+  }
+  return null;
+}
+
+export default router;
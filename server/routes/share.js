@@ -16,6 +16,8 @@ import { shareLimiter } from '../middleware/shareLimiter.js';
 import { findUserByEmail } from '../services/authService.js';
 import { verifyAccessToken } from '../services/tokenService.js';
 import { downloadDocument, uploadDocument } from '../services/storageService.js';
+import { logSyncOperation } from '../services/syncChanges.js';
+import { removeRevokedDocuments } from '../services/ragService.js';
 import { sendShareInvitationEmail } from '../services/emailService.js';
 import jwt from 'jsonwebtoken';
 
@@ -249,7 +251,7 @@ router.put('/link/:token/content', optionalAuth, [
     }
 
     const share = db.prepare(`
-      SELECT ds.*, sd.user_id AS doc_owner_id, sd.version AS doc_version
+      SELECT ds.*, sd.user_id AS doc_owner_id, sd.version AS doc_version, sd.path AS doc_path
       FROM document_shares ds
       JOIN sync_documents sd ON ds.document_id = sd.id
       WHERE ds.link_token = ? AND ds.link_enabled = 1
@@ -304,6 +306,8 @@ router.put('/link/:token/content', optionalAuth, [
       });
     }
 
+    logSyncOperation(share.doc_owner_id, share.document_id, 'upload', share.doc_path, result.sizeBytes, true);
+
     const newVersion = share.doc_version + 1;
     res.json({ success: true, version: newVersion });
   } catch (error) {
@@ -619,6 +623,8 @@ router.delete('/:docId', requireAuth, requirePro, requireOwner, (req, res) => {
       return res.status(404).json({ error: 'Share not found' });
     }
 
+    removeRevokedDocuments({ documentId: docId });
+
     res.json({ success: true });
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to delete share');
@@ -749,6 +755,8 @@ router.delete('/:docId/access/:accessId', requireAuth, requirePro, requireOwner,
       return res.status(404).json({ error: 'Access entry not found' });
     }
 
+    removeRevokedDocuments({ documentId: req.params.docId });
+
     res.json({ success: true });
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to remove access');
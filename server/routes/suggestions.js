@@ -9,6 +9,8 @@ import crypto from 'crypto';
 import { requireAuth } from '../middleware/auth.js';
 import { resolveDocumentAccess } from '../middleware/shareAuth.js';
 import db from '../db/index.js';
+import { applySuggestions } from '../services/collabService.js';
+import { logActivity } from '../services/notificationService.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
@@ -30,10 +32,27 @@ const insertSuggestion = db.prepare(`
   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
+// Claim a pending suggestion before touching content, so concurrent requests can't apply it twice
 const updateStatus = db.prepare(`
-  UPDATE document_suggestions SET status = ?, resolved_by = ?, resolved_at = datetime('now') WHERE id = ?
+  UPDATE document_suggestions SET status = ?, resolved_by = ?, resolved_at = datetime('now')
+  WHERE id = ? AND status = 'pending'
 `);
 
+// Release a claim when the content change could not be made
+const reopenSuggestion = db.prepare(`
+  UPDATE document_suggestions SET status = 'pending', resolved_by = NULL, resolved_at = NULL WHERE id = ?
+`);
+
+const listPendingSuggestions = db.prepare(`
+  SELECT * FROM document_suggestions WHERE document_id = ? AND status = 'pending' ORDER BY created_at ASC
+`);
+
+// Why an accepted suggestion could not be applied to the document content
+const APPLY_FAILURE_MESSAGES = {
+  anchor_not_found: 'Suggested change could not be located in the document',
+  content_changed: 'Document text has changed since the suggestion was made',
+};
+
 /**
  * GET /:docId — List all suggestions for a document
  */
@@ -94,64 +113,111 @@ router.post('/:docId', requireAuth, resolveDocumentAccess, (req, res) => {
 /**
  * POST /:docId/accept-all — Accept all pending suggestions (owner only)
  * NOTE: Must be defined BEFORE /:docId/:sugId routes to avoid Express matching "accept-all" as a sugId
+ *
+ * Suggestions whose change can no longer be applied stay pending and are
+ * listed in `skipped`.
  */
-router.post('/:docId/accept-all', requireAuth, resolveDocumentAccess, (req, res) => {
+router.post('/:docId/accept-all', requireAuth, resolveDocumentAccess, async (req, res) => {
   if (req.docPermission !== 'owner') {
     return res.status(403).json({ error: 'Owner access required' });
   }
 
+  let claimed = [];
   try {
-    const result = db.prepare(
-      "UPDATE document_suggestions SET status = 'accepted', resolved_by = ?, resolved_at = datetime('now') WHERE document_id = ? AND status = 'pending'"
-    ).run(req.user.id, req.params.docId);
-    res.json({ accepted: result.changes });
+    const claimAll = db.transaction(() => listPendingSuggestions.all(req.params.docId)
+      .filter((suggestion) => updateStatus.run('accepted', req.user.id, suggestion.id).changes > 0));
+    claimed = claimAll();
+
+    const results = claimed.length > 0
+      ? await applySuggestions(req.params.docId, claimed, 'accept')
+      : new Map();
+
+    const skipped = [];
+    for (const suggestion of claimed) {
+      const result = results.get(suggestion.id);
+      if (result.reason) {
+        reopenSuggestion.run(suggestion.id);
+        skipped.push({ id: suggestion.id, reason: result.reason });
+        continue;
+      }
+      logSuggestionActivity(req, suggestion, 'suggestion_accepted', result);
+    }
+
+    res.json({ accepted: claimed.length - skipped.length, skipped });
   } catch (err) {
+    for (const suggestion of claimed) reopenSuggestion.run(suggestion.id);
     logger.error({ error: err.message }, 'Failed to accept all suggestions');
     res.status(500).json({ error: 'Failed to accept all suggestions' });
   }
 });
 
 /**
- * POST /:docId/:sugId/accept — Accept a suggestion
+ * POST /:docId/:sugId/accept — Accept a suggestion and apply it to the document
  */
 router.post('/:docId/:sugId/accept', requireAuth, resolveDocumentAccess, (req, res) => {
-  if (req.docPermission !== 'owner' && req.docPermission !== 'edit') {
-    return res.status(403).json({ error: 'Edit access required' });
-  }
-
-  const suggestion = getSuggestion.get(req.params.sugId, req.params.docId);
-  if (!suggestion) return res.status(404).json({ error: 'Suggestion not found' });
-  if (suggestion.status !== 'pending') return res.status(400).json({ error: 'Suggestion already resolved' });
-
-  try {
-    updateStatus.run('accepted', req.user.id, req.params.sugId);
-    res.json({ success: true });
-  } catch (err) {
-    logger.error({ error: err.message }, 'Failed to accept suggestion');
-    res.status(500).json({ error: 'Failed to accept suggestion' });
-  }
+  resolveSuggestion(req, res, 'accept');
 });
 
 /**
- * POST /:docId/:sugId/reject — Reject a suggestion
+ * POST /:docId/:sugId/reject — Reject a suggestion (drops any suggested text from the document)
  */
 router.post('/:docId/:sugId/reject', requireAuth, resolveDocumentAccess, (req, res) => {
+  resolveSuggestion(req, res, 'reject');
+});
+
+/**
+ * Shared accept/reject handler: claim the suggestion, apply it to the
+ * document content, then log the activity. An accepted suggestion that can't
+ * be applied is put back to pending and reported as a 409.
+ */
+async function resolveSuggestion(req, res, action) {
   if (req.docPermission !== 'owner' && req.docPermission !== 'edit') {
     return res.status(403).json({ error: 'Edit access required' });
   }
 
   const suggestion = getSuggestion.get(req.params.sugId, req.params.docId);
   if (!suggestion) return res.status(404).json({ error: 'Suggestion not found' });
-  if (suggestion.status !== 'pending') return res.status(400).json({ error: 'Suggestion already resolved' });
+
+  const status = action === 'accept' ? 'accepted' : 'rejected';
+  if (updateStatus.run(status, req.user.id, suggestion.id).changes === 0) {
+    return res.status(400).json({ error: 'Suggestion already resolved' });
+  }
 
   try {
-    updateStatus.run('rejected', req.user.id, req.params.sugId);
-    res.json({ success: true });
+    const results = await applySuggestions(req.params.docId, [suggestion], action);
+    const result = results.get(suggestion.id);
+
+    if (result.reason) {
+      reopenSuggestion.run(suggestion.id);
+      return res.status(409).json({
+        error: APPLY_FAILURE_MESSAGES[result.reason],
+        code: 'SUGGESTION_NOT_APPLICABLE',
+        reason: result.reason,
+      });
+    }
+
+    logSuggestionActivity(req, suggestion, `suggestion_${status}`, result);
+    res.json({ success: true, applied: result.changed });
   } catch (err) {
-    logger.error({ error: err.message }, 'Failed to reject suggestion');
-    res.status(500).json({ error: 'Failed to reject suggestion' });
+    reopenSuggestion.run(suggestion.id);
+    logger.error({ error: err.message, suggestionId: suggestion.id }, `Failed to ${action} suggestion`);
+    res.status(500).json({ error: `Failed to ${action} suggestion` });
   }
-});
+}
+
+function logSuggestionActivity(req, suggestion, eventType, result) {
+  logActivity({
+    documentId: req.params.docId,
+    userId: req.user.id,
+    eventType,
+    metadata: {
+      suggestionId: suggestion.id,
+      type: suggestion.type,
+      authorId: suggestion.author_id,
+      applied: result.changed,
+    },
+  });
+}
 
 function formatSuggestion(row) {
   return {
@@ -12,6 +12,19 @@ import db from '../db/index.js';
 import storage from '../services/storageService.js';
 import crypto from 'crypto';
 import { CONFIG } from '../config/index.js';
+import { mergeDocumentContent } from '../services/documentMerge.js';
+import { enqueueDocumentIndexing } from '../services/ragIndexQueue.js';
+import { applyContentPatch, applySidecarPatch } from '../utils/syncPatch.js';
+import {
+  DEFAULT_CHANGES_LIMIT,
+  MAX_CHANGES_LIMIT,
+  addSyncStreamClient,
+  broadcastSyncChange,
+  decodeChangesCursor,
+  getCurrentChangesCursor,
+  listSyncChanges,
+  logSyncOperation,
+} from '../services/syncChanges.js';
 import {
   validateSyncPath,
   sanitizeSidecar,
@@ -21,6 +34,14 @@ import {
 
 const router = Router();
 
+// EventSource can't set headers, so the stream takes its token from the query
+router.use('/stream', (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+});
+
 // All routes require authentication
 router.use(requireAuth);
 router.use(attachSubscription);
@@ -114,14 +135,44 @@ function updateSyncUsage(userId, sizeDelta) {
   `).run(userId, Math.max(0, sizeDelta), userId, sizeDelta);
 }
 
+// Conflict merge: sides map onto documentMerge's ours/theirs
+const SIDE_TO_MERGE_RESOLUTION = { local: 'ours', remote: 'theirs', both: 'both' };
+const CONFLICT_MARKERS = { ours: 'local', theirs: 'remote' };
+const MAX_MERGE_BASE_CANDIDATES = 20;
+
 /**
- * Log sync operation
+ * Load the base for merging a sync conflict: the newest checkpoint of the
+ * document taken before the conflict. Checkpoints identical to either side
+ * are skipped, since they may have been taken after that side diverged; an
+ * older base is always safe (changes both sides share merge cleanly).
  */
-function logSyncOperation(userId, documentId, operation, path, sizeBytes, success, errorMessage = null) {
-  db.prepare(`
-    INSERT INTO sync_operations (user_id, document_id, operation, path, size_bytes, success, error_message)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(userId, documentId, operation, path, sizeBytes, success ? 1 : 0, errorMessage);
+async function loadConflictMergeBase(userId, conflict, remoteContentHash) {
+  const checkpoints = db
+    .prepare(`
+      SELECT id, content_hash FROM sync_versions
+      WHERE document_id = ? AND user_id = ? AND datetime(created_at) <= datetime(?)
+      ORDER BY datetime(created_at) DESC
+      LIMIT ?
+    `)
+    .all(conflict.doc_id, userId, conflict.created_at, MAX_MERGE_BASE_CANDIDATES);
+
+  for (const checkpoint of checkpoints) {
+    if (checkpoint.content_hash === conflict.local_content_hash || checkpoint.content_hash === remoteContentHash) {
+      continue;
+    }
+    const version = await storage.downloadVersionContent(userId, checkpoint.id);
+    if (!version) continue;
+
+    let sidecar = null;
+    try {
+      sidecar = version.sidecar ? JSON.parse(version.sidecar) : null;
+    } catch {
+      // Merge the markdown alone
+    }
+    return { versionId: checkpoint.id, content: version.content, sidecar };
+  }
+
+  return null;
 }
 
 // GET /api/sync/status - Get sync status and all document versions
@@ -134,6 +185,9 @@ router.get('/status', async (req, res) => {
     const pageLimit = req.query.limit ? Math.min(parseInt(req.query.limit, 10) || 500, 500) : null;
     const cursor = req.query.cursor || null;
 
+    // Taken before reading documents, so changes made meanwhile show up in the feed
+    const changesCursor = getCurrentChangesCursor();
+
     // Get documents (with optional pagination)
     let documents;
     if (pageLimit && pageLimit > 0) {
@@ -219,6 +273,7 @@ router.get('/status', async (req, res) => {
         createdAt: c.created_at,
       })),
       storageAvailable: storage.isStorageAvailable(),
+      changesCursor,
     };
 
     if (nextCursor) {
@@ -232,14 +287,126 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * Rebuild the full content and sidecar of a delta upload from the stored
+ * document at `baseVersion`. Any failure the client can recover from by
+ * sending the whole document comes back with `fullUploadRequired`.
+ *
+ * @returns {Promise<{ content: string, sidecar: object } | { status: number, body: object }>}
+ */
+async function resolvePatchUpload(userId, path, { patch, baseVersion, contentHash, sidecarHash }) {
+  const fullUploadRequired = (error, code) => ({ status: 409, body: { error, code, fullUploadRequired: true } });
+
+  const current = db
+    .prepare('SELECT * FROM sync_documents WHERE user_id = ? AND path = ? AND deleted_at IS NULL')
+    .get(userId, path);
+  if (!current || current.version !== baseVersion) {
+    return fullUploadRequired('Patch base version is not the current version', 'PATCH_BASE_MISMATCH');
+  }
+
+  const stored = await storage.downloadDocument(userId, current.id);
+  if (!stored || stored.contentHash !== current.content_hash) {
+    return fullUploadRequired('Patch base content is unavailable', 'PATCH_BASE_UNAVAILABLE');
+  }
+
+  let content = stored.content;
+  if (patch.content !== undefined) {
+    const result = applyContentPatch(stored.content, patch.content);
+    if (!result.valid) return { status: 400, body: { error: result.error, code: 'INVALID_PATCH' } };
+    content = result.content;
+  }
+
+  let sidecar = stored.sidecar || {};
+  if (patch.sidecar !== undefined) {
+    const result = applySidecarPatch(sidecar, patch.sidecar);
+    if (!result.valid) return { status: 400, body: { error: result.error, code: 'INVALID_PATCH' } };
+    sidecar = result.sidecar;
+  }
+
+  if (storage.hashContent(content) !== contentHash
+    || (sidecarHash && storage.hashContent(JSON.stringify(sidecar)) !== sidecarHash)) {
+    return fullUploadRequired('Patched document does not match the expected hash', 'PATCH_HASH_MISMATCH');
+  }
+
+  return { content, sidecar };
+}
+
+// GET /api/sync/stream - SSE stream of changes to the user's documents
+//
+// Sends a document-changed event whenever an upload, delete, rename, conflict
+// resolution or branch merge changes a document, so other devices can pull it
+// right away instead of waiting for their next /status poll.
+router.get('/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  res.write('data: {"type":"connected"}\n\n');
+
+  req.on('close', addSyncStreamClient(req.user.id, res));
+});
+
+// GET /api/sync/changes - Documents created, updated, moved or deleted since a cursor
+//
+// Start from the `changesCursor` of GET /status (or call without `since` to
+// get the current cursor), then follow `cursor` while `hasMore` is true.
+// A cursor older than the retained operation log answers 410; resync with /status.
+router.get(
+  '/changes',
+  [
+    query('since').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: MAX_CHANGES_LIMIT }),
+  ],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.query.since === undefined) {
+        return res.json({ changes: [], cursor: getCurrentChangesCursor(), hasMore: false });
+      }
+
+      const sinceId = decodeChangesCursor(req.query.since);
+      if (sinceId === null) {
+        return res.status(400).json({ error: 'Invalid cursor', code: 'INVALID_CURSOR' });
+      }
+
+      const limit = parseInt(req.query.limit, 10) || DEFAULT_CHANGES_LIMIT;
+      const result = listSyncChanges(req.user.id, sinceId, { limit });
+      if (result.expired) {
+        return res.status(410).json({ error: 'Cursor has expired, resync required', code: 'CURSOR_EXPIRED' });
+      }
+
+      res.json({ changes: result.changes, cursor: result.cursor, hasMore: result.hasMore });
+    } catch (error) {
+      logger.error({ error: error?.message || error, userId: req.user.id }, 'Sync changes error');
+      res.status(500).json({ error: 'Failed to get sync changes' });
+    }
+  }
+);
+
 // POST /api/sync/documents - Upload/sync a document
+//
+// Send either the full `content` and `sidecar`, or a `patch` against
+// `baseVersion` ({ content?: edits, sidecar?: JSON Patch } — see
+// utils/syncPatch.js) plus the `contentHash` (and optionally `sidecarHash`)
+// of the patched result. A patch that can't be applied exactly answers 409
+// with `fullUploadRequired: true`, and the client retries with the full document.
 router.post(
   '/documents',
   [
     body('path').isString().trim().notEmpty().withMessage('Path is required'),
-    body('content').isString().withMessage('Content is required'),
-    body('sidecar').isObject().withMessage('Sidecar must be an object'),
+    body('patch').optional().isObject().withMessage('Patch must be an object'),
+    body('content').if(body('patch').not().exists()).isString().withMessage('Content is required'),
+    body('sidecar').if(body('patch').not().exists()).isObject().withMessage('Sidecar must be an object'),
+    body('baseVersion').if(body('patch').exists()).exists().withMessage('baseVersion is required with a patch'),
     body('baseVersion').optional().isInt({ min: 0 }),
+    body('contentHash').if(body('patch').exists()).isString().notEmpty().withMessage('contentHash is required with a patch'),
+    body('sidecarHash').optional().isString(),
   ],
   async (req, res) => {
     try {
@@ -254,7 +421,8 @@ router.post(
 
       const userId = req.user.id;
       const tier = req.subscription?.tier || 'free';
-      const { path: rawPath, content, sidecar: rawSidecar, baseVersion } = req.body;
+      const { path: rawPath, patch, baseVersion } = req.body;
+      let { content, sidecar: rawSidecar } = req.body;
 
       // Security: Validate and sanitize path
       const pathValidation = validateSyncPath(rawPath);
@@ -264,6 +432,15 @@ router.post(
       }
       const path = pathValidation.sanitized;
 
+      // Delta upload: rebuild the full document, then continue as a normal upload
+      if (patch) {
+        const resolved = await resolvePatchUpload(userId, path, req.body);
+        if (resolved.status) {
+          return res.status(resolved.status).json(resolved.body);
+        }
+        ({ content, sidecar: rawSidecar } = resolved);
+      }
+
       // Security: Validate content size
       const contentValidation = validateContentSize(content);
       if (!contentValidation.valid) {
@@ -316,8 +493,12 @@ router.post(
       // Generate or use existing document ID
       const documentId = existing?.id || crypto.randomUUID();
 
+      // A stale baseVersion is a conflict. Catch it before uploading, so the
+      // remote content isn't overwritten by the version that lost.
+      const staleBase = existing && baseVersion !== undefined && existing.version !== baseVersion;
+
       // Upload to R2 first (optimistic, outside transaction)
-      const uploadResult = await storage.uploadDocument(userId, documentId, content, sidecar);
+      const uploadResult = staleBase ? null : await storage.uploadDocument(userId, documentId, content, sidecar);
 
       // Wrap version check + DB upsert in transaction for atomicity
       const transact = db.transaction(() => {
@@ -375,7 +556,7 @@ router.post(
         return { conflict: false };
       });
 
-      const txResult = transact();
+      const txResult = staleBase ? { conflict: true, current: existing } : transact();
 
       // Handle conflict outside transaction (needs async R2 operations)
       if (txResult.conflict) {
@@ -424,6 +605,9 @@ router.post(
         });
       }
 
+      broadcastSyncChange(userId, documentId);
+      enqueueDocumentIndexing(documentId, 'upload');
+
       // Get updated document
       const updated = db
         .prepare('SELECT * FROM sync_documents WHERE id = ?')
@@ -566,6 +750,8 @@ router.patch(
         return res.status(409).json({ error: 'A document already exists at the target path' });
       }
 
+      broadcastSyncChange(userId, id, { previousPath: result.oldPath });
+
       // Get updated document
       const updated = db
         .prepare('SELECT * FROM sync_documents WHERE id = ?')
@@ -620,6 +806,8 @@ router.delete('/documents/:id', [param('id').isUUID()], async (req, res) => {
     updateSyncUsage(userId, -doc.size_bytes);
 
     logSyncOperation(userId, id, 'delete', doc.path, 0, true);
+    broadcastSyncChange(userId, id);
+    enqueueDocumentIndexing(id, 'delete');
 
     res.json({ success: true, deletedAt: new Date().toISOString() });
   } catch (error) {
@@ -633,7 +821,8 @@ router.post(
   '/conflicts/:id/resolve',
   [
     param('id').isUUID(),
-    body('resolution').isIn(['local', 'remote', 'both']).withMessage('Invalid resolution'),
+    body('resolution').isIn(['local', 'remote', 'both', 'merge']).withMessage('Invalid resolution'),
+    body('resolutions').optional().isObject().withMessage('resolutions must be an object'),
   ],
   async (req, res) => {
     try {
@@ -644,12 +833,16 @@ router.post(
 
       const userId = req.user.id;
       const { id } = req.params;
-      const { resolution } = req.body;
+      const { resolution, resolutions = {} } = req.body;
+
+      if (Object.values(resolutions).some((side) => !SIDE_TO_MERGE_RESOLUTION[side])) {
+        return res.status(400).json({ error: "resolutions must map conflict IDs to 'local', 'remote' or 'both'" });
+      }
 
       // Get conflict
       const conflict = db
         .prepare(`
-          SELECT c.*, d.path, d.id as doc_id
+          SELECT c.*, d.path, d.id as doc_id, d.version AS doc_version, d.size_bytes AS doc_size_bytes
           FROM sync_conflicts c
           JOIN sync_documents d ON c.document_id = d.id
           WHERE c.id = ? AND c.user_id = ? AND c.resolved_at IS NULL
@@ -661,7 +854,68 @@ router.post(
       }
 
       // Handle resolution
-      if (resolution === 'local') {
+      let merge = null;
+      if (resolution === 'merge') {
+        // Three-way merge of the preserved local version into the current document
+        const [localDoc, remoteDoc] = await Promise.all([
+          storage.getConflictVersion(userId, conflict.doc_id, conflict.local_version),
+          storage.downloadDocument(userId, conflict.doc_id),
+        ]);
+        if (!localDoc || !remoteDoc) {
+          return res.status(400).json({ error: 'Conflict versions are no longer available' });
+        }
+
+        const base = await loadConflictMergeBase(userId, conflict, remoteDoc.contentHash);
+        const result = mergeDocumentContent({ base, ours: localDoc, theirs: remoteDoc }, {
+          resolutions: Object.fromEntries(
+            Object.entries(resolutions).map(([conflictId, side]) => [conflictId, SIDE_TO_MERGE_RESOLUTION[side]])
+          ),
+          markConflicts: CONFLICT_MARKERS,
+        });
+
+        merge = {
+          format: result.format,
+          baseVersionId: base?.versionId || null,
+        };
+
+        if (result.conflicts.length > 0) {
+          return res.status(409).json({
+            error: 'Merge has unresolved conflicts',
+            code: 'MERGE_CONFLICT',
+            ...merge,
+            conflicts: result.conflicts.map((c) => ({
+              id: c.id,
+              path: c.path,
+              base: c.base,
+              local: c.ours,
+              remote: c.theirs,
+            })),
+            // Both sides of each conflict between <<<<<<< local / ======= / >>>>>>> remote markers
+            merged: { content: result.content, sidecar: result.sidecar },
+          });
+        }
+
+        // The document may have moved while we downloaded and merged — make the client retry
+        const current = db.prepare('SELECT version FROM sync_documents WHERE id = ?').get(conflict.doc_id);
+        if (!current || current.version !== conflict.doc_version) {
+          return res.status(409).json({ error: 'Document changed during merge, please retry', code: 'MERGE_STALE' });
+        }
+
+        const upload = await storage.uploadDocument(userId, conflict.doc_id, result.content, result.sidecar);
+        db.prepare(`
+          UPDATE sync_documents SET
+            content_hash = ?, sidecar_hash = ?, size_bytes = ?,
+            version = version + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(upload.contentHash, upload.sidecarHash, upload.sizeBytes, conflict.doc_id);
+        updateSyncUsage(userId, upload.sizeBytes - (conflict.doc_size_bytes || 0));
+        logSyncOperation(userId, conflict.doc_id, 'upload', conflict.path, upload.sizeBytes, true);
+        broadcastSyncChange(userId, conflict.doc_id);
+        enqueueDocumentIndexing(conflict.doc_id, 'conflict');
+
+        merge.version = conflict.doc_version + 1;
+        merge.contentHash = upload.contentHash;
+      } else if (resolution === 'local') {
         // Get local version and make it the current version
         const localDoc = await storage.getConflictVersion(userId, conflict.doc_id, conflict.local_version);
         if (localDoc) {
@@ -671,6 +925,10 @@ router.post(
               content_hash = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
           `).run(storage.hashContent(localDoc.content), conflict.doc_id);
+          logSyncOperation(userId, conflict.doc_id, 'upload', conflict.path,
+            Buffer.byteLength(localDoc.content, 'utf-8'), true);
+          broadcastSyncChange(userId, conflict.doc_id);
+          enqueueDocumentIndexing(conflict.doc_id, 'conflict');
         }
       } else if (resolution === 'both') {
         // Keep remote as-is, create a new document for local version
@@ -700,6 +958,9 @@ router.post(
           );
 
           updateSyncUsage(userId, contentSize + sidecarSize);
+          logSyncOperation(userId, newId, 'upload', newPath, contentSize + sidecarSize, true);
+          broadcastSyncChange(userId, newId);
+          enqueueDocumentIndexing(newId, 'conflict');
         }
       }
       // 'remote' resolution: keep current version as-is
@@ -708,7 +969,7 @@ router.post(
       db.prepare(`
         UPDATE sync_conflicts SET resolved_at = CURRENT_TIMESTAMP, resolution = ?
         WHERE id = ?
-      `).run(resolution, id);
+      `).run(resolution === 'merge' ? 'merged' : resolution, id);
 
       // Clean up conflict versions
       await storage.deleteConflictVersions(userId, conflict.doc_id, [conflict.local_version]);
@@ -717,6 +978,7 @@ router.post(
         success: true,
         resolution,
         resolvedAt: new Date().toISOString(),
+        ...(merge && { merge }),
       });
     } catch (error) {
       logger.error({ error: error?.message || error, userId: req.user.id }, 'Conflict resolution error');
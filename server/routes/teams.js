@@ -1,7 +1,8 @@
 /**
  * Teams Routes
  *
- * Team workspace CRUD, member management, and team document association.
+ * Team workspace CRUD, member management, team document association, and
+ * LLM budgets/usage reporting.
  */
 
 import { Router } from 'express';
@@ -9,6 +10,12 @@ import crypto from 'crypto';
 import { requireAuth, requireSubscription } from '../middleware/auth.js';
 import { getDocumentPermission } from '../middleware/shareAuth.js';
 import db from '../db/index.js';
+import { removeRevokedDocuments } from '../services/ragService.js';
+import {
+  getTeamUsageReport,
+  setMemberCap,
+  setTeamBudget,
+} from '../services/llm/teamBudgets.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
@@ -150,7 +157,11 @@ router.delete('/:teamId', requireAuth, (req, res) => {
   if (!team) return res.status(403).json({ error: 'Only the team owner can delete it' });
 
   try {
+    const documents = db.prepare('SELECT document_id FROM team_documents WHERE team_id = ?').all(req.params.teamId);
     db.prepare('DELETE FROM teams WHERE id = ?').run(req.params.teamId);
+    for (const { document_id: documentId } of documents) {
+      removeRevokedDocuments({ documentId });
+    }
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete team' });
@@ -210,6 +221,7 @@ router.delete('/:teamId/members/:memberId', requireAuth, (req, res) => {
 
   try {
     db.prepare('DELETE FROM team_members WHERE id = ?').run(req.params.memberId);
+    removeRevokedDocuments({ userId: target.user_id });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to remove member' });
@@ -263,12 +275,105 @@ router.delete('/:teamId/documents/:docId', requireAuth, (req, res) => {
 
   try {
     db.prepare('DELETE FROM team_documents WHERE team_id = ? AND document_id = ?').run(req.params.teamId, req.params.docId);
+    removeRevokedDocuments({ documentId: req.params.docId });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to remove document' });
   }
 });
 
+/**
+ * GET /:teamId/usage — Monthly LLM usage and spend report (admin/owner)
+ */
+router.get('/:teamId/usage', requireAuth, (req, res) => {
+  const member = db.prepare(
+    "SELECT role FROM team_members WHERE team_id = ? AND user_id = ?"
+  ).get(req.params.teamId, req.user.id);
+
+  if (!member || (member.role !== 'owner' && member.role !== 'admin')) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const { month } = req.query;
+  if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+  }
+
+  try {
+    res.json(getTeamUsageReport(req.params.teamId, month));
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load team usage');
+    res.status(500).json({ error: 'Failed to load team usage' });
+  }
+});
+
+/**
+ * PUT /:teamId/llm-budget — Set the team's monthly LLM budget (admin/owner).
+ * Both limits null removes the budget.
+ */
+router.put('/:teamId/llm-budget', requireAuth, (req, res) => {
+  const member = db.prepare(
+    "SELECT role FROM team_members WHERE team_id = ? AND user_id = ?"
+  ).get(req.params.teamId, req.user.id);
+
+  if (!member || (member.role !== 'owner' && member.role !== 'admin')) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const limits = parseLlmLimits(req.body);
+  if (!limits) return res.status(400).json({ error: 'Limits must be non-negative integers or null' });
+
+  try {
+    const budget = setTeamBudget(req.params.teamId, limits, req.user.id);
+    res.json({ budget });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to update team LLM budget');
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+/**
+ * PUT /:teamId/members/:memberId/llm-cap — Cap a member's monthly LLM usage within the team (admin/owner).
+ * Both limits null removes the cap.
+ */
+router.put('/:teamId/members/:memberId/llm-cap', requireAuth, (req, res) => {
+  const myMember = db.prepare(
+    "SELECT role FROM team_members WHERE team_id = ? AND user_id = ?"
+  ).get(req.params.teamId, req.user.id);
+
+  if (!myMember || (myMember.role !== 'owner' && myMember.role !== 'admin')) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const target = db.prepare('SELECT * FROM team_members WHERE id = ? AND team_id = ?').get(req.params.memberId, req.params.teamId);
+  if (!target) return res.status(404).json({ error: 'Member not found' });
+
+  const limits = parseLlmLimits(req.body);
+  if (!limits) return res.status(400).json({ error: 'Limits must be non-negative integers or null' });
+
+  try {
+    const cap = setMemberCap(req.params.teamId, target.user_id, limits, req.user.id);
+    res.json({ cap });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to update member LLM cap');
+    res.status(500).json({ error: 'Failed to update cap' });
+  }
+});
+
+/**
+ * Parse { monthlyTokenLimit, monthlyCostLimitCents } from a request body.
+ * Missing values mean "no limit"; returns null if either is invalid.
+ */
+function parseLlmLimits(body = {}) {
+  const limits = {};
+  for (const key of ['monthlyTokenLimit', 'monthlyCostLimitCents']) {
+    const value = body[key] ?? null;
+    if (value !== null && (!Number.isInteger(value) || value < 0)) return null;
+    limits[key] = value;
+  }
+  return limits;
+}
+
 function formatTeam(row) {
   return {
     id: row.id,
@@ -6,6 +6,7 @@ import {
   cleanupExpiredEmailVerificationTokens
 } from './tokenService.js';
 import { cleanupOldAuthEvents } from './auditService.js';
+import { cleanupExpired as cleanupExpiredLlmResponses } from './llm/responseCache.js';
 import db from '../db/index.js';
 import { logger } from '../utils/logger.js';
 import { CONFIG } from '../config/index.js';
@@ -15,6 +16,7 @@ import { CONFIG } from '../config/index.js';
  * - Expired sessions, OAuth states, codes, password reset tokens, email verification tokens
  * - Old auth events (>90 days)
  * - Old error reports and alert history (>90 days)
+ * - Expired LLM response cache entries
  */
 export function runCleanup() {
   try {
@@ -59,7 +61,10 @@ export function runCleanup() {
       "DELETE FROM document_activity WHERE created_at < datetime('now', '-90 days')"
     ).run();
 
-    const totalChanges = sessions.changes + oauthStates.changes + codes.changes +
+    // Expired LLM response cache entries
+    const llmResponses = cleanupExpiredLlmResponses();
+
+    const totalChanges = llmResponses + sessions.changes + oauthStates.changes + codes.changes +
       resetTokens.changes + verificationTokens.changes +
       authEvents.changes + reports.changes + alerts.changes +
       yjsDocs.changes + expiredShares.changes +
@@ -80,6 +85,7 @@ export function runCleanup() {
         guestSessionsRemoved: guestSessions.changes,
         oldNotificationsRemoved: oldNotifications.changes,
         oldActivityRemoved: oldActivity.changes,
+        llmResponsesRemoved: llmResponses,
       }, 'Cleanup completed');
     }
   } catch (error) {
@@ -0,0 +1,183 @@
+/**
+ * Collab Bus
+ *
+ * Hocuspocus extension that fans Y.js updates and awareness out across
+ * collab-server processes, so editors of the same document no longer have to
+ * land on the same node.
+ *
+ * Each node subscribes to a channel per loaded document and:
+ * - publishes the updates and awareness changes of its own clients
+ * - applies what other nodes publish, which Hocuspocus then sends on to the
+ *   local clients
+ * - on load, asks the other nodes for whatever its copy is missing (its state
+ *   vector goes out, the other nodes reply with the difference and their
+ *   awareness states)
+ *
+ * Every node persists what it holds. Updates arriving through the bus use the
+ * transaction origin Hocuspocus reserves for pub/sub extensions, which skips
+ * its store hooks, so onChange schedules the (debounced) store itself: an edit
+ * another node has acknowledged survives that node going down before its own
+ * store runs. collabService merges stored states, so nodes never overwrite
+ * each other's updates.
+ *
+ * Adapters implement publish(channel, payload), subscribe(channel, handler)
+ * → unsubscribe, and close(). Select one with COLLAB_BUS=memory|sqlite.
+ */
+
+import crypto from 'crypto';
+import * as Y from 'yjs';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import { applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness';
+import { MemoryBusAdapter } from './memoryAdapter.js';
+import { SqliteBusAdapter } from './sqliteAdapter.js';
+import { logger } from '../../utils/logger.js';
+
+export { MemoryBusAdapter, SqliteBusAdapter };
+
+export const BUS_ORIGIN = '__hocuspocus__redis__origin__';
+
+const MESSAGE_UPDATE = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_SYNC_REQUEST = 2;
+
+/**
+ * Create the adapter named by COLLAB_BUS.
+ * @param {string|undefined} kind - 'memory', 'sqlite', or empty to run single-node
+ * @returns {MemoryBusAdapter|SqliteBusAdapter|null}
+ */
+export function createCollabBusAdapter(kind) {
+  switch ((kind || '').trim().toLowerCase()) {
+    case '':
+    case 'none':
+      return null;
+    case 'memory':
+      return new MemoryBusAdapter();
+    case 'sqlite':
+      return new SqliteBusAdapter();
+    default:
+      throw new Error(`Unknown COLLAB_BUS adapter: ${kind}`);
+  }
+}
+
+export class CollabBus {
+  /**
+   * @param {object} options
+   * @param {object} options.adapter - Message transport
+   * @param {string} [options.nodeId] - Unique per process
+   */
+  constructor({ adapter, nodeId = crypto.randomUUID() }) {
+    this.adapter = adapter;
+    this.nodeId = nodeId;
+    this.documents = new Map();
+    this.unsubscribes = new Map();
+  }
+
+  async afterLoadDocument({ documentName, document }) {
+    this.documents.set(documentName, document);
+    this.unsubscribes.set(
+      documentName,
+      this.adapter.subscribe(channelFor(documentName), (payload) => this.handleMessage(documentName, payload))
+    );
+
+    // Hocuspocus' awareness hook drops the origin, so listen directly. Timeouts
+    // aren't forwarded: every node times out a silent client on its own.
+    document.awareness.on('update', ({ added, updated, removed }, origin) => {
+      if (origin === BUS_ORIGIN || origin === 'timeout') return;
+      const changed = added.concat(updated, removed);
+      this.publish(documentName, MESSAGE_AWARENESS, encodeAwarenessUpdate(document.awareness, changed));
+    });
+
+    this.publish(documentName, MESSAGE_SYNC_REQUEST, Y.encodeStateVector(document));
+  }
+
+  async onChange(payload) {
+    const { documentName, document, instance, update, transactionOrigin } = payload;
+    if (transactionOrigin === BUS_ORIGIN) {
+      // Returns undefined while the store is debounced
+      Promise.resolve(instance.storeDocumentHooks(document, payload)).catch((err) => {
+        logger.error({ error: err?.message || err, documentId: documentName }, 'Failed to store collab bus update');
+      });
+      return;
+    }
+    this.publish(documentName, MESSAGE_UPDATE, update);
+  }
+
+  async afterUnloadDocument({ documentName }) {
+    this.unsubscribes.get(documentName)?.();
+    this.unsubscribes.delete(documentName);
+    this.documents.delete(documentName);
+  }
+
+  async onDestroy() {
+    for (const unsubscribe of this.unsubscribes.values()) unsubscribe();
+    this.unsubscribes.clear();
+    this.documents.clear();
+    this.adapter.close();
+  }
+
+  publish(documentName, type, payload, target = '') {
+    try {
+      this.adapter.publish(channelFor(documentName), encodeMessage(this.nodeId, type, target, payload));
+    } catch (err) {
+      logger.error({ error: err.message, documentId: documentName }, 'Failed to publish collab bus message');
+    }
+  }
+
+  handleMessage(documentName, payload) {
+    const document = this.documents.get(documentName);
+    if (!document) return;
+
+    try {
+      const message = decodeMessage(payload);
+      if (message.nodeId === this.nodeId) return;
+      if (message.target && message.target !== this.nodeId) return;
+
+      switch (message.type) {
+        case MESSAGE_UPDATE:
+          Y.applyUpdate(document, message.payload, BUS_ORIGIN);
+          break;
+        case MESSAGE_AWARENESS:
+          applyAwarenessUpdate(document.awareness, message.payload, BUS_ORIGIN);
+          break;
+        case MESSAGE_SYNC_REQUEST: {
+          const missing = Y.encodeStateAsUpdate(document, message.payload);
+          this.publish(documentName, MESSAGE_UPDATE, missing, message.nodeId);
+          const clients = [...document.awareness.getStates().keys()];
+          if (clients.length > 0) {
+            this.publish(documentName, MESSAGE_AWARENESS, encodeAwarenessUpdate(document.awareness, clients), message.nodeId);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    } catch (err) {
+      logger.error({ error: err.message, documentId: documentName }, 'Failed to handle collab bus message');
+    }
+  }
+}
+
+function channelFor(documentName) {
+  return `collab:${documentName}`;
+}
+
+// Layout: node ID, message type, target node ID ('' = everyone), payload
+function encodeMessage(nodeId, type, target, payload) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarString(encoder, nodeId);
+  encoding.writeVarUint(encoder, type);
+  encoding.writeVarString(encoder, target);
+  encoding.writeVarUint8Array(encoder, payload);
+  return encoding.toUint8Array(encoder);
+}
+
+function decodeMessage(payload) {
+  const decoder = decoding.createDecoder(payload);
+  return {
+    nodeId: decoding.readVarString(decoder),
+    type: decoding.readVarUint(decoder),
+    target: decoding.readVarString(decoder),
+    payload: decoding.readVarUint8Array(decoder),
+  };
+}
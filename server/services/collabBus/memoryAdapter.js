@@ -0,0 +1,55 @@
+/**
+ * In-memory Collab Bus Adapter
+ *
+ * Delivers messages between bus instances in the same process. Useful for
+ * tests and for running several Hocuspocus instances side by side; it does
+ * not cross process boundaries.
+ */
+
+import { EventEmitter } from 'events';
+
+// Shared by every adapter that isn't given its own hub
+const defaultHub = new EventEmitter();
+defaultHub.setMaxListeners(0);
+
+export class MemoryBusAdapter {
+  /**
+   * @param {object} [options]
+   * @param {EventEmitter} [options.hub] - Adapters on the same hub see each other's messages
+   */
+  constructor({ hub = defaultHub } = {}) {
+    this.hub = hub;
+    this.subscriptions = new Set();
+  }
+
+  /**
+   * Publish a message to every subscriber of a channel (including this adapter's own).
+   * Delivery is asynchronous, like a real transport.
+   * @param {string} channel
+   * @param {Uint8Array} payload
+   */
+  publish(channel, payload) {
+    queueMicrotask(() => this.hub.emit(channel, payload));
+  }
+
+  /**
+   * @param {string} channel
+   * @param {(payload: Uint8Array) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(channel, handler) {
+    const subscription = { channel, handler };
+    this.hub.on(channel, handler);
+    this.subscriptions.add(subscription);
+
+    return () => {
+      this.hub.off(channel, handler);
+      this.subscriptions.delete(subscription);
+    };
+  }
+
+  close() {
+    for (const { channel, handler } of this.subscriptions) this.hub.off(channel, handler);
+    this.subscriptions.clear();
+  }
+}
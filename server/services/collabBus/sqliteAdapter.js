@@ -0,0 +1,116 @@
+/**
+ * SQLite Collab Bus Adapter
+ *
+ * Passes messages between collab-server processes on the same machine
+ * through the shared database (collab_bus_messages). Each adapter polls for
+ * rows newer than the last one it has seen; WAL mode lets readers poll while
+ * another process writes. Old rows are pruned by whichever node gets there
+ * first.
+ */
+
+import db from '../../db/index.js';
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.COLLAB_BUS_POLL_MS) || 50;
+const RETENTION_MS = 60_000;
+const PRUNE_INTERVAL_MS = 10_000;
+const POLL_BATCH_SIZE = 500;
+
+const insertMessage = db.prepare(`
+  INSERT INTO collab_bus_messages (channel, payload, created_at) VALUES (?, ?, ?)
+`);
+
+const listMessagesAfter = db.prepare(`
+  SELECT id, channel, payload FROM collab_bus_messages WHERE id > ? ORDER BY id ASC LIMIT ?
+`);
+
+const getLastMessageId = db.prepare('SELECT MAX(id) AS id FROM collab_bus_messages');
+
+const pruneMessages = db.prepare('DELETE FROM collab_bus_messages WHERE created_at < ?');
+
+export class SqliteBusAdapter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.pollIntervalMs]
+   */
+  constructor({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.handlers = new Map();
+    this.timer = null;
+    this.lastPrunedAt = 0;
+    // Only messages published after this node started are of interest
+    this.lastId = getLastMessageId.get()?.id || 0;
+  }
+
+  /**
+   * Publish a message to every subscriber of a channel, in any process
+   * (including this adapter's own).
+   * @param {string} channel
+   * @param {Uint8Array} payload
+   */
+  publish(channel, payload) {
+    insertMessage.run(channel, Buffer.from(payload), Date.now());
+  }
+
+  /**
+   * @param {string} channel
+   * @param {(payload: Uint8Array) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) this.handlers.set(channel, new Set());
+    this.handlers.get(channel).add(handler);
+    this.start();
+
+    return () => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) this.handlers.delete(channel);
+    };
+  }
+
+  /**
+   * Deliver messages published since the last poll.
+   * @returns {number} Messages read
+   */
+  poll() {
+    let rows;
+    try {
+      rows = listMessagesAfter.all(this.lastId, POLL_BATCH_SIZE);
+    } catch (err) {
+      logger.error({ error: err.message }, 'Failed to poll collab bus');
+      return 0;
+    }
+
+    for (const row of rows) {
+      this.lastId = row.id;
+      for (const handler of this.handlers.get(row.channel) || []) {
+        handler(new Uint8Array(row.payload));
+      }
+    }
+
+    const now = Date.now();
+    if (now - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      this.lastPrunedAt = now;
+      pruneMessages.run(now - RETENTION_MS);
+    }
+
+    return rows.length;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      // Drain backlogs without waiting a full interval per batch
+      while (this.poll() === POLL_BATCH_SIZE);
+    }, this.pollIntervalMs);
+    this.timer.unref?.();
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.handlers.clear();
+  }
+}
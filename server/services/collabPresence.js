@@ -0,0 +1,163 @@
+/**
+ * Collab Presence Service
+ *
+ * Summarises who is in a collaborative session from Hocuspocus state, so
+ * REST and SSE consumers can show "3 people editing now" without opening a
+ * Y.js connection.
+ *
+ * - Users come from each connection's auth context
+ * - The cursor section comes from the y-prosemirror cursor in awareness
+ * - Idle time is measured from the connection's last document edit or
+ *   awareness change (cursor moves count; awareness heartbeats don't)
+ */
+
+import * as Y from 'yjs';
+import { findSectionHeading } from './sectionLocks.js';
+
+// Minimum time between presence pushes per document (cursor moves are chatty)
+export const PRESENCE_PUSH_INTERVAL_MS = 1000;
+
+// Last activity by WebSocket — entries go away with the socket
+const lastActivity = new WeakMap();
+
+// Presence listeners by document ID, and pending pushes
+const subscribers = new Map();
+const pendingPushes = new Map();
+
+/**
+ * Record activity on a collab connection.
+ * @param {object} webSocket - The connection's WebSocket
+ * @param {number} [at]
+ */
+export function markActive(webSocket, at = Date.now()) {
+  if (webSocket) lastActivity.set(webSocket, at);
+}
+
+/**
+ * Track activity on a loaded document. Client edits arrive with the
+ * Connection as transaction origin, client awareness changes with its
+ * WebSocket; anything else (direct connections, the server's own awareness
+ * state) isn't a collaborator.
+ * @param {object} document - Hocuspocus Document
+ * @param {() => void} onChange - Called whenever presence may have changed
+ */
+export function trackPresence(document, onChange) {
+  document.on('update', (_update, origin) => {
+    if (origin?.webSocket && document.connections.has(origin.webSocket)) {
+      markActive(origin.webSocket);
+      onChange();
+    }
+  });
+  document.awareness.on('change', (_changes, origin) => {
+    if (origin && document.connections.has(origin)) markActive(origin);
+    onChange();
+  });
+}
+
+/**
+ * List the collaborators in a document's session, one entry per user
+ * (a user with several tabs open is counted once), most recently active first.
+ * @param {object} document - Hocuspocus Document
+ * @param {number} [now]
+ * @returns {object[]} { user, connections, section, lastActiveAt, idleMs }
+ */
+export function describePresence(document, now = Date.now()) {
+  const states = document.awareness.getStates();
+  const connections = [...document.connections.values()]
+    .filter(({ connection }) => connection.context?.user)
+    .map(({ clients, connection }) => ({
+      context: connection.context,
+      lastActive: lastActivity.get(connection.webSocket) ?? null,
+      cursor: [...clients].map((clientId) => states.get(clientId)?.cursor).find(Boolean) || null,
+    }))
+    .sort((a, b) => (b.lastActive ?? 0) - (a.lastActive ?? 0));
+
+  const byUser = new Map();
+  for (const { context, lastActive, cursor } of connections) {
+    const existing = byUser.get(context.user.id);
+    if (existing) {
+      existing.connections++;
+      existing.section ??= cursor ? findCursorSection(document, cursor) : null;
+      continue;
+    }
+    byUser.set(context.user.id, {
+      user: {
+        id: context.user.id,
+        name: context.user.name,
+        isGuest: context.isGuest === true,
+      },
+      connections: 1,
+      section: cursor ? findCursorSection(document, cursor) : null,
+      lastActiveAt: lastActive !== null ? new Date(lastActive).toISOString() : null,
+      idleMs: lastActive !== null ? Math.max(0, now - lastActive) : null,
+    });
+  }
+
+  return [...byUser.values()];
+}
+
+/**
+ * Find the section (nearest preceding heading) a y-prosemirror cursor is in.
+ * @param {Y.Doc} ydoc
+ * @param {{ anchor?: object, head?: object }} cursor - Relative positions as JSON
+ * @returns {{ headingText: string, headingLevel: number, headingNodeId: string|null }|null}
+ */
+export function findCursorSection(ydoc, cursor) {
+  const position = cursor?.head ?? cursor?.anchor;
+  if (!position) return null;
+
+  let absolute;
+  try {
+    absolute = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(position), ydoc);
+  } catch {
+    return null;
+  }
+  if (!absolute) return null;
+
+  const fragment = ydoc.getXmlFragment('default');
+  if (absolute.type === fragment) return findSectionHeading(ydoc, absolute.index);
+
+  // Walk up to the top-level block containing the cursor
+  let node = absolute.type;
+  while (node && node.parent !== fragment) node = node.parent;
+  if (!node) return null;
+  return findSectionHeading(ydoc, fragment.toArray().indexOf(node));
+}
+
+/**
+ * Listen for presence changes on a document.
+ * @param {string} documentId
+ * @param {(collaborators: object[]) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribePresence(documentId, listener) {
+  if (!subscribers.has(documentId)) subscribers.set(documentId, new Set());
+  subscribers.get(documentId).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(documentId);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) subscribers.delete(documentId);
+  };
+}
+
+/**
+ * Schedule a presence push for a document. Pushes are coalesced to at most
+ * one per PRESENCE_PUSH_INTERVAL_MS, and skipped when nobody is listening.
+ * @param {string} documentId
+ * @param {() => object[]} getPresence - Computes the collaborators at push time
+ */
+export function notifyPresenceChange(documentId, getPresence) {
+  if (!subscribers.has(documentId) || pendingPushes.has(documentId)) return;
+
+  const timer = setTimeout(() => {
+    pendingPushes.delete(documentId);
+    const listeners = subscribers.get(documentId);
+    if (!listeners) return;
+    const collaborators = getPresence();
+    for (const listener of listeners) listener(collaborators);
+  }, PRESENCE_PUSH_INTERVAL_MS);
+  timer.unref?.();
+  pendingPushes.set(documentId, timer);
+}
@@ -14,6 +14,7 @@ import { Server as HocuspocusServer } from '@hocuspocus/server';
 import { Database } from '@hocuspocus/extension-database';
 import { Throttle } from '@hocuspocus/extension-throttle';
 import * as Y from 'yjs';
+import * as decoding from 'lib0/decoding';
 import { yDocToProsemirrorJSON, prosemirrorJSONToYDoc } from 'y-prosemirror';
 import { getSchema } from '@tiptap/core';
 import StarterKit from '@tiptap/starter-kit';
@@ -33,6 +34,12 @@ import { findUserById } from './authService.js';
 import { getDocumentPermission } from '../middleware/shareAuth.js';
 import storage, { downloadDocument, uploadDocument } from './storageService.js';
 import { logger } from '../utils/logger.js';
+import { extractMarkdownFromTiptap, getSidecarDoc, isTiptapDoc } from '../utils/tiptap.js';
+import { applySuggestionToTiptap, applySuggestionToYDoc } from './suggestionContent.js';
+import { canEditSection, findLockViolations, formatSectionLock, getSectionLocks } from './sectionLocks.js';
+import { describePresence, markActive, notifyPresenceChange, trackPresence } from './collabPresence.js';
+import { CollabBus, createCollabBusAdapter } from './collabBus/index.js';
+import { logSyncOperation } from './syncChanges.js';
 
 // Tiptap schema for server-side JSON ↔ Y.js conversion
 // Must include all custom node types used by the client to avoid dropping content
@@ -109,6 +116,15 @@ const SNAPSHOT_INTERVAL_MS = 30_000;
 const lastCheckpointTime = new Map();
 const CHECKPOINT_INTERVAL_MS = 5 * 60 * 1000;
 
+// Optional pub/sub between collab-server processes (COLLAB_BUS=memory|sqlite)
+const collabBusAdapter = createCollabBusAdapter(process.env.COLLAB_BUS);
+
+// Hocuspocus message types / y-protocols sync steps that carry document changes
+const MESSAGE_SYNC = 0;
+const MESSAGE_SYNC_REPLY = 4;
+const SYNC_STEP_2 = 1;
+const SYNC_UPDATE = 2;
+
 // Permission re-check cache for long-running connections (H3)
 const connectionPermissionCache = new Map();
 const PERMISSION_RECHECK_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
@@ -124,7 +140,7 @@ const upsertYjsState = db.prepare(`
 `);
 
 // Get document owner for storage operations
-const getDocOwner = db.prepare('SELECT user_id FROM sync_documents WHERE id = ?');
+const getDocOwner = db.prepare('SELECT user_id, path FROM sync_documents WHERE id = ?');
 
 // Prepared statements for Tiptap JSON snapshot persistence
 const bumpDocVersion = db.prepare(`
@@ -192,6 +208,13 @@ async function fetchDocument(documentId) {
  * Persist Y.js state and periodically snapshot back to Tiptap JSON.
  */
 async function storeDocument(documentId, state) {
+  // With a collab bus every node stores the document; merging keeps a node
+  // that hasn't received another's latest updates from overwriting them
+  const stored = collabBusAdapter && getYjsState.get(documentId);
+  if (stored) {
+    state = Y.mergeUpdates([new Uint8Array(stored.state), new Uint8Array(state)]);
+  }
+
   // Always persist Y.js binary state
   upsertYjsState.run(documentId, Buffer.from(state));
 
@@ -225,7 +248,7 @@ async function storeDocument(documentId, state) {
     const content = extractMarkdownFromTiptap(tiptapJson);
 
     // Upload back to storage
-    await uploadDocument(docInfo.user_id, documentId, content, sidecar);
+    const upload = await uploadDocument(docInfo.user_id, documentId, content, sidecar);
 
     // Bump version in sync_documents
     bumpDocVersion.run(
@@ -233,6 +256,7 @@ async function storeDocument(documentId, state) {
       storage.hashContent(JSON.stringify(sidecar)),
       documentId
     );
+    logSyncOperation(docInfo.user_id, documentId, 'upload', docInfo.path, upload.sizeBytes, true);
 
     logger.debug({ documentId }, 'Tiptap JSON snapshot saved');
 
@@ -243,54 +267,6 @@ async function storeDocument(documentId, state) {
   }
 }
 
-/**
- * Extract simple markdown text from Tiptap JSON (basic extraction for search/preview).
- */
-function extractMarkdownFromTiptap(json) {
-  if (!json || !json.content) return '';
-
-  const lines = [];
-  for (const node of json.content) {
-    if (node.type === 'paragraph' && node.content) {
-      const text = node.content
-        .filter(n => n.type === 'text')
-        .map(n => n.text)
-        .join('');
-      lines.push(text);
-    } else if (node.type === 'heading' && node.content) {
-      const level = node.attrs?.level || 1;
-      const text = node.content
-        .filter(n => n.type === 'text')
-        .map(n => n.text)
-        .join('');
-      lines.push('#'.repeat(level) + ' ' + text);
-    } else if (node.type === 'bulletList' || node.type === 'orderedList') {
-      if (node.content) {
-        for (const item of node.content) {
-          if (item.content) {
-            for (const para of item.content) {
-              if (para.content) {
-                const text = para.content
-                  .filter(n => n.type === 'text')
-                  .map(n => n.text)
-                  .join('');
-                lines.push('- ' + text);
-              }
-            }
-          }
-        }
-      }
-    } else if (node.type === 'codeBlock' && node.content) {
-      const text = node.content
-        .filter(n => n.type === 'text')
-        .map(n => n.text)
-        .join('');
-      lines.push('```\n' + text + '\n```');
-    }
-  }
-  return lines.join('\n\n');
-}
-
 /**
  * Create an auto-checkpoint in sync_versions for version history.
  * Throttled to 1 per 5 minutes per document.
@@ -361,6 +337,7 @@ export const hocuspocus = HocuspocusServer.configure({
         await storeDocument(documentName, state);
       },
     }),
+    ...(collabBusAdapter ? [new CollabBus({ adapter: collabBusAdapter })] : []),
   ],
 
   // Authentication: validate JWT token and check document permission
@@ -426,9 +403,9 @@ export const hocuspocus = HocuspocusServer.configure({
     };
   },
 
-  // Reject updates from view-only users
+  // Reject updates from view-only users, and edits inside sections they can't change
   // Must use beforeHandleMessage (not onChange) because onChange fires AFTER Y.applyUpdate
-  async beforeHandleMessage({ context, documentName }) {
+  async beforeHandleMessage({ context, documentName, document, update: message }) {
     if (context?.permission === 'view') {
       throw new Error('View-only access');
     }
@@ -451,6 +428,35 @@ export const hocuspocus = HocuspocusServer.configure({
         }
       }
     }
+
+    const update = readDocumentUpdate(message);
+    if (update && userId && documentName) {
+      const ownerId = getDocOwner.get(documentName)?.user_id;
+      const restricted = getSectionLocks(documentName).filter((lock) => !canEditSection(lock, userId, ownerId));
+      const violations = findLockViolations(document, update, restricted);
+      if (violations.length > 0) {
+        logger.warn(
+          { documentId: documentName, userId, lockIds: violations.map((lock) => lock.id) },
+          'Rejected collab update inside locked section'
+        );
+        const err = new Error('Section is locked');
+        err.reason = 'Section is locked';
+        throw err;
+      }
+    }
+  },
+
+  // Expose section locks to clients through the server's awareness state,
+  // and follow collaborator activity for the presence API
+  async afterLoadDocument({ document }) {
+    setSectionLockAwareness(document);
+    trackPresence(document, () => presenceChanged(document.name));
+  },
+
+  // The connection is registered on the document by now (unlike onConnect)
+  async connected({ documentName, connectionInstance }) {
+    markActive(connectionInstance?.webSocket);
+    presenceChanged(documentName);
   },
 
   // Log connections
@@ -471,11 +477,138 @@ export const hocuspocus = HocuspocusServer.configure({
       { documentId: documentName, userId: user?.id },
       'Collab user disconnected'
     );
+    presenceChanged(documentName);
   },
 
   // Clean up throttle maps when a document is unloaded from memory
   async afterUnloadDocument({ documentName }) {
     lastSnapshotTime.delete(documentName);
     lastCheckpointTime.delete(documentName);
+    presenceChanged(documentName);
   },
 });
+
+/**
+ * Collaborators currently in a document's collab session (empty when the
+ * document isn't loaded).
+ * @param {string} documentId
+ * @returns {object[]} See describePresence
+ */
+export function getDocumentPresence(documentId) {
+  const document = hocuspocus.documents.get(documentId);
+  return document ? describePresence(document) : [];
+}
+
+function presenceChanged(documentId) {
+  notifyPresenceChange(documentId, () => getDocumentPresence(documentId));
+}
+
+/**
+ * Re-publish a document's section locks to connected clients (after the
+ * locks change). No-op when the document isn't loaded.
+ * @param {string} documentId
+ */
+export function publishSectionLocks(documentId) {
+  const document = hocuspocus.documents.get(documentId);
+  if (document) setSectionLockAwareness(document);
+}
+
+/**
+ * Set the server's awareness state to `{ sectionLocks: [...] }` (or clear it
+ * when there are none) so clients can render locked sections.
+ */
+function setSectionLockAwareness(document) {
+  try {
+    const ownerId = getDocOwner.get(document.name)?.user_id;
+    const sectionLocks = getSectionLocks(document.name).map((lock) => formatSectionLock(lock, ownerId));
+    document.awareness.setLocalState(sectionLocks.length > 0 ? { sectionLocks } : null);
+  } catch (err) {
+    logger.error({ error: err.message, documentId: document.name }, 'Failed to publish section locks');
+  }
+}
+
+/**
+ * Extract the Y.js update carried by a raw collab message, if any.
+ * Layout: document name, message type, sync step, update.
+ * @param {Uint8Array} message
+ * @returns {Uint8Array|null}
+ */
+function readDocumentUpdate(message) {
+  try {
+    const decoder = decoding.createDecoder(new Uint8Array(message));
+    decoding.readVarString(decoder);
+    const type = decoding.readVarUint(decoder);
+    if (type !== MESSAGE_SYNC && type !== MESSAGE_SYNC_REPLY) return null;
+    const step = decoding.readVarUint(decoder);
+    if (step !== SYNC_STEP_2 && step !== SYNC_UPDATE) return null;
+    return decoding.readVarUint8Array(decoder);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Apply suggestion resolutions to a document's content.
+ *
+ * Edits the Y.js document when one exists, through a direct Hocuspocus
+ * connection so connected editors receive the change and it is persisted
+ * like any other update. The persisted Y.js state is the source of truth
+ * even when the document isn't loaded (the Tiptap snapshot is throttled and
+ * may lag), so only documents that have never had a collab session fall back
+ * to editing the stored Tiptap JSON. Documents without stored Tiptap JSON
+ * are left alone (the status change is all there is to record).
+ *
+ * Suggestions are applied in descending anchor order so that ProseMirror
+ * positions of later suggestions aren't shifted by earlier edits.
+ *
+ * @param {string} documentId
+ * @param {object[]} suggestions - document_suggestions rows
+ * @param {'accept'|'reject'} action
+ * @returns {Promise<Map<string, { changed: boolean, reason?: string }>>} Results by suggestion ID
+ */
+export async function applySuggestions(documentId, suggestions, action) {
+  const ordered = [...suggestions].sort((a, b) => b.anchor_from - a.anchor_from);
+  const results = new Map();
+
+  if (hocuspocus.documents.has(documentId) || getYjsState.get(documentId)) {
+    const connection = await hocuspocus.openDirectConnection(documentId, {
+      user: { id: 'server', name: 'Server' },
+    });
+    try {
+      await connection.transact((ydoc) => {
+        for (const suggestion of ordered) {
+          results.set(suggestion.id, applySuggestionToYDoc(ydoc, suggestion, action, schema));
+        }
+      });
+    } finally {
+      await connection.disconnect();
+    }
+    return results;
+  }
+
+  // No stored Tiptap JSON (metadata-only or plain markdown) — nothing to apply against
+  const docInfo = getDocOwner.get(documentId);
+  const existing = docInfo ? await downloadDocument(docInfo.user_id, documentId) : null;
+  let tiptapJson = getSidecarDoc(existing?.sidecar);
+  if (!tiptapJson) {
+    for (const suggestion of ordered) results.set(suggestion.id, { changed: false });
+    return results;
+  }
+
+  let changed = false;
+  for (const suggestion of ordered) {
+    const { doc, ...result } = applySuggestionToTiptap(tiptapJson, suggestion, action, schema);
+    tiptapJson = doc;
+    changed = changed || result.changed;
+    results.set(suggestion.id, result);
+  }
+  if (!changed) return results;
+
+  const sidecar = isTiptapDoc(existing.sidecar) ? tiptapJson : { ...existing.sidecar, content: tiptapJson };
+  const content = extractMarkdownFromTiptap(tiptapJson);
+  const upload = await uploadDocument(docInfo.user_id, documentId, content, sidecar);
+  bumpDocVersion.run(upload.contentHash, upload.sidecarHash, documentId);
+  logSyncOperation(docInfo.user_id, documentId, 'upload', docInfo.path, upload.sizeBytes, true);
+
+  return results;
+}
@@ -0,0 +1,490 @@
+/**
+ * Conversation Service
+ *
+ * Server-side chat history so conversations follow the user across desktop,
+ * web and mobile. A conversation is a list of messages (conversation_messages)
+ * plus an optional linked document and a compacted summary.
+ *
+ * Replay: /api/llm/chat with a conversationId sends only the new messages;
+ * buildConversationMessages() prepends the stored history. When the history
+ * would take more than CONFIG.llm.conversations.compactAtRatio of the model's
+ * context window, older turns are summarised (request type 'compaction') and
+ * only the summary plus the most recent messages are replayed.
+ *
+ * System messages are never stored: clients send their current system prompt
+ * with each request.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import { chat, MODELS } from './llm/index.js';
+import { CONFIG } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ service: 'conversations' });
+
+const DEFAULT_CONTEXT_WINDOW = 128000;
+const TITLE_MAX_CHARS = 80;
+// Per-message cap on what goes into a compaction or title prompt
+const PROMPT_MESSAGE_MAX_CHARS = 4000;
+const SNIPPET_RADIUS = 60;
+
+const selectConversation = db.prepare('SELECT * FROM conversations WHERE id = ? AND user_id = ?');
+const selectMessages = db.prepare('SELECT * FROM conversation_messages WHERE conversation_id = ? ORDER BY seq');
+const selectMessagesAfter = db.prepare('SELECT * FROM conversation_messages WHERE conversation_id = ? AND seq > ? ORDER BY seq');
+
+const insertMessage = db.prepare(`
+  INSERT INTO conversation_messages
+    (id, conversation_id, seq, role, content, tool_calls, tool_call_id, provider, model, prompt_tokens, completion_tokens)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const touchConversation = db.prepare(`
+  UPDATE conversations SET
+    message_count = message_count + ?,
+    provider = COALESCE(?, provider),
+    model = COALESCE(?, model),
+    last_message_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function truncate(text, maxChars) {
+  return text.length <= maxChars ? text : `${text.slice(0, maxChars)}…`;
+}
+
+/**
+ * Text to store for a message's content. Multi-part content keeps its text;
+ * attachments are recorded as a placeholder rather than stored.
+ */
+function toStoredContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map((part) => (part?.type === 'text' ? part.text || '' : `[${part?.type || 'attachment'}]`))
+    .join('\n\n');
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+export function formatConversation(row) {
+  return {
+    id: row.id,
+    title: row.title || null,
+    titleSource: row.title_source || null,
+    documentId: row.document_id || null,
+    provider: row.provider || null,
+    model: row.model || null,
+    messageCount: row.message_count,
+    compactedThroughSeq: row.summary_through_seq,
+    lastMessageAt: row.last_message_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function formatMessage(row) {
+  return {
+    id: row.id,
+    seq: row.seq,
+    role: row.role,
+    content: row.content,
+    toolCalls: parseJson(row.tool_calls),
+    toolCallId: row.tool_call_id || null,
+    provider: row.provider || null,
+    model: row.model || null,
+    usage: row.prompt_tokens == null ? null : {
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+    },
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * @returns {object|null} conversations row, if it belongs to the user
+ */
+export function getConversation(userId, conversationId) {
+  return selectConversation.get(conversationId, userId) || null;
+}
+
+export function getMessages(conversationId) {
+  return selectMessages.all(conversationId);
+}
+
+/**
+ * Append messages. System messages are skipped (see module comment).
+ *
+ * @param {string} conversationId
+ * @param {Object[]} messages - { role, content, toolCalls?, toolCallId? }
+ * @param {Object} [meta] - { provider, model, usage } recorded on assistant messages
+ * @returns {object[]} Inserted rows
+ */
+export const appendMessages = db.transaction((conversationId, messages, meta = {}) => {
+  const { seq: lastSeq } = db.prepare(
+    'SELECT COALESCE(MAX(seq), 0) AS seq FROM conversation_messages WHERE conversation_id = ?'
+  ).get(conversationId);
+
+  const rows = [];
+  let seq = lastSeq;
+  for (const message of messages) {
+    if (message.role === 'system') continue;
+    seq++;
+    const isAssistant = message.role === 'assistant';
+    const row = {
+      id: crypto.randomUUID(),
+      conversation_id: conversationId,
+      seq,
+      role: message.role,
+      content: toStoredContent(message.content),
+      tool_calls: message.toolCalls?.length ? JSON.stringify(message.toolCalls) : null,
+      tool_call_id: message.toolCallId || null,
+      provider: isAssistant ? meta.provider || null : null,
+      model: isAssistant ? meta.model || null : null,
+      prompt_tokens: isAssistant ? meta.usage?.promptTokens ?? null : null,
+      completion_tokens: isAssistant ? meta.usage?.completionTokens ?? null : null,
+    };
+    insertMessage.run(
+      row.id, row.conversation_id, row.seq, row.role, row.content, row.tool_calls,
+      row.tool_call_id, row.provider, row.model, row.prompt_tokens, row.completion_tokens
+    );
+    rows.push(row);
+  }
+
+  touchConversation.run(rows.length, meta.provider || null, meta.model || null, conversationId);
+  return rows;
+});
+
+/**
+ * Create a conversation, optionally seeded with messages
+ */
+export function createConversation(userId, { title = null, documentId = null, provider = null, model = null, messages = [] } = {}) {
+  const id = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO conversations (id, user_id, title, title_source, document_id, provider, model)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, title, title ? 'user' : null, documentId, provider, model);
+
+  if (messages.length > 0) {
+    appendMessages(id, messages);
+  }
+  return getConversation(userId, id);
+}
+
+/**
+ * Update title and/or linked document. A title set here is never replaced
+ * by auto-generation; null clears it so a new one can be generated.
+ */
+export function updateConversation(userId, conversationId, updates) {
+  const sets = [];
+  const values = [];
+
+  if (updates.title !== undefined) {
+    sets.push('title = ?', 'title_source = ?');
+    values.push(updates.title, updates.title ? 'user' : null);
+  }
+  if (updates.documentId !== undefined) {
+    sets.push('document_id = ?');
+    values.push(updates.documentId);
+  }
+  if (sets.length === 0) return getConversation(userId, conversationId);
+
+  db.prepare(`
+    UPDATE conversations SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?
+  `).run(...values, conversationId, userId);
+  return getConversation(userId, conversationId);
+}
+
+export function deleteConversation(userId, conversationId) {
+  return db.prepare('DELETE FROM conversations WHERE id = ? AND user_id = ?').run(conversationId, userId).changes > 0;
+}
+
+/**
+ * List a user's conversations, most recently active first.
+ * With a query, matches titles and message content, and returns a snippet
+ * of the first matching message.
+ *
+ * @param {number} userId
+ * @param {Object} [options] - { query, documentId, limit, offset }
+ * @returns {{ conversations: object[], total: number }}
+ */
+export function listConversations(userId, { query = null, documentId = null, limit = 20, offset = 0 } = {}) {
+  const where = ['c.user_id = ?'];
+  const params = [userId];
+  const pattern = query ? `%${escapeLike(query)}%` : null;
+
+  if (documentId) {
+    where.push('c.document_id = ?');
+    params.push(documentId);
+  }
+  if (pattern) {
+    where.push(`(c.title LIKE ? ESCAPE '\\' OR EXISTS (
+      SELECT 1 FROM conversation_messages m
+      WHERE m.conversation_id = c.id AND m.content LIKE ? ESCAPE '\\'
+    ))`);
+    params.push(pattern, pattern);
+  }
+
+  const whereClause = `WHERE ${where.join(' AND ')}`;
+  const matchColumn = pattern
+    ? `, (SELECT m.content FROM conversation_messages m
+          WHERE m.conversation_id = c.id AND m.content LIKE ? ESCAPE '\\'
+          ORDER BY m.seq LIMIT 1) AS match_content`
+    : '';
+
+  const rows = db.prepare(`
+    SELECT c.*${matchColumn}
+    FROM conversations c
+    ${whereClause}
+    ORDER BY c.updated_at DESC, c.id
+    LIMIT ? OFFSET ?
+  `).all(...(pattern ? [pattern] : []), ...params, limit, offset);
+
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM conversations c ${whereClause}`).get(...params).count;
+
+  return {
+    conversations: rows.map((row) => ({
+      ...formatConversation(row),
+      ...(pattern && { snippet: row.match_content ? makeSnippet(row.match_content, query) : null }),
+    })),
+    total,
+  };
+}
+
+function makeSnippet(content, query) {
+  const index = content.toLowerCase().indexOf(query.toLowerCase());
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(content.length, index + query.length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+}
+
+function toChatMessage(row) {
+  return {
+    role: row.role,
+    content: row.content,
+    ...(row.tool_calls && { toolCalls: parseJson(row.tool_calls) }),
+    ...(row.tool_call_id && { toolCallId: row.tool_call_id }),
+  };
+}
+
+function formatTranscript(rows) {
+  return rows
+    .map((row) => `${row.role.toUpperCase()}: ${truncate(row.content, PROMPT_MESSAGE_MAX_CHARS)}`)
+    .join('\n\n');
+}
+
+function getContextWindow(model) {
+  const info = Object.values(MODELS).flat().find((entry) => entry.id === model);
+  return info?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Where to split history for compaction so the last `keep` messages are
+ * replayed. Tool results must follow the assistant message that called them,
+ * so a cut landing on one moves back to include that message.
+ * @returns {number} Index of the first replayed message (0 = nothing to compact)
+ */
+function compactionCut(history, keep) {
+  let cut = history.length - keep;
+  while (cut > 0 && history[cut].role === 'tool') cut--;
+  return Math.max(cut, 0);
+}
+
+/**
+ * Summarise older messages into the conversation's running summary
+ * @returns {Promise<string>} The new summary
+ */
+async function compactConversation({ userId, conversation, rows, provider, model, userTier, teamId }) {
+  const previous = conversation.summary
+    ? `Summary of the conversation so far:\n${conversation.summary}\n\nLater messages:\n\n`
+    : '';
+
+  const response = await chat({
+    userId,
+    provider,
+    model,
+    messages: [
+      {
+        role: 'system',
+        content: 'You compact chat histories. Write a concise summary of the conversation that preserves facts, decisions, open questions, names and any instructions the user gave. Write it as notes, not as a reply.',
+      },
+      { role: 'user', content: `${previous}${formatTranscript(rows)}` },
+    ],
+    temperature: 0.2,
+    maxTokens: 1024,
+    stream: false,
+    requestType: 'compaction',
+    userTier,
+    teamId,
+  });
+
+  const summary = (response.content || '').trim();
+  const throughSeq = rows.at(-1).seq;
+  db.prepare(`
+    UPDATE conversations SET summary = ?, summary_through_seq = ? WHERE id = ?
+  `).run(summary, throughSeq, conversation.id);
+
+  log.info({ conversationId: conversation.id, throughSeq, messages: rows.length }, 'Conversation compacted');
+  return summary;
+}
+
+/**
+ * Full message list for a chat request on a stored conversation: the
+ * request's system prompt (plus the compacted summary, if any), the stored
+ * history, then the new messages.
+ *
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {object} params.conversation - conversations row
+ * @param {Object[]} params.messages - New messages from the request
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {number} params.maxTokens - Reserved for the reply
+ * @returns {Promise<Object[]>}
+ */
+export async function buildConversationMessages({
+  userId,
+  conversation,
+  messages,
+  provider,
+  model,
+  maxTokens = 4096,
+  userTier = 'free',
+  teamId = null,
+}) {
+  const { compactAtRatio, keepRecentMessages } = CONFIG.llm.conversations;
+  const systemPrompts = messages.filter((m) => m.role === 'system').map((m) => toStoredContent(m.content));
+  const newMessages = messages.filter((m) => m.role !== 'system');
+
+  let summary = conversation.summary || null;
+  let history = selectMessagesAfter.all(conversation.id, conversation.summary_through_seq);
+
+  const budget = Math.floor((getContextWindow(model) - maxTokens) * compactAtRatio);
+  const estimate = [...systemPrompts, summary, ...history.map((r) => r.content), ...newMessages.map((m) => toStoredContent(m.content))]
+    .reduce((sum, text) => sum + estimateTokens(text), 0);
+
+  const cut = compactionCut(history, keepRecentMessages);
+  if (estimate > budget && cut > 0) {
+    const older = history.slice(0, cut);
+    history = history.slice(cut);
+    try {
+      summary = await compactConversation({ userId, conversation, rows: older, provider, model, userTier, teamId });
+    } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
+      // Still answer; the model just loses the older turns this time
+      log.warn({ conversationId: conversation.id, error: error.message }, 'Conversation compaction failed, replaying recent messages only');
+    }
+  }
+
+  const system = [
+    ...systemPrompts,
+    ...(summary ? [`Summary of the earlier conversation:\n${summary}`] : []),
+  ].join('\n\n');
+
+  return [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...history.map(toChatMessage),
+    ...newMessages,
+  ];
+}
+
+function cleanTitle(text) {
+  const title = (text || '')
+    .split('\n')[0]
+    .replace(/^(title:\s*)/i, '')
+    .replace(/^["'*#\s]+|["'*.\s]+$/g, '')
+    .trim();
+  return title ? truncate(title, TITLE_MAX_CHARS) : null;
+}
+
+/**
+ * Generate a title from the opening of the conversation. Without `force`,
+ * an existing title is kept. Billed as overhead (request type 'classification').
+ *
+ * @returns {Promise<string|null>} The stored title
+ */
+export async function generateTitle({ userId, conversationId, provider, model, userTier = 'free', force = false }) {
+  const conversation = getConversation(userId, conversationId);
+  if (!conversation) return null;
+  if (conversation.title && !force) return conversation.title;
+
+  const opening = getMessages(conversationId)
+    .filter((row) => row.role === 'user' || row.role === 'assistant')
+    .slice(0, 4);
+  if (!opening.some((row) => row.role === 'user')) return null;
+
+  const response = await chat({
+    userId,
+    provider: provider || conversation.provider,
+    model: model || conversation.model,
+    messages: [
+      {
+        role: 'system',
+        content: 'Write a short, specific title (at most 6 words) for this conversation. Reply with the title only, no quotes or punctuation at the end.',
+      },
+      { role: 'user', content: formatTranscript(opening) },
+    ],
+    temperature: 0.3,
+    maxTokens: 32,
+    stream: false,
+    requestType: 'classification',
+    userTier,
+  });
+
+  const title = cleanTitle(response.content);
+  if (!title) return null;
+
+  // A title the user set while this was generating wins
+  const { changes } = db.prepare(`
+    UPDATE conversations SET title = ?, title_source = 'generated', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ? AND (? = 1 OR title_source IS NULL OR title_source = 'generated')
+  `).run(title, conversationId, userId, force ? 1 : 0);
+  return changes > 0 ? title : getConversation(userId, conversationId)?.title || null;
+}
+
+/**
+ * Store one chat turn: the request's new messages and the model's reply
+ *
+ * @param {string} conversationId
+ * @param {Object[]} messages - Messages sent with the request
+ * @param {{ content: string, provider: string, model: string, usage?: Object }} reply
+ * @returns {object[]} Inserted rows
+ */
+export function saveExchange(conversationId, messages, { content, provider, model, usage = null }) {
+  return appendMessages(conversationId, [...messages, { role: 'assistant', content: content || '' }], { provider, model, usage });
+}
+
+/**
+ * Title an untitled conversation without holding up the response.
+ * Failures are logged; the promise always resolves.
+ *
+ * @returns {Promise<string|null>}
+ */
+export function titleInBackground({ userId, conversationId, userTier = 'free' }) {
+  return generateTitle({ userId, conversationId, userTier }).catch((error) => {
+    log.warn({ conversationId, error: error.message }, 'Conversation title generation failed');
+    return null;
+  });
+}
+
+export const __private = {
+  cleanTitle,
+  toStoredContent,
+  makeSnippet,
+};
@@ -0,0 +1,314 @@
+/**
+ * Document Diff Service
+ *
+ * Semantic, block-level diff between two stored documents, so desktop, web
+ * and mobile all render the same comparison.
+ *
+ * - Tiptap JSON is compared node by node: blocks are aligned (exact matches
+ *   first, then edited blocks by similarity), container nodes (lists, tables,
+ *   blockquotes) are diffed recursively, and edited textblocks get a
+ *   word-level diff plus any attribute and mark changes.
+ * - Markdown is compared block by block with a word-level diff for edits.
+ *
+ * Hunks are typed insert | delete | modify | move. Paths index into the node
+ * tree: `fromPath` in the old document, `toPath` in the new one.
+ */
+
+import { alignSequences, longestCommonSubsequence, stableStringify } from '../utils/sequenceDiff.js';
+import { getSidecarDoc, isBlockContainer, nodesLookAlike } from '../utils/tiptap.js';
+import { markdownBlockKind, markdownBlocksLookAlike, splitMarkdownBlocks } from '../utils/markdown.js';
+
+// Words, runs of whitespace, and single punctuation characters
+const WORD_TOKEN_RE = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+// Cap on deleted × inserted blocks compared when looking for edited moves
+const MAX_MOVE_CANDIDATE_PAIRS = 10_000;
+
+// Stands in for inline atoms (images, mentions, …) in word-level text
+const INLINE_ATOM = '\uFFFC';
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Diff two stored documents ({ content, sidecar }).
+ * Uses the Tiptap JSON in the sidecars when both sides have one, otherwise
+ * compares the markdown `content` block by block.
+ *
+ * @param {{ content: string, sidecar: object|null }|null} from - Old side (null = empty)
+ * @param {{ content: string, sidecar: object|null }|null} to - New side (null = empty)
+ * @returns {{ format: 'tiptap'|'markdown', identical: boolean, stats: object, hunks: object[] }}
+ */
+export function diffDocumentContent(from, to) {
+  const fromDoc = getSidecarDoc(from?.sidecar);
+  const toDoc = getSidecarDoc(to?.sidecar);
+
+  const format = fromDoc && toDoc ? 'tiptap' : 'markdown';
+  const hunks = format === 'tiptap'
+    ? diffTiptapDocuments(fromDoc, toDoc)
+    : diffMarkdown(from?.content || '', to?.content || '');
+
+  const stats = { insert: 0, delete: 0, modify: 0, move: 0 };
+  for (const hunk of hunks) stats[hunk.type]++;
+
+  return { format, identical: hunks.length === 0, stats, hunks };
+}
+
+/**
+ * Diff two Tiptap documents.
+ * @param {object} from
+ * @param {object} to
+ * @returns {object[]} Hunks, in document order of the new side
+ */
+export function diffTiptapDocuments(from, to) {
+  const hunks = [];
+  diffSequences(from?.content || [], to?.content || [], TIPTAP_STRATEGY, [], [], hunks);
+  return hunks;
+}
+
+/**
+ * Diff two markdown strings block by block.
+ * @param {string} from
+ * @param {string} to
+ * @returns {object[]} Hunks
+ */
+export function diffMarkdown(from, to) {
+  const hunks = [];
+  diffSequences(splitMarkdownBlocks(from), splitMarkdownBlocks(to), MARKDOWN_STRATEGY, [], [], hunks);
+  return hunks;
+}
+
+/**
+ * Word-level diff of two strings.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<{ op: 'equal'|'insert'|'delete', text: string }>}
+ */
+export function diffWords(from, to) {
+  const toTokens = (text) => (String(text || '').match(WORD_TOKEN_RE) || []).map((t) => ({ text: t, id: t }));
+  return diffInlineTokens(toTokens(from), toTokens(to)).segments;
+}
+
+// ============================================================================
+// Sequence diff
+// ============================================================================
+
+/**
+ * Align two sibling lists and emit hunks. Matched-but-different items are
+ * handed to the strategy; leftover deletions that reappear among the
+ * insertions (exactly, or edited) are reported as moves.
+ */
+function diffSequences(from, to, strategy, fromPath, toPath, hunks) {
+  const fromKeys = from.map(strategy.key);
+  const toKeys = to.map(strategy.key);
+
+  const indices = (items) => items.map((_, i) => i);
+  const pairs = alignSequences(indices(from), indices(to), {
+    equals: (i, j) => fromKeys[i] === toKeys[j],
+    similar: (i, j) => strategy.similar(from[i], to[j]),
+  });
+
+  const deleted = [];
+  const inserted = [];
+  const modified = [];
+  let nextFrom = 0;
+  let nextTo = 0;
+  for (const [i, j] of [...pairs, [from.length, to.length]]) {
+    for (let k = nextFrom; k < i; k++) deleted.push(k);
+    for (let k = nextTo; k < j; k++) inserted.push(k);
+    if (i < from.length && fromKeys[i] !== toKeys[j]) modified.push([i, j]);
+    nextFrom = i + 1;
+    nextTo = j + 1;
+  }
+
+  const insertedByKey = new Map();
+  for (const j of inserted) {
+    if (!insertedByKey.has(toKeys[j])) insertedByKey.set(toKeys[j], []);
+    insertedByKey.get(toKeys[j]).push(j);
+  }
+
+  const moves = new Map();
+  for (const i of deleted) {
+    const target = insertedByKey.get(fromKeys[i])?.shift();
+    if (target !== undefined) moves.set(i, target);
+  }
+
+  // Then pair what's left by similarity: a block that moved and was edited
+  const movedTo = new Set(moves.values());
+  const editedMoves = new Map();
+  const looseFrom = deleted.filter((i) => !moves.has(i));
+  const looseTo = inserted.filter((j) => !movedTo.has(j));
+  if (looseFrom.length * looseTo.length <= MAX_MOVE_CANDIDATE_PAIRS) {
+    for (const i of looseFrom) {
+      const j = looseTo.find((candidate) => !movedTo.has(candidate) && strategy.similar(from[i], to[candidate]));
+      if (j !== undefined) {
+        editedMoves.set(i, j);
+        movedTo.add(j);
+      }
+    }
+  }
+
+  for (const i of deleted) {
+    const j = moves.get(i) ?? editedMoves.get(i);
+    if (j === undefined) {
+      hunks.push({ type: 'delete', fromPath: [...fromPath, i], node: from[i] });
+      continue;
+    }
+    hunks.push({ type: 'move', fromPath: [...fromPath, i], toPath: [...toPath, j], node: from[i] });
+    if (editedMoves.has(i)) modified.push([i, j]);
+  }
+  for (const [i, j] of modified) {
+    strategy.diffItem(from[i], to[j], [...fromPath, i], [...toPath, j], hunks);
+  }
+  for (const j of inserted) {
+    if (!movedTo.has(j)) hunks.push({ type: 'insert', toPath: [...toPath, j], node: to[j] });
+  }
+}
+
+// ============================================================================
+// Tiptap strategy
+// ============================================================================
+
+const TIPTAP_STRATEGY = {
+  key: (node) => stableStringify(node),
+
+  similar: (a, b) => nodesLookAlike(a, b),
+
+  /**
+   * Describe how a node changed. Containers recurse into their children;
+   * everything else gets a word-level diff of its inline content.
+   */
+  diffItem(from, to, fromPath, toPath, hunks) {
+    const hunk = { type: 'modify', fromPath, toPath, nodeType: to.type };
+
+    const attributes = diffAttributes(from.attrs, to.attrs);
+    if (attributes.length > 0) hunk.attributes = attributes;
+
+    if (isBlockContainer(from) && isBlockContainer(to)) {
+      if (hunk.attributes) hunks.push(hunk);
+      diffSequences(from.content, to.content, TIPTAP_STRATEGY, fromPath, toPath, hunks);
+      return;
+    }
+
+    const { segments, markChanges } = diffInlineTokens(inlineTokens(from), inlineTokens(to));
+    if (segments.some((segment) => segment.op !== 'equal')) hunk.text = segments;
+    if (markChanges.length > 0) hunk.marks = markChanges;
+    hunks.push(hunk);
+  },
+};
+
+function diffAttributes(from = {}, to = {}) {
+  const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+  const changes = [];
+  for (const key of [...keys].sort()) {
+    const before = from?.[key] ?? null;
+    const after = to?.[key] ?? null;
+    if (stableStringify(before) !== stableStringify(after)) {
+      changes.push({ key, from: before, to: after });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Flatten a node's inline content into word tokens that remember their marks.
+ * Inline atoms become a single INLINE_ATOM token identified by their JSON.
+ */
+function inlineTokens(node) {
+  const tokens = [];
+  const visit = (child) => {
+    if (child.type === 'text') {
+      const marks = child.marks || [];
+      const marksKey = stableStringify(marks);
+      for (const text of (child.text || '').match(WORD_TOKEN_RE) || []) {
+        tokens.push({ text, id: text, marks, marksKey });
+      }
+    } else if (child.type === 'hardBreak') {
+      tokens.push({ text: '\n', id: '\n', marks: [], marksKey: '[]' });
+    } else if (Array.isArray(child.content)) {
+      child.content.forEach(visit);
+    } else {
+      tokens.push({ text: INLINE_ATOM, id: stableStringify(child), marks: [], marksKey: '[]' });
+    }
+  };
+  (node.content || []).forEach(visit);
+  return tokens;
+}
+
+/**
+ * Diff two token lists. Returns merged equal/insert/delete segments, plus
+ * mark changes on text that is otherwise unchanged (offsets are into the new
+ * text).
+ */
+function diffInlineTokens(from, to) {
+  const pairs = longestCommonSubsequence(from, to, (a, b) => a.id === b.id);
+
+  const segments = [];
+  const markChanges = [];
+  const push = (op, text) => {
+    const last = segments[segments.length - 1];
+    if (last?.op === op) last.text += text;
+    else segments.push({ op, text });
+  };
+
+  let offset = 0;
+  let lastMarkPair = null;
+  let i = 0;
+  let j = 0;
+  for (const [mi, mj] of [...pairs, [from.length, to.length]]) {
+    for (; i < mi; i++) push('delete', from[i].text);
+    for (; j < mj; j++) {
+      push('insert', to[j].text);
+      offset += to[j].text.length;
+      lastMarkPair = null;
+    }
+    if (mi === from.length) break;
+
+    const before = from[mi];
+    const after = to[mj];
+    push('equal', after.text);
+
+    if (before.marksKey !== undefined && before.marksKey !== after.marksKey) {
+      const pairKey = `${before.marksKey}\u0000${after.marksKey}`;
+      const last = markChanges[markChanges.length - 1];
+      if (lastMarkPair === pairKey && last.offset + last.text.length === offset) {
+        last.text += after.text;
+      } else {
+        markChanges.push({ offset, text: after.text, ...diffMarks(before.marks, after.marks) });
+      }
+      lastMarkPair = pairKey;
+    } else {
+      lastMarkPair = null;
+    }
+
+    offset += after.text.length;
+    i = mi + 1;
+    j = mj + 1;
+  }
+
+  return { segments, markChanges };
+}
+
+function diffMarks(from, to) {
+  const fromKeys = new Set(from.map(stableStringify));
+  const toKeys = new Set(to.map(stableStringify));
+  return {
+    added: to.filter((mark) => !fromKeys.has(stableStringify(mark))),
+    removed: from.filter((mark) => !toKeys.has(stableStringify(mark))),
+  };
+}
+
+// ============================================================================
+// Markdown strategy
+// ============================================================================
+
+const MARKDOWN_STRATEGY = {
+  key: (block) => block,
+
+  similar: (a, b) => markdownBlocksLookAlike(a, b),
+
+  diffItem(from, to, fromPath, toPath, hunks) {
+    hunks.push({ type: 'modify', fromPath, toPath, nodeType: markdownBlockKind(to), text: diffWords(from, to) });
+  },
+};
@@ -0,0 +1,408 @@
+/**
+ * Document Merge Service
+ *
+ * Three-way structural merge for documents (branch → main, sync conflicts).
+ *
+ * - Tiptap JSON is merged node by node: blocks are aligned against the common
+ *   ancestor, container nodes (lists, tables, blockquotes) are merged
+ *   recursively, and a conflict is reported only when both sides changed the
+ *   same block differently.
+ * - Markdown is merged block by block (paragraphs, headings, fenced code).
+ * - Conflicts come back as a structured list; callers may pass resolutions
+ *   (by conflict ID) or a blanket strategy to settle them.
+ *
+ * "ours" and "theirs" are the two descendants of the ancestor. Unresolved
+ * conflicts keep the "ours" content in the merged output, or both sides
+ * between conflict markers when `markConflicts` is set.
+ */
+
+import crypto from 'crypto';
+import { alignSequences, stableStringify } from '../utils/sequenceDiff.js';
+import {
+  extractMarkdownFromTiptap,
+  getSidecarDoc,
+  isBlockContainer,
+  isTiptapDoc,
+  nodesLookAlike,
+} from '../utils/tiptap.js';
+import { markdownBlocksLookAlike, splitMarkdownBlocks } from '../utils/markdown.js';
+
+export const MERGE_RESOLUTIONS = ['ours', 'theirs', 'both'];
+
+const EMPTY_DOC = { type: 'doc', content: [] };
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Merge two descendants of a stored document ({ content, sidecar }).
+ * Uses the Tiptap JSON in the sidecars when both sides have one, otherwise
+ * falls back to a block-level markdown merge of `content`.
+ *
+ * @param {object} versions
+ * @param {{ content: string, sidecar: object|null }|null} versions.base - Common ancestor (null if unknown)
+ * @param {{ content: string, sidecar: object|null }} versions.ours
+ * @param {{ content: string, sidecar: object|null }} versions.theirs
+ * @param {object} [options]
+ * @param {Record<string, 'ours'|'theirs'|'both'>} [options.resolutions] - Per-conflict choices
+ * @param {'ours'|'theirs'|null} [options.strategy] - Fallback for conflicts without a resolution
+ * @param {{ ours: string, theirs: string }} [options.markConflicts] - Write unresolved conflicts
+ *   git-style (<<<<<<< ours-label / ======= / >>>>>>> theirs-label) instead of keeping "ours".
+ *   In Tiptap documents only top-level conflicts are marked; nested ones keep "ours".
+ * @returns {{ format: 'tiptap'|'markdown', content: string, sidecar: object, conflicts: object[] }}
+ */
+export function mergeDocumentContent({ base, ours, theirs }, options = {}) {
+  const oursDoc = getSidecarDoc(ours.sidecar);
+  const theirsDoc = getSidecarDoc(theirs.sidecar);
+  const sidecar = mergeRecords(base?.sidecar || {}, ours.sidecar || {}, theirs.sidecar || {});
+
+  if (oursDoc && theirsDoc) {
+    const baseDoc = getSidecarDoc(base?.sidecar) || EMPTY_DOC;
+    const { doc, conflicts } = mergeTiptapDocuments(baseDoc, oursDoc, theirsDoc, options);
+
+    // Keep the client-authored markdown when the merge reduced to one side
+    const docKey = stableStringify(doc);
+    let content;
+    if (docKey === stableStringify(oursDoc)) {
+      content = ours.content;
+    } else if (docKey === stableStringify(theirsDoc)) {
+      content = theirs.content;
+    } else {
+      content = extractMarkdownFromTiptap(doc);
+    }
+
+    if (isTiptapDoc(ours.sidecar)) {
+      return { format: 'tiptap', content, sidecar: doc, conflicts };
+    }
+    sidecar.content = doc;
+    return { format: 'tiptap', content, sidecar, conflicts };
+  }
+
+  const { content, conflicts } = mergeMarkdown(base?.content || '', ours.content, theirs.content, options);
+  return { format: 'markdown', content, sidecar, conflicts };
+}
+
+/**
+ * Three-way merge of Tiptap JSON documents.
+ * @param {object} base - Common ancestor document
+ * @param {object} ours
+ * @param {object} theirs
+ * @param {object} [options] - See mergeDocumentContent
+ * @returns {{ doc: object, conflicts: object[] }}
+ */
+export function mergeTiptapDocuments(base, ours, theirs, options = {}) {
+  const ctx = createMergeContext(options);
+  const content = mergeSequences(
+    base?.content || [],
+    ours?.content || [],
+    theirs?.content || [],
+    TIPTAP_STRATEGY,
+    ctx,
+    []
+  );
+  return { doc: { ...ours, type: 'doc', content }, conflicts: ctx.conflicts };
+}
+
+/**
+ * Three-way merge of markdown text, block by block.
+ * @param {string} base
+ * @param {string} ours
+ * @param {string} theirs
+ * @param {object} [options] - See mergeDocumentContent
+ * @returns {{ content: string, conflicts: object[] }}
+ */
+export function mergeMarkdown(base, ours, theirs, options = {}) {
+  const ctx = createMergeContext(options);
+  const blocks = mergeSequences(
+    splitMarkdownBlocks(base),
+    splitMarkdownBlocks(ours),
+    splitMarkdownBlocks(theirs),
+    MARKDOWN_STRATEGY,
+    ctx,
+    []
+  );
+  return { content: blocks.join('\n\n'), conflicts: ctx.conflicts };
+}
+
+// ============================================================================
+// Sequence merge (diff3)
+// ============================================================================
+
+function createMergeContext({ resolutions = {}, strategy = null, markConflicts = null } = {}) {
+  return {
+    resolutions: resolutions || {},
+    strategy,
+    markConflicts,
+    conflicts: [],
+    seenIds: new Map(),
+  };
+}
+
+/**
+ * Merge three sequences aligned against the ancestor.
+ * Items matched in all three are merged pairwise; the unstable regions
+ * between them take whichever side changed, or become conflicts.
+ */
+function mergeSequences(base, ours, theirs, strategy, ctx, path) {
+  const baseKeys = base.map(strategy.key);
+  const oursKeys = ours.map(strategy.key);
+  const theirsKeys = theirs.map(strategy.key);
+
+  const indices = (items) => items.map((_, i) => i);
+  const align = (other, otherKeys) => mapAlignment(alignSequences(indices(base), indices(other), {
+    equals: (i, j) => baseKeys[i] === otherKeys[j],
+    similar: (i, j) => strategy.similar(base[i], other[j]),
+  }));
+  const toOurs = align(ours, oursKeys);
+  const toTheirs = align(theirs, theirsKeys);
+
+  const out = [];
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  const flush = (bEnd, oEnd, tEnd) => {
+    mergeChunk(
+      { items: base.slice(b, bEnd), keys: baseKeys.slice(b, bEnd) },
+      { items: ours.slice(o, oEnd), keys: oursKeys.slice(o, oEnd) },
+      { items: theirs.slice(t, tEnd), keys: theirsKeys.slice(t, tEnd) },
+      strategy, ctx, path, out
+    );
+  };
+
+  for (let i = 0; i < base.length; i++) {
+    const oi = toOurs.get(i);
+    const ti = toTheirs.get(i);
+    if (oi === undefined || ti === undefined || oi < o || ti < t) continue;
+
+    flush(i, oi, ti);
+    mergeAligned(base[i], ours[oi], theirs[ti], strategy, ctx, path, out);
+    b = i + 1;
+    o = oi + 1;
+    t = ti + 1;
+  }
+  flush(base.length, ours.length, theirs.length);
+
+  return out;
+}
+
+function mapAlignment(pairs) {
+  const map = new Map();
+  for (const [i, j] of pairs) map.set(i, j);
+  return map;
+}
+
+/**
+ * Merge an unstable region between two anchors.
+ */
+function mergeChunk(base, ours, theirs, strategy, ctx, path, out) {
+  if (ours.items.length === 0 && theirs.items.length === 0 && base.items.length === 0) return;
+
+  const baseSig = base.keys.join('\u0000');
+  const oursSig = ours.keys.join('\u0000');
+  const theirsSig = theirs.keys.join('\u0000');
+
+  if (oursSig === theirsSig || theirsSig === baseSig) {
+    out.push(...ours.items);
+    return;
+  }
+  if (oursSig === baseSig) {
+    out.push(...theirs.items);
+    return;
+  }
+
+  // Same shape on every side: merge position by position (edits to adjacent blocks)
+  if (base.items.length === ours.items.length && ours.items.length === theirs.items.length) {
+    for (let i = 0; i < base.items.length; i++) {
+      mergeAligned(base.items[i], ours.items[i], theirs.items[i], strategy, ctx, path, out);
+    }
+    return;
+  }
+
+  recordConflict(base.items, ours.items, theirs.items, strategy, ctx, path, out);
+}
+
+/**
+ * Merge one item that both sides kept (possibly edited).
+ */
+function mergeAligned(baseItem, oursItem, theirsItem, strategy, ctx, path, out) {
+  const baseKey = strategy.key(baseItem);
+  const oursKey = strategy.key(oursItem);
+  const theirsKey = strategy.key(theirsItem);
+
+  if (oursKey === theirsKey || theirsKey === baseKey) {
+    out.push(oursItem);
+    return;
+  }
+  if (oursKey === baseKey) {
+    out.push(theirsItem);
+    return;
+  }
+
+  const merged = strategy.mergeItem(baseItem, oursItem, theirsItem, ctx, [...path, out.length]);
+  if (merged !== null) {
+    out.push(merged);
+    return;
+  }
+
+  recordConflict([baseItem], [oursItem], [theirsItem], strategy, ctx, path, out);
+}
+
+/**
+ * Apply a resolution if one was supplied, otherwise record the conflict
+ * and keep "ours" in place (or mark both sides).
+ */
+function recordConflict(baseItems, oursItems, theirsItems, strategy, ctx, path, out) {
+  const id = conflictId(ctx, baseItems, oursItems, theirsItems, strategy);
+  const resolution = ctx.resolutions[id] || ctx.strategy;
+
+  if (resolution === 'theirs') {
+    out.push(...theirsItems);
+    return;
+  }
+  if (resolution === 'both') {
+    out.push(...oursItems, ...theirsItems);
+    return;
+  }
+  if (resolution === 'ours') {
+    out.push(...oursItems);
+    return;
+  }
+
+  ctx.conflicts.push({
+    id,
+    path: [...path, out.length],
+    base: baseItems,
+    ours: oursItems,
+    theirs: theirsItems,
+  });
+
+  const marked = ctx.markConflicts && strategy.markConflict(oursItems, theirsItems, ctx.markConflicts, path);
+  out.push(...(marked || oursItems));
+}
+
+function conflictMarkers(labels) {
+  return [`<<<<<<< ${labels.ours}`, '=======', `>>>>>>> ${labels.theirs}`];
+}
+
+/**
+ * Stable conflict ID derived from the conflicting content, so the same
+ * conflict keeps its ID across a preview and the follow-up merge call.
+ */
+function conflictId(ctx, baseItems, oursItems, theirsItems, strategy) {
+  const fingerprint = [baseItems, oursItems, theirsItems]
+    .map((items) => items.map(strategy.key).join('\u0000'))
+    .join('\u0001');
+  const hash = crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 16);
+  const occurrence = ctx.seenIds.get(hash) || 0;
+  ctx.seenIds.set(hash, occurrence + 1);
+  return occurrence === 0 ? hash : `${hash}-${occurrence}`;
+}
+
+// ============================================================================
+// Tiptap strategy
+// ============================================================================
+
+const TIPTAP_STRATEGY = {
+  key: (node) => stableStringify(node),
+
+  similar: (a, b) => nodesLookAlike(a, b),
+
+  /**
+   * Merge a node edited on both sides. Attributes merge key by key;
+   * container children merge recursively; inline content is atomic.
+   * Returns null when the node itself conflicts.
+   */
+  mergeItem(base, ours, theirs, ctx, path) {
+    if (ours.type !== theirs.type || base.type !== ours.type) return null;
+
+    const attrs = mergeRecords(base.attrs || {}, ours.attrs || {}, theirs.attrs || {}, { strict: true });
+    if (attrs === null) return null;
+
+    const marks = mergeAtomic(base.marks, ours.marks, theirs.marks);
+    if (marks === CONFLICT) return null;
+
+    const text = mergeAtomic(base.text, ours.text, theirs.text);
+    if (text === CONFLICT) return null;
+
+    let content;
+    if (isBlockContainer(base) && isBlockContainer(ours) && isBlockContainer(theirs)) {
+      content = mergeSequences(base.content, ours.content, theirs.content, TIPTAP_STRATEGY, ctx, path);
+    } else {
+      content = mergeAtomic(base.content, ours.content, theirs.content);
+      if (content === CONFLICT) return null;
+    }
+
+    const merged = { type: ours.type };
+    if (Object.keys(attrs).length > 0) merged.attrs = attrs;
+    if (content !== undefined) merged.content = content;
+    if (marks !== undefined) merged.marks = marks;
+    if (text !== undefined) merged.text = text;
+    return merged;
+  },
+
+  // Marker paragraphs are only valid between top-level blocks (not e.g. table cells)
+  markConflict(ours, theirs, labels, path) {
+    if (path.length > 0) return null;
+    const [start, separator, end] = conflictMarkers(labels).map((text) => ({
+      type: 'paragraph',
+      content: [{ type: 'text', text }],
+    }));
+    return [start, ...ours, separator, ...theirs, end];
+  },
+};
+
+// ============================================================================
+// Markdown strategy
+// ============================================================================
+
+const MARKDOWN_STRATEGY = {
+  key: (block) => block,
+
+  similar: (a, b) => markdownBlocksLookAlike(a, b),
+
+  // Markdown blocks are atomic: both sides editing one block is a conflict
+  mergeItem: () => null,
+
+  markConflict(ours, theirs, labels) {
+    const [start, separator, end] = conflictMarkers(labels);
+    const side = (blocks) => (blocks.length > 0 ? [blocks.join('\n\n')] : []);
+    return [[start, ...side(ours), separator, ...side(theirs), end].join('\n')];
+  },
+};
+
+// ============================================================================
+// Value helpers
+// ============================================================================
+
+const CONFLICT = Symbol('conflict');
+
+function mergeAtomic(base, ours, theirs) {
+  const oursKey = stableStringify(ours);
+  const theirsKey = stableStringify(theirs);
+  if (oursKey === theirsKey) return ours;
+  const baseKey = stableStringify(base);
+  if (baseKey === oursKey) return theirs;
+  if (baseKey === theirsKey) return ours;
+  return CONFLICT;
+}
+
+/**
+ * Merge plain objects key by key. With `strict`, a key changed differently
+ * on both sides is a conflict (returns null); otherwise "ours" wins.
+ */
+function mergeRecords(base, ours, theirs, { strict = false } = {}) {
+  const merged = {};
+  const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+  for (const key of keys) {
+    const value = mergeAtomic(base[key], ours[key], theirs[key]);
+    if (value === CONFLICT) {
+      if (strict) return null;
+      if (ours[key] !== undefined) merged[key] = ours[key];
+      continue;
+    }
+    if (value !== undefined) merged[key] = value;
+  }
+  return merged;
+}
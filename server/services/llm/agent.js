@@ -0,0 +1,194 @@
+/**
+ * Server-side Agent Loop
+ *
+ * Runs the chat-with-tools loop on the server so clients don't have to:
+ * call the model, execute the tool calls it makes (agentTools.js), feed the
+ * results back, and repeat until it answers without tools or a step or token
+ * budget runs out.
+ *
+ * Each step is a separate chatWithToolsStream() call, so usage is tracked per
+ * step (request type 'agent'). runAgent() yields events for the SSE route:
+ *
+ *   { type: 'step', step }
+ *   { type: 'content' | 'thinking' | 'tool_call', step, ... }  (model stream)
+ *   { type: 'tool_result', step, toolCallId, name, ok, result | error }
+ *   { type: 'step_done', step, finishReason, usage }
+ *   { type: 'done', steps, stopReason, content, usage }
+ *
+ * stopReason: 'completed' | 'max_steps' | 'token_budget' | 'aborted'
+ */
+
+import { chatWithToolsStream } from './index.js';
+import { getAgentTools, toToolDefinitions } from './agentTools.js';
+import { CONFIG } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ service: 'agent' });
+
+function addUsage(total, usage) {
+  total.promptTokens += usage?.promptTokens || 0;
+  total.completionTokens += usage?.completionTokens || 0;
+  total.totalTokens += usage?.totalTokens || 0;
+}
+
+function truncateResult(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}\n…[truncated ${text.length - maxChars} chars]`;
+}
+
+/**
+ * Execute one tool call. Failures are returned to the model as an error
+ * result rather than ending the run, so it can recover (e.g. a bad path).
+ */
+async function executeToolCall(toolCall, toolsByName, context) {
+  const tool = toolsByName.get(toolCall.name);
+  if (!tool) {
+    return { ok: false, error: `Unknown tool: ${toolCall.name}` };
+  }
+
+  try {
+    const result = await tool.execute(toolCall.arguments || {}, context);
+    return { ok: true, result };
+  } catch (error) {
+    log.warn({ tool: toolCall.name, error: error.message }, 'Agent tool failed');
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Run the agent loop.
+ *
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {Object[]} params.messages - Conversation so far
+ * @param {string[]} [params.tools] - Tool names (defaults to all available)
+ * @param {number} [params.maxSteps] - Capped at CONFIG.llm.agent.maxSteps
+ * @param {number} [params.maxTotalTokens] - Capped at CONFIG.llm.agent.maxTotalTokens
+ * @param {string} [params.teamId] - Team the usage is attributed to
+ * @param {AbortSignal} [params.signal]
+ * @returns {AsyncGenerator<Object>} Agent events
+ */
+export async function* runAgent({
+  userId,
+  provider,
+  model,
+  messages,
+  tools: toolNames,
+  temperature = 0.7,
+  maxTokens = 4096,
+  maxSteps = CONFIG.llm.agent.maxSteps,
+  maxTotalTokens = CONFIG.llm.agent.maxTotalTokens,
+  userTier = 'free',
+  effortLane = null,
+  promptVersion = null,
+  promptVariant = null,
+  teamId = null,
+  signal = null
+}) {
+  const limits = CONFIG.llm.agent;
+  const stepLimit = Math.min(maxSteps, limits.maxSteps);
+  const tokenLimit = Math.min(maxTotalTokens, limits.maxTotalTokens);
+
+  const tools = getAgentTools(toolNames);
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+  const toolDefinitions = toToolDefinitions(tools);
+  const context = { userId, userTier, signal };
+
+  const conversation = [...messages];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let content = '';
+  let stopReason = 'max_steps';
+  let step = 0;
+
+  while (step < stepLimit) {
+    step++;
+    yield { type: 'step', step };
+
+    const { stream } = await chatWithToolsStream({
+      userId,
+      provider,
+      model,
+      messages: conversation,
+      tools: toolDefinitions,
+      temperature,
+      // Never let one step overshoot the remaining token budget
+      maxTokens: Math.max(1, Math.min(maxTokens, tokenLimit - usage.totalTokens)),
+      requestType: 'agent',
+      userTier,
+      effortLane,
+      promptVersion,
+      promptVariant,
+      teamId,
+      signal
+    });
+
+    content = '';
+    let finishReason = null;
+    let stepUsage = null;
+    // Providers announce a tool call early, then repeat it with parsed arguments
+    const toolCalls = new Map();
+
+    for await (const chunk of stream) {
+      if (signal?.aborted) break;
+      if (chunk.type === 'content') {
+        content += chunk.content;
+      } else if (chunk.type === 'tool_call') {
+        toolCalls.set(chunk.toolCall.id, chunk.toolCall);
+      } else if (chunk.type === 'done') {
+        finishReason = chunk.finishReason;
+        stepUsage = chunk.usage;
+        continue;
+      }
+      yield { ...chunk, step };
+    }
+
+    if (signal?.aborted) {
+      stopReason = 'aborted';
+      break;
+    }
+
+    addUsage(usage, stepUsage);
+    yield { type: 'step_done', step, finishReason, usage: stepUsage };
+
+    if (toolCalls.size === 0) {
+      stopReason = 'completed';
+      break;
+    }
+
+    conversation.push({ role: 'assistant', content, toolCalls: [...toolCalls.values()] });
+
+    for (const toolCall of toolCalls.values()) {
+      if (signal?.aborted) break;
+      const outcome = await executeToolCall(toolCall, toolsByName, context);
+      yield { type: 'tool_result', step, toolCallId: toolCall.id, name: toolCall.name, ...outcome };
+
+      const payload = outcome.ok ? outcome.result : { error: outcome.error };
+      conversation.push({
+        role: 'tool',
+        toolCallId: toolCall.id,
+        content: truncateResult(JSON.stringify(payload ?? null), limits.toolResultMaxChars)
+      });
+    }
+
+    if (signal?.aborted) {
+      stopReason = 'aborted';
+      break;
+    }
+
+    if (usage.totalTokens >= tokenLimit) {
+      stopReason = 'token_budget';
+      break;
+    }
+  }
+
+  log.info({ userId, provider, model, steps: step, stopReason, totalTokens: usage.totalTokens }, 'Agent run finished');
+
+  yield { type: 'done', steps: step, stopReason, content, usage };
+}
+
+export const __private = {
+  executeToolCall,
+  truncateResult,
+};
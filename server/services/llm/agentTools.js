@@ -0,0 +1,155 @@
+/**
+ * Agent Tools
+ *
+ * Registry of tools the server-side agent loop (agent.js) can execute on the
+ * user's behalf. Each tool has a JSON-schema `parameters` definition that is
+ * sent to the model, and an `execute(args, context)` that returns a
+ * JSON-serialisable result or throws.
+ *
+ * context: { userId, userTier, signal }
+ */
+
+import { findAccessibleDocumentByPath, search as searchDocuments } from '../ragService.js';
+import { downloadDocument } from '../storageService.js';
+import { fetchReadablePage } from '../pageFetcher.js';
+import { consumePageFetch } from '../../middleware/rateLimiters.js';
+import * as searchService from '../search/index.js';
+import { CONFIG } from '../../config/index.js';
+
+const MAX_SEARCH_RESULTS = 10;
+
+const AGENT_TOOLS = {
+  search_documents: {
+    description: "Semantic and keyword search over the user's synced documents. Returns the most relevant passages with their document paths.",
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to search for' },
+        topK: { type: 'integer', description: `Number of passages to return (1-${MAX_SEARCH_RESULTS}, default 5)` },
+      },
+      required: ['query'],
+    },
+    async execute({ query, topK = 5 }, { userId }) {
+      requireString(query, 'query');
+      const limit = Math.min(Math.max(Number.parseInt(topK, 10) || 5, 1), MAX_SEARCH_RESULTS);
+      const results = await searchDocuments(userId, query, { topK: limit });
+      return {
+        results: results.map((r) => ({
+          documentPath: r.documentPath,
+          heading: r.metadata?.headingPath?.join(' > ') || r.heading,
+          content: r.content,
+          score: Math.round(r.score * 1000) / 1000,
+        })),
+      };
+    },
+  },
+
+  web_search: {
+    description: 'Search the web for current information. Returns result titles, URLs and excerpts.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+      },
+      required: ['query'],
+    },
+    isAvailable: () => searchService.isConfigured(),
+    async execute({ query }, { userId, userTier }) {
+      requireString(query, 'query');
+      const searchResult = await searchService.executeSearchPipeline({
+        userId,
+        message: query,
+        settings: { forceSearch: true },
+        limits: CONFIG.search.limits[userTier] || CONFIG.search.limits.free,
+      });
+
+      if (!searchResult.searchExecuted) {
+        return { results: [], skipReason: searchResult.skipReason };
+      }
+
+      return {
+        answer: searchResult.answer || null,
+        results: (searchResult.results || []).map((r) => ({
+          url: r.url,
+          title: r.title || '',
+          content: (r.content || '').substring(0, 1000),
+        })),
+      };
+    },
+  },
+
+  fetch_page: {
+    description: 'Fetch a public web page and return its readable text content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Absolute http(s) URL' },
+      },
+      required: ['url'],
+    },
+    async execute({ url }, { userId }) {
+      requireString(url, 'url');
+      if (!(await consumePageFetch(userId))) {
+        throw new Error('Page fetch limit reached (10 per minute), try again later');
+      }
+      const page = await fetchReadablePage(url);
+      return { url: page.url, title: page.title, content: page.content, wordCount: page.wordCount };
+    },
+  },
+
+  read_document: {
+    description: "Read the full markdown content of one of the user's documents (their own, their teams' or shared with them) by its path.",
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Document path, e.g. "notes/plan.md"' },
+      },
+      required: ['path'],
+    },
+    async execute({ path }, { userId }) {
+      requireString(path, 'path');
+      const doc = findAccessibleDocumentByPath(userId, path.replace(/^\/+/, ''));
+
+      if (!doc) {
+        throw new Error(`Document not found: ${path}`);
+      }
+
+      const downloaded = await downloadDocument(doc.user_id, doc.id);
+      if (typeof downloaded?.content !== 'string') {
+        throw new Error(`Document content unavailable: ${path}`);
+      }
+
+      return { path: doc.path, content: downloaded.content };
+    },
+  },
+};
+
+export const AGENT_TOOL_NAMES = Object.keys(AGENT_TOOLS);
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new Error(`Missing required argument: ${name}`);
+  }
+}
+
+/**
+ * Resolve agent tools by name, skipping any that aren't available here
+ * (e.g. web search without a Tavily key).
+ *
+ * @param {string[]} [names] - Defaults to every registered tool
+ * @returns {Array<{ name: string, description: string, parameters: object, execute: Function }>}
+ */
+export function getAgentTools(names = AGENT_TOOL_NAMES) {
+  return names
+    .filter((name) => AGENT_TOOLS[name])
+    .map((name) => ({ name, ...AGENT_TOOLS[name] }))
+    .filter((tool) => !tool.isAvailable || tool.isAvailable());
+}
+
+/**
+ * Tool definitions in the { name, description, parameters } shape providers accept
+ * @param {Array} tools - From getAgentTools()
+ */
+export function toToolDefinitions(tools) {
+  return tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
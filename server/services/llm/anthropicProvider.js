@@ -1,8 +1,10 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { extractTextFromDocx } from '../docxExtractor.js';
 
+// Requests are retried by failover.js, which also feeds the circuit breakers
 const client = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
+  apiKey: process.env.ANTHROPIC_API_KEY,
+  maxRetries: 0
 });
 
 // Model configuration - each model has its own tier
@@ -137,11 +139,13 @@ export async function chat({
   temperature = 0.7,
   maxTokens = 4096,
   stream = false,
-  signal = null
+  signal = null,
+  responseFormat = null
 }) {
   const { systemMessage, messages: anthropicMessages } = await convertMessages(messages);
   const apiModel = MODEL_ID_MAP[model] || model;
-  const isThinking = THINKING_MODELS.has(model);
+  // Forced tool use isn't allowed with extended thinking
+  const isThinking = THINKING_MODELS.has(model) && !responseFormat;
 
   const params = {
     model: apiModel,
@@ -151,6 +155,15 @@ export async function chat({
     ...(isThinking && {
       thinking: { type: 'enabled', budget_tokens: 10240 },
       temperature: 1.0
+    }),
+    // Structured output: force a single tool whose input is the response
+    ...(responseFormat && {
+      tools: [{
+        name: responseFormat.name,
+        description: 'Respond with structured output matching this schema.',
+        input_schema: responseFormat.schema
+      }],
+      tool_choice: { type: 'tool', name: responseFormat.name }
     })
   };
 
@@ -160,10 +173,13 @@ export async function chat({
 
   const response = await client.messages.create(params);
 
-  const content = response.content
-    .filter(block => block.type === 'text')
-    .map(block => block.text)
-    .join('');
+  const toolOutput = responseFormat && response.content.find(block => block.type === 'tool_use');
+  const content = toolOutput
+    ? JSON.stringify(toolOutput.input)
+    : response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
 
   const thinkingContent = response.content
     .filter(block => block.type === 'thinking')
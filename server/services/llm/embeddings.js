@@ -0,0 +1,128 @@
+/**
+ * Embeddings Providers
+ *
+ * One interface over every embedding backend. Each embedder exposes
+ * { provider, model, dimensions, isConfigured(), embed(texts) }; vectors from
+ * different models are not comparable, so callers store getEmbeddingModelId()
+ * next to every vector they keep.
+ *
+ * LLM_EMBEDDINGS_PROVIDER picks one explicitly. 'auto' (the default) uses the
+ * first configured of local, openai, gemini — a configured local embedding
+ * model wins so documents stay on the operator's network. Outside production
+ * auto falls back to the hashing embedder, which needs no service at all.
+ */
+
+import * as openaiProvider from './openaiProvider.js';
+import * as geminiProvider from './geminiProvider.js';
+import * as localProvider from './localProvider.js';
+import { CONFIG } from '../../config/index.js';
+
+const AUTO_ORDER = ['local', 'openai', 'gemini'];
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Deterministic feature-hashing embedding: word unigrams and bigrams are
+ * hashed into signed buckets, then L2-normalised. Captures lexical overlap
+ * only, which is enough for tests and for RAG without an embedding service.
+ *
+ * @param {string} text
+ * @param {number} [dimensions]
+ * @returns {number[]}
+ */
+export function hashEmbedding(text, dimensions = CONFIG.llm.embeddings.hashDimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    const sign = hash & 1 ? -1 : 1;
+    vector[(hash >>> 1) % dimensions] += sign * weight;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    addFeature(tokens[i], 1);
+    if (i > 0) addFeature(`${tokens[i - 1]} ${tokens[i]}`, 0.5);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+function fnv1a(input) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const EMBEDDERS = {
+  openai: {
+    provider: 'openai',
+    model: openaiProvider.EMBEDDING_MODEL,
+    dimensions: openaiProvider.EMBEDDING_DIMENSIONS,
+    isConfigured: () => openaiProvider.isConfigured(),
+    embed: (texts) => openaiProvider.embed(texts),
+  },
+  gemini: {
+    provider: 'gemini',
+    model: geminiProvider.EMBEDDING_MODEL,
+    dimensions: geminiProvider.EMBEDDING_DIMENSIONS,
+    isConfigured: () => geminiProvider.isConfigured(),
+    embed: (texts) => geminiProvider.embed(texts),
+  },
+  local: {
+    provider: 'local',
+    model: localProvider.EMBEDDING_MODEL,
+    // Depends on the model the server runs
+    dimensions: null,
+    isConfigured: () => localProvider.isEmbeddingConfigured(),
+    embed: (texts) => localProvider.embed(texts),
+  },
+  hash: {
+    provider: 'hash',
+    get model() {
+      return `hash-${CONFIG.llm.embeddings.hashDimensions}`;
+    },
+    get dimensions() {
+      return CONFIG.llm.embeddings.hashDimensions;
+    },
+    isConfigured: () => true,
+    embed: async (texts) => texts.map((text) => hashEmbedding(text)),
+  },
+};
+
+export const EMBEDDING_PROVIDERS = Object.keys(EMBEDDERS);
+
+/**
+ * Resolve the active embedder.
+ *
+ * @param {string} [name] - Provider name or 'auto'; defaults to LLM_EMBEDDINGS_PROVIDER
+ * @returns {object|null} Embedder, or null when auto finds nothing usable
+ */
+export function getEmbedder(name = CONFIG.llm.embeddings.provider) {
+  if (name && name !== 'auto') {
+    const embedder = EMBEDDERS[name];
+    if (!embedder) {
+      throw new Error(`Unknown embeddings provider: ${name}`);
+    }
+    return embedder;
+  }
+
+  for (const provider of AUTO_ORDER) {
+    if (EMBEDDERS[provider].isConfigured()) return EMBEDDERS[provider];
+  }
+
+  return process.env.NODE_ENV === 'production' ? null : EMBEDDERS.hash;
+}
+
+/**
+ * Identifier stored with every vector, e.g. 'openai:text-embedding-3-small'
+ * @param {object} embedder
+ * @returns {string}
+ */
+export function getEmbeddingModelId(embedder) {
+  return `${embedder.provider}:${embedder.model}`;
+}
@@ -0,0 +1,261 @@
+/**
+ * LLM Failover
+ *
+ * Retry with backoff and provider fallback for chat requests. Each provider
+ * has a circuit breaker driven by its recent error rate: once it opens, the
+ * provider is skipped until a cooldown passes, then a single trial request
+ * decides whether it closes again.
+ *
+ * Errors are classified as:
+ * - fatal: the request itself is bad (4xx, quota, abort) — no retry, no fallback
+ * - retryable: rate limits, 5xx, timeouts, connection errors — retry, then fall back
+ * - failover: anything else (auth, unknown) — fall back without retrying
+ */
+
+import { CONFIG } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+
+const FATAL_CODES = new Set(['INVALID_REQUEST', 'QUOTA_EXCEEDED', 'PAYLOAD_TOO_LARGE']);
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+const RETRYABLE_MESSAGE = /overloaded|rate limit|timed? ?out|temporarily unavailable|service unavailable|socket hang up|fetch failed|connection error|\b(429|500|502|503|504|529)\b/i;
+
+export class CircuitBreaker {
+  /**
+   * @param {object} [options] - Defaults to CONFIG.llm.failover.breaker
+   * @param {() => number} [now]
+   */
+  constructor(options = CONFIG.llm.failover.breaker, now = Date.now) {
+    this.options = options;
+    this.now = now;
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may go to the provider now. In the half-open state only
+   * one trial request is let through at a time.
+   */
+  allowRequest() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.options.cooldownMs) return false;
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state === 'half_open') {
+      this.close();
+      return;
+    }
+    this.record(true);
+  }
+
+  recordFailure() {
+    if (this.state === 'half_open') {
+      this.open();
+      return;
+    }
+    this.record(false);
+
+    const { requests, failures } = this.counts();
+    if (requests >= this.options.minRequests && failures / requests >= this.options.errorRateThreshold) {
+      this.open();
+    }
+  }
+
+  /** Give back a half-open trial that ended without an outcome (e.g. aborted) */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  getState() {
+    const { requests, failures } = this.counts();
+    return {
+      state: this.state,
+      requests,
+      failures,
+      errorRate: requests > 0 ? Math.round((failures / requests) * 100) / 100 : 0,
+      ...(this.state !== 'closed' && {
+        openedAt: new Date(this.openedAt).toISOString(),
+        retryAt: new Date(this.openedAt + this.options.cooldownMs).toISOString(),
+      }),
+    };
+  }
+
+  record(ok) {
+    this.outcomes.push({ at: this.now(), ok });
+    this.prune();
+  }
+
+  counts() {
+    this.prune();
+    return {
+      requests: this.outcomes.length,
+      failures: this.outcomes.filter((outcome) => !outcome.ok).length,
+    };
+  }
+
+  prune() {
+    const cutoff = this.now() - this.options.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < cutoff) this.outcomes.shift();
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = this.now();
+    this.trialInFlight = false;
+  }
+
+  close() {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.outcomes = [];
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * @param {string} provider
+ * @returns {CircuitBreaker}
+ */
+export function getBreaker(provider) {
+  if (!breakers.has(provider)) breakers.set(provider, new CircuitBreaker());
+  return breakers.get(provider);
+}
+
+/**
+ * @param {string} provider
+ * @returns {object} Breaker state, for /api/llm/status
+ */
+export function getBreakerState(provider) {
+  return getBreaker(provider).getState();
+}
+
+/**
+ * @param {Error} error
+ * @returns {'fatal'|'retryable'|'failover'}
+ */
+export function classifyProviderError(error) {
+  if (error?.name === 'AbortError' || FATAL_CODES.has(error?.code)) return 'fatal';
+
+  const status = error?.status ?? error?.statusCode;
+  if (RETRYABLE_STATUSES.has(status)) return 'retryable';
+  if (status === 401 || status === 403) return 'failover';
+  if (status >= 400 && status < 500) return 'fatal';
+
+  if (RETRYABLE_CODES.has(error?.code) || RETRYABLE_CODES.has(error?.cause?.code)) return 'retryable';
+  if (RETRYABLE_MESSAGE.test(error?.message || '')) return 'retryable';
+  return 'failover';
+}
+
+/**
+ * Run a request against each candidate in turn until one succeeds.
+ *
+ * @param {Array<{ provider: string, model: string }>} candidates - Requested provider first
+ * @param {(candidate: { provider: string, model: string }) => Promise<any>} attempt
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.maxRetries] - Retries per provider
+ * @returns {Promise<{ result: any, provider: string, model: string }>}
+ */
+export async function runWithFailover(candidates, attempt, { signal = null, maxRetries = CONFIG.llm.maxRetries } = {}) {
+  let lastError = null;
+
+  for (const candidate of candidates) {
+    const breaker = getBreaker(candidate.provider);
+
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      if (!breaker.allowRequest()) {
+        logger.warn({ provider: candidate.provider }, 'LLM provider circuit open, skipping');
+        break;
+      }
+
+      try {
+        const result = await attempt(candidate);
+        breaker.recordSuccess();
+        return { result, provider: candidate.provider, model: candidate.model };
+      } catch (error) {
+        const kind = signal?.aborted ? 'fatal' : classifyProviderError(error);
+        if (kind === 'fatal') {
+          // The provider answered (or the client left) — not an outage
+          if (signal?.aborted) breaker.release();
+          else breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure();
+        lastError = error;
+        logger.warn(
+          { provider: candidate.provider, model: candidate.model, retry, kind, error: error?.message },
+          'LLM provider request failed'
+        );
+
+        if (kind !== 'retryable' || retry === maxRetries) break;
+        await sleep(retryDelayMs(retry, error), signal);
+      }
+    }
+  }
+
+  if (lastError) throw lastError;
+
+  const error = new Error('No LLM provider is currently available');
+  error.code = 'PROVIDER_UNAVAILABLE';
+  throw error;
+}
+
+/**
+ * Wait for a stream's first chunk, so connection and rate-limit errors
+ * surface while failing over is still possible. Returns a stream that
+ * replays that chunk and continues with the rest.
+ * @param {AsyncIterable} stream
+ * @returns {Promise<AsyncGenerator>}
+ */
+export async function primeStream(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  return (async function* () {
+    if (first.done) return;
+    yield first.value;
+    // yield* forwards return() so an early break still closes the provider stream
+    yield* { [Symbol.asyncIterator]: () => iterator };
+  })();
+}
+
+function retryDelayMs(retry, error) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = CONFIG.llm.failover;
+  const retryAfterSeconds = Number(error?.headers?.['retry-after'] ?? error?.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+    return Math.min(retryAfterSeconds * 1000, retryMaxDelayMs);
+  }
+  // Exponential backoff with jitter
+  const delay = Math.min(retryBaseDelayMs * 2 ** retry, retryMaxDelayMs);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+export const __private = {
+  resetBreakers() {
+    breakers.clear();
+  },
+};
@@ -1,5 +1,6 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { extractTextFromDocx } from '../docxExtractor.js';
+import { toGeminiSchema } from './structuredOutput.js';
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
 
@@ -161,7 +162,8 @@ export async function chat({
   temperature = 0.7,
   maxTokens = 4096,
   stream = false,
-  signal = null
+  signal = null,
+  responseFormat = null
 }) {
   const { systemInstruction, contents } = await convertMessages(messages);
   const apiModel = MODEL_ID_MAP[model] || model;
@@ -173,7 +175,11 @@ export async function chat({
     generationConfig: {
       temperature,
       maxOutputTokens: maxTokens,
-      ...(thinkingCfg || {})
+      ...(thinkingCfg || {}),
+      ...(responseFormat && {
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(responseFormat.schema)
+      })
     }
   });
 
@@ -307,6 +313,7 @@ export async function chatWithTools({
     const normalizedError = new Error(error.message || 'Gemini request failed');
     normalizedError.code = error.code || 'PROVIDER_ERROR';
     normalizedError.provider = 'gemini';
+    if (error.status) normalizedError.status = error.status;
     throw normalizedError;
   }
 
@@ -384,6 +391,7 @@ export async function* chatWithToolsStream({
     const normalizedError = new Error(error.message || 'Gemini streaming request failed');
     normalizedError.code = error.code || 'PROVIDER_ERROR';
     normalizedError.provider = 'gemini';
+    if (error.status) normalizedError.status = error.status;
     throw normalizedError;
   }
 
@@ -443,6 +451,40 @@ export async function* chatWithToolsStream({
   };
 }
 
+// Embedding model configuration
+export const EMBEDDING_MODEL = 'text-embedding-004';
+export const EMBEDDING_DIMENSIONS = 768;
+
+/**
+ * Generate embeddings for text inputs
+ * @param {string[]} texts - Array of texts to embed
+ * @returns {Promise<number[][]>} Array of embedding vectors
+ */
+export async function embed(texts) {
+  if (!texts || texts.length === 0) {
+    return [];
+  }
+
+  // batchEmbedContents accepts at most 100 requests per call
+  const MAX_BATCH_SIZE = 100;
+  const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
+  const allEmbeddings = [];
+
+  for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+    const batch = texts.slice(i, i + MAX_BATCH_SIZE);
+
+    const response = await model.batchEmbedContents({
+      requests: batch.map(text => ({
+        content: { role: 'user', parts: [{ text }] }
+      }))
+    });
+
+    allEmbeddings.push(...response.embeddings.map(item => item.values));
+  }
+
+  return allEmbeddings;
+}
+
 export function isConfigured() {
   return !!process.env.GEMINI_API_KEY;
 }
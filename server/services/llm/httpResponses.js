@@ -0,0 +1,190 @@
+/**
+ * LLM HTTP Responses
+ *
+ * Shared by the routes that call the LLM service (routes/llm.js,
+ * routes/rag.js): mapping known LLM errors to JSON responses and SSE error
+ * events, and serving streamed generations as resumable sessions.
+ */
+
+import { createStreamSession } from './streamSessions.js';
+import { incrementGuardrailMetric } from './guardrailMetrics.js';
+import { logger } from '../../utils/logger.js';
+
+const PAYLOAD_TOO_LARGE_MESSAGE = 'Request payload too large. Try fewer images or smaller files.';
+
+export function returnKnownLlmErrorIfAny(res, error) {
+  if (error.code === 'INVALID_REQUEST') {
+    incrementGuardrailMetric('invalidRequestRejectHttp');
+    const message = error?.message || 'Invalid request';
+    logger.warn({ code: 'INVALID_REQUEST', message }, 'LLM request rejected');
+    res.status(400).json({
+      code: 'INVALID_REQUEST',
+      error: message,
+      message,
+    });
+    return true;
+  }
+
+  if (error.code === 'QUOTA_EXCEEDED') {
+    res.status(429).json({
+      code: 'QUOTA_EXCEEDED',
+      error: 'Monthly quota exceeded',
+      message: 'Monthly quota exceeded',
+      quota: error.quota,
+    });
+    return true;
+  }
+
+  if (error.code === 'PAYLOAD_TOO_LARGE') {
+    incrementGuardrailMetric('payloadRejectHttp');
+    logger.warn({ code: 'PAYLOAD_TOO_LARGE' }, 'LLM request rejected');
+    res.status(413).json({
+      code: 'PAYLOAD_TOO_LARGE',
+      error: PAYLOAD_TOO_LARGE_MESSAGE,
+      message: PAYLOAD_TOO_LARGE_MESSAGE,
+    });
+    return true;
+  }
+
+  if (error.code === 'PROVIDER_UNAVAILABLE') {
+    res.status(503).json({
+      code: 'PROVIDER_UNAVAILABLE',
+      error: error.message,
+      message: error.message,
+    });
+    return true;
+  }
+
+  if (error.code === 'STRUCTURED_OUTPUT_INVALID') {
+    res.status(422).json({
+      code: 'STRUCTURED_OUTPUT_INVALID',
+      error: error.message,
+      message: error.message,
+      details: error.details,
+    });
+    return true;
+  }
+
+  return false;
+}
+
+export function formatStreamErrorPayload(error, includeType = false) {
+  const base = includeType ? { type: 'error' } : {};
+
+  if (error.code === 'QUOTA_EXCEEDED') {
+    return {
+      ...base,
+      error: 'quota_exceeded',
+      quota: error.quota,
+    };
+  }
+
+  if (error.code === 'INVALID_REQUEST') {
+    incrementGuardrailMetric('invalidRequestRejectStream');
+    return {
+      ...base,
+      error: 'invalid_request',
+      message: error?.message || 'Invalid request',
+    };
+  }
+
+  if (error.code === 'PAYLOAD_TOO_LARGE') {
+    incrementGuardrailMetric('payloadRejectStream');
+    return {
+      ...base,
+      error: 'payload_too_large',
+      message: error?.message || PAYLOAD_TOO_LARGE_MESSAGE,
+    };
+  }
+
+  if (error.code === 'PROVIDER_UNAVAILABLE') {
+    return {
+      ...base,
+      error: 'provider_unavailable',
+      message: error.message,
+    };
+  }
+
+  return {
+    ...base,
+    error: error?.message || String(error),
+  };
+}
+
+function streamErrorPayload(error, includeType) {
+  if (error?.code === 'INVALID_REQUEST' || error?.code === 'PAYLOAD_TOO_LARGE') {
+    logger.warn({ code: error.code, stream: true }, 'LLM stream request rejected');
+  }
+  return formatStreamErrorPayload(error, includeType);
+}
+
+export function writeStreamErrorAndEnd(res, error, includeType = false) {
+  res.write(`data: ${JSON.stringify(streamErrorPayload(error, includeType))}\n\n`);
+  res.end();
+}
+
+export function openEventStream(res, streamId) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.setHeader('X-Stream-Id', streamId);
+  res.flushHeaders();
+}
+
+/**
+ * Write a stream session's events to an SSE response, starting after
+ * `afterEventId`. The response ends with the generation; a client
+ * disconnect only detaches it, so the generation can be resumed.
+ */
+export function pipeStreamSession(res, session, afterEventId = 0) {
+  const detach = session.subscribe(afterEventId, {
+    onEvent: ({ id, data }) => {
+      res.write(`id: ${id}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    },
+    onFinish: () => res.end(),
+  });
+  res.on('close', detach);
+}
+
+/**
+ * A signal aborted when the client disconnects before the response is sent,
+ * so a non-streamed request stops retrying and failing over for nobody.
+ */
+export function abortSignalForResponse(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Run a streamed generation as a resumable session (see
+ * services/llm/streamSessions.js) and attach this response to it.
+ * `produce(session)` pushes the generation's events; the session then ends
+ * with [DONE], a cancellation event or an error event.
+ */
+export function startResumableStream(req, res, { kind, includeType, produce }) {
+  const session = createStreamSession({ userId: req.user.id, kind });
+  openEventStream(res, session.id);
+  pipeStreamSession(res, session);
+
+  const finishCancelled = () => {
+    session.push(includeType ? { type: 'cancelled' } : { cancelled: true });
+    session.finish('cancelled');
+  };
+
+  produce(session)
+    .then(() => {
+      if (session.signal.aborted) return finishCancelled();
+      session.push('[DONE]');
+      session.finish('done');
+    })
+    .catch((error) => {
+      if (session.signal.aborted) return finishCancelled();
+      logger.error({ error: error?.message || error, kind }, 'LLM stream error');
+      session.push(streamErrorPayload(error, includeType));
+      session.finish('error');
+    });
+}
@@ -2,7 +2,8 @@ import * as openaiProvider from './openaiProvider.js';
 import * as anthropicProvider from './anthropicProvider.js';
 import * as geminiProvider from './geminiProvider.js';
 import * as kimiProvider from './kimiProvider.js';
-import { checkQuota, trackUsage } from './quotaManager.js';
+import * as localProvider from './localProvider.js';
+import { checkQuota, trackUsage, trackCacheHit, trackFailure } from './quotaManager.js';
 import * as searchService from '../search/index.js';
 import { CONFIG } from '../../config/index.js';
 import {
@@ -10,6 +11,14 @@ import {
   validateChatMessagesWithPolicy,
 } from './attachmentValidation.js';
 import { incrementGuardrailMetric } from './guardrailMetrics.js';
+import { getBreaker, getBreakerState, primeStream, runWithFailover } from './failover.js';
+import { getEmbedder, getEmbeddingModelId } from './embeddings.js';
+import * as responseCache from './responseCache.js';
+import {
+  buildRepairMessages,
+  checkStructuredOutput,
+  normalizeResponseFormat
+} from './structuredOutput.js';
 import { logger } from '../../utils/logger.js';
 
 // Combined model configuration
@@ -17,7 +26,8 @@ export const MODELS = {
   openai: openaiProvider.OPENAI_MODELS,
   anthropic: anthropicProvider.ANTHROPIC_MODELS,
   gemini: geminiProvider.GEMINI_MODELS,
-  kimi: kimiProvider.KIMI_MODELS
+  kimi: kimiProvider.KIMI_MODELS,
+  local: localProvider.LOCAL_MODELS
 };
 
 // Tier hierarchy - higher index = more access
@@ -44,11 +54,48 @@ function getProvider(providerName) {
       return geminiProvider;
     case 'kimi':
       return kimiProvider;
+    case 'local':
+      return localProvider;
     default:
       throw new Error(`Unknown provider: ${providerName}`);
   }
 }
 
+/**
+ * Providers to try for a request: the requested one, then its fallback chain
+ * (CONFIG.llm.failover.chains). Each fallback gets its best model at or below
+ * both the requested model's tier and the user's.
+ */
+function getFailoverCandidates(provider, model, userTier) {
+  const candidates = [{ provider, model }];
+  const { enabled, chains } = CONFIG.llm.failover;
+  if (!enabled) return candidates;
+
+  const requestedTier = MODELS[provider]?.find(m => m.id === model)?.tier || 'free';
+  const ceiling = Math.min(TIER_LEVELS[requestedTier] ?? 0, TIER_LEVELS[userTier] ?? 0);
+
+  for (const fallback of chains[provider] || []) {
+    if (!MODELS[fallback] || !getProvider(fallback).isConfigured()) continue;
+
+    let best = null;
+    for (const candidate of MODELS[fallback]) {
+      const level = TIER_LEVELS[candidate.tier] ?? 0;
+      if (level <= ceiling && (!best || level > (TIER_LEVELS[best.tier] ?? 0))) {
+        best = candidate;
+      }
+    }
+    if (best) candidates.push({ provider: fallback, model: best.id });
+  }
+
+  return candidates;
+}
+
+// Note which model was asked for when another provider answered
+function withFallbackInfo(response, provider, model, answeredProvider) {
+  if (answeredProvider === provider) return response;
+  return { ...response, fallbackFrom: { provider, model } };
+}
+
 function getAttachmentValidationMode() {
   return resolveAttachmentValidationMode(CONFIG.llm?.guardrails);
 }
@@ -134,6 +181,139 @@ async function runSearchIfEnabled({ messages, webSearchEnabled, userTier, userId
   return { messagesWithSearch, searchResult };
 }
 
+/**
+ * Look up a chat request in the response cache: exact key first, then (when
+ * enabled) the nearest earlier prompt by embedding. Returns the entry to
+ * store the fresh response under on a miss.
+ */
+async function lookupCachedResponse({ userId, provider, model, messages, temperature, requestType }) {
+  const entry = {
+    key: responseCache.getCacheKey({ userId, provider, model, temperature, messages }),
+    userId,
+    provider,
+    model,
+    temperature,
+    requestType,
+    embedding: null,
+    embeddingModel: null
+  };
+
+  const exact = responseCache.getCached(entry.key);
+  if (exact) return { entry, hit: exact };
+
+  const promptText = CONFIG.llm.responseCache.semantic.enabled && responseCache.getPromptText(messages);
+  if (!promptText) return { entry, hit: null };
+
+  try {
+    const { embeddings, modelId } = await embed({ userId, texts: [promptText] });
+    entry.embedding = embeddings[0];
+    entry.embeddingModel = modelId;
+    const similar = responseCache.findSimilar(entry);
+    if (similar) {
+      logger.debug({ userId, provider, model, similarity: similar.similarity }, 'LLM response cache near-duplicate hit');
+    }
+    return { entry, hit: similar?.response || null };
+  } catch (error) {
+    // Exact matching still works without embeddings
+    logger.warn({ error: error.message }, 'LLM response cache embedding failed');
+    return { entry, hit: null };
+  }
+}
+
+/**
+ * Validate a structured-output reply against its schema. An invalid reply
+ * gets one repair attempt on the same model, told what was wrong; if that
+ * fails too the request fails with STRUCTURED_OUTPUT_INVALID.
+ */
+async function completeStructuredOutput({ response, responseFormat, messages, provider, model, temperature, maxTokens, track }) {
+  let check = checkStructuredOutput(response.content, responseFormat.schema);
+  let repaired = false;
+
+  if (!check.valid) {
+    logger.warn({ provider, model, errors: check.errors }, 'Structured output failed validation, retrying with repair prompt');
+
+    const firstUsage = response.usage;
+    response = await getProvider(provider).chat({
+      model,
+      messages: buildRepairMessages(messages, response.content, check.errors),
+      temperature,
+      maxTokens,
+      stream: false,
+      responseFormat
+    });
+    await track(response.usage);
+
+    response = {
+      ...response,
+      usage: {
+        promptTokens: (firstUsage?.promptTokens || 0) + (response.usage?.promptTokens || 0),
+        completionTokens: (firstUsage?.completionTokens || 0) + (response.usage?.completionTokens || 0),
+        totalTokens: (firstUsage?.totalTokens || 0) + (response.usage?.totalTokens || 0)
+      }
+    };
+    check = checkStructuredOutput(response.content, responseFormat.schema);
+    repaired = true;
+
+    if (!check.valid) {
+      const error = new Error('Model response did not match the requested JSON schema');
+      error.code = 'STRUCTURED_OUTPUT_INVALID';
+      error.details = check.errors;
+      throw error;
+    }
+  }
+
+  return {
+    ...response,
+    content: JSON.stringify(check.value),
+    parsed: check.value,
+    structuredOutput: { repaired }
+  };
+}
+
+/**
+ * Await a provider call, recording it in llm_usage if it fails for any reason
+ * other than the client going away.
+ */
+async function failureTracked(promise, signal, track) {
+  try {
+    return await promise;
+  } catch (error) {
+    if (!signal?.aborted) await track(error);
+    throw error;
+  }
+}
+
+function withLatency(usage, startedAt) {
+  return { ...usage, latencyMs: Date.now() - startedAt };
+}
+
+/**
+ * Usage for a stream cut short (cancelled or abandoned). Providers report
+ * little or nothing when stopped midway, so each count is at least an
+ * estimate (~4 chars per token) of the prompt and of what was generated.
+ */
+function partialStreamUsage(reported, messages, generated) {
+  const promptChars = messages.reduce((sum, message) => {
+    if (typeof message.content === 'string') return sum + message.content.length;
+    if (!Array.isArray(message.content)) return sum;
+    return sum + message.content.reduce((partSum, part) => partSum + (part?.text?.length || 0), 0);
+  }, 0);
+  const promptTokens = Math.max(reported?.promptTokens || 0, Math.ceil(promptChars / 4));
+  const completionTokens = Math.max(reported?.completionTokens || 0, Math.ceil(generated.length / 4));
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// Cached responses cost nothing, so report zero usage
+const CACHED_USAGE = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+async function* replayCachedStream(response) {
+  if (response.thinkingContent) {
+    yield { type: 'thinking', thinking: response.thinkingContent, finishReason: null };
+  }
+  yield { type: 'chunk', content: response.content, finishReason: response.finishReason || 'stop' };
+  yield { type: 'done', content: response.content, usage: CACHED_USAGE, cached: true };
+}
+
 export async function chat({
   userId,
   provider,
@@ -148,12 +328,21 @@ export async function chat({
   effortLane = null,
   promptVersion = null,
   promptVariant = null,
-  signal = null
+  teamId = null,
+  signal = null,
+  responseFormat = null
 }) {
   validateMessagesOrThrow(messages);
 
+  responseFormat = normalizeResponseFormat(responseFormat);
+  if (responseFormat && stream) {
+    const error = new Error('Structured output is not supported for streaming requests');
+    error.code = 'INVALID_REQUEST';
+    throw error;
+  }
+
   // Check quota
-  const quota = await checkQuota(userId);
+  const quota = await checkQuota(userId, teamId);
   if (!quota.allowed) {
     const error = new Error('Monthly quota exceeded');
     error.code = 'QUOTA_EXCEEDED';
@@ -171,78 +360,172 @@ export async function chat({
     throw new Error(`Provider ${provider} is not configured`);
   }
 
+  // Serve repeated prompts from the response cache (opt-in). The cache key
+  // doesn't cover the schema, so structured requests always go to the provider.
+  let cacheEntry = null;
+  if (!responseFormat && responseCache.isCacheable({ requestType, webSearchEnabled })) {
+    const { entry, hit } = await lookupCachedResponse({
+      userId, provider, model, messages, temperature, requestType
+    });
+
+    if (hit) {
+      await trackCacheHit(userId, provider, model, requestType, effortLane, promptVersion, promptVariant, teamId);
+      if (stream) {
+        return replayCachedStream(hit);
+      }
+      return { ...hit, provider, model, usage: CACHED_USAGE, cached: true };
+    }
+    cacheEntry = entry;
+  }
+
   // Run search pipeline if enabled
   const { messagesWithSearch } = await runSearchIfEnabled({
     messages, webSearchEnabled, userTier, userId
   });
 
+  const candidates = getFailoverCandidates(provider, model, userTier);
+
   // Make request
   if (stream) {
     return streamWithTracking({
       userId,
-      provider,
-      model,
+      candidates,
       messages: messagesWithSearch,
       temperature,
       maxTokens,
       requestType,
-      providerService,
       effortLane,
       promptVersion,
       promptVariant,
-      signal
+      teamId,
+      signal,
+      cacheEntry
     });
   }
 
-  const response = await providerService.chat({
-    model,
-    messages: messagesWithSearch,
-    temperature,
-    maxTokens,
-    stream: false
-  });
+  const startedAt = Date.now();
+  const { result, provider: answeredProvider, model: answeredModel } = await failureTracked(
+    runWithFailover(
+      candidates,
+      (candidate) => getProvider(candidate.provider).chat({
+        model: candidate.model,
+        messages: messagesWithSearch,
+        temperature,
+        maxTokens,
+        stream: false,
+        responseFormat,
+        signal
+      }),
+      { signal }
+    ),
+    signal,
+    (error) => trackFailure(userId, provider, model, error, requestType, effortLane, promptVersion, promptVariant, teamId)
+  );
+  let response = result;
+
+  // Track usage against the provider that answered
+  await trackUsage(userId, answeredProvider, answeredModel, withLatency(response.usage, startedAt), requestType, effortLane, promptVersion, promptVariant, teamId);
+
+  if (responseFormat) {
+    response = await completeStructuredOutput({
+      response,
+      responseFormat,
+      messages: messagesWithSearch,
+      provider: answeredProvider,
+      model: answeredModel,
+      temperature,
+      maxTokens,
+      track: (usage) => trackUsage(userId, answeredProvider, answeredModel, usage, requestType, effortLane, promptVersion, promptVariant, teamId)
+    });
+  }
 
-  // Track usage
-  await trackUsage(userId, provider, model, response.usage, requestType, effortLane, promptVersion, promptVariant);
+  // Only cache what the requested model said, in full
+  if (cacheEntry && answeredProvider === provider && responseCache.isCompleteResponse(response.finishReason)) {
+    responseCache.setCache(cacheEntry, response);
+  }
 
-  return response;
+  return withFallbackInfo({ ...response, provider: answeredProvider, model: response.model || answeredModel }, provider, model, answeredProvider);
 }
 
 async function* streamWithTracking({
   userId,
-  provider,
-  model,
+  candidates,
   messages,
   temperature,
   maxTokens,
   requestType,
-  providerService,
   effortLane = null,
   promptVersion = null,
   promptVariant = null,
-  signal = null
+  teamId = null,
+  signal = null,
+  cacheEntry = null
 }) {
-  const stream = await providerService.chat({
-    model,
-    messages,
-    temperature,
-    maxTokens,
-    stream: true,
-    signal
-  });
+  const startedAt = Date.now();
+  const trackFailed = (failedProvider, failedModel) => (error) =>
+    trackFailure(userId, failedProvider, failedModel, error, requestType, effortLane, promptVersion, promptVariant, teamId);
+
+  // Fail over until a provider produces its first chunk
+  const { result: stream, provider, model } = await failureTracked(
+    runWithFailover(
+      candidates,
+      async (candidate) => primeStream(await getProvider(candidate.provider).chat({
+        model: candidate.model,
+        messages,
+        temperature,
+        maxTokens,
+        stream: true,
+        signal
+      })),
+      { signal }
+    ),
+    signal,
+    trackFailed(candidates[0].provider, candidates[0].model)
+  );
 
   let finalUsage = null;
+  let content = '';
+  let thinkingContent = '';
+  let finishReason = null;
+  let completed = false;
+  let failed = false;
 
-  for await (const chunk of stream) {
-    if (chunk.type === 'done') {
-      finalUsage = chunk.usage;
+  try {
+    for await (const chunk of stream) {
+      if (chunk.type === 'chunk') {
+        content += chunk.content || '';
+        finishReason = chunk.finishReason || finishReason;
+      } else if (chunk.type === 'thinking') {
+        thinkingContent += chunk.thinking || '';
+      } else if (chunk.type === 'done') {
+        finalUsage = chunk.usage;
+        // Name the provider that answered, which may be a fallback
+        yield { ...chunk, provider, model };
+        continue;
+      }
+      yield chunk;
+    }
+    completed = true;
+  } catch (error) {
+    if (!signal?.aborted) {
+      failed = true;
+      getBreaker(provider).recordFailure();
+      await trackFailed(provider, model)(error);
+    }
+    throw error;
+  } finally {
+    // Track usage once the stream completes, or is cancelled / abandoned midway
+    const usage = completed && !signal?.aborted
+      ? finalUsage
+      : partialStreamUsage(finalUsage, messages, thinkingContent + content);
+    if (usage && !failed) {
+      await trackUsage(userId, provider, model, withLatency(usage, startedAt), requestType, effortLane, promptVersion, promptVariant, teamId);
     }
-    yield chunk;
   }
 
-  // Track usage after stream completes
-  if (finalUsage) {
-    await trackUsage(userId, provider, model, finalUsage, requestType, effortLane, promptVersion, promptVariant);
+  if (cacheEntry && !signal?.aborted && provider === candidates[0].provider
+    && responseCache.isCompleteResponse(finishReason)) {
+    responseCache.setCache(cacheEntry, { content, thinkingContent, finishReason, usage: finalUsage });
   }
 }
 
@@ -262,12 +545,14 @@ export async function chatWithTools({
   userTier = 'free',
   effortLane = null,
   promptVersion = null,
-  promptVariant = null
+  promptVariant = null,
+  teamId = null,
+  signal = null
 }) {
   validateMessagesOrThrow(messages);
 
   // Check quota
-  const quota = await checkQuota(userId);
+  const quota = await checkQuota(userId, teamId);
   if (!quota.allowed) {
     const error = new Error('Monthly quota exceeded');
     error.code = 'QUOTA_EXCEEDED';
@@ -291,17 +576,27 @@ export async function chatWithTools({
   });
 
   // Call provider WITHOUT native search (now using Tavily)
-  const response = await providerService.chatWithTools({
-    model,
-    messages: messagesWithSearch,
-    tools,
-    temperature,
-    maxTokens,
-    webSearchEnabled: false  // Always false - using unified Tavily search
-  });
-
-  // Track LLM usage
-  await trackUsage(userId, provider, model, response.usage, requestType, effortLane, promptVersion, promptVariant);
+  const startedAt = Date.now();
+  const { result: response, provider: answeredProvider, model: answeredModel } = await failureTracked(
+    runWithFailover(
+      getFailoverCandidates(provider, model, userTier),
+      (candidate) => getProvider(candidate.provider).chatWithTools({
+        model: candidate.model,
+        messages: messagesWithSearch,
+        tools,
+        temperature,
+        maxTokens,
+        webSearchEnabled: false,  // Always false - using unified Tavily search
+        signal
+      }),
+      { signal }
+    ),
+    signal,
+    (error) => trackFailure(userId, provider, model, error, requestType, effortLane, promptVersion, promptVariant, teamId)
+  );
+
+  // Track LLM usage against the provider that answered
+  await trackUsage(userId, answeredProvider, answeredModel, withLatency(response.usage, startedAt), requestType, effortLane, promptVersion, promptVariant, teamId);
 
   // Format web searches for response (matching existing format)
   const webSearches = searchResult?.searchExecuted && searchResult.results?.length > 0
@@ -316,7 +611,7 @@ export async function chatWithTools({
     : undefined;
 
   return {
-    ...response,
+    ...withFallbackInfo(response, provider, model, answeredProvider),
     webSearches,
     webSearchSupported: searchService.isConfigured(),
     webSearchRequested: webSearchEnabled,
@@ -344,6 +639,7 @@ export async function chatWithToolsStream({
   effortLane = null,
   promptVersion = null,
   promptVariant = null,
+  teamId = null,
   signal = null
 }) {
   validateMessagesOrThrow(messages);
@@ -351,7 +647,7 @@ export async function chatWithToolsStream({
   const t0 = Date.now();
 
   // Check quota
-  const quota = await checkQuota(userId);
+  const quota = await checkQuota(userId, teamId);
   console.log(`[LLM Timing] Quota check: ${Date.now() - t0}ms`);
   if (!quota.allowed) {
     const error = new Error('Monthly quota exceeded');
@@ -386,9 +682,38 @@ export async function chatWithToolsStream({
     }));
   }
 
-  if (!providerService.chatWithToolsStream) {
-    // Fall back to non-streaming for providers without stream support
-    const response = await providerService.chatWithTools({ model, messages: messagesWithSearch, tools, temperature, maxTokens, webSearchEnabled: false });
+  const startedAt = Date.now();
+  const trackFailed = (failedProvider, failedModel) => (error) =>
+    trackFailure(userId, failedProvider, failedModel, error, requestType, effortLane, promptVersion, promptVariant, teamId);
+
+  // Fail over until a provider produces its first chunk. Providers without
+  // stream support answer in one go and are replayed as a stream.
+  const { result: opened, provider: answeredProvider, model: answeredModel } = await failureTracked(
+    runWithFailover(
+      getFailoverCandidates(provider, model, userTier),
+      async (candidate) => {
+        const service = getProvider(candidate.provider);
+        const params = {
+          model: candidate.model,
+          messages: messagesWithSearch,
+          tools,
+          temperature,
+          maxTokens,
+          webSearchEnabled: false
+        };
+        if (!service.chatWithToolsStream) {
+          return { response: await service.chatWithTools(params) };
+        }
+        return { stream: await primeStream(service.chatWithToolsStream({ ...params, signal })) };
+      },
+      { signal }
+    ),
+    signal,
+    trackFailed(provider, model)
+  );
+
+  if (opened.response) {
+    const response = opened.response;
     async function* nonStreamingFallback() {
       if (response.thinkingContent) {
         yield { type: 'thinking', thinking: response.thinkingContent };
@@ -403,37 +728,52 @@ export async function chatWithToolsStream({
       }
       yield { type: 'done', finishReason: response.finishReason, usage: response.usage };
     }
-    await trackUsage(userId, provider, model, response.usage, requestType, effortLane, promptVersion, promptVariant);
-    return { stream: nonStreamingFallback(), sources };
+    await trackUsage(userId, answeredProvider, answeredModel, withLatency(response.usage, startedAt), requestType, effortLane, promptVersion, promptVariant, teamId);
+    return { stream: nonStreamingFallback(), sources, provider: answeredProvider, model: answeredModel };
   }
 
-  // Create the streaming generator with usage tracking wrapper
-  const providerStream = providerService.chatWithToolsStream({
-    model,
-    messages: messagesWithSearch,
-    tools,
-    temperature,
-    maxTokens,
-    webSearchEnabled: false,
-    signal
-  });
-
+  // Wrap the provider stream with usage tracking
   async function* streamWithTracking() {
     let finalUsage = null;
-    for await (const chunk of providerStream) {
-      if (chunk.type === 'done') {
-        finalUsage = chunk.usage;
+    let generated = '';
+    let completed = false;
+    let failed = false;
+    try {
+      for await (const chunk of opened.stream) {
+        if (chunk.type === 'content') {
+          generated += chunk.content || '';
+        } else if (chunk.type === 'thinking') {
+          generated += chunk.thinking || '';
+        } else if (chunk.type === 'tool_call') {
+          generated += JSON.stringify(chunk.toolCall);
+        } else if (chunk.type === 'done') {
+          finalUsage = chunk.usage;
+        }
+        yield chunk;
+      }
+      completed = true;
+    } catch (error) {
+      if (!signal?.aborted) {
+        failed = true;
+        getBreaker(answeredProvider).recordFailure();
+        await trackFailed(answeredProvider, answeredModel)(error);
+      }
+      throw error;
+    } finally {
+      const usage = completed && !signal?.aborted
+        ? finalUsage
+        : partialStreamUsage(finalUsage, messagesWithSearch, generated);
+      if (usage && !failed) {
+        await trackUsage(userId, answeredProvider, answeredModel, withLatency(usage, startedAt), requestType, effortLane, promptVersion, promptVariant, teamId);
       }
-      yield chunk;
-    }
-    if (finalUsage) {
-      await trackUsage(userId, provider, model, finalUsage, requestType, effortLane, promptVersion, promptVariant);
     }
   }
 
   return {
     stream: streamWithTracking(),
-    sources
+    sources,
+    provider: answeredProvider,
+    model: answeredModel
   };
 }
 
@@ -442,7 +782,8 @@ export function getAvailableModels(tier = 'free') {
     openai: [],
     anthropic: [],
     gemini: [],
-    kimi: []
+    kimi: [],
+    local: []
   };
 
   // Filter OpenAI models by tier access
@@ -473,12 +814,19 @@ export function getAvailableModels(tier = 'free') {
       .map(model => ({ ...model }));
   }
 
+  // Filter local (self-hosted) models by tier access
+  if (localProvider.isConfigured()) {
+    models.local = MODELS.local
+      .filter(model => canAccessTier(tier, model.tier))
+      .map(model => ({ ...model }));
+  }
+
   return models;
 }
 
 export function isModelAllowed(modelId, tier) {
   // Check all models from all providers
-  const allModels = [...MODELS.openai, ...MODELS.anthropic, ...MODELS.gemini, ...MODELS.kimi];
+  const allModels = [...MODELS.openai, ...MODELS.anthropic, ...MODELS.gemini, ...MODELS.kimi, ...MODELS.local];
   const model = allModels.find(m => m.id === modelId);
 
   if (!model) {
@@ -498,16 +846,38 @@ export function getProviderStatus() {
     openai: openaiProvider.isConfigured(),
     anthropic: anthropicProvider.isConfigured(),
     gemini: geminiProvider.isConfigured(),
-    kimi: kimiProvider.isConfigured()
+    kimi: kimiProvider.isConfigured(),
+    local: localProvider.isConfigured()
   };
 }
 
 /**
- * Generate embeddings for text using OpenAI
+ * Circuit breaker state of each configured provider
+ * @returns {Object<string, { state: string, requests: number, failures: number, errorRate: number }>}
+ */
+export function getProviderBreakerStates() {
+  const states = {};
+  for (const [provider, configured] of Object.entries(getProviderStatus())) {
+    if (configured) states[provider] = getBreakerState(provider);
+  }
+  return states;
+}
+
+/**
+ * Model ID of the active embedder, as stored with indexed vectors
+ * @returns {string|null} null when no embeddings provider is available
+ */
+export function getActiveEmbeddingModel() {
+  const embedder = getEmbedder();
+  return embedder ? getEmbeddingModelId(embedder) : null;
+}
+
+/**
+ * Generate embeddings for text with the active embeddings provider
  * @param {Object} params - Embedding parameters
  * @param {number} params.userId - User ID for quota tracking
  * @param {string[]} params.texts - Array of texts to embed
- * @returns {Promise<{embeddings: number[][], model: string, dimensions: number}>}
+ * @returns {Promise<{embeddings: number[][], provider: string, model: string, modelId: string, dimensions: number}>}
  */
 export async function embed({ userId, texts }) {
   // Check quota
@@ -519,30 +889,37 @@ export async function embed({ userId, texts }) {
     throw error;
   }
 
-  if (!openaiProvider.isConfigured()) {
-    throw new Error('OpenAI provider is not configured');
+  const embedder = getEmbedder();
+  if (!embedder || !embedder.isConfigured()) {
+    throw new Error('No embeddings provider is configured');
   }
 
-  const embeddings = await openaiProvider.embed(texts);
+  const embeddings = await embedder.embed(texts);
 
-  // Track embedding usage - estimate tokens (roughly 4 chars per token)
-  const totalChars = texts.reduce((sum, t) => sum + t.length, 0);
-  const estimatedTokens = Math.ceil(totalChars / 4);
+  // The hashing embedder runs in-process and costs nothing
+  if (embedder.provider !== 'hash') {
+    // Track embedding usage - estimate tokens (roughly 4 chars per token)
+    const totalChars = texts.reduce((sum, t) => sum + t.length, 0);
+    const estimatedTokens = Math.ceil(totalChars / 4);
 
-  await trackUsage(userId, 'openai', openaiProvider.EMBEDDING_MODEL, {
-    promptTokens: estimatedTokens,
-    completionTokens: 0,
-    totalTokens: estimatedTokens
-  }, 'embedding');
+    await trackUsage(userId, embedder.provider, embedder.model, {
+      promptTokens: estimatedTokens,
+      completionTokens: 0,
+      totalTokens: estimatedTokens
+    }, 'embedding');
+  }
 
   return {
     embeddings,
-    model: openaiProvider.EMBEDDING_MODEL,
-    dimensions: openaiProvider.EMBEDDING_DIMENSIONS
+    provider: embedder.provider,
+    model: embedder.model,
+    modelId: getEmbeddingModelId(embedder),
+    dimensions: embeddings[0]?.length ?? embedder.dimensions
   };
 }
 
 export const __private = {
   validateMessagesOrThrow,
   getAttachmentValidationMode,
+  getFailoverCandidates,
 };
@@ -15,13 +15,16 @@ let pdfTextExtractor = extractTextFromPdf;
 const nvidiaClient = process.env.NVIDIA_API_KEY ? new OpenAI({
   apiKey: process.env.NVIDIA_API_KEY,
   baseURL: 'https://integrate.api.nvidia.com/v1',
-  timeout: 8000
+  timeout: 8000,
+  maxRetries: 0
 }) : null;
 
 // Together AI client (fallback)
+// Neither client retries on its own: failover.js retries and feeds the circuit breakers
 const togetherClient = process.env.KIMI_API_KEY ? new OpenAI({
   apiKey: process.env.KIMI_API_KEY,
-  baseURL: 'https://api.together.xyz/v1'
+  baseURL: 'https://api.together.xyz/v1',
+  maxRetries: 0
 }) : null;
 
 // Model configuration - each model has its own tier
@@ -153,7 +156,8 @@ export async function chat({
   temperature = 0.7,
   maxTokens = 4096,
   stream = false,
-  signal = null
+  signal = null,
+  responseFormat = null
 }) {
   const apiModel = MODEL_ID_MAP[model] || model;
 
@@ -166,7 +170,9 @@ export async function chat({
     // Thinking mode: temperature=1.0 recommended; instant: 0.6
     temperature: isThinking ? 1.0 : (temperature ?? 0.6),
     top_p: 0.95,
-    ...(isThinking ? { chat_template_kwargs: { thinking: true } } : {})
+    ...(isThinking ? { chat_template_kwargs: { thinking: true } } : {}),
+    // Kimi only has JSON mode; the schema itself is enforced by validation
+    ...(responseFormat && { response_format: { type: 'json_object' } })
   };
 
   if (stream) {
@@ -0,0 +1,442 @@
+import OpenAI from 'openai';
+import { extractTextFromPdf } from '../pdfExtractor.js';
+import { extractTextFromDocx } from '../docxExtractor.js';
+import { CONFIG } from '../../config/index.js';
+
+// Self-hosted OpenAI-compatible server (Ollama, llama.cpp server, vLLM).
+// Requests never leave the operator's network, so chat and RAG work for
+// deployments that can't send documents to a hosted provider.
+
+const localConfig = CONFIG.llm.providers.local;
+
+let client = null;
+let pdfTextExtractor = extractTextFromPdf;
+
+function getClient() {
+  if (client) {
+    return client;
+  }
+
+  if (!localConfig.baseUrl) {
+    throw new Error('Local provider not configured: missing LOCAL_LLM_BASE_URL');
+  }
+
+  client = new OpenAI({
+    // Most local servers ignore the key, but the SDK requires one
+    apiKey: localConfig.apiKey || 'local',
+    baseURL: localConfig.baseUrl,
+    timeout: localConfig.timeoutMs,
+    // Chat requests are retried by failover.js, which also feeds the circuit breakers
+    maxRetries: 0
+  });
+  return client;
+}
+
+function getPdfExtractionOptions() {
+  const extraction = CONFIG.llm?.pdfExtraction || {};
+  return {
+    maxPdfBytes: extraction.maxPdfBytes,
+    maxPages: extraction.maxPages,
+    maxTextChars: extraction.maxTextChars,
+  };
+}
+
+// Model list comes from LOCAL_LLM_MODELS - whatever the server has pulled
+export const LOCAL_MODELS = localConfig.models;
+
+// Embedding model (LOCAL_LLM_EMBEDDING_MODEL); dimensions depend on the model
+export const EMBEDDING_MODEL = localConfig.embeddingModel;
+
+// Convert our message format to OpenAI format
+async function convertMessages(messages) {
+  return Promise.all(messages.map(async msg => {
+    if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length > 0) {
+      // Assistant message with tool calls - convert toolCalls to tool_calls format
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(tc => ({
+          id: tc.id,
+          type: 'function',
+          function: {
+            name: tc.name,
+            arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments)
+          }
+        }))
+      };
+    } else if (msg.role === 'tool') {
+      // Tool result message - convert toolCallId to tool_call_id
+      return {
+        role: 'tool',
+        tool_call_id: msg.toolCallId,
+        content: msg.content
+      };
+    } else if (Array.isArray(msg.content)) {
+      // Multimodal message — images work with vision models, documents go in as text
+      const parts = [];
+      for (const part of msg.content) {
+        if (part.type === 'image') {
+          parts.push({
+            type: 'image_url',
+            image_url: { url: `data:${part.mediaType};base64,${part.data}` }
+          });
+        } else if (part.type === 'document') {
+          if (part.mediaType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+            const text = await extractTextFromDocx(part.data, part.name);
+            parts.push({ type: 'text', text });
+          } else {
+            const text = await pdfTextExtractor(part.data, part.name, getPdfExtractionOptions());
+            parts.push({ type: 'text', text });
+          }
+        } else if (part.type === 'text_file') {
+          parts.push({ type: 'text', text: `[File: ${part.name}]\n\n${part.text}` });
+        } else {
+          parts.push({ type: 'text', text: part.text });
+        }
+      }
+      return {
+        role: msg.role,
+        content: parts
+      };
+    } else {
+      // Regular message (system, user, or assistant without tool calls)
+      return {
+        role: msg.role,
+        content: msg.content
+      };
+    }
+  }));
+}
+
+function convertTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+// Some servers (older Ollama, llama.cpp) omit tool call IDs
+function toolCallId(id, index) {
+  return id || `call_local_${index}`;
+}
+
+export async function chat({
+  model,
+  messages,
+  temperature = 0.7,
+  maxTokens = 4096,
+  stream = false,
+  signal = null,
+  responseFormat = null
+}) {
+  const params = {
+    model,
+    messages: await convertMessages(messages),
+    max_tokens: maxTokens,
+    temperature,
+    stream,
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+    // vLLM, llama.cpp and recent Ollama all accept json_schema
+    ...(responseFormat && {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: responseFormat.name, schema: responseFormat.schema }
+      }
+    })
+  };
+
+  if (stream) {
+    return streamChat(params, signal);
+  }
+
+  const response = await getClient().chat.completions.create(params);
+
+  const message = response.choices[0]?.message;
+  const thinkingContent = message?.reasoning_content || message?.reasoning || '';
+
+  return {
+    id: response.id,
+    provider: 'local',
+    model,
+    content: message?.content || '',
+    ...(thinkingContent && { thinkingContent }),
+    finishReason: response.choices[0]?.finish_reason,
+    usage: {
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      totalTokens: response.usage?.total_tokens || 0
+    }
+  };
+}
+
+async function* streamChat(params, signal = null) {
+  const stream = await getClient().chat.completions.create(params);
+
+  let totalContent = '';
+  let promptTokens = 0;
+  let completionTokens = 0;
+
+  for await (const chunk of stream) {
+    if (signal?.aborted) {
+      stream.controller?.abort?.();
+      break;
+    }
+    const delta = chunk.choices[0]?.delta;
+
+    // Reasoning models (DeepSeek-R1, Qwen3) stream their thinking separately
+    const thinking = delta?.reasoning_content || delta?.reasoning || '';
+    if (thinking) {
+      yield { type: 'thinking', thinking, finishReason: null };
+    }
+
+    const content = delta?.content || '';
+    if (content) {
+      totalContent += content;
+      yield { type: 'chunk', content, finishReason: chunk.choices[0]?.finish_reason || null };
+    }
+
+    // Usage arrives in a final chunk without choices (stream_options.include_usage)
+    if (chunk.usage) {
+      promptTokens = chunk.usage.prompt_tokens;
+      completionTokens = chunk.usage.completion_tokens;
+    }
+
+    // Yield finish reason if no content or thinking (e.g. final chunk)
+    if (!content && !thinking && chunk.choices[0]?.finish_reason) {
+      yield { type: 'chunk', content: '', finishReason: chunk.choices[0].finish_reason };
+    }
+  }
+
+  // Final message with usage stats
+  yield {
+    type: 'done',
+    content: totalContent,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    }
+  };
+}
+
+export async function chatWithTools({
+  model,
+  messages,
+  tools,
+  temperature = 0.7,
+  maxTokens = 4096,
+  webSearchEnabled = false // Ignored - search handled by Tavily service
+}) {
+  const params = {
+    model,
+    messages: await convertMessages(messages),
+    tools: convertTools(tools),
+    max_tokens: maxTokens,
+    temperature
+  };
+
+  const response = await getClient().chat.completions.create(params);
+
+  const message = response.choices[0]?.message;
+  const thinkingContent = message?.reasoning_content || message?.reasoning || '';
+  const toolCalls = message?.tool_calls?.map((tc, index) => {
+    let args = {};
+    try {
+      // Some servers return arguments as an object rather than a JSON string
+      args = typeof tc.function.arguments === 'string'
+        ? JSON.parse(tc.function.arguments)
+        : tc.function.arguments || {};
+    } catch (e) {
+      console.error('[Local] Failed to parse tool arguments:', tc.function.arguments, e);
+      args = {};
+    }
+    return {
+      id: toolCallId(tc.id, index),
+      name: tc.function.name,
+      arguments: args
+    };
+  });
+
+  return {
+    id: response.id,
+    provider: 'local',
+    model,
+    content: message?.content || '',
+    ...(thinkingContent && { thinkingContent }),
+    toolCalls: toolCalls || [],
+    finishReason: response.choices[0]?.finish_reason,
+    usage: {
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      totalTokens: response.usage?.total_tokens || 0
+    }
+  };
+}
+
+export async function* chatWithToolsStream({
+  model,
+  messages,
+  tools,
+  temperature = 0.7,
+  maxTokens = 4096,
+  signal = null
+}) {
+  const params = {
+    model,
+    messages: await convertMessages(messages),
+    tools: convertTools(tools),
+    max_tokens: maxTokens,
+    temperature,
+    stream: true,
+    stream_options: { include_usage: true }
+  };
+
+  const stream = await getClient().chat.completions.create(params);
+
+  let promptTokens = 0;
+  let completionTokens = 0;
+  // Accumulate tool calls by index
+  const toolCallAccumulators = new Map();
+  let toolCallsStarted = false;
+
+  for await (const chunk of stream) {
+    if (signal?.aborted) {
+      stream.controller?.abort?.();
+      break;
+    }
+    const delta = chunk.choices[0]?.delta;
+
+    // Reasoning/thinking content
+    const thinking = delta?.reasoning_content || delta?.reasoning || '';
+    if (thinking) {
+      yield { type: 'thinking', thinking };
+    }
+
+    // Regular content — suppress once tool calls have started
+    const content = delta?.content || '';
+    if (content && !toolCallsStarted) {
+      yield { type: 'content', content };
+    }
+
+    // Tool calls (streamed incrementally by index)
+    if (delta?.tool_calls) {
+      toolCallsStarted = true;
+      for (const tc of delta.tool_calls) {
+        const idx = tc.index ?? 0;
+        if (!toolCallAccumulators.has(idx)) {
+          toolCallAccumulators.set(idx, { id: '', name: '', arguments: '' });
+        }
+        const acc = toolCallAccumulators.get(idx);
+        if (tc.id) acc.id = tc.id;
+        if (tc.function?.name) acc.name = tc.function.name;
+        if (tc.function?.arguments) {
+          acc.arguments += typeof tc.function.arguments === 'string'
+            ? tc.function.arguments
+            : JSON.stringify(tc.function.arguments);
+        }
+
+        // Emit early notification as soon as we know the tool name
+        if (acc.name && !acc.notified) {
+          acc.notified = true;
+          acc.id = toolCallId(acc.id, idx);
+          yield {
+            type: 'tool_call',
+            toolCall: { id: acc.id, name: acc.name, arguments: {} }
+          };
+        }
+      }
+    }
+
+    if (chunk.usage) {
+      promptTokens = chunk.usage.prompt_tokens;
+      completionTokens = chunk.usage.completion_tokens;
+    }
+  }
+
+  // Emit completed tool calls with parsed arguments
+  for (const [idx, acc] of toolCallAccumulators) {
+    let args = {};
+    try {
+      args = acc.arguments ? JSON.parse(acc.arguments) : {};
+    } catch (e) {
+      console.error('[Local] Failed to parse streamed tool arguments:', acc.arguments?.substring(0, 200), e);
+    }
+    yield {
+      type: 'tool_call',
+      toolCall: { id: toolCallId(acc.id, idx), name: acc.name, arguments: args }
+    };
+  }
+
+  yield {
+    type: 'done',
+    finishReason: 'stop',
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    }
+  };
+}
+
+/**
+ * Generate embeddings for text inputs with LOCAL_LLM_EMBEDDING_MODEL
+ * @param {string[]} texts - Array of texts to embed
+ * @returns {Promise<number[][]>} Array of embedding vectors
+ */
+export async function embed(texts) {
+  if (!texts || texts.length === 0) {
+    return [];
+  }
+
+  if (!EMBEDDING_MODEL) {
+    throw new Error('Local provider has no embedding model: set LOCAL_LLM_EMBEDDING_MODEL');
+  }
+
+  // Local servers embed sequentially; smaller batches keep requests under the timeout
+  const MAX_BATCH_SIZE = 32;
+  const allEmbeddings = [];
+
+  for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+    const batch = texts.slice(i, i + MAX_BATCH_SIZE);
+
+    const response = await getClient().embeddings.create({
+      model: EMBEDDING_MODEL,
+      input: batch,
+      encoding_format: 'float'
+    }, { maxRetries: CONFIG.llm.maxRetries });
+
+    // Extract embeddings in the correct order
+    const batchEmbeddings = response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+
+    allEmbeddings.push(...batchEmbeddings);
+  }
+
+  return allEmbeddings;
+}
+
+export function isConfigured() {
+  return !!localConfig.baseUrl && LOCAL_MODELS.length > 0;
+}
+
+export function isEmbeddingConfigured() {
+  return !!localConfig.baseUrl && !!EMBEDDING_MODEL;
+}
+
+export const __private = {
+  convertMessages,
+  setClientForTests(testClient) {
+    client = testClient;
+  },
+  setPdfTextExtractorForTests(extractor) {
+    pdfTextExtractor = extractor;
+  },
+  resetPdfTextExtractorForTests() {
+    pdfTextExtractor = extractTextFromPdf;
+  },
+};
@@ -16,7 +16,8 @@ function getClient() {
     throw new Error('OpenAI provider not configured: missing OPENAI_API_KEY');
   }
 
-  client = new OpenAI({ apiKey });
+  // Chat requests are retried by failover.js, which also feeds the circuit breakers
+  client = new OpenAI({ apiKey, maxRetries: 0 });
   return client;
 }
 
@@ -126,7 +127,8 @@ export async function chat({
   temperature = 0.7,
   maxTokens = 4096,
   stream = false,
-  signal = null
+  signal = null,
+  responseFormat = null
 }) {
   const convertedMessages = await convertMessages(messages);
   const params = {
@@ -141,6 +143,13 @@ export async function chat({
     params.temperature = temperature;
   }
 
+  if (responseFormat) {
+    params.response_format = {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false }
+    };
+  }
+
   if (stream) {
     return streamChat(params, signal);
   }
@@ -430,7 +439,7 @@ export async function embed(texts) {
       model: EMBEDDING_MODEL,
       input: batch,
       dimensions: EMBEDDING_DIMENSIONS
-    });
+    }, { maxRetries: CONFIG.llm.maxRetries });
 
     // Extract embeddings in the correct order
     const batchEmbeddings = response.data
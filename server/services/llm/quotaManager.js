@@ -1,6 +1,7 @@
 import db from '../../db/index.js';
 import { getUserSubscription } from '../authService.js';
 import { CONFIG } from '../../config/index.js';
+import { checkTeamQuota, isTeamPooled } from './teamBudgets.js';
 
 // Rate limits by tier (requests per minute)
 const RATE_LIMITS = {
@@ -21,9 +22,22 @@ export function getResetsAt() {
   return next.toISOString();
 }
 
-export async function checkQuota(userId) {
+/**
+ * Check whether a user may make another request.
+ * With a teamId (request about a team document) and a team budget or member
+ * cap in place, the team's pooled budget applies instead of the personal quota.
+ */
+export async function checkQuota(userId, teamId = null) {
   const subscription = getUserSubscription(userId);
   const tier = subscription?.tier || 'free';
+
+  if (teamId) {
+    const teamQuota = checkTeamQuota(teamId, userId);
+    if (teamQuota) {
+      return { ...teamQuota, tier };
+    }
+  }
+
   const limit = getQuotaLimit(tier);
 
   if (limit === Infinity) {
@@ -72,16 +86,21 @@ export async function checkQuota(userId) {
   };
 }
 
-export async function trackUsage(userId, provider, model, usage, requestType = 'chat', effortLane = null, promptVersion = null, promptVariant = null) {
+/**
+ * Record a completed request. `usage.latencyMs`, when the caller timed the
+ * provider call, is stored alongside the token counts.
+ */
+export async function trackUsage(userId, provider, model, usage, requestType = 'chat', effortLane = null, promptVersion = null, promptVariant = null, teamId = null) {
   const currentMonth = new Date().toISOString().slice(0, 7);
   const totalTokens = usage.totalTokens || 0;
-  const isBillable = !EXEMPT_REQUEST_TYPES.has(requestType);
+  // Pooled team usage is billed to the team budget, not the personal quota
+  const isBillable = !EXEMPT_REQUEST_TYPES.has(requestType) && !(teamId && isTeamPooled(teamId, userId));
   const billableTokens = isBillable ? totalTokens : 0;
 
   // Insert detailed usage record
   const insertStmt = db.prepare(`
-    INSERT INTO llm_usage (user_id, provider, model, prompt_tokens, completion_tokens, total_tokens, request_type, effort_lane, prompt_version, prompt_variant)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO llm_usage (user_id, provider, model, prompt_tokens, completion_tokens, total_tokens, request_type, effort_lane, prompt_version, prompt_variant, team_id, latency_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   insertStmt.run(
     userId,
@@ -93,7 +112,9 @@ export async function trackUsage(userId, provider, model, usage, requestType = '
     requestType,
     effortLane,
     promptVersion,
-    promptVariant
+    promptVariant,
+    teamId,
+    usage.latencyMs ?? null
   );
 
   // Update monthly rollup (upsert)
@@ -109,6 +130,31 @@ export async function trackUsage(userId, provider, model, usage, requestType = '
   upsertStmt.run(userId, currentMonth, totalTokens, billableTokens);
 }
 
+/**
+ * Record a response served from the LLM response cache. The row keeps hit
+ * counts visible in llm_usage, but has zero tokens and skips the monthly
+ * rollup, so cache hits never count against quota.
+ */
+export async function trackCacheHit(userId, provider, model, requestType = 'chat', effortLane = null, promptVersion = null, promptVariant = null, teamId = null) {
+  db.prepare(`
+    INSERT INTO llm_usage (user_id, provider, model, prompt_tokens, completion_tokens, total_tokens, request_type, effort_lane, prompt_version, prompt_variant, cache_hit, team_id)
+    VALUES (?, ?, ?, 0, 0, 0, ?, ?, ?, ?, 1, ?)
+  `).run(userId, provider, model, requestType, effortLane, promptVersion, promptVariant, teamId);
+}
+
+/**
+ * Record a request that failed at the provider (after failover). Like cache
+ * hits, the row has zero tokens and skips the monthly rollup; it exists so
+ * error rates can be compared, e.g. across prompt variants.
+ */
+export async function trackFailure(userId, provider, model, error, requestType = 'chat', effortLane = null, promptVersion = null, promptVariant = null, teamId = null) {
+  const errorCode = String(error?.code || (error?.status ? `HTTP_${error.status}` : 'PROVIDER_ERROR')).slice(0, 64);
+  db.prepare(`
+    INSERT INTO llm_usage (user_id, provider, model, prompt_tokens, completion_tokens, total_tokens, request_type, effort_lane, prompt_version, prompt_variant, team_id, error_code)
+    VALUES (?, ?, ?, 0, 0, 0, ?, ?, ?, ?, ?, ?)
+  `).run(userId, provider, model, requestType, effortLane, promptVersion, promptVariant, teamId, errorCode);
+}
+
 export function getUsageStats(userId) {
   const currentMonth = new Date().toISOString().slice(0, 7);
   const subscription = getUserSubscription(userId);
@@ -151,6 +197,12 @@ export function getUsageStats(userId) {
   `);
   const daily = dailyStmt.all(userId);
 
+  const cacheHits = db.prepare(`
+    SELECT COUNT(*) as count
+    FROM llm_usage
+    WHERE user_id = ? AND cache_hit = 1 AND created_at >= date('now', 'start of month')
+  `).get(userId).count;
+
   const used = rollup?.billable_tokens || 0;
 
   return {
@@ -161,6 +213,7 @@ export function getUsageStats(userId) {
     remaining: limit === Infinity ? null : Math.max(0, limit - used),
     resetsAt: getResetsAt(),
     totalTokens: rollup?.total_tokens || 0,
+    cacheHits,
     breakdown: breakdown.map(row => ({
       provider: row.provider,
       model: row.model,
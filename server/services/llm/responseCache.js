@@ -0,0 +1,283 @@
+// SQLite-based LLM response cache
+// Same approach as services/search/cache.js: hashed keys, TTL via expires_at
+
+import { createHash } from 'crypto';
+import db from '../../db/index.js';
+import { CONFIG } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { blobToEmbedding, cosineSimilarity, embeddingToBlob } from '../../utils/embeddingVectors.js';
+
+// Prompts longer than this are never matched semantically: the embedding
+// would only see a prefix, so prompts differing later would look identical
+const MAX_SEMANTIC_PROMPT_CHARS = 8000;
+
+// Finish reasons that mean the answer was cut off by maxTokens
+const TRUNCATED_FINISH_REASONS = new Set(['length', 'max_tokens', 'MAX_TOKENS']);
+
+function normalizeText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeContent(content) {
+  if (!Array.isArray(content)) return normalizeText(content);
+
+  return content.map((part) => {
+    if (part.type === 'image' || part.type === 'document') {
+      // Attachments are keyed by their bytes, not the (large) payload itself
+      return {
+        type: part.type,
+        mediaType: part.mediaType,
+        data: createHash('sha256').update(part.data || '').digest('hex'),
+      };
+    }
+    if (part.type === 'text_file') {
+      return { type: part.type, name: part.name, text: normalizeText(part.text) };
+    }
+    return { type: part.type, text: normalizeText(part.text) };
+  });
+}
+
+/**
+ * Normalize messages so whitespace-only differences share a cache entry
+ * @param {Object[]} messages
+ * @returns {Object[]}
+ */
+function normalizeMessages(messages) {
+  return messages.map((msg) => ({
+    role: msg.role,
+    content: normalizeContent(msg.content),
+    ...(msg.toolCalls?.length && { toolCalls: msg.toolCalls.map(({ id, name, arguments: args }) => ({ id, name, args })) }),
+    ...(msg.toolCallId && { toolCallId: msg.toolCallId }),
+  }));
+}
+
+/**
+ * Get cache key (SHA-256 of user, provider, model, temperature and normalized messages)
+ * @returns {string} First 32 characters of SHA-256 hash
+ */
+export function getCacheKey({ userId, provider, model, temperature, messages }) {
+  const messagesHash = createHash('sha256')
+    .update(JSON.stringify(normalizeMessages(messages)))
+    .digest('hex');
+
+  return createHash('sha256')
+    .update(JSON.stringify([userId, provider, model, Number(temperature), messagesHash]))
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * TTL for a request type, or null when that type is not cached
+ * @param {string} requestType
+ * @returns {number|null} Minutes
+ */
+export function getTtlMinutes(requestType) {
+  return CONFIG.llm.responseCache.ttlMinutes[requestType] || null;
+}
+
+/**
+ * Whether a request may be served from / stored in the cache.
+ * Web search injects time-sensitive results, so those requests never are.
+ */
+export function isCacheable({ requestType, webSearchEnabled = false }) {
+  return CONFIG.llm.responseCache.enabled && !webSearchEnabled && getTtlMinutes(requestType) !== null;
+}
+
+/**
+ * Whether a response is complete enough to cache
+ * @param {string|null} finishReason
+ */
+export function isCompleteResponse(finishReason) {
+  return !TRUNCATED_FINISH_REASONS.has(finishReason);
+}
+
+/**
+ * Text used to embed a prompt for near-duplicate matching
+ * @param {Object[]} messages
+ * @returns {string|null} null when the prompt is empty or too long to embed whole
+ */
+export function getPromptText(messages) {
+  const text = normalizeMessages(messages)
+    .map((msg) => {
+      const content = Array.isArray(msg.content)
+        ? msg.content.map((part) => part.text ?? part.data).join(' ')
+        : msg.content;
+      return `${msg.role}: ${content}`;
+    })
+    .join('\n');
+
+  if (!text || text.length > MAX_SEMANTIC_PROMPT_CHARS) return null;
+  return text;
+}
+
+/**
+ * Get a cached response by exact key
+ * @param {string} key
+ * @returns {Object|null} Cached response or null if not found/expired
+ */
+export function getCached(key) {
+  try {
+    const row = db.prepare(`
+      SELECT id, response
+      FROM llm_response_cache
+      WHERE cache_key = ? AND expires_at > datetime('now')
+    `).get(key);
+
+    if (row) {
+      db.prepare('UPDATE llm_response_cache SET hit_count = hit_count + 1 WHERE id = ?').run(row.id);
+      return JSON.parse(row.response);
+    }
+  } catch (error) {
+    logger.warn({ error: error.message }, 'LLM response cache get failed');
+  }
+
+  return null;
+}
+
+/**
+ * Find the most similar cached prompt for the same user, provider, model,
+ * temperature and request type.
+ *
+ * @returns {{ response: Object, similarity: number }|null}
+ */
+export function findSimilar({ userId, provider, model, temperature, requestType, embedding, embeddingModel }) {
+  const { minSimilarity, maxCandidates } = CONFIG.llm.responseCache.semantic;
+
+  try {
+    const rows = db.prepare(`
+      SELECT id, response, embedding
+      FROM llm_response_cache
+      WHERE user_id = ? AND provider = ? AND model = ? AND request_type = ?
+        AND temperature = ? AND embedding_model = ?
+        AND expires_at > datetime('now')
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(userId, provider, model, requestType, Number(temperature), embeddingModel, maxCandidates);
+
+    let best = null;
+    for (const row of rows) {
+      const similarity = cosineSimilarity(embedding, blobToEmbedding(row.embedding));
+      if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+        best = { row, similarity };
+      }
+    }
+
+    if (best) {
+      db.prepare('UPDATE llm_response_cache SET hit_count = hit_count + 1 WHERE id = ?').run(best.row.id);
+      return { response: JSON.parse(best.row.response), similarity: best.similarity };
+    }
+  } catch (error) {
+    logger.warn({ error: error.message }, 'LLM response cache similarity lookup failed');
+  }
+
+  return null;
+}
+
+/**
+ * Store a response in the cache
+ * @param {Object} entry - key, userId, provider, model, temperature, requestType, embedding?, embeddingModel?
+ * @param {Object} response - content, thinkingContent?, finishReason, usage
+ */
+export function setCache(entry, response) {
+  const ttlMinutes = getTtlMinutes(entry.requestType);
+  if (!ttlMinutes) return;
+
+  const cached = {
+    content: response.content || '',
+    ...(response.thinkingContent && { thinkingContent: response.thinkingContent }),
+    finishReason: response.finishReason || null,
+    usage: response.usage || null,
+  };
+
+  try {
+    db.prepare(`
+      INSERT INTO llm_response_cache
+        (cache_key, user_id, provider, model, temperature, request_type, response, embedding, embedding_model, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' minutes'))
+      ON CONFLICT(cache_key) DO UPDATE SET
+        response = excluded.response,
+        embedding = excluded.embedding,
+        embedding_model = excluded.embedding_model,
+        request_type = excluded.request_type,
+        expires_at = excluded.expires_at,
+        hit_count = 0,
+        created_at = CURRENT_TIMESTAMP
+    `).run(
+      entry.key,
+      entry.userId,
+      entry.provider,
+      entry.model,
+      Number(entry.temperature),
+      entry.requestType,
+      JSON.stringify(cached),
+      entry.embedding ? embeddingToBlob(entry.embedding) : null,
+      entry.embedding ? entry.embeddingModel : null,
+      ttlMinutes
+    );
+  } catch (error) {
+    logger.warn({ error: error.message }, 'LLM response cache set failed');
+  }
+}
+
+/**
+ * Clean up expired cache entries
+ * @returns {number} Number of entries deleted
+ */
+export function cleanupExpired() {
+  try {
+    const result = db.prepare(`
+      DELETE FROM llm_response_cache
+      WHERE expires_at < datetime('now')
+    `).run();
+    return result.changes;
+  } catch (error) {
+    logger.error({ error: error.message }, 'LLM response cache cleanup failed');
+    return 0;
+  }
+}
+
+/**
+ * Get cache statistics
+ * @returns {{totalEntries: number, validEntries: number, totalHits: number}}
+ */
+export function getCacheStats() {
+  try {
+    const row = db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN expires_at > datetime('now') THEN 1 ELSE 0 END) as valid,
+        COALESCE(SUM(hit_count), 0) as hits
+      FROM llm_response_cache
+    `).get();
+
+    return {
+      totalEntries: row?.total || 0,
+      validEntries: row?.valid || 0,
+      totalHits: row?.hits || 0
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'LLM response cache stats failed');
+    return { totalEntries: 0, validEntries: 0, totalHits: 0 };
+  }
+}
+
+/**
+ * Clear cache entries, for one user or all (for testing/maintenance)
+ * @param {number} [userId]
+ * @returns {number} Number of entries deleted
+ */
+export function clearAll(userId = null) {
+  try {
+    const result = userId == null
+      ? db.prepare('DELETE FROM llm_response_cache').run()
+      : db.prepare('DELETE FROM llm_response_cache WHERE user_id = ?').run(userId);
+    return result.changes;
+  } catch (error) {
+    logger.error({ error: error.message }, 'LLM response cache clear failed');
+    return 0;
+  }
+}
+
+export const __private = {
+  normalizeMessages,
+};
@@ -0,0 +1,164 @@
+/**
+ * Resumable LLM Streams
+ *
+ * Each streamed generation runs as a session that outlives the HTTP response
+ * carrying it. Events get increasing IDs and are buffered, so a client whose
+ * connection drops can reattach and replay everything after the last event
+ * it saw. A session nobody is listening to is aborted after a grace period,
+ * and finished sessions are kept for a short retention window.
+ *
+ * Sessions live in process memory: resuming only works against the instance
+ * that started the generation.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+
+const sessions = new Map();
+
+export class StreamSession {
+  /**
+   * @param {{ userId: number, kind: string }} params
+   * @param {object} [options] - Defaults to CONFIG.llm.streams
+   */
+  constructor({ userId, kind }, options = CONFIG.llm.streams) {
+    this.id = crypto.randomUUID();
+    this.userId = userId;
+    this.kind = kind;
+    this.options = options;
+    this.status = 'streaming';
+    this.events = [];
+    this.bufferedBytes = 0;
+    this.lastEventId = 0;
+    this.abortController = new AbortController();
+    this.listeners = new Set();
+    this.detachTimer = null;
+    this.expiryTimer = null;
+    this.createdAt = Date.now();
+    this.finishedAt = null;
+  }
+
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  get isFinished() {
+    return this.status !== 'streaming';
+  }
+
+  /**
+   * First event ID still in the buffer (older ones were dropped to stay
+   * under maxBufferedBytes)
+   */
+  get firstBufferedEventId() {
+    return this.events[0]?.id ?? this.lastEventId + 1;
+  }
+
+  /**
+   * Whether every event after `afterEventId` is still buffered
+   */
+  canResumeFrom(afterEventId) {
+    return afterEventId + 1 >= this.firstBufferedEventId;
+  }
+
+  /**
+   * Buffer an event and deliver it to attached listeners
+   * @param {object|string} data - JSON payload, or a raw string such as '[DONE]'
+   */
+  push(data) {
+    if (this.isFinished) return null;
+
+    const event = { id: ++this.lastEventId, data };
+    const size = typeof data === 'string' ? data.length : JSON.stringify(data).length;
+    this.events.push({ ...event, size });
+    this.bufferedBytes += size;
+    while (this.bufferedBytes > this.options.maxBufferedBytes && this.events.length > 1) {
+      this.bufferedBytes -= this.events.shift().size;
+    }
+
+    for (const listener of this.listeners) listener.onEvent(event);
+    return event;
+  }
+
+  /**
+   * Mark the generation finished ('done' | 'cancelled' | 'error') and
+   * schedule removal once the retention window passes
+   */
+  finish(status) {
+    if (this.isFinished) return;
+    this.status = status;
+    this.finishedAt = Date.now();
+    this.clearDetachTimer();
+
+    for (const listener of this.listeners) listener.onFinish(status);
+
+    this.expiryTimer = setTimeout(() => sessions.delete(this.id), this.options.retentionMs);
+    this.expiryTimer.unref?.();
+  }
+
+  cancel(reason = 'cancelled') {
+    if (this.isFinished || this.signal.aborted) return false;
+    logger.debug({ streamId: this.id, reason }, 'LLM stream cancelled');
+    this.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Attach a listener, replaying buffered events after `afterEventId` first.
+   * Returns a detach function, or null if those events are no longer buffered
+   * (see canResumeFrom).
+   *
+   * @param {number} afterEventId
+   * @param {{ onEvent: (event: { id: number, data: any }) => void, onFinish: (status: string) => void }} listener
+   */
+  subscribe(afterEventId, listener) {
+    if (!this.canResumeFrom(afterEventId)) return null;
+
+    for (const { id, data } of this.events) {
+      if (id > afterEventId) listener.onEvent({ id, data });
+    }
+    if (this.isFinished) {
+      listener.onFinish(this.status);
+      return () => {};
+    }
+
+    this.listeners.add(listener);
+    this.clearDetachTimer();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && !this.isFinished) this.startDetachTimer();
+    };
+  }
+
+  // Nobody resumed in time: stop paying for tokens no one will read
+  startDetachTimer() {
+    this.clearDetachTimer();
+    this.detachTimer = setTimeout(() => this.cancel('detached'), this.options.detachedTimeoutMs);
+    this.detachTimer.unref?.();
+  }
+
+  clearDetachTimer() {
+    if (this.detachTimer) clearTimeout(this.detachTimer);
+    this.detachTimer = null;
+  }
+}
+
+export function createStreamSession({ userId, kind }) {
+  const session = new StreamSession({ userId, kind });
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * @returns {StreamSession|null} the user's session, if still retained
+ */
+export function getStreamSession(userId, streamId) {
+  const session = sessions.get(streamId);
+  return session && session.userId === userId ? session : null;
+}
+
+export const __private = {
+  sessions,
+};
@@ -0,0 +1,221 @@
+/**
+ * Structured Output
+ *
+ * JSON Schema response mode for chat. Providers are asked for JSON through
+ * their native feature (OpenAI/local response_format, Anthropic tool forcing,
+ * Gemini responseSchema, Kimi JSON mode); the reply is then parsed and
+ * validated here, because not every provider enforces the schema strictly.
+ *
+ * The validator covers the JSON Schema subset those providers accept:
+ * type (incl. arrays of types), properties, required, additionalProperties,
+ * items, enum, const, anyOf/oneOf, min/max length, minimum/maximum and
+ * min/max items.
+ */
+
+const MAX_REPORTED_ERRORS = 10;
+
+// Keywords Gemini's responseSchema (an OpenAPI 3 subset) accepts
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required',
+  'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering',
+]);
+
+/**
+ * Normalize a response format from a request
+ * @param {{ schema: object, name?: string }|null} responseFormat
+ * @returns {{ schema: object, name: string }|null}
+ */
+export function normalizeResponseFormat(responseFormat) {
+  if (!responseFormat?.schema) return null;
+  const name = String(responseFormat.name || 'response')
+    .replace(/[^a-zA-Z0-9_-]/g, '_')
+    .slice(0, 64);
+  return { schema: responseFormat.schema, name };
+}
+
+/**
+ * Whether a value is usable as a response schema. Every provider requires
+ * an object at the top level.
+ * @param {unknown} schema
+ * @returns {boolean}
+ */
+export function isValidResponseSchema(schema) {
+  return !!schema
+    && typeof schema === 'object'
+    && !Array.isArray(schema)
+    && schema.type === 'object'
+    && (schema.properties === undefined || (typeof schema.properties === 'object' && !Array.isArray(schema.properties)));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+  const at = path || '$';
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matches = options.filter((option) => {
+      const optionErrors = [];
+      validateNode(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    }).length;
+    if (schema.anyOf ? matches === 0 : matches !== 1) {
+      errors.push(`${at}: does not match ${schema.anyOf ? 'any' : 'exactly one'} of the allowed schemas`);
+      return;
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (schema.nullable) types.push('null');
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: less than ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: greater than ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, `${at}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema (subset, see module comment)
+ * @param {unknown} value
+ * @param {object} schema
+ * @returns {string[]} Error messages, empty when valid
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Parse a model reply as JSON and validate it.
+ * Tolerates a surrounding ```json fence, which some models add anyway.
+ *
+ * @param {string} content
+ * @param {object} schema
+ * @returns {{ valid: true, value: unknown } | { valid: false, errors: string[] }}
+ */
+export function checkStructuredOutput(content, schema) {
+  const text = String(content || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateJsonSchema(value, schema);
+  if (errors.length > 0) {
+    return { valid: false, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Messages for the single repair attempt: the invalid reply and what was wrong with it
+ * @param {Object[]} messages - Original request messages
+ * @param {string} content - Invalid reply
+ * @param {string[]} errors
+ * @returns {Object[]}
+ */
+export function buildRepairMessages(messages, content, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content: content || '' },
+    {
+      role: 'user',
+      content: [
+        'Your previous response did not match the required JSON schema:',
+        ...errors.map((error) => `- ${error}`),
+        'Reply again with only the corrected JSON, no commentary.',
+      ].join('\n'),
+    },
+  ];
+}
+
+/**
+ * Reduce a JSON Schema to the subset Gemini's responseSchema accepts
+ * @param {object} schema
+ * @returns {object}
+ */
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'type' && Array.isArray(value)) {
+      // ['string', 'null'] → type: 'string', nullable: true
+      const types = value.filter((type) => type !== 'null');
+      result.type = types[0];
+      if (types.length !== value.length) result.nullable = true;
+    } else if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, child]) => [name, toGeminiSchema(child)])
+      );
+    } else if (key === 'items') {
+      result.items = toGeminiSchema(value);
+    } else if (key === 'anyOf') {
+      result.anyOf = value.map(toGeminiSchema);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,298 @@
+/**
+ * Team LLM Budgets
+ *
+ * Requests about a team document are attributed to that team (llm_usage.team_id).
+ * Once a team admin sets a monthly budget (tokens and/or cents) or a member
+ * cap, the team's attributed usage is pooled: it is checked against the team
+ * budget and the member's cap instead of the member's personal tier quota,
+ * and it no longer counts toward their personal monthly rollup.
+ *
+ * Costs are estimates from config/llmPricing.js, computed from token counts
+ * at read time like the admin usage reports.
+ */
+
+import db from '../../db/index.js';
+import { computeCostCents } from '../../config/llmPricing.js';
+
+// Same overhead types quotaManager exempts from billing
+const BILLABLE_CONDITION = "(request_type IS NULL OR request_type NOT IN ('classification', 'compaction'))";
+
+// Usage rows also record cache hits (zero tokens) and failed requests; only
+// the rest count as requests, the way prompt experiment reports count them
+const REQUEST_COUNTS_SQL = `
+  COALESCE(SUM(CASE WHEN cache_hit = 0 AND error_code IS NULL THEN 1 ELSE 0 END), 0) AS request_count,
+  COALESCE(SUM(cache_hit), 0) AS cache_hits,
+  COALESCE(SUM(CASE WHEN error_code IS NOT NULL THEN 1 ELSE 0 END), 0) AS errors`;
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * [start, end) created_at bounds for a 'YYYY-MM' month
+ */
+function monthRange(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const start = new Date(Date.UTC(year, monthIndex - 1, 1)).toISOString().slice(0, 10);
+  const end = new Date(Date.UTC(year, monthIndex, 1)).toISOString().slice(0, 10);
+  return [start, end];
+}
+
+function resetsAt(month) {
+  return `${monthRange(month)[1]}T00:00:00.000Z`;
+}
+
+function formatLimits(row) {
+  if (!row) return null;
+  return {
+    monthlyTokenLimit: row.monthly_token_limit ?? null,
+    monthlyCostLimitCents: row.monthly_cost_limit_cents ?? null,
+  };
+}
+
+function emptyTotals() {
+  return { requestCount: 0, cacheHits: 0, errors: 0, totalTokens: 0, billableTokens: 0, costCents: 0 };
+}
+
+function addRow(totals, row) {
+  totals.requestCount += row.request_count;
+  totals.cacheHits += row.cache_hits;
+  totals.errors += row.errors;
+  totals.totalTokens += row.total_tokens;
+  totals.billableTokens += row.billable_tokens;
+  totals.costCents += computeCostCents(row.provider, row.model, row.prompt_tokens, row.completion_tokens);
+}
+
+function roundCents(totals) {
+  return { ...totals, costCents: Math.round(totals.costCents * 100) / 100 };
+}
+
+/**
+ * Team a request is attributed to: the team (the user belongs to) that
+ * contains the document. Earliest association wins if there are several.
+ * @returns {string|null}
+ */
+export function resolveTeamForDocument(userId, documentId) {
+  if (!documentId) return null;
+  const row = db.prepare(`
+    SELECT td.team_id
+    FROM team_documents td
+    JOIN team_members tm ON tm.team_id = td.team_id AND tm.user_id = ?
+    WHERE td.document_id = ?
+    ORDER BY td.created_at, td.id
+    LIMIT 1
+  `).get(userId, documentId);
+  return row?.team_id || null;
+}
+
+export function getTeamBudget(teamId) {
+  return formatLimits(db.prepare('SELECT * FROM team_llm_budgets WHERE team_id = ?').get(teamId));
+}
+
+export function getMemberCap(teamId, userId) {
+  return formatLimits(db.prepare('SELECT * FROM team_llm_member_caps WHERE team_id = ? AND user_id = ?').get(teamId, userId));
+}
+
+/**
+ * Set or clear (both limits null) a team's monthly budget
+ */
+export function setTeamBudget(teamId, { monthlyTokenLimit = null, monthlyCostLimitCents = null }, updatedBy) {
+  if (monthlyTokenLimit == null && monthlyCostLimitCents == null) {
+    db.prepare('DELETE FROM team_llm_budgets WHERE team_id = ?').run(teamId);
+    return null;
+  }
+  db.prepare(`
+    INSERT INTO team_llm_budgets (team_id, monthly_token_limit, monthly_cost_limit_cents, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(team_id) DO UPDATE SET
+      monthly_token_limit = excluded.monthly_token_limit,
+      monthly_cost_limit_cents = excluded.monthly_cost_limit_cents,
+      updated_by = excluded.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(teamId, monthlyTokenLimit, monthlyCostLimitCents, updatedBy);
+  return getTeamBudget(teamId);
+}
+
+/**
+ * Set or clear (both limits null) a member's monthly cap within a team
+ */
+export function setMemberCap(teamId, userId, { monthlyTokenLimit = null, monthlyCostLimitCents = null }, updatedBy) {
+  if (monthlyTokenLimit == null && monthlyCostLimitCents == null) {
+    db.prepare('DELETE FROM team_llm_member_caps WHERE team_id = ? AND user_id = ?').run(teamId, userId);
+    return null;
+  }
+  db.prepare(`
+    INSERT INTO team_llm_member_caps (team_id, user_id, monthly_token_limit, monthly_cost_limit_cents, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(team_id, user_id) DO UPDATE SET
+      monthly_token_limit = excluded.monthly_token_limit,
+      monthly_cost_limit_cents = excluded.monthly_cost_limit_cents,
+      updated_by = excluded.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(teamId, userId, monthlyTokenLimit, monthlyCostLimitCents, updatedBy);
+  return getMemberCap(teamId, userId);
+}
+
+/**
+ * Whether a member's usage for this team is pooled (team budget or member cap set)
+ */
+export function isTeamPooled(teamId, userId) {
+  return !!(getTeamBudget(teamId) || getMemberCap(teamId, userId));
+}
+
+/**
+ * Team usage for a month, optionally for one member
+ * @returns {{ requestCount: number, cacheHits: number, errors: number, totalTokens: number, billableTokens: number, costCents: number }}
+ */
+export function getTeamMonthlyUsage(teamId, { userId = null, month = currentMonth() } = {}) {
+  const [start, end] = monthRange(month);
+  const rows = db.prepare(`
+    SELECT
+      provider, model,
+      ${REQUEST_COUNTS_SQL},
+      COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(total_tokens), 0) AS total_tokens,
+      COALESCE(SUM(CASE WHEN ${BILLABLE_CONDITION} THEN total_tokens ELSE 0 END), 0) AS billable_tokens
+    FROM llm_usage
+    WHERE team_id = ? AND created_at >= ? AND created_at < ?
+      AND (? IS NULL OR user_id = ?)
+    GROUP BY provider, model
+  `).all(teamId, start, end, userId, userId);
+
+  const totals = emptyTotals();
+  for (const row of rows) addRow(totals, row);
+  return roundCents(totals);
+}
+
+function firstExceeded(limits, usage, scope) {
+  if (!limits) return null;
+  if (limits.monthlyTokenLimit != null && usage.billableTokens >= limits.monthlyTokenLimit) return `${scope}_tokens`;
+  if (limits.monthlyCostLimitCents != null && usage.costCents >= limits.monthlyCostLimitCents) return `${scope}_cost`;
+  return null;
+}
+
+/**
+ * Check a member's request against the team budget and their cap.
+ * Returns null when the team isn't pooled for this member, so the caller
+ * falls back to the personal quota.
+ */
+export function checkTeamQuota(teamId, userId) {
+  const budget = getTeamBudget(teamId);
+  const cap = getMemberCap(teamId, userId);
+  if (!budget && !cap) return null;
+
+  const month = currentMonth();
+  const teamUsage = getTeamMonthlyUsage(teamId, { month });
+  const memberUsage = getTeamMonthlyUsage(teamId, { userId, month });
+  const exceeded = firstExceeded(budget, teamUsage, 'team') || firstExceeded(cap, memberUsage, 'member');
+
+  const tokenLimit = budget?.monthlyTokenLimit ?? null;
+
+  return {
+    allowed: !exceeded,
+    scope: 'team',
+    teamId,
+    exceeded,
+    limit: tokenLimit,
+    used: teamUsage.billableTokens,
+    remaining: tokenLimit == null ? null : Math.max(0, tokenLimit - teamUsage.billableTokens),
+    costLimitCents: budget?.monthlyCostLimitCents ?? null,
+    costUsedCents: teamUsage.costCents,
+    member: {
+      limit: cap?.monthlyTokenLimit ?? null,
+      used: memberUsage.billableTokens,
+      costLimitCents: cap?.monthlyCostLimitCents ?? null,
+      costUsedCents: memberUsage.costCents,
+    },
+    resetsAt: resetsAt(month),
+  };
+}
+
+/**
+ * Monthly usage report for team admins: totals against the budget, and
+ * breakdowns by member, model and day.
+ *
+ * @param {string} teamId
+ * @param {string} [month] - 'YYYY-MM', defaults to the current month
+ */
+export function getTeamUsageReport(teamId, month = currentMonth()) {
+  const [start, end] = monthRange(month);
+
+  const rows = db.prepare(`
+    SELECT
+      user_id, provider, model,
+      ${REQUEST_COUNTS_SQL},
+      COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(total_tokens), 0) AS total_tokens,
+      COALESCE(SUM(CASE WHEN ${BILLABLE_CONDITION} THEN total_tokens ELSE 0 END), 0) AS billable_tokens
+    FROM llm_usage
+    WHERE team_id = ? AND created_at >= ? AND created_at < ?
+    GROUP BY user_id, provider, model
+  `).all(teamId, start, end);
+
+  const members = db.prepare(`
+    SELECT tm.user_id, tm.role, u.display_name, u.email,
+      c.monthly_token_limit, c.monthly_cost_limit_cents
+    FROM team_members tm
+    JOIN users u ON u.id = tm.user_id
+    LEFT JOIN team_llm_member_caps c ON c.team_id = tm.team_id AND c.user_id = tm.user_id
+    WHERE tm.team_id = ?
+  `).all(teamId);
+
+  const totals = emptyTotals();
+  const byMember = new Map();
+  const byModel = new Map();
+  for (const row of rows) {
+    addRow(totals, row);
+
+    if (!byMember.has(row.user_id)) byMember.set(row.user_id, emptyTotals());
+    addRow(byMember.get(row.user_id), row);
+
+    const modelKey = `${row.provider}:${row.model}`;
+    if (!byModel.has(modelKey)) byModel.set(modelKey, { provider: row.provider, model: row.model, ...emptyTotals() });
+    addRow(byModel.get(modelKey), row);
+  }
+
+  const daily = db.prepare(`
+    SELECT date(created_at) AS date, ${REQUEST_COUNTS_SQL}, COALESCE(SUM(total_tokens), 0) AS total_tokens
+    FROM llm_usage
+    WHERE team_id = ? AND created_at >= ? AND created_at < ?
+    GROUP BY date(created_at)
+    ORDER BY date(created_at)
+  `).all(teamId, start, end);
+
+  const memberIds = new Set(members.map((member) => member.user_id));
+  // Usage from people who have since left the team still counts toward the totals
+  const formerMembers = [...byMember.keys()]
+    .filter((userId) => !memberIds.has(userId))
+    .map((userId) => ({ user_id: userId, role: null, email: null }));
+
+  return {
+    month,
+    resetsAt: resetsAt(month),
+    budget: getTeamBudget(teamId),
+    totals: roundCents(totals),
+    members: [...members, ...formerMembers]
+      .map((member) => ({
+        userId: member.user_id,
+        role: member.role,
+        displayName: member.display_name || null,
+        email: member.email,
+        cap: member.monthly_token_limit == null && member.monthly_cost_limit_cents == null ? null : formatLimits(member),
+        usage: roundCents(byMember.get(member.user_id) || emptyTotals()),
+      }))
+      .sort((a, b) => b.usage.totalTokens - a.usage.totalTokens),
+    byModel: [...byModel.values()]
+      .map(roundCents)
+      .sort((a, b) => b.totalTokens - a.totalTokens),
+    daily: daily.map((row) => ({
+      date: row.date,
+      requestCount: row.request_count,
+      cacheHits: row.cache_hits,
+      errors: row.errors,
+      totalTokens: row.total_tokens,
+    })),
+  };
+}
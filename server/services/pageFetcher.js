@@ -0,0 +1,188 @@
+/**
+ * Page Fetcher
+ *
+ * Fetches a public web page and extracts its readable text (JSDOM +
+ * Readability). Used by POST /api/llm/fetch-page and the agent's fetch_page
+ * tool. Private and internal addresses are refused, redirects are not
+ * followed, and results are cached in memory for 15 minutes.
+ */
+
+import { AppError } from '../middleware/errorHandler.js';
+
+// Page fetch cache (in-memory, 15 min TTL)
+const pageCache = new Map();
+const PAGE_CACHE_TTL_MS = 15 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const MAX_CONTENT_CHARS = 100000;
+
+function getCachedPage(url) {
+  const entry = pageCache.get(url);
+  if (entry && Date.now() - entry.timestamp < PAGE_CACHE_TTL_MS) {
+    return entry.data;
+  }
+  if (entry) pageCache.delete(url);
+  return null;
+}
+
+function setCachedPage(url, data) {
+  pageCache.set(url, { data, timestamp: Date.now() });
+  // Evict expired entries, then oldest if still over limit
+  if (pageCache.size > 200) {
+    const now = Date.now();
+    for (const [key, val] of pageCache) {
+      if (now - val.timestamp > PAGE_CACHE_TTL_MS) pageCache.delete(key);
+    }
+    // If still over limit after removing expired, remove oldest entries
+    if (pageCache.size > 200) {
+      const entries = [...pageCache.entries()].sort((a, b) => a[1].timestamp - b[1].timestamp);
+      const toRemove = entries.slice(0, pageCache.size - 200);
+      for (const [key] of toRemove) pageCache.delete(key);
+    }
+  }
+}
+
+export function isBlockedUrl(urlStr) {
+  try {
+    const parsed = new URL(urlStr);
+    // Strip brackets from IPv6 hostnames (URL parser keeps them)
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    // Block non-http(s) schemes
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return true;
+
+    // Block localhost variants
+    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '0.0.0.0' || hostname === '::1') return true;
+
+    // Block .local and .internal domains
+    if (hostname.endsWith('.local') || hostname.endsWith('.internal')) return true;
+
+    // Block cloud metadata endpoints
+    if (hostname === '169.254.169.254' || hostname === 'metadata.google.internal') return true;
+
+    // Block private IPv4 ranges (10.x, 172.16-31.x, 192.168.x)
+    const parts = hostname.split('.').map(Number);
+    if (parts.length === 4 && parts.every(p => !isNaN(p))) {
+      if (parts[0] === 10) return true;
+      if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true;
+      if (parts[0] === 192 && parts[1] === 168) return true;
+    }
+
+    // Block IPv6 link-local (fe80::/10)
+    if (hostname.startsWith('fe80:') || hostname.startsWith('fe80')) return true;
+
+    // Block IPv6 unique-local (fc00::/7 — fc and fd prefixes)
+    if (hostname.startsWith('fc') || hostname.startsWith('fd')) return true;
+
+    // Block IPv4-mapped IPv6 (::ffff:x.x.x.x) with private IPv4
+    if (hostname.startsWith('::ffff:')) {
+      const mappedIp = hostname.slice(7); // strip "::ffff:"
+      const mappedParts = mappedIp.split('.').map(Number);
+      if (mappedParts.length === 4 && mappedParts.every(p => !isNaN(p))) {
+        if (mappedParts[0] === 127) return true;
+        if (mappedParts[0] === 10) return true;
+        if (mappedParts[0] === 172 && mappedParts[1] >= 16 && mappedParts[1] <= 31) return true;
+        if (mappedParts[0] === 192 && mappedParts[1] === 168) return true;
+        if (mappedParts[0] === 169 && mappedParts[1] === 254) return true;
+        if (mappedParts[0] === 0) return true;
+      }
+    }
+
+    return false;
+  } catch { return true; }
+}
+
+/**
+ * Fetch a URL and extract its readable content.
+ *
+ * @param {string} url
+ * @returns {Promise<{ url: string, title: string, content: string, wordCount: number }>}
+ * @throws {AppError} With the HTTP status to report (400 blocked, 413 too large,
+ *   422 unreadable, 502 upstream failure, 504 timeout)
+ */
+export async function fetchReadablePage(url) {
+  if (isBlockedUrl(url)) {
+    throw new AppError('URL not allowed: internal or private addresses are blocked', 400, 'URL_BLOCKED');
+  }
+
+  // Check cache first
+  const cached = getCachedPage(url);
+  if (cached) {
+    return cached;
+  }
+
+  // Fetch the URL with timeout
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      signal: controller.signal,
+      redirect: 'manual',
+      headers: {
+        'User-Agent': 'Midlight/1.0 (Document Editor; +https://midlight.ai)',
+        'Accept': 'text/html,application/xhtml+xml',
+      },
+    });
+  } catch (fetchError) {
+    if (fetchError.name === 'AbortError') {
+      throw new AppError('URL fetch timed out (10s limit)', 504, 'FETCH_TIMEOUT');
+    }
+    throw fetchError;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  // Handle redirects: validate the Location header before following
+  if (response.status >= 300 && response.status < 400) {
+    const location = response.headers.get('location');
+    if (!location) {
+      throw new AppError('Redirect with no Location header', 502, 'FETCH_FAILED');
+    }
+    const redirectUrl = new URL(location, url).href;
+    if (isBlockedUrl(redirectUrl)) {
+      throw new AppError('Redirect target is a blocked URL', 400, 'URL_BLOCKED');
+    }
+    throw new AppError('Redirects are not followed. Target: ' + redirectUrl, 400, 'REDIRECT_NOT_FOLLOWED');
+  }
+
+  if (!response.ok) {
+    throw new AppError(`Failed to fetch URL: ${response.status} ${response.statusText}`, 502, 'FETCH_FAILED');
+  }
+
+  const contentLength = response.headers.get('content-length');
+  if (contentLength && parseInt(contentLength) > MAX_PAGE_BYTES) {
+    throw new AppError('Page too large (>5MB)', 413, 'PAGE_TOO_LARGE');
+  }
+
+  const html = await response.text();
+  if (html.length > MAX_PAGE_BYTES) {
+    throw new AppError('Page content too large (>5MB)', 413, 'PAGE_TOO_LARGE');
+  }
+
+  // Use JSDOM + Readability to extract content
+  const { JSDOM } = await import('jsdom');
+  const { Readability } = await import('@mozilla/readability');
+
+  const dom = new JSDOM(html, { url });
+  const reader = new Readability(dom.window.document);
+  const article = reader.parse();
+
+  if (!article) {
+    throw new AppError('Could not extract readable content from the page', 422, 'UNREADABLE_PAGE');
+  }
+
+  // Convert to plain text (strip HTML tags from article.content)
+  const textContent = article.textContent || '';
+  const wordCount = textContent.split(/\s+/).filter(Boolean).length;
+
+  const result = {
+    url,
+    title: article.title || '',
+    content: textContent.substring(0, MAX_CONTENT_CHARS),
+    wordCount,
+  };
+  setCachedPage(url, result);
+  return result;
+}
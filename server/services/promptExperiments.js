@@ -0,0 +1,379 @@
+/**
+ * Prompt Experiment Service
+ *
+ * Admin management of prompt A/B experiments (rows in prompt_variants grouped
+ * by experiment_name), thumbs up/down feedback on responses, and per-variant
+ * outcome reports.
+ *
+ * Clients send the variant key they were served as `promptVariant` on LLM
+ * requests and feedback. Reports attribute those rows to an experiment
+ * through the user's sticky assignment, so a key such as 'control' can be
+ * reused across experiments.
+ */
+
+import db from '../db/index.js';
+import { getPromptSections } from './prompts.js';
+
+export const EXPERIMENT_STATUSES = ['running', 'paused'];
+
+function experimentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function formatVariant(row) {
+  return {
+    key: row.variant_key,
+    sectionName: row.section_name,
+    text: row.text,
+    version: row.version,
+    weight: row.weight,
+    isActive: !!row.is_active,
+    assignedUsers: row.assigned_users ?? 0,
+    createdAt: row.created_at,
+  };
+}
+
+function getVariantRows(experimentName) {
+  return db.prepare(`
+    SELECT pv.*,
+      (SELECT COUNT(*) FROM user_variant_assignments a
+        WHERE a.experiment_name = pv.experiment_name AND a.variant_key = pv.variant_key) AS assigned_users
+    FROM prompt_variants pv
+    WHERE pv.experiment_name = ?
+    ORDER BY pv.id
+  `).all(experimentName);
+}
+
+function formatExperiment(name, meta, variantRows) {
+  return {
+    name,
+    sectionName: variantRows[0]?.section_name || null,
+    description: meta?.description || null,
+    status: meta?.status || 'running',
+    variants: variantRows.map(formatVariant),
+    createdAt: meta?.created_at || variantRows[0]?.created_at || null,
+    updatedAt: meta?.updated_at || null,
+  };
+}
+
+/**
+ * @returns {object|null} experiment with its variants, or null if it has none
+ */
+export function getExperiment(name) {
+  const variantRows = getVariantRows(name);
+  if (variantRows.length === 0) return null;
+  const meta = db.prepare('SELECT * FROM prompt_experiments WHERE name = ?').get(name);
+  return formatExperiment(name, meta, variantRows);
+}
+
+export function listExperiments() {
+  const names = db.prepare(`
+    SELECT experiment_name, MIN(id) AS first_id
+    FROM prompt_variants
+    GROUP BY experiment_name
+    ORDER BY first_id DESC
+  `).all();
+  return names.map(({ experiment_name }) => getExperiment(experiment_name));
+}
+
+function assertKnownSection(sectionName) {
+  if (!Object.hasOwn(getPromptSections().sections, sectionName)) {
+    throw experimentError(`Unknown prompt section: ${sectionName}`, 'UNKNOWN_SECTION');
+  }
+}
+
+function insertVariant(experimentName, sectionName, { key, text, version, weight = 50, isActive = true }) {
+  db.prepare(`
+    INSERT INTO prompt_variants (experiment_name, section_name, variant_key, text, version, weight, is_active)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(experimentName, sectionName, key, text, version, weight, isActive ? 1 : 0);
+}
+
+/**
+ * Create an experiment on a prompt section with its initial variants
+ *
+ * @param {{ name: string, sectionName: string, description?: string,
+ *   variants: Array<{ key: string, text: string, version: string, weight?: number, isActive?: boolean }> }} input
+ */
+export function createExperiment({ name, sectionName, description = null, variants }) {
+  assertKnownSection(sectionName);
+
+  db.transaction(() => {
+    if (db.prepare('SELECT 1 FROM prompt_variants WHERE experiment_name = ?').get(name)) {
+      throw experimentError('Experiment already exists', 'EXPERIMENT_EXISTS');
+    }
+    for (const variant of variants) insertVariant(name, sectionName, variant);
+    db.prepare(`
+      INSERT INTO prompt_experiments (name, description, status)
+      VALUES (?, ?, 'running')
+      ON CONFLICT(name) DO UPDATE SET description = excluded.description, status = 'running', updated_at = CURRENT_TIMESTAMP
+    `).run(name, description);
+  })();
+
+  return getExperiment(name);
+}
+
+/**
+ * Update an experiment's description and/or status ('running' | 'paused')
+ */
+export function updateExperiment(name, { description, status }) {
+  if (!getExperiment(name)) return null;
+
+  db.prepare(`
+    INSERT INTO prompt_experiments (name, description, status)
+    VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      description = CASE WHEN ? THEN excluded.description ELSE description END,
+      status = CASE WHEN ? THEN excluded.status ELSE status END,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(
+    name,
+    description ?? null,
+    status ?? 'running',
+    description !== undefined ? 1 : 0,
+    status !== undefined ? 1 : 0
+  );
+
+  return getExperiment(name);
+}
+
+export function addVariant(name, variant) {
+  const experiment = getExperiment(name);
+  if (!experiment) return null;
+  if (experiment.variants.some((v) => v.key === variant.key)) {
+    throw experimentError('Variant already exists', 'VARIANT_EXISTS');
+  }
+  insertVariant(name, experiment.sectionName, variant);
+  return getExperiment(name);
+}
+
+/**
+ * Edit a variant's text, version, weight or active flag. Deactivating a
+ * variant reassigns its users on their next request.
+ */
+export function updateVariant(name, key, { text, version, weight, isActive }) {
+  const updates = [];
+  const params = [];
+  if (text !== undefined) { updates.push('text = ?'); params.push(text); }
+  if (version !== undefined) { updates.push('version = ?'); params.push(version); }
+  if (weight !== undefined) { updates.push('weight = ?'); params.push(weight); }
+  if (isActive !== undefined) { updates.push('is_active = ?'); params.push(isActive ? 1 : 0); }
+
+  const result = db.prepare(`
+    UPDATE prompt_variants SET ${updates.join(', ')} WHERE experiment_name = ? AND variant_key = ?
+  `).run(...params, name, key);
+  if (result.changes === 0) return null;
+
+  return getExperiment(name);
+}
+
+/**
+ * Remove an experiment, its variants and assignments. Usage and feedback
+ * rows are kept, but can no longer be attributed to the experiment.
+ */
+export function deleteExperiment(name) {
+  return db.transaction(() => {
+    const { changes } = db.prepare('DELETE FROM prompt_variants WHERE experiment_name = ?').run(name);
+    db.prepare('DELETE FROM user_variant_assignments WHERE experiment_name = ?').run(name);
+    db.prepare('DELETE FROM prompt_experiments WHERE name = ?').run(name);
+    return changes > 0;
+  })();
+}
+
+/**
+ * Record a thumbs up (1) or down (-1). Feedback on a stored conversation
+ * message replaces the user's earlier rating of that message.
+ *
+ * @param {number} userId
+ * @param {{ rating: 1|-1, comment?: string, requestType?: string, promptVersion?: string,
+ *   promptVariant?: string, experiment?: string, messageId?: string }} feedback
+ * @returns {object|null} the stored feedback, or null if messageId isn't the user's
+ */
+export function recordFeedback(userId, {
+  rating,
+  comment = null,
+  requestType = null,
+  promptVersion = null,
+  promptVariant = null,
+  experiment = null,
+  messageId = null,
+}) {
+  if (messageId) {
+    const owned = db.prepare(`
+      SELECT 1 FROM conversation_messages m
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE m.id = ? AND c.user_id = ?
+    `).get(messageId, userId);
+    if (!owned) return null;
+  }
+
+  // Clients that only know the experiment get credited to their assignment
+  if (!promptVariant && experiment) {
+    promptVariant = db.prepare(
+      'SELECT variant_key FROM user_variant_assignments WHERE user_id = ? AND experiment_name = ?'
+    ).get(userId, experiment)?.variant_key || null;
+  }
+
+  const row = db.prepare(`
+    INSERT INTO llm_feedback (user_id, rating, comment, request_type, prompt_version, prompt_variant, conversation_message_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, conversation_message_id) WHERE conversation_message_id IS NOT NULL DO UPDATE SET
+      rating = excluded.rating,
+      comment = excluded.comment,
+      request_type = excluded.request_type,
+      prompt_version = excluded.prompt_version,
+      prompt_variant = excluded.prompt_variant,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `).get(userId, rating, comment, requestType, promptVersion, promptVariant, messageId);
+
+  return {
+    id: row.id,
+    rating: row.rating,
+    comment: row.comment,
+    promptVariant: row.prompt_variant,
+    messageId: row.conversation_message_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// created_at is stored as 'YYYY-MM-DD HH:MM:SS' (UTC)
+function toSqlTimestamp(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+}
+
+function average(sum, count) {
+  return count > 0 ? Math.round(sum / count) : null;
+}
+
+/**
+ * Latency percentile for one variant, nearest-rank over the rows that have one
+ */
+function latencyPercentile(experimentName, variantKey, range, count, percentile) {
+  if (count === 0) return null;
+  const offset = Math.max(0, Math.ceil((percentile / 100) * count) - 1);
+  return db.prepare(`
+    SELECT u.latency_ms
+    FROM llm_usage u
+    JOIN user_variant_assignments a
+      ON a.user_id = u.user_id AND a.experiment_name = ? AND a.variant_key = u.prompt_variant
+    WHERE a.variant_key = ? AND u.latency_ms IS NOT NULL
+      AND u.created_at >= ? AND u.created_at < ?
+    ORDER BY u.latency_ms
+    LIMIT 1 OFFSET ?
+  `).get(experimentName, variantKey, range.since, range.until, offset)?.latency_ms ?? null;
+}
+
+/**
+ * Compare an experiment's variants on tokens, latency, error rate and
+ * feedback.
+ *
+ * Token averages are per completed request (cache hits and failures
+ * excluded); the error rate is failures over all attempts.
+ *
+ * @param {string} name
+ * @param {{ since?: string, until?: string }} [range] - [since, until) as ISO 8601 dates or timestamps
+ */
+export function getExperimentReport(name, { since = null, until = null } = {}) {
+  const experiment = getExperiment(name);
+  if (!experiment) return null;
+
+  const range = {
+    since: since ? toSqlTimestamp(since) : '0000-01-01',
+    until: until ? toSqlTimestamp(until) : '9999-12-31',
+  };
+
+  const usageRows = db.prepare(`
+    SELECT
+      a.variant_key,
+      COUNT(*) AS requests,
+      COUNT(DISTINCT u.user_id) AS users,
+      SUM(CASE WHEN u.error_code IS NOT NULL THEN 1 ELSE 0 END) AS errors,
+      SUM(u.cache_hit) AS cache_hits,
+      COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(u.total_tokens), 0) AS total_tokens,
+      COUNT(u.latency_ms) AS latency_count,
+      COALESCE(SUM(u.latency_ms), 0) AS latency_sum
+    FROM llm_usage u
+    JOIN user_variant_assignments a
+      ON a.user_id = u.user_id AND a.experiment_name = ? AND a.variant_key = u.prompt_variant
+    WHERE u.created_at >= ? AND u.created_at < ?
+    GROUP BY a.variant_key
+  `).all(name, range.since, range.until);
+
+  const feedbackRows = db.prepare(`
+    SELECT
+      a.variant_key,
+      SUM(CASE WHEN f.rating > 0 THEN 1 ELSE 0 END) AS up,
+      SUM(CASE WHEN f.rating < 0 THEN 1 ELSE 0 END) AS down
+    FROM llm_feedback f
+    JOIN user_variant_assignments a
+      ON a.user_id = f.user_id AND a.experiment_name = ? AND a.variant_key = f.prompt_variant
+    WHERE f.created_at >= ? AND f.created_at < ?
+    GROUP BY a.variant_key
+  `).all(name, range.since, range.until);
+
+  const usageByKey = new Map(usageRows.map((row) => [row.variant_key, row]));
+  const feedbackByKey = new Map(feedbackRows.map((row) => [row.variant_key, row]));
+
+  const variants = experiment.variants.map((variant) => {
+    const usage = usageByKey.get(variant.key) || {
+      requests: 0, users: 0, errors: 0, cache_hits: 0,
+      prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, latency_count: 0, latency_sum: 0,
+    };
+    const feedback = feedbackByKey.get(variant.key) || { up: 0, down: 0 };
+    const completed = usage.requests - usage.errors - usage.cache_hits;
+
+    return {
+      key: variant.key,
+      version: variant.version,
+      weight: variant.weight,
+      isActive: variant.isActive,
+      assignedUsers: variant.assignedUsers,
+      activeUsers: usage.users,
+      requests: usage.requests,
+      completedRequests: completed,
+      cacheHits: usage.cache_hits,
+      errors: usage.errors,
+      errorRate: ratio(usage.errors, usage.requests),
+      tokens: {
+        prompt: usage.prompt_tokens,
+        completion: usage.completion_tokens,
+        total: usage.total_tokens,
+        avgPromptPerRequest: average(usage.prompt_tokens, completed),
+        avgCompletionPerRequest: average(usage.completion_tokens, completed),
+        avgTotalPerRequest: average(usage.total_tokens, completed),
+      },
+      latencyMs: {
+        avg: average(usage.latency_sum, usage.latency_count),
+        p50: latencyPercentile(name, variant.key, range, usage.latency_count, 50),
+        p95: latencyPercentile(name, variant.key, range, usage.latency_count, 95),
+      },
+      feedback: {
+        up: feedback.up,
+        down: feedback.down,
+        total: feedback.up + feedback.down,
+        positiveRate: ratio(feedback.up, feedback.up + feedback.down),
+      },
+    };
+  });
+
+  return {
+    experiment: {
+      name: experiment.name,
+      sectionName: experiment.sectionName,
+      description: experiment.description,
+      status: experiment.status,
+    },
+    range: { since, until },
+    variants,
+  };
+}
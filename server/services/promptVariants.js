@@ -4,11 +4,19 @@
  * Manages A/B testing for prompt sections. Users are assigned to variants
  * via weighted random selection with sticky assignment (once assigned,
  * always gets the same variant for that experiment).
+ *
+ * Paused experiments (prompt_experiments.status) serve the base sections but
+ * keep their assignments, so users land in the same variant on resume.
  */
 
 import db from '../db/index.js';
 import { getPromptSections } from './prompts.js';
 
+export function isExperimentPaused(experimentName) {
+  const row = db.prepare('SELECT status FROM prompt_experiments WHERE name = ?').get(experimentName);
+  return row?.status === 'paused';
+}
+
 /**
  * Get the assigned variant for a user in a given experiment.
  * If no assignment exists, randomly assigns one based on variant weights.
@@ -18,6 +26,8 @@ import { getPromptSections } from './prompts.js';
  * @returns {{ variantKey: string, sectionName: string, text: string, version: string } | null}
  */
 export function getVariantForUser(userId, experimentName) {
+  if (isExperimentPaused(experimentName)) return null;
+
   // Check existing assignment
   const existing = db.prepare(
     'SELECT variant_key FROM user_variant_assignments WHERE user_id = ? AND experiment_name = ?'
@@ -85,10 +95,13 @@ export function getVariantForUser(userId, experimentName) {
 export function getPromptSectionsForUser(userId) {
   const base = getPromptSections();
 
-  // Find all active experiments
-  const experiments = db.prepare(
-    'SELECT DISTINCT experiment_name FROM prompt_variants WHERE is_active = 1'
-  ).all();
+  // Find all active, unpaused experiments
+  const experiments = db.prepare(`
+    SELECT DISTINCT pv.experiment_name
+    FROM prompt_variants pv
+    LEFT JOIN prompt_experiments pe ON pe.name = pv.experiment_name
+    WHERE pv.is_active = 1 AND (pe.status IS NULL OR pe.status != 'paused')
+  `).all();
 
   if (experiments.length === 0) {
     return { ...base, variants: {} };
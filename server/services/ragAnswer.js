@@ -0,0 +1,235 @@
+/**
+ * RAG Answers — "ask my notes"
+ *
+ * Answers a question from the user's indexed documents: hybrid search
+ * (ragService.search), an optional LLM rerank of the candidates, then a
+ * grounded chat call whose prompt numbers each passage. The model cites
+ * passages inline as [n]; markers are mapped back to the passage's document,
+ * heading and character offsets (chunk metadata from ragChunker.js).
+ *
+ * askDocuments() yields events for the SSE route:
+ *
+ *   { type: 'sources', sources }            (every passage given to the model)
+ *   { type: 'content', content }            (answer stream)
+ *   { type: 'citations', citations }        (passages the answer cites, in order)
+ *   { type: 'done', content, finishReason, usage }
+ *
+ * The answer is billed as request type 'rag-ask'; the rerank as overhead
+ * (request type 'classification').
+ */
+
+import { chat } from './llm/index.js';
+import { search } from './ragService.js';
+import { getPromptSection } from './prompts.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ service: 'rag-answer' });
+
+// Passage text shown to the reranker; enough to judge relevance
+const RERANK_PASSAGE_CHARS = 800;
+
+const NO_PASSAGES_ANSWER = "I couldn't find anything in your documents about that.";
+
+const GROUNDING_INSTRUCTIONS = `**Answering from the user's documents:**
+- Answer using only the numbered passages from the user's documents. If they don't contain the answer, say so plainly instead of guessing.
+- Cite the passages you use with their numbers in square brackets right after the claim, like [1] or [2][3].
+- Don't cite passages you didn't use, and don't refer to passage numbers any other way.
+- Keep figures, names and terms exactly as the passages give them.`;
+
+const RERANK_SCHEMA = {
+  type: 'object',
+  properties: {
+    relevant: { type: 'array', items: { type: 'integer' } },
+  },
+  required: ['relevant'],
+  additionalProperties: false,
+};
+
+function passageLabel(passage) {
+  const headingPath = passage.metadata?.headingPath || (passage.heading ? [passage.heading] : []);
+  return headingPath.length > 0 ? `${passage.documentPath} — ${headingPath.join(' > ')}` : passage.documentPath;
+}
+
+/**
+ * Where a passage comes from, as returned for citations and sources
+ */
+function describePassage(passage, marker) {
+  return {
+    marker,
+    documentId: passage.documentId,
+    documentPath: passage.documentPath,
+    heading: passage.heading,
+    headingPath: passage.metadata?.headingPath ?? (passage.heading ? [passage.heading] : []),
+    startOffset: passage.metadata?.startOffset ?? null,
+    endOffset: passage.metadata?.endOffset ?? null,
+    ...(passage.metadata?.rows && { rows: passage.metadata.rows }),
+  };
+}
+
+/**
+ * Build the grounded chat messages: the identity prompt section plus
+ * citation rules, then the numbered passages and the question.
+ *
+ * @param {string} question
+ * @param {Object[]} passages - Search results, numbered from 1 in this order
+ * @returns {Object[]} Chat messages
+ */
+export function buildAskMessages(question, passages) {
+  const identity = getPromptSection('identity');
+  const context = passages
+    .map((passage, i) => `[${i + 1}] ${passageLabel(passage)}\n${passage.content}`)
+    .join('\n\n');
+
+  return [
+    { role: 'system', content: `${identity.text}\n\n${GROUNDING_INSTRUCTIONS}` },
+    { role: 'user', content: `Passages from my documents:\n\n${context}\n\nQuestion: ${question}` },
+  ];
+}
+
+/**
+ * Map the [n] markers in an answer to the passages they cite, in order of
+ * first citation. Markers that don't match a passage are ignored.
+ *
+ * @param {string} answer
+ * @param {Object[]} passages
+ * @returns {Object[]} Citations: { marker, documentId, documentPath, heading, headingPath, startOffset, endOffset }
+ */
+export function extractCitations(answer, passages) {
+  const markers = [];
+  for (const [, group] of (answer || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const value of group.split(',')) {
+      const marker = Number(value.trim());
+      if (marker >= 1 && marker <= passages.length && !markers.includes(marker)) markers.push(marker);
+    }
+  }
+  return markers.map((marker) => describePassage(passages[marker - 1], marker));
+}
+
+/**
+ * Reorder search candidates by the model's judgement of relevance, keeping
+ * the search order if the rerank fails or finds nothing relevant.
+ */
+async function rerankPassages({ userId, provider, model, userTier, teamId, question, candidates, topK, signal }) {
+  const listing = candidates
+    .map((passage, i) => `[${i + 1}] ${passageLabel(passage)}\n${passage.content.slice(0, RERANK_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  try {
+    const response = await chat({
+      userId,
+      provider,
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You rank passages by how much they help answer a question. Reply with the numbers of the passages that help, most helpful first, leaving out the ones that do not.',
+        },
+        { role: 'user', content: `Question: ${question}\n\nPassages:\n\n${listing}` },
+      ],
+      temperature: 0,
+      maxTokens: 256,
+      stream: false,
+      requestType: 'classification',
+      userTier,
+      teamId,
+      signal,
+      responseFormat: { name: 'passage_ranking', schema: RERANK_SCHEMA },
+    });
+
+    const ranked = [];
+    for (const marker of response.parsed?.relevant || []) {
+      const passage = candidates[marker - 1];
+      if (passage && !ranked.includes(passage)) ranked.push(passage);
+    }
+    if (ranked.length > 0) return ranked.slice(0, topK);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    log.warn({ userId, error: error.message }, 'Passage rerank failed, using search order');
+  }
+
+  return candidates.slice(0, topK);
+}
+
+/**
+ * Answer a question from the user's documents.
+ *
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.question
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {number} [params.topK] - Passages given to the model
+ * @param {number} [params.minScore] - Search score threshold
+ * @param {boolean} [params.rerank] - Rerank 3×topK search candidates with the model first
+ * @param {boolean} [params.exact] - Skip the approximate vector index
+ * @param {string} [params.userTier]
+ * @param {string} [params.teamId] - Team the usage is attributed to
+ * @param {AbortSignal} [params.signal]
+ * @returns {AsyncGenerator<Object>} Answer events
+ */
+export async function* askDocuments({
+  userId,
+  question,
+  provider,
+  model,
+  topK = 5,
+  minScore = 0.1,
+  rerank = false,
+  exact = false,
+  userTier = 'free',
+  teamId = null,
+  signal = null,
+}) {
+  const candidates = await search(userId, question, { topK: rerank ? topK * 3 : topK, minScore, exact });
+  const passages = rerank && candidates.length > 1
+    ? await rerankPassages({ userId, provider, model, userTier, teamId, question, candidates, topK, signal })
+    : candidates.slice(0, topK);
+
+  yield {
+    type: 'sources',
+    sources: passages.map((passage, i) => ({
+      ...describePassage(passage, i + 1),
+      content: passage.content,
+      score: passage.score,
+    })),
+  };
+
+  if (passages.length === 0) {
+    yield { type: 'content', content: NO_PASSAGES_ANSWER };
+    yield { type: 'citations', citations: [] };
+    yield { type: 'done', content: NO_PASSAGES_ANSWER, finishReason: 'no_passages', usage: null };
+    return;
+  }
+
+  const stream = await chat({
+    userId,
+    provider,
+    model,
+    messages: buildAskMessages(question, passages),
+    temperature: 0.2,
+    maxTokens: 2048,
+    stream: true,
+    requestType: 'rag-ask',
+    userTier,
+    promptVersion: getPromptSection('identity').version,
+    teamId,
+    signal,
+  });
+
+  let content = '';
+  let finishReason = null;
+  for await (const chunk of stream) {
+    if (signal?.aborted) return;
+    if (chunk.type === 'chunk') {
+      finishReason = chunk.finishReason || finishReason;
+      if (!chunk.content) continue;
+      content += chunk.content;
+      yield { type: 'content', content: chunk.content };
+    } else if (chunk.type === 'done') {
+      yield { type: 'citations', citations: extractCitations(content, passages) };
+      yield { type: 'done', content, finishReason, usage: chunk.usage };
+    }
+  }
+
+  log.debug({ userId, passages: passages.length, reranked: rerank, answerChars: content.length }, 'Answered from documents');
+}
@@ -0,0 +1,552 @@
+/**
+ * RAG Chunker — structure-aware chunking of documents for embedding.
+ *
+ * Documents are parsed into blocks (headings, paragraphs, lists, tables, code,
+ * quotes): from the Tiptap document in the sidecar when there is one, since
+ * the markdown the collaborative editor derives from it leaves out tables, and
+ * from the markdown otherwise. Blocks are packed into chunks of up to
+ * MAX_CHUNK_TOKENS without being cut. Blocks too large for one chunk are split
+ * along their structure: tables by rows with the header repeated, code blocks
+ * by lines (re-fenced), lists by items and paragraphs by sentences.
+ *
+ * Every chunk records the breadcrumb of headings above it and where it came
+ * from, returned as `metadata` with search results. Tiptap blocks are matched
+ * to the markdown blocks holding the same text so their chunks get offsets
+ * into the markdown too.
+ *
+ * This replaces the paragraph splitter shared with packages/core/src/rag/chunker.ts;
+ * bump CHUNKER_VERSION whenever chunk boundaries change so indexes are rebuilt.
+ */
+
+import crypto from 'crypto';
+import { getNodeText, getSidecarDoc, isBlockContainer } from '../utils/tiptap.js';
+
+export const CHUNKER_VERSION = 3;
+
+const MAX_CHUNK_TOKENS = 500;
+// A new heading starts a new chunk once the current one has at least this much
+const MIN_CHUNK_TOKENS = 50;
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})(.*)$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+/;
+const QUOTE = /^\s{0,3}>/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+
+// Word pieces and punctuation, roughly as BPE tokenizers split text
+const TOKEN_PIECE = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Estimate the token count of a string. Counts words (long ones as several
+ * tokens), digit runs and punctuation separately, so tables and code, which
+ * are dense in symbols, aren't underestimated the way a character ratio does.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(TOKEN_PIECE)) {
+    if (piece.length === 1) tokens += 1;
+    else if (CJK.test(piece)) tokens += piece.length;
+    else if (/^\d+$/.test(piece)) tokens += Math.ceil(piece.length / 3);
+    else tokens += Math.ceil(piece.length / 6);
+  }
+  return tokens;
+}
+
+/**
+ * Generate a deterministic chunk ID from document + chunk index + content prefix.
+ * Matches the approach in packages/core/src/rag/chunker.ts#generateChunkId.
+ */
+function generateChunkId(documentId, chunkIndex, content) {
+  const key = `${documentId}:${chunkIndex}:${content.slice(0, 50)}`;
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  return `chunk_${hash}`;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown blocks
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse markdown into top-level blocks with character offsets into the source.
+ *
+ * @param {string} markdown
+ * @returns {Array<object>} Blocks: { type, text, start, end } plus `level` and
+ *   `title` for headings, `header` and `rows` for tables, `open`, `close` and
+ *   `lines` for code, and `items` for lists
+ */
+function parseMarkdownBlocks(markdown) {
+  const rawLines = markdown.split('\n');
+  const lines = rawLines.map((line) => line.replace(/\r$/, ''));
+  const starts = [];
+  let offset = 0;
+  for (const line of rawLines) {
+    starts.push(offset);
+    offset += line.length + 1;
+  }
+
+  const isBlank = (i) => lines[i].trim() === '';
+  const isTableStart = (i) => lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]);
+  const startsBlock = (i) => HEADING.test(lines[i]) || FENCE.test(lines[i]) || QUOTE.test(lines[i])
+    || LIST_ITEM.test(lines[i]) || RULE.test(lines[i]) || isTableStart(i);
+  const part = (from, to) => ({
+    text: lines.slice(from, to).join('\n'),
+    start: starts[from],
+    end: starts[to - 1] + lines[to - 1].length,
+  });
+
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(i)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const marker = fence[1];
+      let j = i + 1;
+      while (j < lines.length && !(lines[j].trim().startsWith(marker[0].repeat(marker.length)) && lines[j].trim().replace(/[`~]/g, '') === '')) j++;
+      const closed = j < lines.length;
+      const to = closed ? j + 1 : j;
+      blocks.push({
+        type: 'code',
+        ...part(i, to),
+        open: line,
+        close: closed ? lines[j] : marker,
+        lines: Array.from({ length: (closed ? j : to) - (i + 1) }, (_, k) => part(i + 1 + k, i + 2 + k)),
+      });
+      i = to;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, title: heading[2].trim(), ...part(i, i + 1) });
+      i++;
+      continue;
+    }
+
+    if (isTableStart(i)) {
+      let j = i + 2;
+      while (j < lines.length && !isBlank(j) && lines[j].includes('|')) j++;
+      const rows = [];
+      for (let k = i + 2; k < j; k++) rows.push(part(k, k + 1));
+      blocks.push({ type: 'table', ...part(i, j), header: lines.slice(i, i + 2).join('\n'), rows });
+      i = j;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      i++;
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const indent = listItem[1].length;
+      const itemStarts = [i];
+      let j = i + 1;
+      while (j < lines.length) {
+        if (isBlank(j)) {
+          // A blank line ends the list unless another item or indented content follows
+          let k = j + 1;
+          while (k < lines.length && isBlank(k)) k++;
+          if (k < lines.length && (LIST_ITEM.test(lines[k]) || /^\s+\S/.test(lines[k]))) {
+            j = k;
+            continue;
+          }
+          break;
+        }
+        const item = lines[j].match(LIST_ITEM);
+        if (item && item[1].length <= indent) {
+          itemStarts.push(j);
+        } else if (!item && !/^\s/.test(lines[j]) && startsBlock(j)) {
+          break;
+        }
+        j++;
+      }
+      let end = j;
+      while (isBlank(end - 1)) end--;
+      const items = itemStarts.map((from, n) => {
+        let to = n + 1 < itemStarts.length ? itemStarts[n + 1] : end;
+        while (isBlank(to - 1)) to--;
+        return part(from, to);
+      });
+      blocks.push({ type: 'list', ...part(i, end), items });
+      i = j;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      let j = i + 1;
+      while (j < lines.length && QUOTE.test(lines[j])) j++;
+      blocks.push({ type: 'quote', ...part(i, j) });
+      i = j;
+      continue;
+    }
+
+    let j = i + 1;
+    while (j < lines.length && !isBlank(j) && !startsBlock(j)) j++;
+    blocks.push({ type: 'paragraph', ...part(i, j) });
+    i = j;
+  }
+
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Tiptap blocks
+// ---------------------------------------------------------------------------
+
+function tableCellText(cell) {
+  return getNodeText(cell).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+function tableRowText(cells) {
+  return `| ${cells.join(' | ')} |`;
+}
+
+/**
+ * Render a list node as markdown, one string per top-level item.
+ */
+function renderListItems(list) {
+  const ordered = list.type === 'orderedList';
+  const start = Number(list.attrs?.start) || 1;
+
+  return (list.content || []).map((item, index) => {
+    let marker = ordered ? `${start + index}.` : '-';
+    if (item.type === 'taskItem') marker = `- [${item.attrs?.checked ? 'x' : ' '}]`;
+    const pad = ' '.repeat(marker.length + 1);
+
+    const lines = [];
+    for (const child of item.content || []) {
+      const childLines = ['bulletList', 'orderedList', 'taskList'].includes(child.type)
+        ? renderListItems(child).join('\n').split('\n')
+        : getNodeText(child).split('\n');
+      lines.push(...childLines.filter((line) => line.trim() !== ''));
+    }
+
+    return lines.map((line, n) => (n === 0 ? `${marker} ${line}` : `${pad}${line}`)).join('\n') || marker;
+  });
+}
+
+/**
+ * Flatten a Tiptap node into blocks shaped like parseMarkdownBlocks' output,
+ * with text rendered as markdown. Offsets are filled in by locateTiptapBlocks.
+ */
+function pushTiptapBlocks(blocks, node) {
+  const block = (type, text, extra = {}) => blocks.push({ type, text, start: null, end: null, ...extra });
+
+  switch (node.type) {
+    case 'heading': {
+      const title = getNodeText(node).replace(/\s+/g, ' ').trim();
+      if (!title) return;
+      const level = Math.min(Math.max(Number(node.attrs?.level) || 1, 1), 6);
+      block('heading', `${'#'.repeat(level)} ${title}`, { level, title });
+      return;
+    }
+    case 'codeBlock': {
+      const open = '```' + (node.attrs?.language || '');
+      const body = getNodeText(node);
+      const lines = body.split('\n').map((text) => ({ text, start: null, end: null }));
+      block('code', `${open}\n${body}\n\`\`\``, { open, close: '```', lines });
+      return;
+    }
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList': {
+      const items = renderListItems(node).map((text) => ({ text, start: null, end: null }));
+      if (items.length > 0) block('list', items.map((item) => item.text).join('\n'), { items });
+      return;
+    }
+    case 'table': {
+      const rows = (node.content || []).map((row) => row.content || []);
+      if (rows.length === 0) return;
+      const hasHeader = rows[0].length > 0 && rows[0].every((cell) => cell.type === 'tableHeader');
+      const header = hasHeader
+        ? `${tableRowText(rows[0].map(tableCellText))}\n${tableRowText(rows[0].map(() => '---'))}`
+        : null;
+      const bodyRows = (hasHeader ? rows.slice(1) : rows)
+        .map((cells) => ({ text: tableRowText(cells.map(tableCellText)), start: null, end: null }));
+      const text = [header, ...bodyRows.map((row) => row.text)].filter(Boolean).join('\n');
+      block('table', text, { header, rows: bodyRows });
+      return;
+    }
+    case 'blockquote': {
+      const inner = [];
+      for (const child of node.content || []) pushTiptapBlocks(inner, child);
+      const text = inner.map((b) => b.text).join('\n\n').split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+      if (inner.length > 0) block('quote', text);
+      return;
+    }
+    case 'horizontalRule':
+    case 'image':
+      return;
+    default: {
+      if (isBlockContainer(node)) {
+        for (const child of node.content) pushTiptapBlocks(blocks, child);
+        return;
+      }
+      const text = getNodeText(node).trim();
+      if (text) block('paragraph', text);
+    }
+  }
+}
+
+function parseTiptapBlocks(doc) {
+  const blocks = [];
+  for (const node of doc.content) pushTiptapBlocks(blocks, node);
+  return blocks;
+}
+
+// Text of a block without markdown syntax, link targets or spacing, for matching
+function comparableText(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Give Tiptap blocks the offsets of the markdown blocks they were written
+ * out as. Blocks are matched in order, by type and text (one containing the
+ * other, since the markdown may be older or lack formatting). Parts of a
+ * block (rows, lines, items) take the markdown's when both have as many, and
+ * the whole block's span otherwise. Blocks missing from the markdown, like
+ * tables in markdown derived by the collaborative editor, get an empty range
+ * where they would be.
+ */
+function locateTiptapBlocks(blocks, markdown) {
+  const markdownBlocks = parseMarkdownBlocks(markdown).map((block) => ({ block, text: comparableText(block.text) }));
+  let next = 0;
+  let offset = 0;
+
+  for (const block of blocks) {
+    const text = comparableText(block.text);
+    let match = -1;
+    for (let i = next; text && i < markdownBlocks.length; i++) {
+      const candidate = markdownBlocks[i];
+      if (candidate.block.type === block.type && candidate.text && (candidate.text.includes(text) || text.includes(candidate.text))) {
+        match = i;
+        break;
+      }
+    }
+
+    const source = match === -1 ? null : markdownBlocks[match].block;
+    if (source) {
+      next = match + 1;
+      offset = source.end;
+    }
+    block.start = source ? source.start : offset;
+    block.end = source ? source.end : offset;
+    // Sentence offsets are only right when the text is the markdown's
+    block.exact = source?.text === block.text;
+
+    for (const key of ['rows', 'lines', 'items']) {
+      if (!block[key]) continue;
+      const sourceParts = source?.[key]?.length === block[key].length ? source[key] : null;
+      block[key].forEach((part, i) => {
+        part.start = sourceParts ? sourceParts[i].start : block.start;
+        part.end = sourceParts ? sourceParts[i].end : block.end;
+        part.exact = sourceParts?.[i].text === part.text;
+      });
+    }
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Splitting oversized blocks
+// ---------------------------------------------------------------------------
+
+/**
+ * Group consecutive parts so each group, wrapped in `overhead` tokens of
+ * repeated context, fits in a chunk. A part that's too large on its own gets
+ * a group to itself.
+ */
+function groupParts(parts, overhead) {
+  const groups = [];
+  let current = [];
+  let tokens = overhead;
+
+  for (const part of parts) {
+    const partTokens = estimateTokens(part.text);
+    if (current.length > 0 && tokens + partTokens > MAX_CHUNK_TOKENS) {
+      groups.push(current);
+      current = [];
+      tokens = overhead;
+    }
+    current.push(part);
+    tokens += partTokens;
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+function splitSentences(part) {
+  const sentences = [];
+  let from = 0;
+  for (const match of part.text.matchAll(/(?<=[.!?])\s+/g)) {
+    sentences.push({ from, to: match.index });
+    from = match.index + match[0].length;
+  }
+  sentences.push({ from, to: part.text.length });
+
+  return sentences
+    .filter(({ from: a, to: b }) => b > a)
+    .map(({ from: a, to: b }) => ({
+      text: part.text.slice(a, b),
+      start: part.exact === false ? part.start : part.start + a,
+      end: part.exact === false ? part.end : part.start + b,
+    }));
+}
+
+/**
+ * Split a block that doesn't fit in one chunk into pieces that do.
+ * @returns {Array<{ text: string, start: number|null, end: number|null, rowRange?: [number, number] }>}
+ */
+function splitBlock(block) {
+  const span = (group) => ({ start: group[0].start, end: group[group.length - 1].end });
+
+  if (block.type === 'table') {
+    const header = block.header ? `${block.header}\n` : '';
+    let rowNumber = 1;
+    return groupParts(block.rows, estimateTokens(header)).map((group) => {
+      const rowRange = [rowNumber, rowNumber + group.length - 1];
+      rowNumber += group.length;
+      return { text: header + group.map((row) => row.text).join('\n'), ...span(group), rowRange };
+    });
+  }
+
+  if (block.type === 'code' && block.lines.length > 1) {
+    return groupParts(block.lines, estimateTokens(`${block.open}\n${block.close}`)).map((group) => ({
+      text: `${block.open}\n${group.map((line) => line.text).join('\n')}\n${block.close}`,
+      ...span(group),
+    }));
+  }
+
+  if (block.type === 'list' && block.items.length > 1) {
+    return groupParts(block.items, 0).flatMap((group) => {
+      if (group.length === 1 && estimateTokens(group[0].text) > MAX_CHUNK_TOKENS) {
+        return splitBlock({ type: 'paragraph', ...group[0] });
+      }
+      return [{ text: group.map((item) => item.text).join('\n'), ...span(group) }];
+    });
+  }
+
+  return groupParts(splitSentences(block), 0).map((group) => ({
+    text: group.map((sentence) => sentence.text).join(' '),
+    ...span(group),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Chunking
+// ---------------------------------------------------------------------------
+
+/**
+ * Chunk a document into pieces suitable for embedding.
+ *
+ * Documents under MIN_CHUNK_TOKENS produce no chunks.
+ *
+ * @param {string} content - Markdown content
+ * @param {string} documentId
+ * @param {string} documentPath
+ * @param {{ sidecar?: object|null }} [options] - The document's sidecar, for its Tiptap structure
+ * @returns {Array<{ id: string, documentId: string, documentPath: string, chunkIndex: number, content: string, heading: string|null, tokenEstimate: number, metadata: { headingPath: string[], blockTypes: string[], source: 'markdown'|'tiptap', startOffset: number, endOffset: number, rows?: [number, number] } }>}
+ *   Offsets are character offsets into the markdown (for chunks from the
+ *   Tiptap document, of the markdown blocks they match); `rows` is the
+ *   1-based range of body rows for chunks holding part of a split table.
+ */
+export function chunkDocument(content, documentId, documentPath, { sidecar = null } = {}) {
+  const tiptapDoc = getSidecarDoc(sidecar);
+  const source = tiptapDoc ? 'tiptap' : 'markdown';
+  const blocks = tiptapDoc
+    ? locateTiptapBlocks(parseTiptapBlocks(tiptapDoc), content || '')
+    : parseMarkdownBlocks(content || '');
+
+  const pending = [];
+  const headings = []; // { level, title } of the sections containing the current block
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    current.headingPath ??= headings.map((h) => h.title);
+    pending.push(current);
+    current = null;
+  };
+
+  const append = (piece, type) => {
+    const part = { text: piece.text, type, tokens: estimateTokens(piece.text), start: piece.start, end: piece.end };
+
+    let carried = [];
+    if (current && current.tokens + part.tokens > MAX_CHUNK_TOKENS) {
+      // Headings at the end of the full chunk introduce this block: move them along with it
+      let keep = current.parts.length;
+      while (keep > 0 && current.parts[keep - 1].type === 'heading') keep--;
+      if (keep > 0) {
+        carried = current.parts.splice(keep);
+        current.tokens -= carried.reduce((sum, p) => sum + p.tokens, 0);
+        flush();
+      }
+    }
+    if (!current) current = { parts: carried, tokens: carried.reduce((sum, p) => sum + p.tokens, 0), headingPath: null };
+
+    current.parts.push(part);
+    current.tokens += part.tokens;
+    if (piece.rowRange) current.rowRange = piece.rowRange;
+    // A chunk belongs to the section of its first content, not of headings it opens with
+    if (type !== 'heading' && !current.headingPath) current.headingPath = headings.map((h) => h.title);
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      if (current && current.tokens >= MIN_CHUNK_TOKENS) flush();
+      while (headings.length > 0 && headings[headings.length - 1].level >= block.level) headings.pop();
+      headings.push({ level: block.level, title: block.title });
+      append(block, 'heading');
+      continue;
+    }
+
+    const pieces = estimateTokens(block.text) > MAX_CHUNK_TOKENS ? splitBlock(block) : [block];
+    for (const piece of pieces) {
+      append(piece, block.type);
+      // Each part of a split table stands alone
+      if (piece.rowRange) flush();
+    }
+  }
+  flush();
+
+  const totalTokens = pending.reduce((sum, chunk) => sum + chunk.tokens, 0);
+  if (totalTokens < MIN_CHUNK_TOKENS) return [];
+
+  return pending.map((chunk, chunkIndex) => {
+    const text = chunk.parts.map((part) => part.text).join('\n\n');
+    const { headingPath, parts } = chunk;
+    return {
+      id: generateChunkId(documentId, chunkIndex, text),
+      documentId,
+      documentPath,
+      chunkIndex,
+      content: text,
+      heading: headingPath[headingPath.length - 1] || null,
+      tokenEstimate: estimateTokens(text),
+      metadata: {
+        headingPath,
+        blockTypes: [...new Set(parts.map((part) => part.type))],
+        source,
+        startOffset: parts[0].start,
+        endOffset: parts[parts.length - 1].end,
+        ...(chunk.rowRange ? { rows: chunk.rowRange } : {}),
+      },
+    };
+  });
+}
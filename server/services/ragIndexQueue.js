@@ -0,0 +1,284 @@
+/**
+ * RAG Index Queue — background re-indexing of documents changed by sync.
+ *
+ * Sync uploads, deletes, conflict resolutions and branch merges enqueue a job
+ * for each user whose RAG index should reflect the change. Jobs are stored in
+ * SQLite (rag_index_jobs) so they survive restarts. A worker runs them with a
+ * concurrency limit, one job at a time per user, and retries failures with
+ * exponential backoff until maxAttempts, after which the job is kept as
+ * 'failed' and reported by GET /api/rag/status.
+ */
+
+import db from '../db/index.js';
+import { CONFIG } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { indexDocument } from './ragService.js';
+
+const log = logger.child({ service: 'rag-index-queue' });
+
+// Users with a job in flight: each user's index is updated by one job at a time
+const activeUsers = new Set();
+let pollTimer = null;
+
+// ---------------------------------------------------------------------------
+// Prepared statements (lazily initialised)
+// ---------------------------------------------------------------------------
+
+let _stmts = null;
+
+function stmts() {
+  if (_stmts) return _stmts;
+
+  _stmts = {
+    // Users whose index has the document, plus readers who use RAG at all.
+    // Readers who have never indexed anything get it on their first full index.
+    indexTargets: db.prepare(`
+      SELECT user_id FROM rag_indexed_documents WHERE document_id = @documentId
+      UNION
+      SELECT readers.user_id FROM (
+        SELECT user_id FROM sync_documents WHERE id = @documentId
+        UNION
+        SELECT tm.user_id FROM team_documents td
+        JOIN team_members tm ON tm.team_id = td.team_id
+        WHERE td.document_id = @documentId
+        UNION
+        SELECT da.user_id FROM document_shares ds
+        JOIN document_access da ON da.share_id = ds.id
+        WHERE ds.document_id = @documentId AND da.accepted_at IS NOT NULL AND da.user_id IS NOT NULL
+      ) readers
+      WHERE EXISTS (SELECT 1 FROM rag_indexed_documents r WHERE r.user_id = readers.user_id)
+    `),
+    // A newer change supersedes a pending job's backoff
+    upsertJob: db.prepare(`
+      INSERT INTO rag_index_jobs (user_id, document_id, reason)
+      VALUES (?, ?, ?)
+      ON CONFLICT(user_id, document_id) WHERE status = 'pending' DO UPDATE SET
+        reason = excluded.reason,
+        attempts = 0,
+        last_error = NULL,
+        run_after = CURRENT_TIMESTAMP
+    `),
+    deleteFailedJobs: db.prepare(`
+      DELETE FROM rag_index_jobs WHERE user_id = ? AND document_id = ? AND status = 'failed'
+    `),
+    dueJobs: db.prepare(`
+      SELECT id, user_id, document_id, reason, attempts
+      FROM rag_index_jobs
+      WHERE status = 'pending' AND run_after <= CURRENT_TIMESTAMP
+      ORDER BY run_after, id
+      LIMIT ?
+    `),
+    claimJob: db.prepare(`
+      UPDATE rag_index_jobs
+      SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `),
+    hasPendingJob: db.prepare(`
+      SELECT 1 FROM rag_index_jobs WHERE user_id = ? AND document_id = ? AND status = 'pending'
+    `),
+    retryJob: db.prepare(`
+      UPDATE rag_index_jobs
+      SET status = 'pending', attempts = attempts + ?, last_error = ?, run_after = datetime('now', ?)
+      WHERE id = ?
+    `),
+    failJob: db.prepare(`
+      UPDATE rag_index_jobs SET status = 'failed', last_error = ? WHERE id = ?
+    `),
+    deleteJob: db.prepare(`
+      DELETE FROM rag_index_jobs WHERE id = ?
+    `),
+    // Jobs left running by a previous process were interrupted
+    dropInterruptedDuplicates: db.prepare(`
+      DELETE FROM rag_index_jobs
+      WHERE status = 'running' AND EXISTS (
+        SELECT 1 FROM rag_index_jobs p
+        WHERE p.status = 'pending' AND p.user_id = rag_index_jobs.user_id AND p.document_id = rag_index_jobs.document_id
+      )
+    `),
+    requeueInterrupted: db.prepare(`
+      UPDATE rag_index_jobs SET status = 'pending', run_after = CURRENT_TIMESTAMP WHERE status = 'running'
+    `),
+
+    countsForUser: db.prepare(`
+      SELECT status, COUNT(*) AS cnt FROM rag_index_jobs WHERE user_id = ? GROUP BY status
+    `),
+    failuresForUser: db.prepare(`
+      SELECT document_id, attempts, last_error, created_at
+      FROM rag_index_jobs
+      WHERE user_id = ? AND status = 'failed'
+      ORDER BY id DESC
+      LIMIT 10
+    `),
+  };
+
+  return _stmts;
+}
+
+/**
+ * Backoff before the next attempt: retryBaseMs doubled per failed attempt, capped
+ */
+function retryDelayMs(attempt, options) {
+  return Math.min(options.retryBaseMs * 2 ** (attempt - 1), options.retryMaxMs);
+}
+
+function secondsModifier(ms) {
+  return `+${Math.ceil(ms / 1000)} seconds`;
+}
+
+/**
+ * Put a claimed job back in the queue. If the document changed again while it
+ * ran, the newer pending job already covers it and this one is dropped.
+ */
+function requeueJob(job, { attemptDelta, error, delayMs }) {
+  const s = stmts();
+  if (s.hasPendingJob.get(job.user_id, job.document_id)) {
+    s.deleteJob.run(job.id);
+    return;
+  }
+  s.retryJob.run(attemptDelta, error, secondsModifier(delayMs), job.id);
+}
+
+async function runJob(job, options) {
+  const s = stmts();
+  const attempt = job.attempts + 1;
+
+  activeUsers.add(job.user_id);
+  try {
+    const outcome = await indexDocument(job.user_id, job.document_id);
+    s.deleteJob.run(job.id);
+    log.debug({ jobId: job.id, userId: job.user_id, documentId: job.document_id, outcome }, 'RAG index job done');
+  } catch (err) {
+    const message = err?.message || String(err);
+
+    if (err?.code === 'INDEXING_IN_PROGRESS') {
+      // A full re-index is running for this user: wait for it without using up an attempt
+      requeueJob(job, { attemptDelta: -1, error: null, delayMs: options.busyRetryMs });
+    } else if (attempt >= options.maxAttempts) {
+      s.failJob.run(message, job.id);
+      log.error({ jobId: job.id, userId: job.user_id, documentId: job.document_id, attempt, err: message }, 'RAG index job failed');
+    } else {
+      const delayMs = retryDelayMs(attempt, options);
+      requeueJob(job, { attemptDelta: 0, error: message, delayMs });
+      log.warn({ jobId: job.id, userId: job.user_id, documentId: job.document_id, attempt, delayMs, err: message }, 'RAG index job will retry');
+    }
+  } finally {
+    activeUsers.delete(job.user_id);
+    if (pollTimer) setImmediate(tick);
+  }
+}
+
+function tick() {
+  processDueJobs().catch((err) => {
+    log.error({ err: err?.message || err }, 'RAG index queue error');
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Queue re-indexing of a document for every user whose index should reflect it.
+ * Never throws: a queueing failure must not fail the sync write that triggered it.
+ *
+ * @param {string} documentId
+ * @param {'upload'|'delete'|'conflict'|'merge'} reason
+ * @returns {number} Number of users queued
+ */
+export function enqueueDocumentIndexing(documentId, reason) {
+  try {
+    const s = stmts();
+    const userIds = s.indexTargets.all({ documentId }).map((row) => row.user_id);
+    if (userIds.length === 0) return 0;
+
+    db.transaction(() => {
+      for (const userId of userIds) {
+        s.deleteFailedJobs.run(userId, documentId);
+        s.upsertJob.run(userId, documentId, reason);
+      }
+    })();
+
+    log.debug({ documentId, reason, users: userIds.length }, 'Queued RAG index jobs');
+    if (pollTimer) setImmediate(tick);
+    return userIds.length;
+  } catch (err) {
+    log.error({ documentId, reason, err: err?.message || err }, 'Failed to queue RAG index jobs');
+    return 0;
+  }
+}
+
+/**
+ * Claim due jobs up to the concurrency limit and run them.
+ * Resolves once the claimed jobs have finished.
+ *
+ * @param {object} [options] - Defaults to CONFIG.rag.queue
+ * @returns {Promise<number>} Number of jobs run
+ */
+export async function processDueJobs(options = CONFIG.rag.queue) {
+  const s = stmts();
+  const slots = options.concurrency - activeUsers.size;
+  if (slots <= 0) return 0;
+
+  const claimed = [];
+  const claimedUsers = new Set();
+  for (const job of s.dueJobs.all(slots * 10)) {
+    if (claimed.length >= slots) break;
+    if (activeUsers.has(job.user_id) || claimedUsers.has(job.user_id)) continue;
+    if (s.claimJob.run(job.id).changes === 0) continue;
+    claimed.push(job);
+    claimedUsers.add(job.user_id);
+  }
+
+  await Promise.all(claimed.map((job) => runJob(job, options)));
+  return claimed.length;
+}
+
+/**
+ * Queue progress for a user's index, for GET /api/rag/status
+ *
+ * @param {number} userId
+ * @returns {{ pending: number, running: number, failed: number, failures: Array<{ documentId: string, attempts: number, error: string|null, queuedAt: string }> }}
+ */
+export function getIndexQueueStatus(userId) {
+  const s = stmts();
+  const counts = { pending: 0, running: 0, failed: 0 };
+  for (const row of s.countsForUser.all(userId)) {
+    counts[row.status] = row.cnt;
+  }
+
+  return {
+    ...counts,
+    failures: s.failuresForUser.all(userId).map((row) => ({
+      documentId: row.document_id,
+      attempts: row.attempts,
+      error: row.last_error,
+      queuedAt: row.created_at,
+    })),
+  };
+}
+
+/**
+ * Start the background worker: requeue jobs interrupted by a restart, then
+ * poll for due jobs (enqueued jobs also wake it immediately).
+ */
+export function startRagIndexWorker() {
+  if (pollTimer) return;
+
+  const s = stmts();
+  const requeued = db.transaction(() => {
+    s.dropInterruptedDuplicates.run();
+    return s.requeueInterrupted.run().changes;
+  })();
+
+  pollTimer = setInterval(tick, CONFIG.rag.queue.pollIntervalMs);
+  tick();
+
+  logger.info({ requeued, concurrency: CONFIG.rag.queue.concurrency }, 'RAG index worker started');
+}
+
+export function stopRagIndexWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
@@ -1,19 +1,28 @@
 /**
  * RAG Service — Server-side document indexing and hybrid search for web users.
  *
- * Indexes user documents stored in R2 into a local SQLite vector store,
- * then provides hybrid search (vector cosine similarity + BM25 FTS5)
- * merged via Reciprocal Rank Fusion (k=60).
+ * Indexes the documents a user can read (their own, their teams', and shares
+ * they have accepted) from R2 into a local SQLite vector store, then provides
+ * hybrid search (vector cosine similarity + BM25 FTS5)
+ * merged via Reciprocal Rank Fusion (k=60). The vector half uses the IVF
+ * index in ragVectorIndex.js once a user has enough chunks for it to pay off.
  *
- * Chunking logic is replicated from packages/core/src/rag/chunker.ts.
- * See that file for the canonical implementation and rationale.
+ * Documents are split along their structure by ragChunker.js.
  */
 
-import crypto from 'crypto';
 import db from '../db/index.js';
-import { embed } from './llm/index.js';
+import { embed, getActiveEmbeddingModel } from './llm/index.js';
 import { downloadDocument } from './storageService.js';
+import { CHUNKER_VERSION, chunkDocument } from './ragChunker.js';
+import {
+  assignList,
+  deleteVectorIndexes,
+  refreshVectorIndex,
+  searchApproximate,
+  searchExact,
+} from './ragVectorIndex.js';
 import { logger } from '../utils/logger.js';
+import { blobToEmbedding, embeddingToBlob } from '../utils/embeddingVectors.js';
 
 const log = logger.child({ service: 'rag' });
 
@@ -21,9 +30,6 @@ const log = logger.child({ service: 'rag' });
 // Constants
 // ---------------------------------------------------------------------------
 
-const MAX_CHUNK_TOKENS = 500;
-const MIN_CHUNK_TOKENS = 50;
-const OVERLAP_TOKENS = 50;
 const EMBED_BATCH_SIZE = 20;
 const EMBED_TEXT_CAP = 8000; // max chars sent to embedding API per text
 const RRF_K = 60;
@@ -31,6 +37,26 @@ const RRF_K = 60;
 // Track users currently being indexed to prevent concurrent runs
 const indexingUsers = new Set();
 
+// Documents a user can read: same sources as getDocumentPermission, minus
+// link shares (readable by anyone with the link). See getAccessibleDocument
+const ACCESSIBLE_DOCS_SQL = `
+  SELECT id, user_id, path, content_hash, r2_content_key
+  FROM sync_documents
+  WHERE deleted_at IS NULL AND (
+    user_id = @userId
+    OR id IN (
+      SELECT td.document_id FROM team_documents td
+      JOIN team_members tm ON tm.team_id = td.team_id
+      WHERE tm.user_id = @userId
+    )
+    OR id IN (
+      SELECT ds.document_id FROM document_shares ds
+      JOIN document_access da ON da.share_id = ds.id
+      WHERE da.user_id = @userId AND da.accepted_at IS NOT NULL
+    )
+  )
+`;
+
 // ---------------------------------------------------------------------------
 // Prepared statements (lazily initialised)
 // ---------------------------------------------------------------------------
@@ -42,21 +68,44 @@ function stmts() {
 
   _stmts = {
     // Reads
-    getSyncDocs: db.prepare(`
-      SELECT id, user_id, path, content_hash, r2_content_key
-      FROM sync_documents
-      WHERE user_id = ? AND deleted_at IS NULL
-    `),
+    getAccessibleDocs: db.prepare(ACCESSIBLE_DOCS_SQL),
+    getAccessibleDoc: db.prepare(`${ACCESSIBLE_DOCS_SQL} AND id = @documentId`),
+    // The user's own document first when a shared one has the same path
+    getAccessibleDocByPath: db.prepare(`${ACCESSIBLE_DOCS_SQL} AND path = @path ORDER BY user_id = @userId DESC LIMIT 1`),
     getIndexedDocs: db.prepare(`
-      SELECT document_id, content_hash
+      SELECT document_id, content_hash, chunker_version
       FROM rag_indexed_documents
       WHERE user_id = ?
     `),
     getIndexedDoc: db.prepare(`
-      SELECT document_id, content_hash
+      SELECT document_id, content_hash, chunker_version
       FROM rag_indexed_documents
       WHERE user_id = ? AND document_id = ?
     `),
+    // Another user's complete index of the same document version, chunked the
+    // same way and embedded with the given model
+    findIndexedCopy: db.prepare(`
+      SELECT d.user_id, d.chunk_count, d.total_chars
+      FROM rag_indexed_documents d
+      WHERE d.document_id = ? AND d.content_hash = ? AND d.user_id != ? AND d.chunker_version = ?
+        AND d.chunk_count = (
+          SELECT COUNT(*) FROM rag_chunks c
+          WHERE c.user_id = d.user_id AND c.document_id = d.document_id AND c.embedding_model = ?
+        )
+      LIMIT 1
+    `),
+    chunksForDoc: db.prepare(`
+      SELECT id, chunk_index, content, heading, metadata, embedding, token_estimate, embedding_model
+      FROM rag_chunks
+      WHERE user_id = ? AND document_id = ?
+      ORDER BY chunk_index
+    `),
+    indexedDocsMatching: db.prepare(`
+      SELECT user_id, document_id
+      FROM rag_indexed_documents
+      WHERE (@userId IS NULL OR user_id = @userId)
+        AND (@documentId IS NULL OR document_id = @documentId)
+    `),
     countChunks: db.prepare(`
       SELECT COUNT(*) AS cnt FROM rag_chunks WHERE user_id = ?
     `),
@@ -69,29 +118,29 @@ function stmts() {
     totalTokenEstimate: db.prepare(`
       SELECT COALESCE(SUM(token_estimate), 0) AS total FROM rag_chunks WHERE user_id = ?
     `),
-    allChunksForUser: db.prepare(`
-      SELECT id, document_id, document_path, chunk_index, content, heading,
-             embedding, token_estimate
+    staleEmbeddingDocs: db.prepare(`
+      SELECT DISTINCT document_id
       FROM rag_chunks
-      WHERE user_id = ?
+      WHERE user_id = ? AND (embedding_model IS NULL OR embedding_model != ?)
     `),
 
     // Writes
     insertChunk: db.prepare(`
       INSERT OR REPLACE INTO rag_chunks
-        (id, user_id, document_id, document_path, chunk_index, content, heading, embedding, token_estimate)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (id, user_id, document_id, document_path, chunk_index, content, heading, metadata, embedding, token_estimate, embedding_model, ann_list)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `),
     insertFts: db.prepare(`
       INSERT INTO rag_chunks_fts (rowid, content, heading)
       VALUES (?, ?, ?)
     `),
     upsertIndexedDoc: db.prepare(`
-      INSERT INTO rag_indexed_documents (user_id, document_id, document_path, content_hash, chunk_count, total_chars, indexed_at)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO rag_indexed_documents (user_id, document_id, document_path, content_hash, chunker_version, chunk_count, total_chars, indexed_at)
+      VALUES (?, ?, ?, ?, ${CHUNKER_VERSION}, ?, ?, datetime('now'))
       ON CONFLICT(user_id, document_id) DO UPDATE SET
         document_path = excluded.document_path,
         content_hash = excluded.content_hash,
+        chunker_version = excluded.chunker_version,
         chunk_count = excluded.chunk_count,
         total_chars = excluded.total_chars,
         indexed_at = datetime('now')
@@ -112,248 +161,77 @@ function stmts() {
     `),
 
     // Search
+    // The FTS table is shared by all users (and holds a copy of each shared
+    // document per user), so filter to the user's chunks before limiting
     ftsSearch: db.prepare(`
-      SELECT rowid, rank
-      FROM rag_chunks_fts
-      WHERE rag_chunks_fts MATCH ?
-      ORDER BY rank
+      SELECT f.rowid, f.rank
+      FROM rag_chunks_fts f
+      JOIN rag_chunks c ON c.rowid = f.rowid
+      WHERE rag_chunks_fts MATCH ? AND c.user_id = ?
+      ORDER BY f.rank
       LIMIT ?
     `),
     chunkByRowid: db.prepare(`
-      SELECT id, document_id, document_path, chunk_index, content, heading,
+      SELECT id, document_id, document_path, chunk_index, content, heading, metadata,
              embedding, token_estimate
       FROM rag_chunks
       WHERE rowid = ? AND user_id = ?
     `),
+    chunkById: db.prepare(`
+      SELECT id, document_id, document_path, chunk_index, content, heading, metadata,
+             embedding, token_estimate
+      FROM rag_chunks
+      WHERE id = ? AND user_id = ?
+    `),
   };
 
   return _stmts;
 }
 
 // ---------------------------------------------------------------------------
-// Chunking — replicated from packages/core/src/rag/chunker.ts
+// Access
 // ---------------------------------------------------------------------------
 
 /**
- * Estimate token count for a string (~4 chars per token for English text).
- */
-function estimateTokens(text) {
-  return Math.ceil(text.length / 4);
-}
-
-/**
- * Generate a deterministic chunk ID from document + chunk index + content prefix.
- * Matches the approach in packages/core/src/rag/chunker.ts#generateChunkId.
- */
-function generateChunkId(documentId, chunkIndex, content) {
-  const key = `${documentId}:${chunkIndex}:${content.slice(0, 50)}`;
-  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
-  return `chunk_${hash}`;
-}
-
-/**
- * Extract markdown headings from text content.
- * Returns array of { level, text, offset }.
- */
-function extractHeadings(content) {
-  const headings = [];
-  const lines = content.split('\n');
-  let offset = 0;
-
-  for (const line of lines) {
-    const match = line.match(/^(#{1,6})\s+(.+)$/);
-    if (match) {
-      headings.push({
-        level: match[1].length,
-        text: match[2].trim(),
-        offset,
-      });
-    }
-    offset += line.length + 1;
-  }
-
-  return headings;
-}
-
-/**
- * Get the most recent heading before a character offset.
- */
-function getHeadingContext(headings, offset) {
-  let current = undefined;
-  for (const h of headings) {
-    if (h.offset <= offset) {
-      current = h;
-    } else {
-      break;
-    }
-  }
-  return current?.text;
-}
-
-/**
- * Split content into paragraph-level sections on double-newline boundaries.
+ * A document the user can read through ownership, a team or an accepted
+ * share. Link shares don't count: indexing, search and the agent all use
+ * this rule, so a document is never searchable without being indexable.
+ *
+ * @param {number} userId
+ * @param {string} documentId
+ * @returns {{ id: string, user_id: number, path: string, content_hash: string, r2_content_key: string|null }|undefined}
  */
-function splitIntoSections(content) {
-  return content.split(/\n\s*\n/).filter(s => s.trim().length > 0);
+export function getAccessibleDocument(userId, documentId) {
+  return stmts().getAccessibleDoc.get({ userId, documentId });
 }
 
 /**
- * Chunk a document into pieces suitable for embedding.
+ * Find a readable document by path (as returned in search results),
+ * preferring the user's own when a shared document has the same path.
  *
- * Algorithm (mirrors packages/core/src/rag/chunker.ts):
- * 1. Split by double-newline into sections.
- * 2. Accumulate sections into chunks up to MAX_CHUNK_TOKENS.
- * 3. When a section would overflow, flush the current chunk (if >= MIN_CHUNK_TOKENS)
- *    and carry forward OVERLAP_TOKENS worth of trailing text.
- * 4. Oversized sections are further split on sentence boundaries.
+ * @param {number} userId
+ * @param {string} path
+ * @returns {{ id: string, user_id: number, path: string, content_hash: string, r2_content_key: string|null }|undefined}
  */
-function chunkDocument(content, documentId, documentPath) {
-  const headings = extractHeadings(content);
-  const sections = splitIntoSections(content);
-  const chunks = [];
-
-  let chunkIndex = 0;
-  let charOffset = 0;
-  let currentChunkContent = '';
-  let currentChunkStart = 0;
-
-  for (const section of sections) {
-    const sectionTokens = estimateTokens(section);
-    const currentTokens = estimateTokens(currentChunkContent);
-
-    // If adding this section would exceed max, flush current chunk
-    if (currentTokens + sectionTokens > MAX_CHUNK_TOKENS && currentChunkContent.length > 0) {
-      if (currentTokens >= MIN_CHUNK_TOKENS) {
-        const heading = getHeadingContext(headings, currentChunkStart);
-        chunks.push({
-          id: generateChunkId(documentId, chunkIndex, currentChunkContent),
-          documentId,
-          documentPath,
-          chunkIndex,
-          content: currentChunkContent.trim(),
-          heading: heading || null,
-          tokenEstimate: currentTokens,
-        });
-        chunkIndex++;
-      }
-
-      // Carry overlap
-      if (OVERLAP_TOKENS > 0) {
-        const overlapChars = OVERLAP_TOKENS * 4;
-        currentChunkContent = currentChunkContent.slice(-overlapChars);
-        currentChunkStart = charOffset - currentChunkContent.length;
-      } else {
-        currentChunkContent = '';
-        currentChunkStart = charOffset;
-      }
-    }
-
-    // If the section itself is too large, split by sentence boundaries
-    if (sectionTokens > MAX_CHUNK_TOKENS) {
-      const sentences = section.split(/(?<=[.!?])\s+/);
-      for (const sentence of sentences) {
-        const sentenceTokens = estimateTokens(sentence);
-        const newTotal = estimateTokens(currentChunkContent) + sentenceTokens;
-
-        if (newTotal > MAX_CHUNK_TOKENS && currentChunkContent.length > 0) {
-          const ct = estimateTokens(currentChunkContent);
-          if (ct >= MIN_CHUNK_TOKENS) {
-            const heading = getHeadingContext(headings, currentChunkStart);
-            chunks.push({
-              id: generateChunkId(documentId, chunkIndex, currentChunkContent),
-              documentId,
-              documentPath,
-              chunkIndex,
-              content: currentChunkContent.trim(),
-              heading: heading || null,
-              tokenEstimate: ct,
-            });
-            chunkIndex++;
-          }
-          currentChunkContent = '';
-          currentChunkStart = charOffset;
-        }
-
-        currentChunkContent += (currentChunkContent ? ' ' : '') + sentence;
-        charOffset += sentence.length + 1;
-      }
-    } else {
-      currentChunkContent += (currentChunkContent ? '\n\n' : '') + section;
-      charOffset += section.length + 2; // +2 for paragraph break
-    }
-  }
-
-  // Flush remaining content
-  if (currentChunkContent.trim().length > 0) {
-    const ct = estimateTokens(currentChunkContent);
-    if (ct >= MIN_CHUNK_TOKENS) {
-      const heading = getHeadingContext(headings, currentChunkStart);
-      chunks.push({
-        id: generateChunkId(documentId, chunkIndex, currentChunkContent),
-        documentId,
-        documentPath,
-        chunkIndex,
-        content: currentChunkContent.trim(),
-        heading: heading || null,
-        tokenEstimate: ct,
-      });
-    }
-  }
-
-  return chunks;
+export function findAccessibleDocumentByPath(userId, path) {
+  return stmts().getAccessibleDocByPath.get({ userId, path });
 }
 
 // ---------------------------------------------------------------------------
 // Embedding helpers
 // ---------------------------------------------------------------------------
 
-/**
- * Convert a Float64 embedding array (from OpenAI) to a Buffer of Float32 LE.
- */
-function embeddingToBlob(embedding) {
-  const f32 = new Float32Array(embedding);
-  return Buffer.from(f32.buffer);
-}
-
-/**
- * Convert a stored BLOB back to a Float32Array.
- */
-function blobToEmbedding(blob) {
-  // blob is a Buffer in better-sqlite3 — copy to ensure 4-byte alignment
-  const aligned = blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength);
-  return new Float32Array(aligned);
-}
-
-/**
- * Compute cosine similarity between two Float32Arrays.
- */
-function cosineSimilarity(a, b) {
-  if (a.length !== b.length) return 0;
-
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
-  }
-
-  if (normA === 0 || normB === 0) return 0;
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
 /**
  * Batch-embed an array of texts, sending at most EMBED_BATCH_SIZE per API call.
  * Each text is capped at EMBED_TEXT_CAP characters.
  *
  * @param {number} userId  - User ID for quota tracking
  * @param {string[]} texts - Array of texts to embed
- * @returns {Promise<number[][]>} Array of embedding vectors (Float64 from API)
+ * @returns {Promise<{ embeddings: number[][], modelId: string|null }>} Vectors (Float64 from API) and the model that produced them
  */
 async function batchEmbed(userId, texts) {
   const all = [];
+  let modelId = null;
 
   for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
     const batch = texts.slice(i, i + EMBED_BATCH_SIZE).map(t =>
@@ -362,9 +240,10 @@ async function batchEmbed(userId, texts) {
 
     const result = await embed({ userId, texts: batch });
     all.push(...result.embeddings);
+    modelId = result.modelId;
   }
 
-  return all;
+  return { embeddings: all, modelId };
 }
 
 // ---------------------------------------------------------------------------
@@ -417,15 +296,155 @@ function deleteAllFtsForUser(userId) {
   }
 }
 
+/**
+ * Whether an indexed document needs re-indexing: its content changed, or it
+ * was chunked by an earlier version of the chunker.
+ */
+function isStale(indexed, doc) {
+  return indexed.content_hash !== doc.content_hash || indexed.chunker_version !== CHUNKER_VERSION;
+}
+
+/**
+ * Remove one document's chunks, FTS entries and index record from a user's index.
+ */
+function removeDocumentFromIndex(userId, documentId) {
+  const s = stmts();
+  db.transaction(() => {
+    deleteFtsForDocument(userId, documentId);
+    s.deleteChunksByDoc.run(userId, documentId);
+    s.deleteIndexedDoc.run(userId, documentId);
+  })();
+}
+
+/**
+ * Index a document by copying another user's chunks for the same version,
+ * instead of downloading and embedding it again. Team and shared documents
+ * are indexed once per member, but only embedded once.
+ */
+function copyIndexedDocument(userId, doc, copy) {
+  const s = stmts();
+  const chunks = s.chunksForDoc.all(copy.user_id, doc.id);
+
+  db.transaction(() => {
+    deleteFtsForDocument(userId, doc.id);
+    s.deleteChunksByDoc.run(userId, doc.id);
+
+    for (const chunk of chunks) {
+      const { lastInsertRowid } = s.insertChunk.run(
+        chunk.id,
+        userId,
+        doc.id,
+        doc.path,
+        chunk.chunk_index,
+        chunk.content,
+        chunk.heading,
+        chunk.metadata,
+        chunk.embedding,
+        chunk.token_estimate,
+        chunk.embedding_model,
+        assignList(userId, chunk.embedding_model, blobToEmbedding(chunk.embedding))
+      );
+      s.insertFts.run(lastInsertRowid, chunk.content, chunk.heading || '');
+    }
+
+    s.upsertIndexedDoc.run(userId, doc.id, doc.path, doc.content_hash, copy.chunk_count, copy.total_chars);
+  })();
+}
+
+/**
+ * Chunk, embed and store one document in a user's index, replacing any
+ * chunks it had. Throws DOCUMENT_UNAVAILABLE if the content can't be downloaded.
+ *
+ * @param {number} userId
+ * @param {{ id: string, user_id: number, path: string, content_hash: string }} doc - sync_documents row
+ * @param {{ force?: boolean, embeddingModel: string|null }} options
+ */
+async function indexDocumentContent(userId, doc, { force = false, embeddingModel }) {
+  const s = stmts();
+
+  // Reuse a teammate's embeddings of the same version when there are any
+  const copy = force ? null : s.findIndexedCopy.get(doc.id, doc.content_hash, userId, CHUNKER_VERSION, embeddingModel);
+  if (copy) {
+    copyIndexedDocument(userId, doc, copy);
+    log.debug({ userId, docId: doc.id, fromUserId: copy.user_id }, 'Indexed document from existing copy');
+    return;
+  }
+
+  // Download content from R2 (stored under the owner, who may be someone else)
+  const downloaded = await downloadDocument(doc.user_id, doc.id);
+  if (!downloaded || !downloaded.content) {
+    const error = new Error('Document content unavailable');
+    error.code = 'DOCUMENT_UNAVAILABLE';
+    throw error;
+  }
+
+  const { content, sidecar } = downloaded;
+
+  // Remove old chunks for this document if re-indexing
+  deleteFtsForDocument(userId, doc.id);
+  s.deleteChunksByDoc.run(userId, doc.id);
+
+  // Chunk the document along its structure
+  const chunks = chunkDocument(content, doc.id, doc.path, { sidecar });
+
+  if (chunks.length === 0) {
+    // Document too small to chunk; still record it so we don't re-process
+    s.upsertIndexedDoc.run(userId, doc.id, doc.path, doc.content_hash, 0, content.length);
+    return;
+  }
+
+  // Batch embed all chunks, each with its heading breadcrumb for context
+  const texts = chunks.map(c => [c.metadata.headingPath.join(' > '), c.content].filter(Boolean).join('\n\n'));
+  const { embeddings, modelId } = await batchEmbed(userId, texts);
+
+  // Insert chunks and FTS entries inside a transaction for atomicity
+  const insertAll = db.transaction(() => {
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      const blob = embeddingToBlob(embeddings[i]);
+
+      const { lastInsertRowid } = s.insertChunk.run(
+        chunk.id,
+        userId,
+        chunk.documentId,
+        chunk.documentPath,
+        chunk.chunkIndex,
+        chunk.content,
+        chunk.heading,
+        JSON.stringify(chunk.metadata),
+        blob,
+        chunk.tokenEstimate,
+        modelId,
+        assignList(userId, modelId, embeddings[i])
+      );
+
+      s.insertFts.run(lastInsertRowid, chunk.content, chunk.heading || '');
+    }
+
+    // Update indexed document record
+    s.upsertIndexedDoc.run(
+      userId, doc.id, doc.path, doc.content_hash, chunks.length, content.length
+    );
+  });
+
+  insertAll();
+
+  log.debug({ userId, docId: doc.id, chunks: chunks.length }, 'Indexed document');
+}
+
 // ---------------------------------------------------------------------------
 // Public API
 // ---------------------------------------------------------------------------
 
 /**
- * Index (or re-index) all documents for a user.
+ * Index (or re-index) all documents a user can read: their own, documents of
+ * teams they belong to, and shares they have accepted.
  *
  * Compares sync_documents.content_hash against rag_indexed_documents.content_hash
- * to determine which documents need (re-)indexing and which have been deleted.
+ * to determine which documents need (re-)indexing and which have been deleted
+ * or are no longer accessible. Documents whose chunks were embedded by a
+ * different model than the active one, or chunked by an older chunker, are
+ * re-indexed too.
  *
  * @param {number} userId
  * @param {{ force?: boolean }} options
@@ -446,18 +465,23 @@ export async function indexProject(userId, { force = false } = {}) {
     const s = stmts();
 
     // 1. Gather current state
-    const syncDocs = s.getSyncDocs.all(userId);
+    const syncDocs = s.getAccessibleDocs.all({ userId });
     const indexedRows = s.getIndexedDocs.all(userId);
-    const indexedMap = new Map(indexedRows.map(r => [r.document_id, r.content_hash]));
+    const indexedMap = new Map(indexedRows.map(r => [r.document_id, r]));
     const syncDocIds = new Set(syncDocs.map(d => d.id));
+    const embeddingModel = getActiveEmbeddingModel();
+    const staleDocIds = new Set(
+      s.staleEmbeddingDocs.all(userId, embeddingModel).map(r => r.document_id)
+    );
+    if (staleDocIds.size > 0) {
+      log.info({ userId, embeddingModel, count: staleDocIds.size }, 'Embedding model changed, re-embedding documents');
+    }
 
-    // 2. Detect deleted documents (in index but no longer in sync_documents)
+    // 2. Detect deleted documents (in index but deleted or no longer accessible)
     for (const [docId] of indexedMap) {
       if (!syncDocIds.has(docId)) {
         log.debug({ userId, docId }, 'Removing deleted document from index');
-        deleteFtsForDocument(userId, docId);
-        s.deleteChunksByDoc.run(userId, docId);
-        s.deleteIndexedDoc.run(userId, docId);
+        removeDocumentFromIndex(userId, docId);
         result.deleted++;
       }
     }
@@ -465,8 +489,8 @@ export async function indexProject(userId, { force = false } = {}) {
     // 3. Determine which documents need indexing
     const toIndex = [];
     for (const doc of syncDocs) {
-      const existingHash = indexedMap.get(doc.id);
-      if (force || !existingHash || existingHash !== doc.content_hash) {
+      const existing = indexedMap.get(doc.id);
+      if (force || !existing || isStale(existing, doc) || staleDocIds.has(doc.id)) {
         toIndex.push(doc);
       } else {
         result.skipped++;
@@ -475,6 +499,7 @@ export async function indexProject(userId, { force = false } = {}) {
 
     if (toIndex.length === 0) {
       log.info({ userId, skipped: result.skipped, deleted: result.deleted }, 'No documents to index');
+      await refreshVectorIndex(userId, embeddingModel);
       result.totalChunks = s.countChunks.get(userId).cnt;
       return result;
     }
@@ -484,80 +509,20 @@ export async function indexProject(userId, { force = false } = {}) {
     // 4. Process each document
     for (const doc of toIndex) {
       try {
-        // Download content from R2
-        const downloaded = await downloadDocument(userId, doc.id);
-        if (!downloaded || !downloaded.content) {
-          log.warn({ userId, docId: doc.id }, 'Failed to download document content, skipping');
-          result.errors++;
-          continue;
-        }
-
-        const content = downloaded.content;
-
-        // Remove old chunks for this document if re-indexing
-        if (indexedMap.has(doc.id)) {
-          deleteFtsForDocument(userId, doc.id);
-          s.deleteChunksByDoc.run(userId, doc.id);
-        }
-
-        // Chunk the document
-        const chunks = chunkDocument(content, doc.id, doc.path);
-
-        if (chunks.length === 0) {
-          // Document too small to chunk; still record it so we don't re-process
-          s.upsertIndexedDoc.run(userId, doc.id, doc.path, doc.content_hash, 0, content.length);
-          result.indexed++;
-          continue;
-        }
-
-        // Batch embed all chunks
-        const texts = chunks.map(c => c.content);
-        const embeddings = await batchEmbed(userId, texts);
-
-        // Insert chunks and FTS entries inside a transaction for atomicity
-        const insertAll = db.transaction(() => {
-          for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            const blob = embeddingToBlob(embeddings[i]);
-
-            s.insertChunk.run(
-              chunk.id,
-              userId,
-              chunk.documentId,
-              chunk.documentPath,
-              chunk.chunkIndex,
-              chunk.content,
-              chunk.heading,
-              blob,
-              chunk.tokenEstimate
-            );
-
-            // Get the rowid just inserted for FTS
-            const rowid = db.prepare(
-              `SELECT rowid FROM rag_chunks WHERE id = ?`
-            ).get(chunk.id)?.rowid;
-
-            if (rowid != null) {
-              s.insertFts.run(rowid, chunk.content, chunk.heading || '');
-            }
-          }
-
-          // Update indexed document record
-          s.upsertIndexedDoc.run(
-            userId, doc.id, doc.path, doc.content_hash, chunks.length, content.length
-          );
-        });
-
-        insertAll();
+        await indexDocumentContent(userId, doc, { force, embeddingModel });
         result.indexed++;
-
-        log.debug({ userId, docId: doc.id, chunks: chunks.length }, 'Indexed document');
       } catch (err) {
-        log.error({ userId, docId: doc.id, err: err.message }, 'Error indexing document');
+        if (err.code === 'DOCUMENT_UNAVAILABLE') {
+          log.warn({ userId, docId: doc.id }, 'Failed to download document content, skipping');
+        } else {
+          log.error({ userId, docId: doc.id, err: err.message }, 'Error indexing document');
+        }
         result.errors++;
       }
     }
 
+    await refreshVectorIndex(userId, embeddingModel);
+
     result.totalChunks = s.countChunks.get(userId).cnt;
     log.info({ userId, ...result }, 'Indexing complete');
     return result;
@@ -566,15 +531,66 @@ export async function indexProject(userId, { force = false } = {}) {
   }
 }
 
+/**
+ * Bring one document up to date in a user's index: index it if its content
+ * changed, or remove it if it was deleted or the user can no longer read it.
+ * Used by the background indexing queue (ragIndexQueue.js) after sync writes.
+ *
+ * Throws INDEXING_IN_PROGRESS while the user's index is being updated by
+ * another run, and DOCUMENT_UNAVAILABLE if the content can't be downloaded.
+ *
+ * @param {number} userId
+ * @param {string} documentId
+ * @returns {Promise<'indexed'|'removed'|'unchanged'>}
+ */
+export async function indexDocument(userId, documentId) {
+  if (indexingUsers.has(userId)) {
+    const error = new Error('Indexing already in progress for user');
+    error.code = 'INDEXING_IN_PROGRESS';
+    throw error;
+  }
+
+  indexingUsers.add(userId);
+
+  try {
+    const s = stmts();
+    const doc = getAccessibleDocument(userId, documentId);
+    const indexed = s.getIndexedDoc.get(userId, documentId);
+    const embeddingModel = getActiveEmbeddingModel();
+
+    let outcome;
+    if (!doc) {
+      if (!indexed) return 'unchanged';
+      removeDocumentFromIndex(userId, documentId);
+      outcome = 'removed';
+    } else if (indexed && !isStale(indexed, doc)) {
+      return 'unchanged';
+    } else {
+      await indexDocumentContent(userId, doc, { embeddingModel });
+      outcome = 'indexed';
+    }
+
+    await refreshVectorIndex(userId, embeddingModel);
+    log.debug({ userId, documentId, outcome }, 'Document index updated');
+    return outcome;
+  } finally {
+    indexingUsers.delete(userId);
+  }
+}
+
 /**
  * Hybrid search: vector cosine similarity + BM25 FTS5, merged via RRF (k=60).
  *
+ * The vector candidates come from the approximate index when the user has one;
+ * `exact` forces a full scan instead.
+ *
  * @param {number} userId
  * @param {string} query
- * @param {{ topK?: number, minScore?: number }} options
- * @returns {Promise<Array<{ content: string, heading: string|null, documentPath: string, score: number }>>}
+ * @param {{ topK?: number, minScore?: number, exact?: boolean }} options
+ * @returns {Promise<Array<{ content: string, heading: string|null, metadata: object|null, documentId: string, documentPath: string, score: number }>>}
+ *   `metadata` is the chunk's heading path, block types and source offsets (see ragChunker.js)
  */
-export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
+export async function search(userId, query, { topK = 5, minScore = 0.3, exact = false } = {}) {
   if (!query || query.trim().length === 0) {
     return [];
   }
@@ -582,26 +598,23 @@ export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
   const s = stmts();
 
   // 1. Embed the query
-  const queryEmbeddings = await batchEmbed(userId, [query.trim()]);
+  const { embeddings: queryEmbeddings, modelId } = await batchEmbed(userId, [query.trim()]);
   const queryVec = new Float32Array(queryEmbeddings[0]);
 
-  // 2. Vector search — scan all user chunks and rank by cosine similarity
-  const allChunks = s.allChunksForUser.all(userId);
+  // 2. Vector search over the user's chunks from the same embedding model
+  //    (chunks awaiting re-embedding after a model change are reachable via FTS only).
+  //    Take more candidates than topK to allow fusion to work.
+  const vectorLimit = topK * 3;
+  const approximateHits = exact ? null : searchApproximate(userId, modelId, queryVec, vectorLimit);
+  const vectorHits = approximateHits ?? searchExact(userId, modelId, queryVec, vectorLimit);
 
-  if (allChunks.length === 0) {
+  if (vectorHits.length === 0 && s.countChunks.get(userId).cnt === 0) {
     return [];
   }
 
-  const vectorResults = [];
-  for (const row of allChunks) {
-    const embedding = blobToEmbedding(row.embedding);
-    const score = cosineSimilarity(queryVec, embedding);
-    vectorResults.push({ id: row.id, score, row });
-  }
-  vectorResults.sort((a, b) => b.score - a.score);
-
-  // Take top candidates for RRF (more than topK to allow fusion to work)
-  const vectorTopN = vectorResults.slice(0, topK * 3);
+  const vectorTopN = vectorHits
+    .map(hit => ({ ...hit, row: s.chunkById.get(hit.id, userId) }))
+    .filter(hit => hit.row);
 
   // 3. BM25 FTS5 search
   let ftsResults = [];
@@ -616,7 +629,7 @@ export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
       .join(' OR ');
 
     if (ftsQuery.length > 0) {
-      const ftsRows = s.ftsSearch.all(ftsQuery, topK * 3);
+      const ftsRows = s.ftsSearch.all(ftsQuery, userId, topK * 3);
       for (const ftsRow of ftsRows) {
         const chunk = s.chunkByRowid.get(ftsRow.rowid, userId);
         if (chunk) {
@@ -665,7 +678,24 @@ export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
     }
   }
 
-  // 5. Sort by fused score and apply minScore filter
+  // 5. Drop documents the user can no longer read. Revocations normally prune
+  //    the index (removeRevokedDocuments); this catches any that were missed.
+  const permissions = new Map();
+  for (const [id, entry] of rrfScores) {
+    const docId = entry.row.document_id;
+    if (!permissions.has(docId)) {
+      permissions.set(docId, Boolean(getAccessibleDocument(userId, docId)));
+    }
+    if (!permissions.get(docId)) rrfScores.delete(id);
+  }
+  for (const [docId, readable] of permissions) {
+    if (!readable) {
+      log.info({ userId, docId }, 'Removing inaccessible document from index');
+      removeDocumentFromIndex(userId, docId);
+    }
+  }
+
+  // 6. Sort by fused score and apply minScore filter
   const merged = Array.from(rrfScores.values())
     .sort((a, b) => b.rrfScore - a.rrfScore)
     .slice(0, topK);
@@ -686,6 +716,8 @@ export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
     results.push({
       content: entry.row.content,
       heading: entry.row.heading || null,
+      metadata: entry.row.metadata ? JSON.parse(entry.row.metadata) : null,
+      documentId: entry.row.document_id,
       documentPath: entry.row.document_path,
       score: effectiveScore,
     });
@@ -694,6 +726,7 @@ export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
   log.debug({
     userId,
     query: query.slice(0, 80),
+    vectorSearch: approximateHits ? 'approximate' : 'exact',
     vectorCandidates: vectorTopN.length,
     ftsCandidates: ftsResults.length,
     returned: results.length,
@@ -706,14 +739,12 @@ export async function search(userId, query, { topK = 5, minScore = 0.3 } = {}) {
  * Get indexing status for a user.
  *
  * @param {number} userId
- * @returns {{ totalDocuments: number, indexedDocuments: number, totalChunks: number, isIndexing: boolean, lastIndexed: string|null }}
+ * @returns {{ totalDocuments: number, indexedDocuments: number, totalChunks: number, isIndexing: boolean, lastIndexed: string|null, embeddingModel: string|null }}
  */
 export function getStatus(userId) {
   const s = stmts();
 
-  const totalDocuments = db.prepare(
-    `SELECT COUNT(*) AS cnt FROM sync_documents WHERE user_id = ? AND deleted_at IS NULL`
-  ).get(userId).cnt;
+  const totalDocuments = s.getAccessibleDocs.all({ userId }).length;
 
   const indexedDocuments = s.countIndexed.get(userId).cnt;
   const totalChunks = s.countChunks.get(userId).cnt;
@@ -725,6 +756,7 @@ export function getStatus(userId) {
     totalChunks,
     isIndexing: indexingUsers.has(userId),
     lastIndexed: lastIndexedRow?.last_indexed || null,
+    embeddingModel: getActiveEmbeddingModel(),
   };
 }
 
@@ -740,11 +772,36 @@ export function deleteIndex(userId) {
     deleteAllFtsForUser(userId);
     stmts().deleteAllChunks.run(userId);
     stmts().deleteAllIndexed.run(userId);
+    deleteVectorIndexes(userId);
   });
 
   run();
 }
 
+/**
+ * Remove documents from RAG indexes once their users can no longer read them.
+ * Call after revoking access: removing a team member or team document,
+ * deleting a team, or deleting a share or access entry. Pass whichever of
+ * userId / documentId narrows the check.
+ *
+ * @param {{ userId?: number, documentId?: string }} scope
+ * @returns {number} Number of (user, document) index entries removed
+ */
+export function removeRevokedDocuments({ userId = null, documentId = null }) {
+  let removed = 0;
+  for (const row of stmts().indexedDocsMatching.all({ userId, documentId })) {
+    if (!getAccessibleDocument(row.user_id, row.document_id)) {
+      removeDocumentFromIndex(row.user_id, row.document_id);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    log.info({ userId, documentId, removed }, 'Removed revoked documents from RAG index');
+  }
+  return removed;
+}
+
 /**
  * Get the total estimated token count across all indexed chunks for a user.
  *
@@ -0,0 +1,486 @@
+/**
+ * RAG Vector Index — approximate nearest-neighbour search over rag_chunks.
+ *
+ * An inverted-file (IVF) index per user and embedding model. Spherical k-means
+ * partitions the chunk embeddings into lists, each chunk records its list in
+ * rag_chunks.ann_list, and a query only scores the chunks in the lists whose
+ * centroids are closest to it. Centroids are persisted in rag_ann_centroids.
+ *
+ * New chunks are assigned to their nearest existing list as they are indexed;
+ * the lists are retrained once the collection has grown or shrunk enough that
+ * the old partition no longer fits. Chunks without a list (indexed before the
+ * index existed, or with a mismatched dimension) are always scanned, so the
+ * index never hides a chunk — it only narrows the scan.
+ *
+ * Exact search (a full scan) remains available for small collections, when
+ * the index is disabled, and for measuring recall.
+ */
+
+import db from '../db/index.js';
+import { CONFIG } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { blobToEmbedding, cosineSimilarity } from '../utils/embeddingVectors.js';
+
+const log = logger.child({ service: 'rag-vector-index' });
+
+// Fixed seed so retraining the same chunks yields the same lists
+const TRAINING_SEED = 0x5eed;
+
+// Building yields to the event loop after this many vectors are scored, and
+// reads embeddings in pages of EMBEDDING_PAGE_SIZE, so a large rebuild doesn't
+// stall requests and collab traffic
+const VECTORS_PER_YIELD = 64;
+const EMBEDDING_PAGE_SIZE = 512;
+
+// Centroids by `${userId}:${embeddingModel}`, dropped whenever the index is rebuilt or removed
+const centroidCache = new Map();
+
+// ---------------------------------------------------------------------------
+// Vector helpers
+// ---------------------------------------------------------------------------
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Scale a vector to unit length in place (zero vectors are left as-is).
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(dot(vector, vector));
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) returning floats in [0, 1).
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Index of the centroid with the highest cosine similarity to a unit vector.
+ */
+function nearestList(centroids, unitVector) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let list = 0; list < centroids.length; list++) {
+    const score = dot(centroids[list], unitVector);
+    if (score > bestScore) {
+      best = list;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Keep the `limit` highest-scoring hits, best first.
+ */
+function topHits(hits, limit) {
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// ---------------------------------------------------------------------------
+// Prepared statements (lazily initialised)
+// ---------------------------------------------------------------------------
+
+let _stmts = null;
+
+function stmts() {
+  if (_stmts) return _stmts;
+
+  _stmts = {
+    getIndex: db.prepare(`
+      SELECT dimensions, list_count, trained_chunks, built_at
+      FROM rag_ann_indexes
+      WHERE user_id = ? AND embedding_model = ?
+    `),
+    getCentroids: db.prepare(`
+      SELECT list_id, centroid
+      FROM rag_ann_centroids
+      WHERE user_id = ? AND embedding_model = ?
+      ORDER BY list_id
+    `),
+    countChunks: db.prepare(`
+      SELECT COUNT(*) AS cnt FROM rag_chunks WHERE user_id = ? AND embedding_model = ?
+    `),
+    embeddingPage: db.prepare(`
+      SELECT rowid, embedding FROM rag_chunks
+      WHERE user_id = ? AND embedding_model = ? AND rowid > ?
+      ORDER BY rowid
+      LIMIT ?
+    `),
+    allEmbeddings: db.prepare(`
+      SELECT id, embedding FROM rag_chunks WHERE user_id = ? AND embedding_model = ?
+    `),
+    listEmbeddings: db.prepare(`
+      SELECT id, embedding FROM rag_chunks WHERE user_id = ? AND embedding_model = ? AND ann_list = ?
+    `),
+    unassignedEmbeddings: db.prepare(`
+      SELECT id, embedding FROM rag_chunks WHERE user_id = ? AND embedding_model = ? AND ann_list IS NULL
+    `),
+    otherModelIndexes: db.prepare(`
+      SELECT embedding_model FROM rag_ann_indexes WHERE user_id = ? AND embedding_model != ?
+    `),
+
+    upsertIndex: db.prepare(`
+      INSERT INTO rag_ann_indexes (user_id, embedding_model, dimensions, list_count, trained_chunks, built_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(user_id, embedding_model) DO UPDATE SET
+        dimensions = excluded.dimensions,
+        list_count = excluded.list_count,
+        trained_chunks = excluded.trained_chunks,
+        built_at = datetime('now')
+    `),
+    insertCentroid: db.prepare(`
+      INSERT INTO rag_ann_centroids (user_id, embedding_model, list_id, centroid)
+      VALUES (?, ?, ?, ?)
+    `),
+    setChunkList: db.prepare(`
+      UPDATE rag_chunks SET ann_list = ? WHERE rowid = ?
+    `),
+
+    deleteIndex: db.prepare(`
+      DELETE FROM rag_ann_indexes WHERE user_id = ? AND embedding_model = ?
+    `),
+    deleteCentroids: db.prepare(`
+      DELETE FROM rag_ann_centroids WHERE user_id = ? AND embedding_model = ?
+    `),
+    clearChunkLists: db.prepare(`
+      UPDATE rag_chunks SET ann_list = NULL WHERE user_id = ? AND embedding_model = ? AND ann_list IS NOT NULL
+    `),
+    deleteAllIndexes: db.prepare(`
+      DELETE FROM rag_ann_indexes WHERE user_id = ?
+    `),
+    deleteAllCentroids: db.prepare(`
+      DELETE FROM rag_ann_centroids WHERE user_id = ?
+    `),
+  };
+
+  return _stmts;
+}
+
+// ---------------------------------------------------------------------------
+// Training
+// ---------------------------------------------------------------------------
+
+/**
+ * Page through a user's chunk embeddings in rowid order, yielding to the event
+ * loop between pages. Chunks written meanwhile may or may not be included.
+ */
+async function* embeddingPages(userId, embeddingModel) {
+  const s = stmts();
+  let after = 0;
+  for (;;) {
+    const rows = s.embeddingPage.all(userId, embeddingModel, after, EMBEDDING_PAGE_SIZE);
+    if (rows.length === 0) return;
+    yield rows;
+    if (rows.length < EMBEDDING_PAGE_SIZE) return;
+    after = rows[rows.length - 1].rowid;
+    await yieldToEventLoop();
+  }
+}
+
+/**
+ * Spherical k-means: centroids are the normalised means of their members,
+ * initialised from distinct random samples. A list left empty is reseeded
+ * with a random sample so every list stays in use.
+ *
+ * @param {Float32Array[]} samples - Unit vectors
+ * @param {number} listCount
+ * @param {number} iterations
+ * @returns {Promise<Float32Array[]>} Unit centroids
+ */
+async function trainCentroids(samples, listCount, iterations) {
+  const random = seededRandom(TRAINING_SEED);
+  const dimensions = samples[0].length;
+
+  // Partial Fisher-Yates shuffle picks the initial centroids
+  const order = samples.map((_, i) => i);
+  for (let i = 0; i < listCount; i++) {
+    const j = i + Math.floor(random() * (order.length - i));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  let centroids = order.slice(0, listCount).map(i => Float32Array.from(samples[i]));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const sums = centroids.map(() => new Float64Array(dimensions));
+    const sizes = new Array(listCount).fill(0);
+
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      const list = nearestList(centroids, sample);
+      const sum = sums[list];
+      for (let d = 0; d < dimensions; d++) sum[d] += sample[d];
+      sizes[list]++;
+      if ((i + 1) % VECTORS_PER_YIELD === 0) await yieldToEventLoop();
+    }
+
+    centroids = sums.map((sum, list) => {
+      if (sizes[list] === 0) {
+        return Float32Array.from(samples[Math.floor(random() * samples.length)]);
+      }
+      return normalize(Float32Array.from(sum));
+    });
+  }
+
+  return centroids;
+}
+
+/**
+ * Train lists for a user's chunks and assign every chunk to one.
+ *
+ * Trains on a reservoir sample of at most `trainingSamplesPerList` vectors per
+ * list, then pages through all chunks once to assign them. Chunks written
+ * while the build runs are left unassigned (always scanned) until the next one.
+ */
+async function buildIndex(userId, embeddingModel, chunkCount, options) {
+  const s = stmts();
+  const startedAt = Date.now();
+  const listCount = Math.max(1, Math.min(options.maxLists, Math.round(Math.sqrt(chunkCount))));
+  const sampleSize = listCount * options.trainingSamplesPerList;
+  const random = seededRandom(TRAINING_SEED + chunkCount);
+
+  let dimensions = null;
+  let seen = 0;
+  const samples = [];
+  for await (const rows of embeddingPages(userId, embeddingModel)) {
+    for (const row of rows) {
+      const vector = blobToEmbedding(row.embedding);
+      dimensions ??= vector.length;
+      if (vector.length !== dimensions) continue;
+
+      seen++;
+      if (samples.length < sampleSize) {
+        samples.push(normalize(vector));
+      } else {
+        const slot = Math.floor(random() * seen);
+        if (slot < sampleSize) samples[slot] = normalize(vector);
+      }
+    }
+  }
+
+  if (samples.length < listCount) return null;
+
+  const centroids = await trainCentroids(samples, listCount, options.trainingIterations);
+
+  const assignments = [];
+  for await (const rows of embeddingPages(userId, embeddingModel)) {
+    for (const row of rows) {
+      const vector = blobToEmbedding(row.embedding);
+      if (vector.length !== dimensions) continue;
+      assignments.push([nearestList(centroids, normalize(vector)), row.rowid]);
+      if (assignments.length % VECTORS_PER_YIELD === 0) await yieldToEventLoop();
+    }
+  }
+
+  db.transaction(() => {
+    s.deleteCentroids.run(userId, embeddingModel);
+    centroids.forEach((centroid, list) => {
+      s.insertCentroid.run(userId, embeddingModel, list, Buffer.from(centroid.buffer));
+    });
+    // Chunks indexed during the build hold lists of the old centroids
+    s.clearChunkLists.run(userId, embeddingModel);
+    for (const [list, rowid] of assignments) {
+      s.setChunkList.run(list, rowid);
+    }
+    s.upsertIndex.run(userId, embeddingModel, dimensions, listCount, chunkCount);
+  })();
+  centroidCache.delete(`${userId}:${embeddingModel}`);
+
+  log.info({
+    userId,
+    embeddingModel,
+    chunks: chunkCount,
+    lists: listCount,
+    samples: samples.length,
+    durationMs: Date.now() - startedAt,
+  }, 'Built RAG vector index');
+
+  return { lists: listCount };
+}
+
+function dropIndex(userId, embeddingModel) {
+  const s = stmts();
+  db.transaction(() => {
+    s.deleteCentroids.run(userId, embeddingModel);
+    s.deleteIndex.run(userId, embeddingModel);
+    s.clearChunkLists.run(userId, embeddingModel);
+  })();
+  centroidCache.delete(`${userId}:${embeddingModel}`);
+}
+
+/**
+ * @returns {{ dimensions: number, centroids: Float32Array[] }|null}
+ */
+function loadIndex(userId, embeddingModel) {
+  const key = `${userId}:${embeddingModel}`;
+  if (centroidCache.has(key)) return centroidCache.get(key);
+
+  const s = stmts();
+  const index = s.getIndex.get(userId, embeddingModel);
+  const loaded = index
+    ? {
+        dimensions: index.dimensions,
+        centroids: s.getCentroids.all(userId, embeddingModel).map(row => blobToEmbedding(row.centroid)),
+      }
+    : null;
+
+  centroidCache.set(key, loaded);
+  return loaded;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * List a newly embedded chunk belongs to, or null when there is no index
+ * for the model (the chunk is then scanned on every query until the next build).
+ *
+ * @param {number} userId
+ * @param {string} embeddingModel
+ * @param {number[]|Float32Array} embedding
+ * @returns {number|null}
+ */
+export function assignList(userId, embeddingModel, embedding) {
+  const index = loadIndex(userId, embeddingModel);
+  if (!index || embedding.length !== index.dimensions) return null;
+  return nearestList(index.centroids, normalize(Float32Array.from(embedding)));
+}
+
+/**
+ * Bring a user's vector index in line with their chunks after indexing:
+ * build it once there are enough chunks, retrain when the collection has
+ * grown or shrunk by `rebuildFactor`, and drop it when it is no longer useful.
+ * Indexes for other embedding models are always dropped.
+ *
+ * Building trains in slices between event loop turns, so callers should keep
+ * the user's index from changing concurrently (ragService holds its per-user
+ * indexing lock).
+ *
+ * @param {number} userId
+ * @param {string} embeddingModel - Active embedding model ("{provider}:{model}")
+ * @param {object} [options] - Defaults to CONFIG.rag.ann
+ * @returns {Promise<{ action: 'built'|'rebuilt'|'dropped'|'unchanged'|'none', lists?: number }>}
+ */
+export async function refreshVectorIndex(userId, embeddingModel, options = CONFIG.rag.ann) {
+  const s = stmts();
+
+  for (const { embedding_model: staleModel } of s.otherModelIndexes.all(userId, embeddingModel)) {
+    dropIndex(userId, staleModel);
+  }
+
+  const index = s.getIndex.get(userId, embeddingModel);
+  const chunkCount = s.countChunks.get(userId, embeddingModel).cnt;
+
+  if (!options.enabled || chunkCount < options.minChunks) {
+    if (!index) return { action: 'none' };
+    dropIndex(userId, embeddingModel);
+    log.info({ userId, embeddingModel, chunks: chunkCount }, 'Dropped RAG vector index');
+    return { action: 'dropped' };
+  }
+
+  const drifted = index && (
+    chunkCount >= index.trained_chunks * options.rebuildFactor ||
+    chunkCount * options.rebuildFactor <= index.trained_chunks
+  );
+  if (index && !drifted) {
+    return { action: 'unchanged', lists: index.list_count };
+  }
+
+  const built = await buildIndex(userId, embeddingModel, chunkCount, options);
+  if (!built) return { action: 'none' };
+  return { action: index ? 'rebuilt' : 'built', lists: built.lists };
+}
+
+/**
+ * Approximate vector search: scores the chunks in the `probes` lists nearest
+ * the query, plus any unassigned chunks. More lists are probed while there are
+ * fewer than `limit` candidates.
+ *
+ * @param {number} userId
+ * @param {string} embeddingModel
+ * @param {Float32Array} queryVector
+ * @param {number} limit
+ * @param {object} [options] - Defaults to CONFIG.rag.ann
+ * @returns {Array<{ id: string, score: number }>|null} Best hits first, or null when there is no usable index
+ */
+export function searchApproximate(userId, embeddingModel, queryVector, limit, options = CONFIG.rag.ann) {
+  if (!options.enabled) return null;
+
+  const index = loadIndex(userId, embeddingModel);
+  if (!index || queryVector.length !== index.dimensions) return null;
+
+  const s = stmts();
+  const unitQuery = normalize(Float32Array.from(queryVector));
+  const listOrder = index.centroids
+    .map((centroid, list) => ({ list, score: dot(centroid, unitQuery) }))
+    .sort((a, b) => b.score - a.score);
+
+  const hits = [];
+  const score = (rows) => {
+    for (const row of rows) {
+      hits.push({ id: row.id, score: cosineSimilarity(queryVector, blobToEmbedding(row.embedding)) });
+    }
+  };
+
+  score(s.unassignedEmbeddings.all(userId, embeddingModel));
+  let probed = 0;
+  for (const { list } of listOrder) {
+    if (probed >= options.probes && hits.length >= limit) break;
+    score(s.listEmbeddings.all(userId, embeddingModel, list));
+    probed++;
+  }
+
+  return topHits(hits, limit);
+}
+
+/**
+ * Exact vector search: scores every chunk from the embedding model.
+ *
+ * @param {number} userId
+ * @param {string} embeddingModel
+ * @param {Float32Array} queryVector
+ * @param {number} limit
+ * @returns {Array<{ id: string, score: number }>} Best hits first
+ */
+export function searchExact(userId, embeddingModel, queryVector, limit) {
+  const hits = stmts().allEmbeddings.all(userId, embeddingModel).map(row => ({
+    id: row.id,
+    score: cosineSimilarity(queryVector, blobToEmbedding(row.embedding)),
+  }));
+  return topHits(hits, limit);
+}
+
+/**
+ * Remove every vector index for a user. Chunk list assignments are left for
+ * the caller, which deletes the chunks alongside.
+ *
+ * @param {number} userId
+ */
+export function deleteVectorIndexes(userId) {
+  const s = stmts();
+  s.deleteAllCentroids.run(userId);
+  s.deleteAllIndexes.run(userId);
+  for (const key of centroidCache.keys()) {
+    if (key.startsWith(`${userId}:`)) centroidCache.delete(key);
+  }
+}
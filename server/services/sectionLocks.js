@@ -0,0 +1,200 @@
+/**
+ * Section Locks Service
+ *
+ * A section lock protects a heading and everything under it (up to the next
+ * heading of the same or a higher level) from edits by users who aren't
+ * allowed. Locks are stored in document_section_locks and enforced by the
+ * collab server on incoming Y.js updates.
+ *
+ * Lock types:
+ * - owner_only:    only the document owner (and whoever set the lock) may edit
+ * - allowed_users: additionally, the users listed in allowed_user_ids
+ */
+
+import * as Y from 'yjs';
+import db from '../db/index.js';
+
+export const LOCK_TYPES = ['owner_only', 'allowed_users'];
+
+const listLocks = db.prepare(`
+  SELECT * FROM document_section_locks WHERE document_id = ? ORDER BY created_at ASC
+`);
+
+/**
+ * Get all section locks for a document.
+ * @param {string} documentId
+ * @returns {object[]} document_section_locks rows
+ */
+export function getSectionLocks(documentId) {
+  return listLocks.all(documentId);
+}
+
+/**
+ * Parse the allowed_user_ids column (JSON array of user IDs).
+ * @param {object} lock
+ * @returns {number[]}
+ */
+export function getAllowedUserIds(lock) {
+  if (!lock.allowed_user_ids) return [];
+  try {
+    const ids = JSON.parse(lock.allowed_user_ids);
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Users who may edit a locked section.
+ * @param {object} lock
+ * @param {number} ownerId - Document owner
+ * @returns {number[]}
+ */
+export function getLockEditors(lock, ownerId) {
+  const editors = new Set([ownerId, lock.locked_by]);
+  if (lock.lock_type === 'allowed_users') {
+    for (const id of getAllowedUserIds(lock)) editors.add(id);
+  }
+  return [...editors];
+}
+
+/**
+ * Whether a user may edit inside a locked section.
+ * @param {object} lock
+ * @param {number|string} userId - Guest users have string IDs and never qualify
+ * @param {number} ownerId
+ * @returns {boolean}
+ */
+export function canEditSection(lock, userId, ownerId) {
+  return getLockEditors(lock, ownerId).includes(userId);
+}
+
+/**
+ * Format a lock for API responses and collab awareness.
+ * @param {object} lock - document_section_locks row
+ * @param {number} ownerId - Document owner
+ * @returns {object}
+ */
+export function formatSectionLock(lock, ownerId) {
+  return {
+    id: lock.id,
+    documentId: lock.document_id,
+    headingText: lock.heading_text,
+    headingLevel: lock.heading_level,
+    headingNodeId: lock.heading_node_id || null,
+    lockType: lock.lock_type,
+    lockedBy: lock.locked_by,
+    allowedUserIds: getAllowedUserIds(lock),
+    editorIds: getLockEditors(lock, ownerId),
+    createdAt: lock.created_at,
+  };
+}
+
+/**
+ * Find the locks whose section content would change if `update` were
+ * applied to `ydoc`. The update is applied to a throwaway copy, so this costs
+ * a full state encode — callers should only run it for users restricted by
+ * at least one lock.
+ *
+ * A lock whose heading isn't currently in the document protects nothing.
+ *
+ * @param {Y.Doc} ydoc - Current document (not modified)
+ * @param {Uint8Array} update - Incoming Y.js update
+ * @param {object[]} locks
+ * @returns {object[]} Violated locks
+ */
+export function findLockViolations(ydoc, update, locks) {
+  if (locks.length === 0) return [];
+
+  const before = snapshotSections(ydoc, locks);
+  if ([...before.values()].every((snapshot) => snapshot === null)) return [];
+
+  const probe = new Y.Doc();
+  try {
+    Y.applyUpdate(probe, Y.encodeStateAsUpdate(ydoc));
+    Y.applyUpdate(probe, update);
+    const after = snapshotSections(probe, locks);
+    return locks.filter((lock) => before.get(lock.id) !== null && before.get(lock.id) !== after.get(lock.id));
+  } finally {
+    probe.destroy();
+  }
+}
+
+/**
+ * Locate each lock's section among the top-level blocks of the document.
+ * @param {Y.Doc} ydoc
+ * @param {object[]} locks
+ * @returns {Map<string, { start: number, end: number }|null>} Block index range by lock ID
+ */
+export function findLockedSections(ydoc, locks) {
+  const blocks = ydoc.getXmlFragment('default').toArray();
+  const sections = new Map();
+
+  for (const lock of locks) {
+    const start = blocks.findIndex((block) => isLockedHeading(block, lock));
+    if (start === -1) {
+      sections.set(lock.id, null);
+      continue;
+    }
+    let end = start + 1;
+    while (end < blocks.length && !(isHeading(blocks[end]) && headingLevel(blocks[end]) <= lock.heading_level)) {
+      end++;
+    }
+    sections.set(lock.id, { start, end });
+  }
+
+  return sections;
+}
+
+/**
+ * Find the heading a top-level block falls under (the nearest heading at or
+ * before it, of any level).
+ * @param {Y.Doc} ydoc
+ * @param {number} blockIndex - Index among the top-level blocks
+ * @returns {{ headingText: string, headingLevel: number, headingNodeId: string|null }|null}
+ */
+export function findSectionHeading(ydoc, blockIndex) {
+  const blocks = ydoc.getXmlFragment('default').toArray();
+  for (let i = Math.min(blockIndex, blocks.length - 1); i >= 0; i--) {
+    if (!isHeading(blocks[i])) continue;
+    return {
+      headingText: headingText(blocks[i]),
+      headingLevel: headingLevel(blocks[i]),
+      headingNodeId: blocks[i].getAttribute('id') || null,
+    };
+  }
+  return null;
+}
+
+function snapshotSections(ydoc, locks) {
+  const blocks = ydoc.getXmlFragment('default').toArray();
+  const snapshots = new Map();
+  for (const [lockId, range] of findLockedSections(ydoc, locks)) {
+    snapshots.set(lockId, range ? blocks.slice(range.start, range.end).map(String).join('') : null);
+  }
+  return snapshots;
+}
+
+// Match by the heading's node ID when the lock has one, otherwise by text and level
+function isLockedHeading(block, lock) {
+  if (!isHeading(block)) return false;
+  if (lock.heading_node_id) return block.getAttribute('id') === lock.heading_node_id;
+  return headingLevel(block) === lock.heading_level && headingText(block) === lock.heading_text;
+}
+
+function isHeading(block) {
+  return block instanceof Y.XmlElement && block.nodeName === 'heading';
+}
+
+function headingLevel(block) {
+  return Number(block.getAttribute('level')) || 1;
+}
+
+function headingText(block) {
+  return block.toArray()
+    .filter((child) => child instanceof Y.XmlText)
+    .flatMap((child) => child.toDelta())
+    .map((op) => (typeof op.insert === 'string' ? op.insert : ''))
+    .join('')
+    .trim();
+}
@@ -0,0 +1,427 @@
+/**
+ * Suggestion Content Service
+ *
+ * Applies accepted / rejected tracked-change suggestions to document content,
+ * either a Y.js document (the collaborative source of truth) or stored
+ * Tiptap JSON (documents that have never had a collab session).
+ *
+ * Two kinds of suggestion are handled:
+ * - Marked: the suggested text is already in the document wrapped in
+ *   `suggestionAdded` / `suggestionRemoved` marks carrying the suggestion ID.
+ *   Accepting keeps added text and drops removed text; rejecting does the
+ *   opposite.
+ * - Anchored: only the anchor range is known. Accepting replaces the range
+ *   with `suggested_text` (after checking it still reads `original_text`);
+ *   rejecting leaves the content alone.
+ *
+ * Anchors are resolved from `anchor_yjs_from/to` (Y.js relative positions)
+ * when editing a Y.js document, falling back to `anchor_from/to`
+ * (ProseMirror positions). An anchored edit must stay inside one textblock.
+ */
+
+import * as Y from 'yjs';
+
+export const SUGGESTION_MARKS = { added: 'suggestionAdded', removed: 'suggestionRemoved' };
+
+// Transaction origin for server-applied suggestion edits
+export const SUGGESTION_ORIGIN = 'suggestion-resolution';
+
+/**
+ * @typedef {object} SuggestionResult
+ * @property {boolean} changed - Whether the content was modified
+ * @property {string} [reason] - Why an accepted suggestion could not be applied
+ *   ('anchor_not_found' | 'content_changed')
+ */
+
+// ============================================================================
+// Y.js documents
+// ============================================================================
+
+/**
+ * Apply a suggestion resolution to a Y.js document (y-prosemirror layout,
+ * content in the 'default' XML fragment).
+ *
+ * @param {Y.Doc} ydoc
+ * @param {object} suggestion - document_suggestions row
+ * @param {'accept'|'reject'} action
+ * @param {import('@tiptap/pm/model').Schema} schema - Editor schema (for node sizes)
+ * @returns {SuggestionResult}
+ */
+export function applySuggestionToYDoc(ydoc, suggestion, action, schema) {
+  const isLeaf = leafPredicate(schema);
+  const fragment = ydoc.getXmlFragment('default');
+  let result;
+
+  ydoc.transact(() => {
+    if (resolveMarkedInYDoc(fragment, suggestion.id, action)) {
+      result = { changed: true };
+      return;
+    }
+    if (action !== 'accept') {
+      result = { changed: false };
+      return;
+    }
+
+    const from = resolveYAnchor(ydoc, fragment, suggestion.anchor_yjs_from, suggestion.anchor_from, isLeaf);
+    const to = resolveYAnchor(ydoc, fragment, suggestion.anchor_yjs_to, suggestion.anchor_to, isLeaf);
+    if (!from || !to || from.text !== to.text || from.index > to.index) {
+      result = { changed: false, reason: 'anchor_not_found' };
+      return;
+    }
+
+    const { text } = from;
+    const current = text.toString().slice(from.index, to.index);
+    const edit = planAnchoredEdit(suggestion, current);
+    if (edit.reason) {
+      result = { changed: false, reason: edit.reason };
+      return;
+    }
+
+    if (edit.remove) text.delete(from.index, to.index - from.index);
+    if (edit.insert) text.insert(from.index, edit.insert, plainAttributesAt(text, from.index));
+    result = { changed: edit.remove || !!edit.insert };
+  }, SUGGESTION_ORIGIN);
+
+  return result;
+}
+
+/**
+ * Settle marked suggestion text in every Y.XmlText of the fragment.
+ * Returns true if any marked text was found.
+ */
+function resolveMarkedInYDoc(fragment, suggestionId, action) {
+  let found = false;
+
+  for (const text of yTextNodes(fragment)) {
+    const runs = [];
+    let offset = 0;
+    for (const op of text.toDelta()) {
+      const length = typeof op.insert === 'string' ? op.insert.length : 1;
+      const added = findMarkKeys(op.attributes, SUGGESTION_MARKS.added, suggestionId);
+      const removed = findMarkKeys(op.attributes, SUGGESTION_MARKS.removed, suggestionId);
+      if (added.length > 0 || removed.length > 0) runs.push({ offset, length, added, removed });
+      offset += length;
+    }
+    if (runs.length === 0) continue;
+    found = true;
+
+    // Right to left so earlier offsets stay valid
+    for (const run of runs.reverse()) {
+      const dropKeys = action === 'accept' ? run.removed : run.added;
+      const keepKeys = action === 'accept' ? run.added : run.removed;
+      if (dropKeys.length > 0) {
+        text.delete(run.offset, run.length);
+      } else {
+        text.format(run.offset, run.length, Object.fromEntries(keepKeys.map((key) => [key, null])));
+      }
+    }
+  }
+
+  return found;
+}
+
+function* yTextNodes(parent) {
+  for (const child of parent.toArray()) {
+    if (child instanceof Y.XmlText) {
+      yield child;
+    } else if (child instanceof Y.XmlElement) {
+      yield* yTextNodes(child);
+    }
+  }
+}
+
+// y-prosemirror stores marks as text attributes; overlapping marks of one
+// type get a "--<hash>" suffix
+function findMarkKeys(attributes, markName, suggestionId) {
+  if (!attributes) return [];
+  return Object.keys(attributes).filter((key) =>
+    (key === markName || key.startsWith(`${markName}--`))
+    && attributes[key]?.suggestionId === suggestionId
+  );
+}
+
+/**
+ * Resolve an anchor to { text: Y.XmlText, index }. Prefers the Y.js relative
+ * position; falls back to the ProseMirror position.
+ */
+function resolveYAnchor(ydoc, fragment, encodedRelative, pmPosition, isLeaf) {
+  const relative = decodeRelativePosition(encodedRelative);
+  if (relative) {
+    const absolute = Y.createAbsolutePositionFromRelativePosition(relative, ydoc);
+    if (absolute?.type instanceof Y.XmlText) {
+      return { text: absolute.type, index: absolute.index };
+    }
+    return null;
+  }
+  if (!Number.isInteger(pmPosition)) return null;
+  return resolveYPosition(fragment, pmPosition, isLeaf);
+}
+
+/**
+ * Decode a stored relative position: JSON (Y.relativePositionToJSON) or
+ * base64 (Y.encodeRelativePosition).
+ */
+function decodeRelativePosition(encoded) {
+  if (!encoded || typeof encoded !== 'string') return null;
+  try {
+    if (encoded.trimStart().startsWith('{')) {
+      return Y.createRelativePositionFromJSON(JSON.parse(encoded));
+    }
+    return Y.decodeRelativePosition(Buffer.from(encoded, 'base64'));
+  } catch {
+    return null;
+  }
+}
+
+// Map a ProseMirror position (relative to the start of `parent`'s content)
+// onto a Y.XmlText offset
+function resolveYPosition(parent, pos, isLeaf) {
+  let offset = 0;
+  for (const child of parent.toArray()) {
+    if (child instanceof Y.XmlText) {
+      if (pos <= offset + child.length) return { text: child, index: pos - offset };
+      offset += child.length;
+      continue;
+    }
+    const size = yNodeSize(child, isLeaf);
+    if (pos > offset && pos < offset + size && !isLeaf(child.nodeName)) {
+      return resolveYPosition(child, pos - offset - 1, isLeaf);
+    }
+    offset += size;
+  }
+  return null;
+}
+
+function yNodeSize(node, isLeaf) {
+  if (node instanceof Y.XmlText) return node.length;
+  if (isLeaf(node.nodeName)) return 1;
+  return 2 + node.toArray().reduce((sum, child) => sum + yNodeSize(child, isLeaf), 0);
+}
+
+// Formatting for inserted text: whatever precedes it, minus suggestion marks
+function plainAttributesAt(text, index) {
+  let offset = 0;
+  let attributes = {};
+  for (const op of text.toDelta()) {
+    if (offset >= index) break;
+    attributes = op.attributes || {};
+    offset += typeof op.insert === 'string' ? op.insert.length : 1;
+  }
+  return Object.fromEntries(Object.keys(attributes).map((key) => [
+    key,
+    isSuggestionMarkKey(key) ? null : attributes[key],
+  ]));
+}
+
+function isSuggestionMarkKey(key) {
+  return Object.values(SUGGESTION_MARKS).some((name) => key === name || key.startsWith(`${name}--`));
+}
+
+// ============================================================================
+// Tiptap JSON
+// ============================================================================
+
+/**
+ * Apply a suggestion resolution to Tiptap JSON.
+ *
+ * @param {object} doc - Tiptap document (not modified)
+ * @param {object} suggestion - document_suggestions row
+ * @param {'accept'|'reject'} action
+ * @param {import('@tiptap/pm/model').Schema} schema - Editor schema (for node sizes)
+ * @returns {SuggestionResult & { doc: object }}
+ */
+export function applySuggestionToTiptap(doc, suggestion, action, schema) {
+  const isLeaf = leafPredicate(schema);
+  const isTextblock = (type) => !!schema.nodes[type]?.isTextblock;
+  const next = structuredClone(doc);
+
+  if (resolveMarkedInTiptap(next, suggestion.id, action)) {
+    return { doc: next, changed: true };
+  }
+  if (action !== 'accept') {
+    return { doc, changed: false };
+  }
+
+  const from = resolveTiptapPosition(next, suggestion.anchor_from, isLeaf, isTextblock);
+  const to = resolveTiptapPosition(next, suggestion.anchor_to, isLeaf, isTextblock);
+  if (!from || !to || from.block !== to.block || from.index > to.index) {
+    return { doc, changed: false, reason: 'anchor_not_found' };
+  }
+
+  const { block } = from;
+  const current = inlineText(block).slice(from.index, to.index);
+  const edit = planAnchoredEdit(suggestion, current);
+  if (edit.reason) {
+    return { doc, changed: false, reason: edit.reason };
+  }
+
+  block.content = spliceInline(block.content || [], from.index, edit.remove ? to.index : from.index, edit.insert);
+  if (block.content.length === 0) delete block.content;
+  return { doc: next, changed: edit.remove || !!edit.insert };
+}
+
+/**
+ * Settle marked suggestion text throughout the document (in place).
+ * Returns true if any marked text was found.
+ */
+function resolveMarkedInTiptap(node, suggestionId, action) {
+  if (!Array.isArray(node.content)) return false;
+
+  let found = false;
+  const dropMark = action === 'accept' ? SUGGESTION_MARKS.removed : SUGGESTION_MARKS.added;
+  const content = [];
+  for (const child of node.content) {
+    if (child.type === 'text' && Array.isArray(child.marks)) {
+      const own = (mark) => isSuggestionMarkKey(mark.type) && mark.attrs?.suggestionId === suggestionId;
+      if (child.marks.some(own)) {
+        found = true;
+        if (child.marks.some((mark) => own(mark) && mark.type === dropMark)) continue;
+        const marks = child.marks.filter((mark) => !own(mark));
+        const kept = { ...child };
+        if (marks.length > 0) kept.marks = marks;
+        else delete kept.marks;
+        content.push(kept);
+        continue;
+      }
+    }
+    if (resolveMarkedInTiptap(child, suggestionId, action)) found = true;
+    content.push(child);
+  }
+
+  if (found) {
+    node.content = normalizeInline(content);
+    if (node.content.length === 0) delete node.content;
+  }
+  return found;
+}
+
+// Map a ProseMirror position onto { block, index } inside a textblock
+function resolveTiptapPosition(doc, pos, isLeaf, isTextblock) {
+  if (!Number.isInteger(pos)) return null;
+
+  const visit = (node, target) => {
+    const children = node.content || [];
+    if (isTextblock(node.type)) {
+      return target <= inlineLength(children) ? { block: node, index: target } : null;
+    }
+    let offset = 0;
+    for (const child of children) {
+      const size = tiptapNodeSize(child, isLeaf);
+      if (target > offset && target < offset + size && child.type !== 'text' && !isLeaf(child.type)) {
+        return visit(child, target - offset - 1);
+      }
+      offset += size;
+    }
+    return null;
+  };
+
+  return visit(doc, pos);
+}
+
+function tiptapNodeSize(node, isLeaf) {
+  if (node.type === 'text') return (node.text || '').length;
+  if (isLeaf(node.type)) return 1;
+  return 2 + (node.content || []).reduce((sum, child) => sum + tiptapNodeSize(child, isLeaf), 0);
+}
+
+function inlineLength(children) {
+  return children.reduce((sum, child) => sum + (child.type === 'text' ? (child.text || '').length : 1), 0);
+}
+
+// Inline content as a string; atoms count as one placeholder character,
+// matching ProseMirror and Y.XmlText offsets
+function inlineText(block) {
+  return (block.content || []).map((child) => (child.type === 'text' ? child.text || '' : '\uFFFC')).join('');
+}
+
+/**
+ * Replace [from, to) of a textblock's inline content with plain text, which
+ * takes the marks of the text before it (minus suggestion marks).
+ */
+function spliceInline(children, from, to, insertText) {
+  const result = [];
+  let offset = 0;
+  let inherited = null;
+  let inserted = !insertText;
+
+  const insert = () => {
+    if (inserted) return;
+    const node = { type: 'text', text: insertText };
+    const marks = (inherited || []).filter((mark) => !isSuggestionMarkKey(mark.type));
+    if (marks.length > 0) node.marks = marks;
+    result.push(node);
+    inserted = true;
+  };
+
+  for (const child of children) {
+    const length = child.type === 'text' ? (child.text || '').length : 1;
+    const start = offset;
+    const end = offset + length;
+    offset = end;
+
+    if (child.type !== 'text') {
+      if (end <= from) {
+        result.push(child);
+        inherited = null;
+      } else if (start >= to) {
+        insert();
+        result.push(child);
+      }
+      continue;
+    }
+
+    const text = child.text || '';
+    if (start < from) {
+      result.push({ ...child, text: text.slice(0, Math.min(from, end) - start) });
+      inherited = child.marks;
+    }
+    if (end > to) {
+      insert();
+      const tail = text.slice(Math.max(to, start) - start);
+      if (tail) result.push({ ...child, text: tail });
+    }
+  }
+  insert();
+
+  return normalizeInline(result);
+}
+
+// Drop empty text nodes and join neighbours with identical marks
+function normalizeInline(children) {
+  const result = [];
+  for (const child of children) {
+    if (child.type === 'text' && !child.text) continue;
+    const last = result[result.length - 1];
+    if (child.type === 'text' && last?.type === 'text'
+      && JSON.stringify(last.marks || []) === JSON.stringify(child.marks || [])) {
+      result[result.length - 1] = { ...last, text: last.text + child.text };
+      continue;
+    }
+    result.push(child);
+  }
+  return result;
+}
+
+// ============================================================================
+// Shared
+// ============================================================================
+
+function leafPredicate(schema) {
+  return (nodeType) => !!schema.nodes[nodeType]?.isLeaf;
+}
+
+/**
+ * Decide what an accepted anchored suggestion does to the text currently in
+ * its range. Insertions add text at the start of the range; deletions and
+ * replacements require the range to still read `original_text`.
+ */
+function planAnchoredEdit(suggestion, current) {
+  const insert = suggestion.type === 'deletion' ? '' : (suggestion.suggested_text || '');
+  if (suggestion.type === 'insertion') {
+    return { remove: false, insert };
+  }
+  if (suggestion.original_text && current !== suggestion.original_text) {
+    return { reason: 'content_changed' };
+  }
+  return { remove: current.length > 0, insert };
+}
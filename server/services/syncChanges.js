@@ -0,0 +1,248 @@
+/**
+ * Sync Changes Service
+ * Sync operation log and the incremental changes feed built on it
+ *
+ * Every write to a synced document (upload, delete, rename — from the sync
+ * API, shared-link edits, branch merges or the collab server) logs a
+ * successful operation in sync_operations under the document owner. The
+ * changes feed replays those operations after an opaque cursor and returns
+ * the current state of each document they touched, so clients only fetch
+ * what changed since their last sync. Changes are also pushed to the owner's
+ * open sync streams (GET /api/sync/stream) as they happen.
+ */
+
+import db from '../db/index.js';
+
+// Operations that change a document (downloads and version uploads don't)
+export const CHANGE_OPERATIONS = ['upload', 'delete', 'rename'];
+
+export const DEFAULT_CHANGES_LIMIT = 100;
+export const MAX_CHANGES_LIMIT = 500;
+
+// Sync stream (SSE) responses by user ID
+const streamClients = new Map();
+
+const insertOperation = db.prepare(`
+  INSERT INTO sync_operations (user_id, document_id, operation, path, size_bytes, success, error_message)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+const listChangeOperations = db.prepare(`
+  SELECT id, document_id, operation, path, created_at FROM sync_operations
+  WHERE user_id = ? AND id > ? AND success = 1 AND document_id IS NOT NULL
+    AND operation IN (${CHANGE_OPERATIONS.map(() => '?').join(', ')})
+  ORDER BY id ASC
+  LIMIT ?
+`);
+
+// Whether the document had a change at or before the cursor, looking no further
+// back than its creation. The time range keeps this off the user's full history.
+const hasOperationBefore = db.prepare(`
+  SELECT 1 FROM sync_operations INDEXED BY idx_sync_operations_created
+  WHERE created_at >= ? AND id <= ? AND user_id = ? AND document_id = ? AND success = 1
+  LIMIT 1
+`);
+
+const getStreamDocument = db.prepare(
+  'SELECT id, path, version, content_hash, deleted_at FROM sync_documents WHERE id = ?'
+);
+
+const getOldestOperationId = db.prepare('SELECT MIN(id) AS id FROM sync_operations');
+const getLastOperationId = db.prepare(
+  "SELECT seq AS id FROM sqlite_sequence WHERE name = 'sync_operations'"
+);
+
+/**
+ * Log a sync operation
+ * @param {number} userId - Document owner
+ * @param {string|null} documentId
+ * @param {string} operation - 'upload', 'download', 'delete', 'rename', 'conflict', ...
+ * @param {string|null} path
+ * @param {number} sizeBytes
+ * @param {boolean} success
+ * @param {string|null} [errorMessage]
+ */
+export function logSyncOperation(userId, documentId, operation, path, sizeBytes, success, errorMessage = null) {
+  insertOperation.run(userId, documentId, operation, path, sizeBytes, success ? 1 : 0, errorMessage);
+}
+
+/**
+ * Register an open sync stream for a user.
+ * @param {number} userId
+ * @param {import('http').ServerResponse} res - SSE response
+ * @returns {() => void} Unregisters the stream
+ */
+export function addSyncStreamClient(userId, res) {
+  if (!streamClients.has(userId)) {
+    streamClients.set(userId, new Set());
+  }
+  streamClients.get(userId).add(res);
+
+  return () => {
+    const clients = streamClients.get(userId);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) streamClients.delete(userId);
+    }
+  };
+}
+
+/**
+ * Push a document's current state to the owner's sync streams (called from
+ * every path that changes a synced document)
+ * @param {number} userId - Document owner
+ * @param {string} documentId
+ * @param {object} [details]
+ * @param {string} [details.previousPath] - Set when the document was renamed
+ */
+export function broadcastSyncChange(userId, documentId, { previousPath } = {}) {
+  const clients = streamClients.get(userId);
+  if (!clients) return;
+
+  const doc = getStreamDocument.get(documentId);
+  if (!doc) return;
+
+  const data = JSON.stringify({
+    type: 'document-changed',
+    data: {
+      id: doc.id,
+      path: doc.path,
+      ...(previousPath && { previousPath }),
+      version: doc.version,
+      contentHash: doc.content_hash,
+      deleted: !!doc.deleted_at,
+    },
+  });
+  for (const client of clients) {
+    client.write(`data: ${data}\n\n`);
+  }
+}
+
+/**
+ * Cursor for "everything up to now" (e.g. alongside a full status listing).
+ * @returns {string}
+ */
+export function getCurrentChangesCursor() {
+  return encodeChangesCursor(getLastOperationId.get()?.id || 0);
+}
+
+/**
+ * @param {number} operationId
+ * @returns {string}
+ */
+export function encodeChangesCursor(operationId) {
+  return Buffer.from(`ops:${operationId}`).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {number|null} Operation ID, or null if the cursor is malformed
+ */
+export function decodeChangesCursor(cursor) {
+  if (typeof cursor !== 'string') return null;
+  const match = /^ops:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * List the documents changed since a cursor, one entry per document, in the
+ * order of their latest change.
+ *
+ * Operation logs are pruned after a while (syncCleanupService); a cursor
+ * older than the retained log is reported as expired, and the client should
+ * fall back to a full status sync.
+ *
+ * @param {number} userId
+ * @param {number} sinceId - Decoded cursor
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum operations to read (not entries)
+ * @returns {{ expired: true } | { expired: false, changes: object[], cursor: string, hasMore: boolean }}
+ */
+export function listSyncChanges(userId, sinceId, { limit = DEFAULT_CHANGES_LIMIT } = {}) {
+  const oldest = getOldestOperationId.get()?.id;
+  const last = getLastOperationId.get()?.id || 0;
+  if (oldest ? sinceId < oldest - 1 : sinceId < last) {
+    return { expired: true };
+  }
+
+  const operations = listChangeOperations.all(userId, sinceId, ...CHANGE_OPERATIONS, limit);
+  const hasMore = operations.length === limit;
+  const cursorId = hasMore ? operations[operations.length - 1].id : Math.max(sinceId, last);
+
+  // Group by document, ordered by each document's latest operation
+  const byDocument = new Map();
+  for (const operation of operations) {
+    const entry = byDocument.get(operation.document_id) || { operations: [] };
+    entry.operations.push(operation);
+    byDocument.delete(operation.document_id);
+    byDocument.set(operation.document_id, entry);
+  }
+
+  const documentIds = [...byDocument.keys()];
+  if (documentIds.length === 0) {
+    return { expired: false, changes: [], cursor: encodeChangesCursor(cursorId), hasMore };
+  }
+
+  const placeholders = documentIds.map(() => '?').join(', ');
+  const documents = new Map(
+    db.prepare(`
+      SELECT id, path, content_hash, sidecar_hash, version, size_bytes, created_at, updated_at, deleted_at
+      FROM sync_documents WHERE user_id = ? AND id IN (${placeholders})
+    `).all(userId, ...documentIds).map((doc) => [doc.id, doc])
+  );
+
+  const changes = documentIds.map((documentId) => {
+    const doc = documents.get(documentId);
+    const { operations } = byDocument.get(documentId);
+    return formatChange(documentId, doc, operations, doc && existedBefore(userId, sinceId, doc, operations[0]));
+  });
+
+  return { expired: false, changes, cursor: encodeChangesCursor(cursorId), hasMore };
+}
+
+/**
+ * Whether a document existed at the cursor. One created before its first
+ * change in range did, even if the operation that created it has since been
+ * pruned; within the same second, the log before the cursor decides.
+ */
+function existedBefore(userId, sinceId, doc, firstOperation) {
+  if (doc.created_at < firstOperation.created_at) return true;
+  return Boolean(hasOperationBefore.get(doc.created_at, sinceId, userId, doc.id));
+}
+
+function formatChange(documentId, doc, operations, existedBefore) {
+  const last = operations[operations.length - 1];
+
+  // Tombstone: soft-deleted, or already purged
+  if (!doc || doc.deleted_at) {
+    return {
+      documentId,
+      type: 'deleted',
+      path: doc?.path ?? last.path?.split(' -> ').pop() ?? null,
+      version: doc?.version ?? null,
+      deleted: true,
+      deletedAt: doc?.deleted_at ?? null,
+    };
+  }
+
+  const renames = operations.filter((operation) => operation.operation === 'rename');
+  const uploaded = operations.some((operation) => operation.operation === 'upload');
+  const previousPath = renames.length > 0 ? renames[0].path?.split(' -> ')[0] ?? null : null;
+
+  let type = 'updated';
+  if (!existedBefore) type = 'created';
+  else if (!uploaded && renames.length > 0) type = 'moved';
+
+  return {
+    documentId,
+    type,
+    path: doc.path,
+    ...(type !== 'created' && previousPath && previousPath !== doc.path && { previousPath }),
+    contentHash: doc.content_hash,
+    sidecarHash: doc.sidecar_hash,
+    version: doc.version,
+    sizeBytes: doc.size_bytes,
+    updatedAt: doc.updated_at,
+    deleted: false,
+  };
+}
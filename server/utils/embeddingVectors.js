@@ -0,0 +1,53 @@
+/**
+ * Embedding Vector Utilities
+ *
+ * Embeddings are stored in SQLite as BLOBs of Float32 values and compared by
+ * cosine similarity. Shared by the RAG index (ragService.js,
+ * ragVectorIndex.js) and the semantic LLM response cache.
+ */
+
+/**
+ * Convert an embedding (Float64 numbers from the API) to a Buffer of Float32.
+ * @param {number[]|Float32Array} embedding
+ * @returns {Buffer}
+ */
+export function embeddingToBlob(embedding) {
+  const f32 = new Float32Array(embedding);
+  return Buffer.from(f32.buffer);
+}
+
+/**
+ * Convert a stored BLOB back to a Float32Array.
+ * @param {Buffer|null} blob
+ * @returns {Float32Array|null}
+ */
+export function blobToEmbedding(blob) {
+  if (!blob) return null;
+  // blob is a Buffer in better-sqlite3 — copy to ensure 4-byte alignment
+  const aligned = blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength);
+  return new Float32Array(aligned);
+}
+
+/**
+ * Compute cosine similarity between two vectors; 0 when either is missing,
+ * empty of magnitude or of a different length.
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>|null} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
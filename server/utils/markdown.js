@@ -0,0 +1,71 @@
+/**
+ * Markdown Helpers
+ *
+ * Lightweight block-level markdown handling for merge and diff
+ * (no full markdown parser required).
+ */
+
+import { textSimilarity } from './sequenceDiff.js';
+
+/**
+ * Split markdown into top-level blocks separated by blank lines,
+ * keeping fenced code blocks intact.
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function splitMarkdownBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+
+  for (const line of String(markdown || '').replace(/\r\n/g, '\n').split('\n')) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      current.push(line);
+      if (fenceMatch && fenceMatch[1] === fence) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      current.push(line);
+      continue;
+    }
+    if (line.trim() === '') {
+      if (current.length > 0) {
+        blocks.push(current.join('\n'));
+        current = [];
+      }
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+  return blocks;
+}
+
+/**
+ * Classify a markdown block by its first line.
+ * @param {string} block
+ * @returns {string} 'heading1'..'heading6' | 'code' | 'table' | 'list' | 'quote' | 'paragraph'
+ */
+export function markdownBlockKind(block) {
+  const firstLine = String(block).split('\n', 1)[0].trimStart();
+  const heading = firstLine.match(/^(#{1,6})\s/);
+  if (heading) return `heading${heading[1].length}`;
+  if (/^(```|~~~)/.test(firstLine)) return 'code';
+  if (/^\|/.test(firstLine)) return 'table';
+  if (/^([-*+]|\d+[.)])\s/.test(firstLine)) return 'list';
+  if (/^>/.test(firstLine)) return 'quote';
+  return 'paragraph';
+}
+
+/**
+ * Whether two blocks are plausibly the same block after an edit
+ * (same kind and at least half their words in common).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function markdownBlocksLookAlike(a, b) {
+  return markdownBlockKind(a) === markdownBlockKind(b) && textSimilarity(a, b) >= 0.5;
+}
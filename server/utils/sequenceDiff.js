@@ -0,0 +1,236 @@
+/**
+ * Sequence Diff Utilities
+ *
+ * Longest-common-subsequence alignment shared by the document merge and
+ * diff engines. Exact matches are found with Myers' O(ND) algorithm; the
+ * unmatched gaps between them can optionally be refined with a fuzzy
+ * "similar" predicate so that edited blocks still line up with their
+ * originals.
+ */
+
+// Upper bound on the Myers edit distance before giving up on the middle
+// section (keeps memory bounded at roughly D^2 integers for huge rewrites)
+const DEFAULT_MAX_EDIT_DISTANCE = 2000;
+
+// Fuzzy refinement uses an O(n*m) table, so only run it on small gaps
+const MAX_FUZZY_GAP_CELLS = 40_000;
+
+/**
+ * Find matching index pairs between two sequences using Myers' algorithm.
+ * @param {Array} a
+ * @param {Array} b
+ * @param {(x: any, y: any) => boolean} [equals]
+ * @param {{ maxEditDistance?: number }} [options]
+ * @returns {Array<[number, number]>} Ascending [indexInA, indexInB] pairs
+ */
+export function longestCommonSubsequence(a, b, equals = Object.is, options = {}) {
+  const maxEditDistance = options.maxEditDistance ?? DEFAULT_MAX_EDIT_DISTANCE;
+
+  // Trim the common prefix and suffix — most edits touch a small window
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) {
+    pairs.push([i, i]);
+  }
+  for (const pair of myersMatches(a, b, start, endA, start, endB, equals, maxEditDistance)) {
+    pairs.push(pair);
+  }
+  for (let k = 0; endA + k < a.length; k++) {
+    pairs.push([endA + k, endB + k]);
+  }
+  return pairs;
+}
+
+/**
+ * Align two sequences: exact LCS first, then fuzzy matching inside the gaps.
+ * @param {Array} a
+ * @param {Array} b
+ * @param {object} [options]
+ * @param {(x: any, y: any) => boolean} [options.equals] - Exact match predicate
+ * @param {(x: any, y: any) => boolean} [options.similar] - Fuzzy match predicate for gaps
+ * @param {number} [options.maxEditDistance]
+ * @returns {Array<[number, number]>} Ascending [indexInA, indexInB] pairs
+ */
+export function alignSequences(a, b, { equals = Object.is, similar = null, maxEditDistance } = {}) {
+  const exact = longestCommonSubsequence(a, b, equals, { maxEditDistance });
+  if (!similar) return exact;
+
+  const pairs = [];
+  let prevA = 0;
+  let prevB = 0;
+  for (const [i, j] of [...exact, [a.length, b.length]]) {
+    if (i > prevA && j > prevB) {
+      pairs.push(...fuzzyMatches(a, b, prevA, i, prevB, j, similar));
+    }
+    if (i < a.length) pairs.push([i, j]);
+    prevA = i + 1;
+    prevB = j + 1;
+  }
+  return pairs;
+}
+
+/**
+ * Word-level Dice similarity between two strings (0..1).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function textSimilarity(a, b) {
+  const wordsA = tokenizeWords(a);
+  const wordsB = tokenizeWords(b);
+  if (wordsA.length === 0 && wordsB.length === 0) return 1;
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const counts = new Map();
+  for (const word of wordsA) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  let shared = 0;
+  for (const word of wordsB) {
+    const remaining = counts.get(word);
+    if (remaining) {
+      shared++;
+      counts.set(word, remaining - 1);
+    }
+  }
+  return (2 * shared) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Split text into lowercase word tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeWords(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * JSON.stringify with sorted object keys, so structurally equal values
+ * produce identical strings regardless of key order.
+ * @param {any} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+function myersMatches(a, b, aStart, aEnd, bStart, bEnd, equals, maxEditDistance) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  if (n === 0 || m === 0) return [];
+
+  const limit = Math.min(n + m, maxEditDistance);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // Snapshot diagonals [-d-1, d+1] before this round, for backtracking
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && equals(a[aStart + x], b[bStart + y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m, aStart, bStart);
+      }
+    }
+  }
+
+  // Edit distance exceeded the cap — treat the middle section as fully changed
+  return [];
+}
+
+function backtrack(trace, n, m, aStart, bStart) {
+  const pairs = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      pairs.push([aStart + x, bStart + y]);
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return pairs.reverse();
+}
+
+function fuzzyMatches(a, b, aStart, aEnd, bStart, bEnd, similar) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  if (n * m > MAX_FUZZY_GAP_CELLS) return [];
+
+  // Classic LCS table over the gap
+  const width = m + 1;
+  const table = new Uint16Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = similar(a[aStart + i], b[bStart + j])
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (similar(a[aStart + i], b[bStart + j])
+      && table[i * width + j] === table[(i + 1) * width + j + 1] + 1) {
+      pairs.push([aStart + i, bStart + j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,195 @@
+/**
+ * Sync Patch Utilities
+ * Apply delta uploads (content edits + sidecar JSON Patch) to a stored document
+ *
+ * Content patches are a list of edits against the base text, in UTF-16 code
+ * unit offsets (JavaScript string indices):
+ *   [{ from: 10, to: 12, insert: 'new text' }, ...]
+ * Edits must not overlap; order doesn't matter.
+ *
+ * Sidecar patches are RFC 6902 JSON Patch operations (add, remove, replace,
+ * move, copy, test).
+ */
+
+const MAX_CONTENT_EDITS = 10_000;
+const MAX_SIDECAR_OPERATIONS = 10_000;
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Apply content edits to the base text.
+ *
+ * @param {string} base - Stored content the patch was made against
+ * @param {Array<{ from: number, to: number, insert?: string }>} edits
+ * @returns {{ valid: boolean, content?: string, error?: string }}
+ */
+export function applyContentPatch(base, edits) {
+  if (!Array.isArray(edits)) {
+    return { valid: false, error: 'Content patch must be an array of edits' };
+  }
+  if (edits.length > MAX_CONTENT_EDITS) {
+    return { valid: false, error: `Content patch has too many edits (max ${MAX_CONTENT_EDITS})` };
+  }
+
+  for (const edit of edits) {
+    if (typeof edit !== 'object' || edit === null
+      || !Number.isInteger(edit.from) || !Number.isInteger(edit.to)
+      || edit.from < 0 || edit.to < edit.from || edit.to > base.length
+      || (edit.insert !== undefined && typeof edit.insert !== 'string')) {
+      return { valid: false, error: 'Invalid content edit' };
+    }
+  }
+
+  const sorted = [...edits].sort((a, b) => a.from - b.from || a.to - b.to);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].from < sorted[i - 1].to) {
+      return { valid: false, error: 'Content edits overlap' };
+    }
+  }
+
+  const parts = [];
+  let cursor = 0;
+  for (const edit of sorted) {
+    parts.push(base.slice(cursor, edit.from), edit.insert || '');
+    cursor = edit.to;
+  }
+  parts.push(base.slice(cursor));
+
+  return { valid: true, content: parts.join('') };
+}
+
+/**
+ * Apply JSON Patch operations to the base sidecar. The base is not modified.
+ *
+ * @param {object} base - Stored sidecar the patch was made against
+ * @param {object[]} operations - RFC 6902 operations
+ * @returns {{ valid: boolean, sidecar?: object, error?: string }}
+ */
+export function applySidecarPatch(base, operations) {
+  if (!Array.isArray(operations)) {
+    return { valid: false, error: 'Sidecar patch must be an array of operations' };
+  }
+  if (operations.length > MAX_SIDECAR_OPERATIONS) {
+    return { valid: false, error: `Sidecar patch has too many operations (max ${MAX_SIDECAR_OPERATIONS})` };
+  }
+
+  let doc = structuredClone(base);
+  try {
+    for (const operation of operations) {
+      doc = applyOperation(doc, operation);
+    }
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+    return { valid: false, error: 'Sidecar must be an object' };
+  }
+  return { valid: true, sidecar: doc };
+}
+
+// ============================================================================
+// JSON Patch
+// ============================================================================
+
+function applyOperation(doc, operation) {
+  if (typeof operation !== 'object' || operation === null || typeof operation.path !== 'string') {
+    throw new Error('Invalid sidecar patch operation');
+  }
+  const path = parsePointer(operation.path);
+
+  switch (operation.op) {
+    case 'add':
+      return addValue(doc, path, cloneValue(operation));
+    case 'remove':
+      return removeValue(doc, path);
+    case 'replace':
+      return addValue(removeValue(doc, path), path, cloneValue(operation));
+    case 'move': {
+      const from = parsePointer(operation.from);
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new Error(`Cannot move ${operation.from} into itself`);
+      }
+      const value = getValue(doc, from);
+      return addValue(removeValue(doc, from), path, value);
+    }
+    case 'copy':
+      return addValue(doc, path, structuredClone(getValue(doc, parsePointer(operation.from))));
+    case 'test':
+      if (JSON.stringify(getValue(doc, path)) !== JSON.stringify(operation.value)) {
+        throw new Error(`Test failed at ${operation.path}`);
+      }
+      return doc;
+    default:
+      throw new Error(`Unsupported sidecar patch operation: ${operation.op}`);
+  }
+}
+
+function cloneValue(operation) {
+  if (!('value' in operation)) throw new Error(`Missing value for ${operation.op} at ${operation.path}`);
+  return structuredClone(operation.value);
+}
+
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new Error(`Invalid JSON pointer: ${pointer}`);
+  }
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map((segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (FORBIDDEN_KEYS.has(key)) throw new Error(`Invalid JSON pointer: ${pointer}`);
+    return key;
+  });
+}
+
+function getValue(doc, path) {
+  let node = doc;
+  for (const key of path) {
+    if (!isContainer(node) || !Object.hasOwn(node, key)) {
+      throw new Error(`Path not found: /${path.join('/')}`);
+    }
+    node = node[key];
+  }
+  return node;
+}
+
+function addValue(doc, path, value) {
+  if (path.length === 0) return value;
+  const parent = getValue(doc, path.slice(0, -1));
+  const key = path[path.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : arrayIndex(key, parent.length);
+    parent.splice(index, 0, value);
+  } else if (isContainer(parent)) {
+    parent[key] = value;
+  } else {
+    throw new Error(`Path not found: /${path.join('/')}`);
+  }
+  return doc;
+}
+
+function removeValue(doc, path) {
+  if (path.length === 0) return undefined;
+  const parent = getValue(doc, path.slice(0, -1));
+  const key = path[path.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(key, parent.length - 1), 1);
+  } else if (isContainer(parent) && Object.hasOwn(parent, key)) {
+    delete parent[key];
+  } else {
+    throw new Error(`Path not found: /${path.join('/')}`);
+  }
+  return doc;
+}
+
+function arrayIndex(key, max) {
+  if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > max) {
+    throw new Error(`Invalid array index: ${key}`);
+  }
+  return Number(key);
+}
+
+function isContainer(value) {
+  return typeof value === 'object' && value !== null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Tiptap JSON Helpers
+ *
+ * Small, dependency-free helpers for working with Tiptap/ProseMirror JSON
+ * on the server (no editor schema required).
+ */
+
+import { textSimilarity } from './sequenceDiff.js';
+
+// Nodes whose children are inline content
+const TEXTBLOCK_TYPES = new Set(['paragraph', 'heading', 'codeBlock']);
+
+/**
+ * Whether a value looks like a Tiptap document node.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isTiptapDoc(value) {
+  return !!value && typeof value === 'object' && value.type === 'doc' && Array.isArray(value.content);
+}
+
+/**
+ * Get the Tiptap document stored in a sidecar object, if any.
+ * @param {object|null} sidecar
+ * @returns {object|null}
+ */
+export function getSidecarDoc(sidecar) {
+  if (!sidecar || typeof sidecar !== 'object') return null;
+  if (isTiptapDoc(sidecar.content)) return sidecar.content;
+  if (isTiptapDoc(sidecar)) return sidecar;
+  return null;
+}
+
+/**
+ * Concatenate all text inside a node (depth-first).
+ * @param {object} node
+ * @returns {string}
+ */
+export function getNodeText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  if (!Array.isArray(node.content)) return '';
+  return node.content.map(getNodeText).join('');
+}
+
+/**
+ * Whether a node holds block children (lists, tables, blockquotes, …)
+ * rather than inline content.
+ * @param {object} node
+ * @returns {boolean}
+ */
+export function isBlockContainer(node) {
+  if (!Array.isArray(node?.content) || TEXTBLOCK_TYPES.has(node.type)) return false;
+  return node.content.every((child) => child.type !== 'text' && child.type !== 'hardBreak');
+}
+
+/**
+ * Whether two nodes are plausibly the same block after an edit: same type,
+ * same `attrs.id` when both carry one, otherwise at least half their words
+ * in common.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function nodesLookAlike(a, b) {
+  if (!a || !b || a.type !== b.type) return false;
+  const idA = a.attrs?.id;
+  const idB = b.attrs?.id;
+  if (idA && idB) return idA === idB;
+  return textSimilarity(getNodeText(a), getNodeText(b)) >= 0.5;
+}
+
+/**
+ * Extract simple markdown text from Tiptap JSON (basic extraction for search/preview).
+ */
+export function extractMarkdownFromTiptap(json) {
+  if (!json || !json.content) return '';
+
+  const lines = [];
+  for (const node of json.content) {
+    if (node.type === 'paragraph' && node.content) {
+      const text = node.content
+        .filter(n => n.type === 'text')
+        .map(n => n.text)
+        .join('');
+      lines.push(text);
+    } else if (node.type === 'heading' && node.content) {
+      const level = node.attrs?.level || 1;
+      const text = node.content
+        .filter(n => n.type === 'text')
+        .map(n => n.text)
+        .join('');
+      lines.push('#'.repeat(level) + ' ' + text);
+    } else if (node.type === 'bulletList' || node.type === 'orderedList') {
+      if (node.content) {
+        for (const item of node.content) {
+          if (item.content) {
+            for (const para of item.content) {
+              if (para.content) {
+                const text = para.content
+                  .filter(n => n.type === 'text')
+                  .map(n => n.text)
+                  .join('');
+                lines.push('- ' + text);
+              }
+            }
+          }
+        }
+      }
+    } else if (node.type === 'codeBlock' && node.content) {
+      const text = node.content
+        .filter(n => n.type === 'text')
+        .map(n => n.text)
+        .join('');
+      lines.push('```\n' + text + '\n```');
+    }
+  }
+  return lines.join('\n\n');
+}